@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// zxspeccjs command-line runner; see src/cli.mjs
+import { runCli } from '../src/cli.mjs';
+
+runCli(process.argv.slice(2)).then((code) => { process.exitCode = code; });
@@ -51,7 +51,7 @@ export function normalizeFileEntry(identifier, file) {
   const ext = name.split('.').pop().toLowerCase();
   const format = ext.toUpperCase();
   const isTape = ['tap', 'tzx'].includes(ext);
-  const isSnapshot = ['z80', 'sna'].includes(ext);
+  const isSnapshot = ['z80', 'sna', 'szx'].includes(ext);
   const isZip = ext === 'zip';
   const isImage = ['scr', 'png', 'jpg', 'gif'].includes(ext);
 
@@ -260,7 +260,7 @@ export function getTapeFiles(files) {
 }
 
 /**
- * Get snapshot files (Z80/SNA) from an item's file list.
+ * Get snapshot files (Z80/SNA/SZX) from an item's file list.
  * Snapshots load directly into memory - faster than tapes.
  * @param {Array} files - Array of normalized file entries
  * @returns {Array} Only snapshot files
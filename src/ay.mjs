@@ -0,0 +1,271 @@
+/**
+ * AY-3-8912 programmable sound generator (128K / +2 / +3, Melodik, Fuller Box).
+ *
+ * Three square-wave tone channels, one noise generator and one envelope
+ * generator, mixed per channel by register 7. Register writes are recorded
+ * with their CPU T-state, the same way Sound records beeper toggles, and the
+ * chip is stepped sample by sample at end-of-frame so writes land at the
+ * right point inside the frame.
+ *
+ * The chip's internal counters run at clock / 8 ("ticks"): tone outputs flip
+ * every `period` ticks, noise and envelope advance every 2 * `period` ticks.
+ */
+
+export const AY_CLOCK = 1773400; // 1.7734 MHz on the 128K
+export const AY_REGISTER_COUNT = 16;
+
+// Per-register write masks (unused bits read back as 0)
+const REGISTER_MASKS = [
+  0xff, 0x0f, 0xff, 0x0f, 0xff, 0x0f, // tone periods A, B, C (12-bit)
+  0x1f,                               // noise period
+  0xff,                               // mixer / IO direction
+  0x1f, 0x1f, 0x1f,                   // amplitudes A, B, C (bit 4 = envelope)
+  0xff, 0xff,                         // envelope period
+  0x0f,                               // envelope shape
+  0xff, 0xff                          // IO ports A, B
+];
+
+// Logarithmic DAC levels for the 16 amplitude steps, normalised to 0..1
+const VOLUME_TABLE = new Float32Array([
+  0.0000, 0.0137, 0.0205, 0.0291, 0.0423, 0.0618, 0.0847, 0.1369,
+  0.1691, 0.2647, 0.3527, 0.4499, 0.5704, 0.6873, 0.8482, 1.0000
+]);
+
+export class AY8912 {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.clock] chip clock in Hz (default 1.7734 MHz)
+   * @param {number} [opts.sampleRate] output sample rate in Hz (default 44100)
+   */
+  constructor(opts = {}) {
+    this.clock = opts.clock || AY_CLOCK;
+    this.sampleRate = opts.sampleRate || 44100;
+
+    // Latest register values as seen by the CPU (used for reads)
+    this.registers = new Uint8Array(AY_REGISTER_COUNT);
+    this.selectedRegister = 0;
+    // Timestamped writes not yet applied to the generator: {t, reg, value}
+    this._pending = [];
+
+    this._resetGenerator();
+  }
+
+  reset() {
+    this.registers.fill(0);
+    this.selectedRegister = 0;
+    this._pending.length = 0;
+    this._resetGenerator();
+  }
+
+  /** Latch the register number for subsequent data reads/writes (port 0xFFFD) */
+  selectRegister(value) {
+    this.selectedRegister = value & 0x0f;
+  }
+
+  /** Write the selected register (port 0xBFFD) */
+  writeData(value, tstates = 0) {
+    this.writeRegister(this.selectedRegister, value, tstates);
+  }
+
+  /** Read the selected register (port 0xFFFD) */
+  readData() {
+    return this.registers[this.selectedRegister];
+  }
+
+  /** Write a register directly, timestamped with the CPU T-state in the frame */
+  writeRegister(reg, value, tstates = 0) {
+    reg &= 0x0f;
+    value &= REGISTER_MASKS[reg];
+    this.registers[reg] = value;
+    this._pending.push({ t: tstates, reg, value });
+  }
+
+  /** Return a copy of the 16 registers (for snapshots / debugging) */
+  getRegisters() {
+    return Array.from(this.registers);
+  }
+
+  /** Restore all registers at once (snapshot load), resetting the generator */
+  setRegisters(values, selected = this.selectedRegister) {
+    this._pending.length = 0;
+    this._resetGenerator();
+    for (let r = 0; r < AY_REGISTER_COUNT; r++) {
+      const v = (values[r] || 0) & REGISTER_MASKS[r];
+      this.registers[r] = v;
+      this._applyRegister(r, v);
+    }
+    this.selectedRegister = selected & 0x0f;
+  }
+
+  /**
+   * Render one frame of AY output, adding `volume`-scaled samples into `out`.
+   * Pending register writes are applied when the sample clock passes their
+   * T-state. `frameTstates` is the length of the frame in CPU T-states and
+   * `origin` the T-state of the first sample.
+   */
+  render(out, frameTstates, volume = 1, origin = 0) {
+    const samples = out.length;
+    const pending = this._pending;
+    let writeIdx = 0;
+    const ticksPerSample = this.clock / 8 / this.sampleRate;
+
+    for (let i = 0; i < samples; i++) {
+      const sampleTstate = origin + Math.round(i * frameTstates / samples);
+      while (writeIdx < pending.length && pending[writeIdx].t <= sampleTstate) {
+        this._applyRegister(pending[writeIdx].reg, pending[writeIdx].value);
+        writeIdx++;
+      }
+      out[i] += this._nextSample(ticksPerSample) * volume;
+    }
+    // Writes timestamped past the last sample still take effect
+    while (writeIdx < pending.length) {
+      this._applyRegister(pending[writeIdx].reg, pending[writeIdx].value);
+      writeIdx++;
+    }
+    pending.length = 0;
+  }
+
+  /** Apply pending writes without rendering (audio muted or unavailable) */
+  endFrame() {
+    for (const w of this._pending) this._applyRegister(w.reg, w.value);
+    this._pending.length = 0;
+  }
+
+  // --- Generator ---
+
+  _resetGenerator() {
+    this._toneRaw = [0, 0, 0];
+    this._tonePeriod = [1, 1, 1];
+    this._toneCounter = [0, 0, 0];
+    this._toneOutput = [0, 0, 0];
+    this._amplitude = [0, 0, 0];
+    this._useEnvelope = [false, false, false];
+    this._mixer = 0xff;
+
+    this._noisePeriod = 1;
+    this._noiseCounter = 0;
+    this._noiseShift = 1;
+    this._noiseOutput = 0;
+
+    this._envRaw = 0;
+    this._envPeriod = 1;
+    this._envCounter = 0;
+    this._envShape = 0;
+    this._envStep = 0;
+    this._envAttack = false;
+    this._envHolding = false;
+    this._envVolume = 0;
+
+    // Ticks are fractional per sample; carry the remainder across samples
+    this._tickAccumulator = 0;
+    this._halfTick = 0;
+  }
+
+  _applyRegister(reg, value) {
+    if (reg < 6) {
+      this._applyTonePeriod(reg, value);
+    } else if (reg >= 8 && reg <= 10) {
+      this._amplitude[reg - 8] = value & 0x0f;
+      this._useEnvelope[reg - 8] = (value & 0x10) !== 0;
+    } else if (reg === 11 || reg === 12) {
+      this._envRaw = (reg === 11) ? (this._envRaw & 0xff00) | value : (value << 8) | (this._envRaw & 0xff);
+      this._envPeriod = this._envRaw || 1;
+    } else if (reg === 6) {
+      this._noisePeriod = value || 1;
+    } else if (reg === 7) {
+      this._mixer = value;
+    } else if (reg === 13) {
+      this._startEnvelope(value);
+    }
+    // 14/15: IO ports, no audio effect
+  }
+
+  // Fine (even register) and coarse (odd register) halves of a 12-bit period
+  _applyTonePeriod(reg, value) {
+    const ch = reg >> 1;
+    const cur = this._toneRaw[ch];
+    this._toneRaw[ch] = (reg & 1) ? (value << 8) | (cur & 0xff) : (cur & 0x0f00) | value;
+    this._tonePeriod[ch] = this._toneRaw[ch] || 1;
+  }
+
+  _startEnvelope(shape) {
+    this._envShape = shape & 0x0f;
+    this._envStep = 0;
+    this._envCounter = 0;
+    this._envHolding = false;
+    this._envAttack = (shape & 0x04) !== 0;
+    this._envVolume = this._envAttack ? 0 : 15;
+  }
+
+  _stepEnvelope() {
+    if (this._envHolding) return;
+    this._envStep++;
+    if (this._envStep > 15) {
+      const shape = this._envShape;
+      const cont = (shape & 0x08) !== 0;
+      const alt = (shape & 0x02) !== 0;
+      const hold = (shape & 0x01) !== 0;
+      if (!cont) {
+        this._envHolding = true;
+        this._envVolume = 0;
+        return;
+      }
+      if (hold) {
+        this._envHolding = true;
+        this._envVolume = (alt ? !this._envAttack : this._envAttack) ? 15 : 0;
+        return;
+      }
+      if (alt) this._envAttack = !this._envAttack;
+      this._envStep = 0;
+    }
+    this._envVolume = this._envAttack ? this._envStep : 15 - this._envStep;
+  }
+
+  _tick() {
+    for (let ch = 0; ch < 3; ch++) {
+      if (++this._toneCounter[ch] >= this._tonePeriod[ch]) {
+        this._toneCounter[ch] = 0;
+        this._toneOutput[ch] ^= 1;
+      }
+    }
+    // Noise and envelope run at half the tone rate
+    this._halfTick ^= 1;
+    if (this._halfTick) return;
+    if (++this._noiseCounter >= this._noisePeriod) {
+      this._noiseCounter = 0;
+      // 17-bit LFSR, taps at bits 0 and 3
+      const bit = (this._noiseShift ^ (this._noiseShift >> 3)) & 1;
+      this._noiseShift = (this._noiseShift >> 1) | (bit << 16);
+      this._noiseOutput = this._noiseShift & 1;
+    }
+    if (++this._envCounter >= this._envPeriod) {
+      this._envCounter = 0;
+      this._stepEnvelope();
+    }
+  }
+
+  _channelLevel(ch) {
+    const toneOff = (this._mixer >> ch) & 1;
+    const noiseOff = (this._mixer >> (ch + 3)) & 1;
+    const on = (this._toneOutput[ch] | toneOff) & (this._noiseOutput | noiseOff);
+    if (!on) return 0;
+    return VOLUME_TABLE[this._useEnvelope[ch] ? this._envVolume : this._amplitude[ch]];
+  }
+
+  // Advance the chip by one output sample, box-filtering the ticks inside it
+  _nextSample(ticksPerSample) {
+    this._tickAccumulator += ticksPerSample;
+    let sum = 0;
+    let n = 0;
+    while (this._tickAccumulator >= 1) {
+      this._tick();
+      sum += this._channelLevel(0) + this._channelLevel(1) + this._channelLevel(2);
+      n++;
+      this._tickAccumulator -= 1;
+    }
+    if (n === 0) return (this._channelLevel(0) + this._channelLevel(1) + this._channelLevel(2)) / 3;
+    return sum / (n * 3);
+  }
+}
+
+export default AY8912;
@@ -0,0 +1,139 @@
+/**
+ * Beta 128 disk interface: a WD1793 controller (src/wd1793.mjs), up to
+ * four drives and the TR-DOS ROM.
+ *
+ * TR-DOS is paged in over the BASIC ROM when the CPU fetches an opcode
+ * from 0x3D00-0x3DFF while the 48 BASIC ROM is selected (always on a 48K,
+ * ROM 1 on the 128K and Pentagon), and paged out again by any opcode
+ * fetch from RAM (0x4000 upwards). The interface answers its ports only
+ * while TR-DOS is paged in, which is how it shares port 0x1F with a
+ * Kempston joystick:
+ *   0x1F  command (write) / status (read)
+ *   0x3F  track register
+ *   0x5F  sector register
+ *   0x7F  data register
+ *   0xFF  system register: write bits 0-1 drive, bit 2 controller reset
+ *         (active low), bit 3 head load, bit 4 side (0 = upper side);
+ *         read bit 6 DRQ, bit 7 INTRQ
+ */
+
+import { WD1793 } from './wd1793.mjs';
+import { Memory } from './memory.mjs';
+
+export const BETA_PORT_COMMAND = 0x1f;
+export const BETA_PORT_TRACK = 0x3f;
+export const BETA_PORT_SECTOR = 0x5f;
+export const BETA_PORT_DATA = 0x7f;
+export const BETA_PORT_SYSTEM = 0xff;
+
+export class Beta128 {
+  /**
+   * @param {Object} [opts]
+   * @param {function(): number} [opts.clock] - CPU T-states since power on (see WD1793)
+   */
+  constructor(opts = {}) {
+    // Disks in drives A-D (null = empty); they stay in when the core is rebuilt
+    this.drives = [null, null, null, null];
+    this.drive = 0;
+    this.system = 0;
+    this.fdc = new WD1793({ getDisk: () => this.drives[this.drive], clock: opts.clock });
+    this.memory = null;
+  }
+
+  /** Connect to a machine's memory, whose ROM slot holds TR-DOS */
+  attach(memory) {
+    this.memory = memory;
+    this.reset();
+  }
+
+  reset() {
+    this.fdc.reset();
+    this.system = 0;
+    this.drive = 0;
+    this.fdc.side = 0;
+    if (this.memory && this.memory.trdosPaged) this.memory.pageTRDOS(false);
+  }
+
+  /** The system register and the controller's state, for loadState() */
+  saveState() {
+    return { system: this.system, drive: this.drive, fdc: this.fdc.saveState() };
+  }
+
+  loadState(state) {
+    this.system = state.system;
+    this.drive = state.drive;
+    this.fdc.loadState(state.fdc);
+  }
+
+  /** True while TR-DOS is paged in, and with it the interface's ports */
+  get active() {
+    return !!this.memory && this.memory.trdosPaged;
+  }
+
+  insertDisk(disk, drive = 0) {
+    this.drives[drive & 0x03] = disk;
+  }
+
+  /** Take the disk out of a drive; returns it (or null) */
+  ejectDisk(drive = 0) {
+    const disk = this.drives[drive & 0x03];
+    this.drives[drive & 0x03] = null;
+    return disk;
+  }
+
+  /** Called with PC before each opcode fetch (Z80.fetchHook) */
+  onFetch(pc) {
+    const mem = this.memory;
+    if (!mem) return;
+    if (mem.trdosPaged) {
+      if (pc >= 0x4000) mem.pageTRDOS(false);
+    } else if ((pc & 0xff00) === 0x3d00 && this._basicRomSelected()) {
+      mem.pageTRDOS(true);
+    }
+  }
+
+  _basicRomSelected() {
+    const mem = this.memory;
+    if (!mem.hasTRDOS() || !mem.romBanks[Memory.TRDOS_ROM_BANK]) return false;
+    return mem.currentRom === (mem.hasPaging() ? 1 : 0);
+  }
+
+  /** True for the ports the interface answers at the moment */
+  ownsPort(port) {
+    if (!this.active) return false;
+    const low = port & 0xff;
+    return low === BETA_PORT_SYSTEM || (low & 0x9f) === BETA_PORT_COMMAND;
+  }
+
+  readPort(port) {
+    const fdc = this.fdc;
+    switch (port & 0xff) {
+      case BETA_PORT_COMMAND: return fdc.readStatus();
+      case BETA_PORT_TRACK: return fdc.track;
+      case BETA_PORT_SECTOR: return fdc.sector;
+      case BETA_PORT_DATA: return fdc.readData();
+      default: return (fdc.intrq ? 0x80 : 0) | (fdc.drq ? 0x40 : 0) | 0x3f;
+    }
+  }
+
+  writePort(port, value) {
+    const fdc = this.fdc;
+    switch (port & 0xff) {
+      case BETA_PORT_COMMAND: fdc.writeCommand(value); break;
+      case BETA_PORT_TRACK: fdc.track = value & 0xff; break;
+      case BETA_PORT_SECTOR: fdc.sector = value & 0xff; break;
+      case BETA_PORT_DATA: fdc.writeData(value); break;
+      default: this._writeSystem(value);
+    }
+  }
+
+  _writeSystem(value) {
+    this.system = value & 0xff;
+    this.drive = value & 0x03;
+    // Bit 4 is the inverted side select
+    this.fdc.side = (value & 0x10) ? 0 : 1;
+    if (!(value & 0x04)) this.fdc.reset();
+  }
+}
+
+export default Beta128;
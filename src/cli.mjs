@@ -0,0 +1,246 @@
+/**
+ * zxspeccjs command-line runner: boots a headless machine, loads a tape or
+ * snapshot, runs it for a number of frames (or until the CPU reaches an
+ * address), types text or holds keys at given frames, and writes PNG
+ * screenshots and JSON dumps of the registers and RAM.
+ *
+ *   zxspeccjs game.tap --frames 1500 --screenshot title.png
+ *   zxspeccjs game.z80 --key 100:5 --screenshot 150:after5.png --regs -
+ *   zxspeccjs --type '200:j""\n' --until-pc 0x0556 --frames 400 --regs regs.json
+ *
+ * Run `zxspeccjs --help` for the options. bin/zxspeccjs.mjs is the executable.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { PNG } from 'pngjs';
+import { createMachine, SCREEN_WIDTH, SCREEN_HEIGHT } from './machine.mjs';
+
+const DEFAULT_FRAMES = 250;
+const DEFAULT_KEY_FRAMES = 3;
+// Frames the 48K ROM needs to reach the copyright message
+const BOOT_FRAMES = 120;
+const TAPE_EXTENSIONS = ['tap', 'tzx'];
+
+export const USAGE = `Usage: zxspeccjs [options] [file]
+
+Runs a ZX Spectrum without a display. file is a .tap/.tzx tape (typed
+LOAD "" once booted) or a .z80/.sna/.szx snapshot or .rzx recording.
+
+  --rom <file>                 ROM image (default: the bundled 48K ROM)
+  --model <name>               16k, 48k (default), 128k, plus2, plus2a, plus3 or pentagon
+  --frames <n>                 frames of 1/50 s to run (default ${DEFAULT_FRAMES})
+  --until-pc <address>         stop early when the CPU reaches address
+  --type <frame>:<text>        type text from that frame; \\n is ENTER
+  --key <frame>:<keys>[:<n>]   hold keys, e.g. symshift+p, for n frames (default ${DEFAULT_KEY_FRAMES})
+  --no-autoload                start a tape at power-on without typing LOAD ""
+  --screenshot [<frame>:]<png> write the screen at that frame (default: at the end)
+  --regs <file>                write registers and machine state as JSON at the end
+  --ram <file>                 write RAM as JSON at the end
+  --ram-range <start>[:<len>]  part of the memory map --ram writes (default 0x4000:0xc000)
+  --verbose                    show the emulator's diagnostic console output
+  --help                       show this help
+
+Frames count from power-on; options taking a frame can be repeated.
+Addresses and numbers may be given in decimal, 0x1234 or $1234. A file
+name of - writes JSON to stdout; progress messages go to stderr.
+Exit status: 0 done, 1 error, 2 --until-pc not reached.`;
+
+const OPTIONS = {
+  rom: { type: 'string' },
+  model: { type: 'string', default: '48k' },
+  frames: { type: 'string' },
+  'until-pc': { type: 'string' },
+  type: { type: 'string', multiple: true, default: [] },
+  key: { type: 'string', multiple: true, default: [] },
+  'no-autoload': { type: 'boolean', default: false },
+  screenshot: { type: 'string', multiple: true, default: [] },
+  regs: { type: 'string' },
+  ram: { type: 'string' },
+  'ram-range': { type: 'string', default: '0x4000:0xc000' },
+  verbose: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/** Parse 1234, 0x4d2 or $4d2 */
+export function parseNumber(text, what) {
+  const s = String(text).trim();
+  const value = /^\$[0-9a-f]+$/i.test(s) ? parseInt(s.slice(1), 16) : Number(s);
+  if (!Number.isInteger(value) || value < 0 || s === '') throw new Error(`CLI: ${what} must be a number, got "${text}"`);
+  return value;
+}
+
+// "<frame>:<rest>"; without a frame number the rest applies at `fallback`
+function splitFrame(text, fallback, what) {
+  const m = /^(\d+|0x[0-9a-f]+|\$[0-9a-f]+):(.*)$/is.exec(text);
+  if (!m) {
+    if (fallback === null) throw new Error(`CLI: ${what} needs <frame>:..., got "${text}"`);
+    return { frame: fallback, rest: text };
+  }
+  return { frame: parseNumber(m[1], `${what} frame`), rest: m[2] };
+}
+
+function parseKeyEvent(text) {
+  const { frame, rest } = splitFrame(text, null, '--key');
+  const [keys, hold] = rest.split(':');
+  const names = keys.split('+').map(k => k.trim().toLowerCase()).filter(Boolean);
+  if (names.length === 0) throw new Error(`CLI: --key needs key names, got "${text}"`);
+  return { frame, kind: 'key', keys: names, hold: hold === undefined ? DEFAULT_KEY_FRAMES : parseNumber(hold, '--key frames') };
+}
+
+/**
+ * Turn command-line arguments into run options. Timed actions come back as
+ * one list of events, sorted by frame (stable for equal frames).
+ * @param {string[]} argv - arguments after the program name
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (positionals.length > 1) throw new Error(`CLI: one file at most, got ${positionals.length}`);
+  const frames = values.frames === undefined ? DEFAULT_FRAMES : parseNumber(values.frames, '--frames');
+  const [start, length] = values['ram-range'].split(':');
+  const ramStart = parseNumber(start, '--ram-range start') & 0xffff;
+
+  const events = [
+    ...values.type.map(t => {
+      const { frame, rest } = splitFrame(t, null, '--type');
+      return { frame, kind: 'type', text: rest.replace(/\\n/g, '\n') };
+    }),
+    ...values.key.map(parseKeyEvent),
+    ...values.screenshot.map(s => {
+      const { frame, rest } = splitFrame(s, frames, '--screenshot');
+      return { frame, kind: 'screenshot', file: rest };
+    })
+  ].sort((a, b) => a.frame - b.frame);
+
+  return {
+    help: values.help,
+    file: positionals[0] || null,
+    rom: values.rom || null,
+    model: values.model,
+    frames,
+    untilPC: values['until-pc'] === undefined ? null : parseNumber(values['until-pc'], '--until-pc') & 0xffff,
+    autoload: !values['no-autoload'],
+    events,
+    regs: values.regs || null,
+    ram: values.ram || null,
+    ramStart,
+    ramLength: length === undefined ? 0x10000 - ramStart : Math.min(parseNumber(length, '--ram-range length'), 0x10000),
+    verbose: values.verbose
+  };
+}
+
+/** Write the machine's screen as a SCREEN_WIDTH x SCREEN_HEIGHT PNG */
+export function writeScreenshot(machine, file) {
+  const png = new PNG({ width: SCREEN_WIDTH, height: SCREEN_HEIGHT });
+  png.data = Buffer.from(machine.getScreenRGBA().buffer);
+  writeFileSync(file, PNG.sync.write(png));
+}
+
+function writeJSON(file, data, stdout) {
+  const text = JSON.stringify(data, null, 2) + '\n';
+  if (file === '-') stdout.write(text);
+  else writeFileSync(file, text);
+}
+
+function ramDump(machine, start, length) {
+  const mem = machine.emulator.memory;
+  const bytes = new Array(length);
+  for (let i = 0; i < length; i++) bytes[i] = mem.peek((start + i) & 0xffff);
+  return { start, length, bytes };
+}
+
+// Run on to `frame`; does nothing once --until-pc has stopped the machine
+function advanceTo(machine, frame) {
+  if (frame > machine.frames) machine.runFrames(frame - machine.frames);
+}
+
+// Progress goes to stderr, which keeps stdout for the --regs/--ram - dumps
+async function runEvent(machine, event, stderr) {
+  if (event.kind === 'load') {
+    await machine.loadTape(readFileSync(event.file), { fileName: basename(event.file) });
+  } else if (event.kind === 'type') {
+    machine.typeText(event.text);
+  } else if (event.kind === 'key') {
+    event.keys.forEach(k => {
+      if (!machine.pressKey(k)) throw new Error(`CLI: unknown key "${k}"`);
+    });
+    machine.runFrames(event.hold);
+    event.keys.forEach(k => machine.releaseKey(k));
+  } else {
+    writeScreenshot(machine, event.file);
+    stderr.write(`frame ${machine.frames}: wrote ${event.file}\n`);
+  }
+}
+
+// Snapshots are loaded at power-on; tapes are inserted at the copyright
+// message, where LOAD "" is typed for them
+function fileEvents(opts) {
+  if (!opts.file) return [];
+  const tape = TAPE_EXTENSIONS.includes(opts.file.split('.').pop().toLowerCase());
+  if (!tape || !opts.autoload) return [{ frame: 0, kind: 'load', file: opts.file }];
+  return [{ frame: BOOT_FRAMES, kind: 'load', file: opts.file }, { frame: BOOT_FRAMES, kind: 'type', text: 'j""\n' }];
+}
+
+// Runs the events in frame order, then on to the last frame. Screenshots
+// due after an --until-pc stop are taken of the final screen.
+async function runSchedule(machine, opts, stderr) {
+  const events = [...fileEvents(opts), ...opts.events].sort((a, b) => a.frame - b.frame);
+  for (const event of events) {
+    advanceTo(machine, event.frame);
+    if (machine.stopped && event.kind !== 'screenshot') continue;
+    await runEvent(machine, event, stderr);
+  }
+  advanceTo(machine, opts.frames);
+}
+
+async function run(opts, { stdout, stderr }) {
+  const machine = await createMachine({
+    model: opts.model,
+    rom: opts.rom ? readFileSync(opts.rom) : null,
+    diagnostics: opts.verbose
+  });
+  if (opts.untilPC !== null) machine.stopAt(opts.untilPC);
+  await runSchedule(machine, opts, stderr);
+
+  if (opts.regs) writeJSON(opts.regs, machine.getState(), stdout);
+  if (opts.ram) writeJSON(opts.ram, ramDump(machine, opts.ramStart, opts.ramLength), stdout);
+
+  if (opts.untilPC !== null && !machine.stopped) {
+    const hex = (v) => `0x${v.toString(16).padStart(4, '0')}`;
+    stderr.write(`PC ${hex(opts.untilPC)} not reached in ${machine.frames} frames (PC=${hex(machine.getState().registers.PC)})\n`);
+    return 2;
+  }
+  return 0;
+}
+
+/**
+ * Run the CLI. The emulator's diagnostic logging is off unless --verbose.
+ * @param {string[]} argv - arguments after the program name
+ * @param {{ stdout?: {write: Function}, stderr?: {write: Function} }} [io]
+ * @returns {Promise<number>} the exit status
+ */
+export async function runCli(argv, io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  let opts;
+  try {
+    opts = parseCliArgs(argv);
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}\n`);
+    return 1;
+  }
+  if (opts.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  try {
+    return await run(opts, { stdout, stderr });
+  } catch (e) {
+    stderr.write(`zxspeccjs: ${e.message}\n`);
+    return 1;
+  }
+}
+
+export default runCli;
@@ -0,0 +1,77 @@
+/* global WorkerGlobalScope */
+
+/**
+ * Emulation worker: runs the Z80, memory, ULA and frame renderer off the
+ * page's main thread. The screen is drawn into an OffscreenCanvas handed
+ * over by the page, keyboard state is posted in and each frame's PCM is
+ * posted out. See src/workerProtocol.mjs for the messages and
+ * src/workerClient.mjs for the page side.
+ */
+
+import { createMachine } from './machine.mjs';
+import { WORKER_METHODS } from './workerProtocol.mjs';
+
+export class CoreHost {
+  /**
+   * @param {{ postMessage: Function, onmessage: any }} scope - the worker global
+   *   scope, or a MessagePort when the host runs in-process
+   */
+  constructor(scope) {
+    this.scope = scope;
+    this.machine = null;
+    this.emulator = null;
+    this._methods = new Set(WORKER_METHODS);
+    scope.onmessage = (e) => { this._onMessage(e.data); };
+  }
+
+  async _onMessage(msg) {
+    if (msg.type === 'input') {
+      this._setInput(msg);
+      return;
+    }
+    try {
+      const value = msg.type === 'init' ? await this._init(msg) : await this._invoke(msg.method, msg.args || []);
+      this.scope.postMessage({ type: 'result', id: msg.id, value });
+    } catch (e) {
+      this.scope.postMessage({ type: 'result', id: msg.id, error: e && e.message ? e.message : String(e) });
+    }
+  }
+
+  async _init({ canvas, rom, model }) {
+    const scope = this.scope;
+    // The emulator writes its status line here; the page shows it
+    const statusEl = { set textContent(text) { scope.postMessage({ type: 'status', text }); } };
+    this.machine = await createMachine({
+      canvas: canvas || null,
+      rom: rom || null,
+      model: model || '48k',
+      statusEl,
+      onSamples: (pcm) => scope.postMessage({ type: 'audio', pcm }, [pcm.buffer])
+    });
+    this.emulator = this.machine.emulator;
+    return true;
+  }
+
+  _invoke(method, args) {
+    if (!this.emulator) throw new Error('CoreHost: not initialised');
+    if (!this._methods.has(method)) throw new Error(`CoreHost: ${method} is not available in the worker`);
+    if (method === 'runFrames') return this.machine.runFrames(...args);
+    if (method === 'loadFile') {
+      const [parsed, fileName] = args;
+      return this.emulator._onFileLoaded(parsed, { name: fileName }).then(() => true);
+    }
+    return this.emulator[method](...args);
+  }
+
+  _setInput({ matrix, kempston }) {
+    const input = this.emulator && this.emulator.input;
+    if (!input) return;
+    for (let r = 0; r < 8; r++) input.matrix[r] = matrix[r];
+    input.kempstonState = kempston | 0;
+    this.emulator._applyInputToULA();
+  }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) new CoreHost(self);
+
+export default CoreHost;
@@ -0,0 +1,423 @@
+/**
+ * Z80 debugger: execution breakpoints (optionally conditional), single-step,
+ * step-over, step-out and run-to-cursor.
+ *
+ * The debugger is a policy consulted by Z80.runFor() before every
+ * instruction through `cpu.breakCheck`. When it answers true the CPU stops
+ * at an instruction boundary, so registers, memory and the frame T-state
+ * position are consistent; the emulator resumes the same frame afterwards.
+ *
+ * Conditions are small expressions over registers and memory, compiled by a
+ * recursive-descent parser (no eval):
+ *
+ *   A==0x10 && HL>0x8000
+ *   peek(IX+3) != 0 || (F & 0x40)
+ *   SP < $C000 && BC' == 0
+ *
+ * Numbers may be decimal, 0x.., $.. or #..; registers are the 8/16-bit names
+ * (primed for the alternate set) plus IFF1, IFF2 and IM; peek(addr) and
+ * dpeek(addr) read memory without side effects.
+ */
+
+// --- Condition expressions ---
+
+const REGISTER_READERS = {
+  A: (c) => c.A, F: (c) => c.F, B: (c) => c.B, C: (c) => c.C,
+  D: (c) => c.D, E: (c) => c.E, H: (c) => c.H, L: (c) => c.L,
+  I: (c) => c.I, R: (c) => c.R,
+  AF: (c) => (c.A << 8) | c.F, BC: (c) => (c.B << 8) | c.C,
+  DE: (c) => (c.D << 8) | c.E, HL: (c) => (c.H << 8) | c.L,
+  IX: (c) => c.IX, IY: (c) => c.IY, SP: (c) => c.SP, PC: (c) => c.PC,
+  IXH: (c) => c.IX >> 8, IXL: (c) => c.IX & 0xff, IYH: (c) => c.IY >> 8, IYL: (c) => c.IY & 0xff,
+  "A'": (c) => c.A_, "F'": (c) => c.F_,
+  "AF'": (c) => (c.A_ << 8) | c.F_, "BC'": (c) => (c.B_ << 8) | c.C_,
+  "DE'": (c) => (c.D_ << 8) | c.E_, "HL'": (c) => (c.H_ << 8) | c.L_,
+  IFF1: (c) => (c.IFF1 ? 1 : 0), IFF2: (c) => (c.IFF2 ? 1 : 0), IM: (c) => c.IM
+};
+
+const FUNCTIONS = {
+  PEEK: (ctx, addr) => ctx.peek(addr & 0xffff),
+  DPEEK: (ctx, addr) => ctx.peek(addr & 0xffff) | (ctx.peek((addr + 1) & 0xffff) << 8)
+};
+
+// Binary operators from lowest to highest precedence
+const BINARY_LEVELS = [
+  ['||'], ['&&'], ['|'], ['^'], ['&'], ['==', '!='], ['<', '<=', '>', '>='], ['<<', '>>'], ['+', '-'], ['*', '/', '%']
+];
+
+const BINARY_OPS = {
+  '||': (a, b) => (a || b ? 1 : 0),
+  '&&': (a, b) => (a && b ? 1 : 0),
+  '|': (a, b) => a | b,
+  '^': (a, b) => a ^ b,
+  '&': (a, b) => a & b,
+  '==': (a, b) => (a === b ? 1 : 0),
+  '!=': (a, b) => (a !== b ? 1 : 0),
+  '<': (a, b) => (a < b ? 1 : 0),
+  '<=': (a, b) => (a <= b ? 1 : 0),
+  '>': (a, b) => (a > b ? 1 : 0),
+  '>=': (a, b) => (a >= b ? 1 : 0),
+  '<<': (a, b) => a << b,
+  '>>': (a, b) => a >>> b,
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => (b === 0 ? 0 : Math.trunc(a / b)),
+  '%': (a, b) => (b === 0 ? 0 : a % b)
+};
+
+const UNARY_OPS = {
+  '!': (a) => (a ? 0 : 1),
+  '-': (a) => -a,
+  '~': (a) => ~a & 0xffff
+};
+
+const TOKEN_RE = /\s*(0x[0-9a-f]+|[$#][0-9a-f]+|\d+|[a-z_][a-z0-9_]*'?|\|\||&&|==|!=|<=|>=|<<|>>|[-+*/%()!~<>&|^])/iy;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < text.length) {
+    const at = TOKEN_RE.lastIndex;
+    const m = TOKEN_RE.exec(text);
+    if (!m) {
+      if (/^\s*$/.test(text.slice(at))) break;
+      throw new SyntaxError(`Unexpected character at ${at}: "${text.slice(at).trim()[0]}"`);
+    }
+    tokens.push(m[1]);
+  }
+  return tokens;
+}
+
+function parseNumber(token) {
+  if (/^0x/i.test(token)) return parseInt(token.slice(2), 16);
+  if (token[0] === '$' || token[0] === '#') return parseInt(token.slice(1), 16);
+  return parseInt(token, 10);
+}
+
+class ConditionParser {
+  constructor(text) {
+    this.tokens = tokenize(text);
+    this.pos = 0;
+  }
+
+  peekToken() { return this.tokens[this.pos]; }
+
+  expect(token) {
+    if (this.tokens[this.pos] !== token) throw new SyntaxError(`Expected "${token}" but found ${this.tokens[this.pos] || 'end of expression'}`);
+    this.pos++;
+  }
+
+  parse() {
+    const node = this.binary(0);
+    if (this.pos < this.tokens.length) throw new SyntaxError(`Unexpected "${this.tokens[this.pos]}"`);
+    return node;
+  }
+
+  binary(level) {
+    if (level >= BINARY_LEVELS.length) return this.unary();
+    let left = this.binary(level + 1);
+    while (BINARY_LEVELS[level].includes(this.peekToken())) {
+      const op = BINARY_OPS[this.tokens[this.pos++]];
+      const lhs = left;
+      const rhs = this.binary(level + 1);
+      left = (ctx) => op(lhs(ctx), rhs(ctx));
+    }
+    return left;
+  }
+
+  unary() {
+    const token = this.peekToken();
+    if (token in UNARY_OPS) {
+      this.pos++;
+      const op = UNARY_OPS[token];
+      const operand = this.unary();
+      return (ctx) => op(operand(ctx));
+    }
+    return this.primary();
+  }
+
+  primary() {
+    const token = this.tokens[this.pos++];
+    if (token === undefined) throw new SyntaxError('Unexpected end of expression');
+    if (token === '(') {
+      const inner = this.binary(0);
+      this.expect(')');
+      return inner;
+    }
+    if (/^([0-9$#])/.test(token)) {
+      const value = parseNumber(token);
+      return () => value;
+    }
+    const name = token.toUpperCase();
+    if (name in FUNCTIONS && this.peekToken() === '(') {
+      this.pos++;
+      const arg = this.binary(0);
+      this.expect(')');
+      const fn = FUNCTIONS[name];
+      return (ctx) => fn(ctx, arg(ctx));
+    }
+    const reader = REGISTER_READERS[name];
+    if (!reader) throw new SyntaxError(`Unknown register or function "${token}"`);
+    return (ctx) => reader(ctx.cpu);
+  }
+}
+
+/**
+ * Compile a breakpoint condition. Throws SyntaxError on a malformed
+ * expression, so mistakes surface when the breakpoint is set.
+ * @param {string} text
+ * @returns {(ctx: { cpu: Object, peek: (addr: number) => number }) => number}
+ */
+export function compileCondition(text) {
+  return new ConditionParser(String(text)).parse();
+}
+
+// --- Stepping helpers ---
+
+/**
+ * Length of an instruction that step-over runs to completion (CALL, RST,
+ * DJNZ and the block-repeat instructions), or 0 for any other instruction.
+ */
+export function stepOverLength(peek, pc) {
+  const op = peek(pc);
+  if (op === 0xcd || (op & 0xc7) === 0xc4) return 3;               // CALL nn / CALL cc,nn
+  if ((op & 0xc7) === 0xc7) return 1;                              // RST p
+  if (op === 0x10) return 2;                                       // DJNZ e
+  if (op === 0xed && (peek((pc + 1) & 0xffff) & 0xf4) === 0xb0) return 2; // LDIR, CPIR, INIR, OTIR and the decrementing forms
+  return 0;
+}
+
+/** True for RET, RET cc, RETI and RETN */
+function isReturn(peek, pc) {
+  const op = peek(pc);
+  if (op === 0xc9 || (op & 0xc7) === 0xc0) return true;
+  return op === 0xed && (peek((pc + 1) & 0xffff) & 0xc7) === 0x45;
+}
+
+export class Debugger {
+  constructor() {
+    this.cpu = null;
+    this.memory = null;
+    this.breakpoints = new Map();
+    this._nextId = 1;
+
+    this.paused = false;
+    this.lastBreak = null;
+    // Called with { reason, pc, breakpoint, watchpoint } whenever execution stops
+    this.onBreak = null;
+
+    // Optional WatchpointManager: execute watchpoints are checked with the breakpoints
+    this.watchpoints = null;
+
+    this._mode = null;        // 'step' | 'over' | 'out' | 'run-to' | 'count' while a step command is active
+    this._target = -1;        // address that ends step-over / run-to, or the instruction count for 'count'
+    this._countReason = null;
+    this._targetSP = 0;       // stack level the step command started at
+    this._lastWasReturn = false;
+    this._pauseRequested = false;
+    this._pauseReason = 'pause';
+    this._pauseDetail = null;
+    this._resuming = false;   // the first instruction after a resume never breaks
+    this._armed = false;
+
+    this._peek = (addr) => this.peek(addr);
+  }
+
+  /** Hook the debugger into a CPU; memory reads go through memory.peek when available */
+  attach(cpu, memory) {
+    this.cpu = cpu;
+    this.memory = memory;
+    cpu.breakCheck = () => this._check();
+  }
+
+  peek(addr) {
+    if (!this.memory) return 0xff;
+    return typeof this.memory.peek === 'function' ? this.memory.peek(addr) : this.memory.read(addr);
+  }
+
+  /** Evaluate an expression (an address such as 'HL+2' or '$8000') against the current state */
+  evaluate(text) {
+    return compileCondition(text)({ cpu: this.cpu, peek: this._peek });
+  }
+
+  // --- Breakpoints ---
+
+  /**
+   * Add an execution breakpoint.
+   * @param {number} address
+   * @param {{ condition?: string }} [opts]
+   * @returns {number} breakpoint id
+   */
+  addBreakpoint(address, opts = {}) {
+    const condition = opts.condition ? String(opts.condition).trim() : '';
+    const bp = {
+      id: this._nextId++,
+      address: address & 0xffff,
+      condition: condition || null,
+      test: condition ? compileCondition(condition) : null,
+      enabled: true,
+      hits: 0
+    };
+    this.breakpoints.set(bp.id, bp);
+    this._updateArmed();
+    return bp.id;
+  }
+
+  removeBreakpoint(id) {
+    const removed = this.breakpoints.delete(id);
+    this._updateArmed();
+    return removed;
+  }
+
+  clearBreakpoints() {
+    this.breakpoints.clear();
+    this._updateArmed();
+  }
+
+  setBreakpointEnabled(id, enabled) {
+    const bp = this.breakpoints.get(id);
+    if (bp) bp.enabled = !!enabled;
+    this._updateArmed();
+    return !!bp;
+  }
+
+  /** Breakpoints as plain objects (without the compiled condition) */
+  listBreakpoints() {
+    return [...this.breakpoints.values()].map(({ id, address, condition, enabled, hits }) => ({ id, address, condition, enabled, hits }));
+  }
+
+  // --- Execution control ---
+
+  /** Stop at the next instruction boundary (used while the machine runs) */
+  pause() {
+    this.requestBreak('pause');
+  }
+
+  /**
+   * Stop at the next instruction boundary with a given reason; detail (e.g. a
+   * watchpoint hit) is passed on in lastBreak.
+   */
+  requestBreak(reason, detail = null) {
+    if (this._pauseRequested) return;
+    this._pauseRequested = true;
+    this._pauseReason = reason;
+    this._pauseDetail = detail;
+    this._updateArmed();
+  }
+
+  /** Stop immediately when the CPU is not inside runFor */
+  halt(reason = 'pause') {
+    this._stop(reason, null);
+  }
+
+  continue() { this._resume(null); }
+
+  stepInto() { this._resume('step'); }
+
+  /** Run CALL/RST/DJNZ/block instructions to completion; anything else single-steps */
+  stepOver() {
+    const len = this.cpu ? stepOverLength(this._peek, this.cpu.PC) : 0;
+    if (!len) {
+      this.stepInto();
+      return;
+    }
+    this._resume('over', (this.cpu.PC + len) & 0xffff);
+  }
+
+  /** Run until the current subroutine returns to its caller */
+  stepOut() { this._resume('out'); }
+
+  runTo(address) { this._resume('run-to', address & 0xffff); }
+
+  /**
+   * Run until cpu.instructionCount reaches count, ignoring breakpoints. The
+   * emulator uses this to replay from a checkpoint when stepping backwards.
+   */
+  runToCount(count, reason = 'step-back') {
+    this._resume('count', count);
+    this._countReason = reason;
+  }
+
+  isPaused() { return this.paused; }
+
+  _resume(mode, target = -1) {
+    this._mode = mode;
+    this._target = target;
+    this._targetSP = this.cpu ? this.cpu.SP : 0;
+    this._lastWasReturn = false;
+    this._pauseRequested = false;
+    this._pauseDetail = null;
+    this._resuming = true;
+    this.paused = false;
+    this._updateArmed();
+  }
+
+  _updateArmed() {
+    this._armed = this._pauseRequested || this._mode !== null || [...this.breakpoints.values()].some(bp => bp.enabled);
+  }
+
+  /** cpu.breakCheck: true stops runFor before the instruction at PC */
+  _check() {
+    if (this.paused) return true;
+    const watching = this.watchpoints !== null && this.watchpoints.executeArmed;
+    if (!this._armed && !watching) return false;
+    const pc = this.cpu.PC;
+    if (this._resuming) {
+      this._resuming = false;
+    } else if (this._shouldStop(pc, watching)) {
+      return true;
+    }
+    if (this._mode === 'out') this._lastWasReturn = isReturn(this._peek, pc);
+    return false;
+  }
+
+  _shouldStop(pc, watching) {
+    // An execute watchpoint that pauses requests a break for this same instruction
+    if (watching) this.watchpoints.checkExecute(pc, this.peek(pc));
+    const reason = this._stepReason(pc);
+    const bp = reason || this._mode === 'count' ? null : this._breakpointAt(pc);
+    if (!reason && !bp) return false;
+    this._stop(reason || 'breakpoint', bp);
+    return true;
+  }
+
+  _stepReason(pc) {
+    if (this._pauseRequested) return this._pauseReason;
+    if (this._mode === 'count') return this.cpu.instructionCount >= this._target ? this._countReason : null;
+    return this._commandReason(pc);
+  }
+
+  _commandReason(pc) {
+    switch (this._mode) {
+      case 'step': return 'step';
+      case 'over': return (pc === this._target && this.cpu.SP >= this._targetSP) ? 'step-over' : null;
+      case 'out': return (this._lastWasReturn && this.cpu.SP > this._targetSP) ? 'step-out' : null;
+      case 'run-to': return pc === this._target ? 'run-to-cursor' : null;
+      default: return null;
+    }
+  }
+
+  _breakpointAt(pc) {
+    for (const bp of this.breakpoints.values()) {
+      if (!bp.enabled || bp.address !== pc) continue;
+      if (bp.test && !bp.test({ cpu: this.cpu, peek: this._peek })) continue;
+      bp.hits++;
+      return bp;
+    }
+    return null;
+  }
+
+  _stop(reason, bp) {
+    const watchpoint = this._pauseRequested ? this._pauseDetail : null;
+    this.paused = true;
+    this._mode = null;
+    this._pauseRequested = false;
+    this._pauseDetail = null;
+    this._updateArmed();
+    this.lastBreak = { reason, pc: this.cpu ? this.cpu.PC : 0, breakpoint: bp ? bp.id : null, watchpoint };
+    if (typeof this.onBreak === 'function') this.onBreak(this.lastBreak);
+  }
+}
+
+export default Debugger;
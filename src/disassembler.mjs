@@ -0,0 +1,396 @@
+/**
+ * Z80 disassembler covering the base, CB, ED, DD, FD, DDCB and FDCB opcode
+ * pages, including the undocumented instructions (SLL, IXH/IXL/IYH/IYL
+ * operands, the ED mirrors and the DDCB/FDCB forms that copy their result
+ * into a register).
+ *
+ * disassemble(memory, addr) returns
+ *
+ *   {
+ *     address, length, bytes,
+ *     mnemonic,        // 'LD HL,$8000', 'JR NZ,$8005', 'LD B,RLC (IX+$03)'
+ *     addresses,       // absolute addresses named by the operands (jump targets, (nn))
+ *     tstates,         // cost; for conditional instructions the not-taken / last-iteration cost
+ *     tstatesTaken,    // cost when the branch is taken or the block instruction repeats, else null
+ *     undocumented
+ *   }
+ *
+ * Numbers are written $-prefixed hex, which the debugger's address and
+ * condition fields accept. T-states are uncontended.
+ */
+
+const R = ['B', 'C', 'D', 'E', 'H', 'L', '(HL)', 'A'];
+const RP = ['BC', 'DE', 'HL', 'SP'];
+const RP2 = ['BC', 'DE', 'HL', 'AF'];
+const CC = ['NZ', 'Z', 'NC', 'C', 'PO', 'PE', 'P', 'M'];
+const ALU = ['ADD A,', 'ADC A,', 'SUB ', 'SBC A,', 'AND ', 'XOR ', 'OR ', 'CP '];
+const ROT = ['RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SLL', 'SRL'];
+const ACC_OPS = ['RLCA', 'RRCA', 'RLA', 'RRA', 'DAA', 'CPL', 'SCF', 'CCF'];
+const IM_MODES = ['0', '0/1', '1', '2', '0', '0/1', '1', '2'];
+const BLOCK_OPS = [
+  ['LDI', 'CPI', 'INI', 'OUTI'],
+  ['LDD', 'CPD', 'IND', 'OUTD'],
+  ['LDIR', 'CPIR', 'INIR', 'OTIR'],
+  ['LDDR', 'CPDR', 'INDR', 'OTDR']
+];
+// ED 40-7F column 7: LD I,A .. RLD, then two undocumented NOPs
+const ED_SPECIAL = [['LD I,A', 9], ['LD R,A', 9], ['LD A,I', 9], ['LD A,R', 9], ['RRD', 18], ['RLD', 18], ['NOP', 8], ['NOP', 8]];
+
+const hex8 = (v) => '$' + v.toString(16).toUpperCase().padStart(2, '0');
+const hex16 = (v) => '$' + v.toString(16).toUpperCase().padStart(4, '0');
+
+const op = (m, t, tt = null) => ({ m, t, tt });
+
+/** Turn a Memory (peek/read), a byte array or a read function into addr => byte */
+function toReader(memory) {
+  if (typeof memory === 'function') return memory;
+  if (memory && typeof memory.peek === 'function') return (addr) => memory.peek(addr);
+  if (memory && typeof memory.read === 'function') return (addr) => memory.read(addr);
+  return (addr) => (memory[addr] | 0) & 0xff;
+}
+
+/** Reads the instruction stream and names operands, substituting IX/IY after a DD/FD prefix */
+class Decoder {
+  constructor(read, address) {
+    this.read = read;
+    this.start = address;
+    this.pc = address;
+    this.addresses = [];
+    this.undocumented = false;
+    this.index = null;       // 'IX' | 'IY' after a DD / FD prefix
+    this.indexUsed = false;
+    this.memOperand = '(HL)';
+    this.usesMem = false;
+  }
+
+  byte() {
+    const v = this.read(this.pc) & 0xff;
+    this.pc = (this.pc + 1) & 0xffff;
+    return v;
+  }
+
+  word() {
+    const lo = this.byte();
+    return lo | (this.byte() << 8);
+  }
+
+  /** An address operand, recorded in `addresses` */
+  ref(addr) {
+    this.addresses.push(addr);
+    return hex16(addr);
+  }
+
+  nn() { return this.ref(this.word()); }
+
+  n() { return hex8(this.byte()); }
+
+  /** Relative jump target */
+  rel() {
+    const d = this.byte();
+    return this.ref((this.pc + (d < 128 ? d : d - 256)) & 0xffff);
+  }
+
+  /** (IX+d) / (IY+d): the displacement byte always directly follows the opcode */
+  indexed(name) {
+    const d = this.byte();
+    const sign = d < 128 ? '+' : '-';
+    return `(${name}${sign}${hex8(d < 128 ? d : 256 - d)})`;
+  }
+
+  hl() {
+    if (!this.index) return 'HL';
+    this.indexUsed = true;
+    return this.index;
+  }
+
+  r(i) {
+    if (i === 6) return this.memOperand;
+    if (this.index && !this.usesMem && (i === 4 || i === 5)) {
+      this.indexUsed = true;
+      this.undocumented = true;
+      return this.index + (i === 4 ? 'H' : 'L');
+    }
+    return R[i];
+  }
+
+  rp(p) { return p === 2 ? this.hl() : RP[p]; }
+
+  rp2(p) { return p === 2 ? this.hl() : RP2[p]; }
+}
+
+// --- Base page (also used after DD / FD) ---
+
+function relativeJump(d, y) {
+  switch (y) {
+    case 0: return op('NOP', 4);
+    case 1: return op("EX AF,AF'", 4);
+    case 2: return op(`DJNZ ${d.rel()}`, 8, 13);
+    case 3: return op(`JR ${d.rel()}`, 12);
+    default: return op(`JR ${CC[y - 4]},${d.rel()}`, 7, 12);
+  }
+}
+
+function indirectLoad(d, p, q) {
+  switch (p) {
+    case 0: return op(q ? 'LD A,(BC)' : 'LD (BC),A', 7);
+    case 1: return op(q ? 'LD A,(DE)' : 'LD (DE),A', 7);
+    case 2: return q ? op(`LD ${d.hl()},(${d.nn()})`, 16) : op(`LD (${d.nn()}),${d.hl()}`, 16);
+    default: return q ? op(`LD A,(${d.nn()})`, 13) : op(`LD (${d.nn()}),A`, 13);
+  }
+}
+
+function baseX0(d, y, z) {
+  const p = y >> 1;
+  const q = y & 1;
+  switch (z) {
+    case 0: return relativeJump(d, y);
+    case 1: return q ? op(`ADD ${d.hl()},${d.rp(p)}`, 11) : op(`LD ${d.rp(p)},${hex16(d.word())}`, 10);
+    case 2: return indirectLoad(d, p, q);
+    case 3: return op(`${q ? 'DEC' : 'INC'} ${d.rp(p)}`, 6);
+    case 7: return op(ACC_OPS[y], 4);
+    default: return incDecLoad(d, y, z);
+  }
+}
+
+function incDecLoad(d, y, z) {
+  const mem = y === 6;
+  switch (z) {
+    case 4: return op(`INC ${d.r(y)}`, mem ? 11 : 4);
+    case 5: return op(`DEC ${d.r(y)}`, mem ? 11 : 4);
+    default: return op(`LD ${d.r(y)},${d.n()}`, mem ? 10 : 7);
+  }
+}
+
+function baseX1(d, y, z) {
+  if (y === 6 && z === 6) return op('HALT', 4);
+  return op(`LD ${d.r(y)},${d.r(z)}`, d.usesMem ? 7 : 4);
+}
+
+function baseX2(d, y, z) {
+  return op(ALU[y] + d.r(z), z === 6 ? 7 : 4);
+}
+
+function popAndMisc(d, p, q) {
+  if (!q) return op(`POP ${d.rp2(p)}`, 10);
+  switch (p) {
+    case 0: return op('RET', 10);
+    case 1: return op('EXX', 4);
+    case 2: return op(`JP (${d.hl()})`, 4);
+    default: return op(`LD SP,${d.hl()}`, 6);
+  }
+}
+
+function jumpAndMisc(d, y) {
+  switch (y) {
+    case 0: return op(`JP ${d.nn()}`, 10);
+    case 2: return op(`OUT (${d.n()}),A`, 11);
+    case 3: return op(`IN A,(${d.n()})`, 11);
+    case 4: return op(`EX (SP),${d.hl()}`, 19);
+    case 5: return op('EX DE,HL', 4);
+    case 6: return op('DI', 4);
+    default: return op('EI', 4);
+  }
+}
+
+function baseX3(d, y, z) {
+  const p = y >> 1;
+  const q = y & 1;
+  switch (z) {
+    case 0: return op(`RET ${CC[y]}`, 5, 11);
+    case 1: return popAndMisc(d, p, q);
+    case 2: return op(`JP ${CC[y]},${d.nn()}`, 10);
+    case 3: return jumpAndMisc(d, y);
+    case 4: return op(`CALL ${CC[y]},${d.nn()}`, 10, 17);
+    case 5: return q ? op(`CALL ${d.nn()}`, 17) : op(`PUSH ${d.rp2(p)}`, 11);
+    case 6: return op(ALU[y] + d.n(), 7);
+    default:
+      d.ref(y << 3);
+      return op(`RST ${hex8(y << 3)}`, 11);
+  }
+}
+
+const BASE_GROUPS = [baseX0, baseX1, baseX2, baseX3];
+
+/** True when the instruction has an (HL) operand, which becomes (IX+d) after DD */
+function usesHLOperand(x, y, z) {
+  if (x === 0) return y === 6 && z >= 4 && z <= 6;
+  if (x === 1) return (y === 6) !== (z === 6);
+  return x === 2 && z === 6;
+}
+
+function decodeBase(d, opcode) {
+  const x = opcode >> 6;
+  const y = (opcode >> 3) & 7;
+  const z = opcode & 7;
+  d.usesMem = usesHLOperand(x, y, z);
+  if (d.index && d.usesMem) {
+    d.memOperand = d.indexed(d.index);
+    d.indexUsed = true;
+  }
+  const ins = BASE_GROUPS[x](d, y, z);
+  if (!d.index) return ins;
+
+  // The prefix costs 4 T-states; fetching the displacement and computing the
+  // address costs 8 more, or 5 for LD (IX+d),n where it overlaps the operand fetch
+  const extra = 4 + (d.usesMem ? (x === 0 && z === 6 ? 5 : 8) : 0);
+  if (!d.indexUsed) d.undocumented = true;
+  return op(ins.m, ins.t + extra, ins.tt === null ? null : ins.tt + extra);
+}
+
+// --- CB page ---
+
+function decodeCB(d) {
+  const opcode = d.byte();
+  const x = opcode >> 6;
+  const y = (opcode >> 3) & 7;
+  const z = opcode & 7;
+  const mem = z === 6;
+  if (x === 0) {
+    if (y === 6) d.undocumented = true;
+    return op(`${ROT[y]} ${R[z]}`, mem ? 15 : 8);
+  }
+  if (x === 1) return op(`BIT ${y},${R[z]}`, mem ? 12 : 8);
+  return op(`${x === 2 ? 'RES' : 'SET'} ${y},${R[z]}`, mem ? 15 : 8);
+}
+
+// DDCB d op / FDCB d op: the displacement comes before the opcode
+function decodeIndexCB(d) {
+  const mem = d.indexed(d.index);
+  const opcode = d.byte();
+  const x = opcode >> 6;
+  const y = (opcode >> 3) & 7;
+  const z = opcode & 7;
+  if (x === 1) {
+    if (z !== 6) d.undocumented = true;
+    return op(`BIT ${y},${mem}`, 20);
+  }
+  const base = x === 0 ? `${ROT[y]} ${mem}` : `${x === 2 ? 'RES' : 'SET'} ${y},${mem}`;
+  if (x === 0 && y === 6) d.undocumented = true;
+  if (z === 6) return op(base, 23);
+  // Undocumented: the result is also copied into a register
+  d.undocumented = true;
+  return op(`LD ${R[z]},${base}`, 23);
+}
+
+// --- ED page ---
+
+/** Undocumented ED 40-7F encodings: IN F,(C), OUT (C),0, ED 63/6B and the NEG, RETN, IM and NOP mirrors */
+function isEdMirror(y, z) {
+  switch (z) {
+    case 3: return y === 4 || y === 5;
+    case 4: return y !== 0;
+    case 5: return y > 1;
+    case 6: return y === 1 || y >= 4;
+    case 7: return y >= 6;
+    default: return y === 6;
+  }
+}
+
+function edPortOp(y, z) {
+  if (z === 0) return op(y === 6 ? 'IN F,(C)' : `IN ${R[y]},(C)`, 12);
+  return op(y === 6 ? 'OUT (C),0' : `OUT (C),${R[y]}`, 12);
+}
+
+function edX1(d, y, z) {
+  const p = y >> 1;
+  const q = y & 1;
+  if (isEdMirror(y, z)) d.undocumented = true;
+  switch (z) {
+    case 0:
+    case 1: return edPortOp(y, z);
+    case 2: return op(`${q ? 'ADC' : 'SBC'} HL,${RP[p]}`, 15);
+    case 3: return q ? op(`LD ${RP[p]},(${d.nn()})`, 20) : op(`LD (${d.nn()}),${RP[p]}`, 20);
+    case 4: return op('NEG', 8);
+    case 5: return op(y === 1 ? 'RETI' : 'RETN', 14);
+    case 6: return op(`IM ${IM_MODES[y]}`, 8);
+    default: return op(...ED_SPECIAL[y]);
+  }
+}
+
+function decodeED(d) {
+  const opcode = d.byte();
+  const x = opcode >> 6;
+  const y = (opcode >> 3) & 7;
+  const z = opcode & 7;
+  if (x === 1) return edX1(d, y, z);
+  if (x === 2 && y >= 4 && z <= 3) return op(BLOCK_OPS[y - 4][z], 16, y >= 6 ? 21 : null);
+  // Everything else executes as an 8 T-state NOP
+  d.undocumented = true;
+  return op('NOP', 8);
+}
+
+// --- Prefixes ---
+
+function decodeIndexed(d, name) {
+  const next = d.read(d.pc) & 0xff;
+  // A prefix followed by another prefix (or ED) only costs its own fetch
+  if (next === 0xdd || next === 0xfd || next === 0xed) {
+    d.undocumented = true;
+    return op('NOP', 4);
+  }
+  d.index = name;
+  d.byte();
+  return next === 0xcb ? decodeIndexCB(d) : decodeBase(d, next);
+}
+
+function decode(d) {
+  const opcode = d.byte();
+  switch (opcode) {
+    case 0xcb: return decodeCB(d);
+    case 0xed: return decodeED(d);
+    case 0xdd: return decodeIndexed(d, 'IX');
+    case 0xfd: return decodeIndexed(d, 'IY');
+    default: return decodeBase(d, opcode);
+  }
+}
+
+/**
+ * Disassemble the instruction at addr.
+ * @param {Object|Uint8Array|Function} memory Memory (read through peek, so no contention),
+ *   a 64K byte array or an addr => byte function
+ * @param {number} addr
+ * @returns {{ address: number, length: number, bytes: number[], mnemonic: string,
+ *   addresses: number[], tstates: number, tstatesTaken: number|null, undocumented: boolean }}
+ */
+export function disassemble(memory, addr) {
+  const read = toReader(memory);
+  const d = new Decoder(read, addr & 0xffff);
+  const ins = decode(d);
+  const length = (d.pc - d.start) & 0xffff;
+  const bytes = [];
+  for (let i = 0; i < length; i++) bytes.push(read((d.start + i) & 0xffff) & 0xff);
+  return {
+    address: d.start,
+    length,
+    bytes,
+    mnemonic: ins.m,
+    addresses: d.addresses,
+    tstates: ins.t,
+    tstatesTaken: ins.tt,
+    undocumented: d.undocumented
+  };
+}
+
+/**
+ * Disassemble `count` consecutive instructions starting at addr.
+ * @returns {Array<ReturnType<typeof disassemble>>}
+ */
+export function disassembleRange(memory, addr, count) {
+  const out = [];
+  let pc = addr & 0xffff;
+  for (let i = 0; i < count; i++) {
+    const ins = disassemble(memory, pc);
+    out.push(ins);
+    pc = (pc + ins.length) & 0xffff;
+  }
+  return out;
+}
+
+/** One listing line: '8000  21 00 90      LD HL,$9000' */
+export function formatInstruction(ins) {
+  const addr = ins.address.toString(16).toUpperCase().padStart(4, '0');
+  const bytes = ins.bytes.map(b => b.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+  return `${addr}  ${bytes.padEnd(12)}  ${ins.mnemonic}`;
+}
+
+export default disassemble;
@@ -0,0 +1,199 @@
+/**
+ * DivMMC interface: 8K EEPROM (esxDOS), 128K of SRAM in 8K banks and two
+ * SD card slots on an SPI bus (src/sdcard.mjs).
+ *
+ * While the interface is paged in, 0x0000-0x1FFF is the EEPROM (or SRAM
+ * bank 3, read-only, once MAPRAM is set) and 0x2000-0x3FFF the selected
+ * SRAM bank, in place of the ROM (Memory.setRomOverlay). It pages in
+ *   - when CONMEM is set in the control register, or
+ *   - by automap on an opcode fetch from an entry point: 0x0000, 0x0008,
+ *     0x0038, 0x0066, 0x04C6 and 0x0562 page in once the opcode has been
+ *     read from the ROM (its operands come from the DivMMC), 0x3D00-0x3DFF
+ *     in time for the fetch itself while the 48 BASIC ROM is selected;
+ * and automap ends after an opcode fetch from 0x1FF8-0x1FFF.
+ *
+ * Ports (low byte decoded):
+ *   0xE3  control (write): bit 7 CONMEM, bit 6 MAPRAM (set only; cleared
+ *         at power on), bits 0-3 SRAM bank at 0x2000
+ *   0xE7  card select (write): bit 0 card 0, bit 1 card 1, active low
+ *   0xEB  SPI data: a write sends a byte to the selected card, a read
+ *         clocks the next byte back
+ *
+ * The DivIDE pages the same way through the same control register; its
+ * IDE ports are not emulated.
+ *
+ * Reference: DivMMC and DivIDE documentation (divide.speccy.cz,
+ * esxdos.org).
+ */
+
+export const DIVMMC_PORT_CONTROL = 0xe3;
+export const DIVMMC_PORT_CARD_SELECT = 0xe7;
+export const DIVMMC_PORT_SPI = 0xeb;
+
+const BANK_SIZE = 0x2000;
+const RAM_BANKS = 16;
+const MAPRAM_BANK = 3;
+const CONMEM = 0x80;
+const MAPRAM = 0x40;
+// Automap entry points that page in after the opcode fetch
+const ENTRY_POINTS = new Set([0x0000, 0x0008, 0x0038, 0x0066, 0x04c6, 0x0562]);
+
+export class DivMMC {
+  constructor() {
+    this.enabled = false;
+    this.rom = new Uint8Array(BANK_SIZE).fill(0xff);
+    this.romLoaded = false;
+    this.ram = Array.from({ length: RAM_BANKS }, () => new Uint8Array(BANK_SIZE));
+    // SD cards in slots 0 and 1 (null = empty); they stay in when the core is rebuilt
+    this.cards = [null, null];
+    this.memory = null;
+    this.mapram = false;
+    this.reset();
+  }
+
+  /** Connect to a machine's memory; this is a power on, so MAPRAM clears */
+  attach(memory) {
+    this.memory = memory;
+    this.mapram = false;
+    this.reset();
+  }
+
+  /** Reset button: pages out and deselects the cards; MAPRAM survives */
+  reset() {
+    this.control = this.mapram ? MAPRAM : 0;
+    this.automapped = false;
+    this.cardSelect = 0xff;
+    for (const card of this.cards) if (card) card.select(false);
+    this._update();
+  }
+
+  /** Put esxDOS (or another 8K image) in the EEPROM; automap needs it */
+  loadROM(rom) {
+    const bytes = rom instanceof Uint8Array ? rom : new Uint8Array(rom);
+    this.rom.fill(0xff);
+    this.rom.set(bytes.subarray(0, BANK_SIZE));
+    this.romLoaded = true;
+    this._update();
+  }
+
+  /**
+   * Paging state and a copy of the SRAM, for loadState() (rewind and
+   * step-back); null while the interface is off. The EEPROM and the cards
+   * are left alone, like the disks in the floppy drives.
+   */
+  saveState() {
+    if (!this.enabled) return null;
+    return {
+      control: this.control, automapped: this.automapped, mapram: this.mapram, cardSelect: this.cardSelect,
+      ram: this.ram.map(bank => bank.slice())
+    };
+  }
+
+  /** Put back a saveState(), re-mapping 0x0000-0x3FFF to match */
+  loadState(state) {
+    if (!state) return;
+    this.control = state.control;
+    this.automapped = state.automapped;
+    this.mapram = state.mapram;
+    this.cardSelect = state.cardSelect;
+    state.ram.forEach((bank, i) => this.ram[i].set(bank));
+    this._update();
+  }
+
+  /** True while the interface's memory is at 0x0000-0x3FFF */
+  get paged() {
+    return this.enabled && ((this.control & CONMEM) !== 0 || this.automapped);
+  }
+
+  // Automap is off with no EEPROM image, unless MAPRAM gives it RAM to run
+  _canAutomap() {
+    return this.enabled && (this.romLoaded || this.mapram);
+  }
+
+  // The 3Dxx entry points belong to the 48 BASIC ROM: ROM 1 on the 128K,
+  // ROM 3 on the +2A/+3
+  _basicRomSelected() {
+    const mem = this.memory;
+    if (!mem || !mem.hasPaging()) return true;
+    return mem.currentRom === (mem.isPlus3() ? 3 : 1);
+  }
+
+  /** Called with PC before each opcode fetch (Z80.fetchHook) */
+  onFetch(pc) {
+    if ((pc & 0xff00) === 0x3d00 && !this.automapped && this._canAutomap() && this._basicRomSelected()) {
+      this.automapped = true;
+      this._update();
+    }
+  }
+
+  /** Called with the opcode's address after each opcode fetch (Z80.afterFetchHook) */
+  onFetched(pc) {
+    if (pc >= BANK_SIZE) return;
+    if ((pc & 0xfff8) === 0x1ff8) {
+      if (this.automapped) {
+        this.automapped = false;
+        this._update();
+      }
+    } else if (ENTRY_POINTS.has(pc) && !this.automapped && this._canAutomap()) {
+      this.automapped = true;
+      this._update();
+    }
+  }
+
+  /** True for the ports the interface answers */
+  ownsPort(port) {
+    if (!this.enabled) return false;
+    const low = port & 0xff;
+    return low === DIVMMC_PORT_CONTROL || low === DIVMMC_PORT_CARD_SELECT || low === DIVMMC_PORT_SPI;
+  }
+
+  readPort(port) {
+    if ((port & 0xff) !== DIVMMC_PORT_SPI) return 0xff;
+    const card = this._selectedCard();
+    return card ? card.read() : 0xff;
+  }
+
+  writePort(port, value) {
+    value &= 0xff;
+    switch (port & 0xff) {
+      case DIVMMC_PORT_CONTROL:
+        if (value & MAPRAM) this.mapram = true;
+        this.control = value | (this.mapram ? MAPRAM : 0);
+        this._update();
+        break;
+      case DIVMMC_PORT_CARD_SELECT:
+        this.cardSelect = value;
+        this.cards.forEach((card, i) => { if (card) card.select(!(value & (1 << i))); });
+        break;
+      default: {
+        const card = this._selectedCard();
+        if (card) card.write(value);
+      }
+    }
+  }
+
+  _selectedCard() {
+    return this.cards.find((card, i) => card && !(this.cardSelect & (1 << i))) || null;
+  }
+
+  // Put the EEPROM/SRAM blocks over the ROM, or take them away
+  _update() {
+    if (!this.memory) return;
+    if (!this.paged) {
+      this.memory.setRomOverlay(null);
+      return;
+    }
+    // CONMEM shows the EEPROM and leaves every bank writable; under automap
+    // MAPRAM swaps the EEPROM for bank 3 and write-protects that bank
+    const bank = this.control & (RAM_BANKS - 1);
+    const mapram = this.mapram && !(this.control & CONMEM);
+    this.memory.setRomOverlay({
+      low: mapram ? this.ram[MAPRAM_BANK] : this.rom,
+      lowWritable: false,
+      high: this.ram[bank],
+      highWritable: !(mapram && bank === MAPRAM_BANK)
+    });
+  }
+}
+
+export default DivMMC;
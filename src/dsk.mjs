@@ -0,0 +1,259 @@
+/**
+ * +3 disk images (.dsk) for the uPD765 controller (src/upd765.mjs).
+ *
+ * Both layouts from the CPCEMU family are read:
+ *   - standard ("MV - CPCEMU"): every track block has the same size and
+ *     every sector stores 128 << N bytes, N taken from the track header;
+ *   - extended ("EXTENDED CPC DSK"): a size per track (0 = unformatted)
+ *     and a stored length per sector.
+ * A 256-byte disk header is followed by one block per track, in the order
+ * cylinder 0 side 0, cylinder 0 side 1, ... Each track block is a 256-byte
+ * header (track and side, sector size N, sector count, GAP#3, filler byte
+ * and 8 bytes of ID per sector: C H R N ST1 ST2 and the stored length)
+ * followed by the sector data.
+ *
+ * The copy-protection tricks extended images record are kept: the FDC
+ * status bits each sector reads with (CRC errors, deleted data, missing
+ * data marks), duplicate and out-of-order IDs, sectors storing more or
+ * less than 128 << N bytes, and weak sectors, stored as several copies of
+ * the data, which read back a different copy each time.
+ *
+ * Images are always written back in the extended layout, which holds
+ * everything the standard one can.
+ *
+ * Reference: the extended DSK specification (cpctech.org.uk) and the
+ * Spectrum +3 technical manual.
+ */
+
+const STANDARD_SIGNATURE = 'MV - CPC';
+const EXTENDED_SIGNATURE = 'EXTENDED';
+const TRACK_SIGNATURE = 'Track-Info\r\n';
+const HEADER_SIZE = 256;
+const MAX_SECTORS = 29; // sector IDs that fit in a track header
+const MAX_CYLINDERS = 86;
+// Data length of a standard sector: N = 6 and above hold 0x1800 bytes at most
+const STANDARD_MAX_SECTOR = 0x1800;
+
+// Status register 2 bit of a sector with a deleted data mark
+const ST2_CONTROL_MARK = 0x40;
+
+/**
+ * @typedef {Object} DSKSector
+ * @property {number} c - cylinder in the ID field
+ * @property {number} h - head in the ID field
+ * @property {number} r - sector number
+ * @property {number} n - size code (128 << n bytes)
+ * @property {number} st1 - FDC status register 1 bits the sector reads with
+ * @property {number} st2 - FDC status register 2 bits (0x40 = deleted data)
+ * @property {Uint8Array[]} copies - stored data; more than one for weak sectors
+ */
+
+/**
+ * @typedef {Object} DSKTrack
+ * @property {number} gap3 - GAP#3 length used when the track was formatted
+ * @property {number} filler - byte the sectors were formatted with
+ * @property {DSKSector[]} sectors - in the order they pass the head
+ */
+
+/** The size in bytes of a sector with size code n */
+export function sectorSize(n) {
+  return 128 << Math.min(n, 8);
+}
+
+/** A +3 disk: tracks of sectors, as the uPD765 controller sees it */
+export class DSKDisk {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.cylinders] - default 40
+   * @param {number} [opts.sides] - default 1
+   * @param {boolean} [opts.writeProtected]
+   */
+  constructor(opts = {}) {
+    this.cylinders = opts.cylinders || 40;
+    this.sides = opts.sides || 1;
+    /** @type {(DSKTrack|null)[]} cylinder * sides + side; null = unformatted */
+    this.tracks = new Array(this.cylinders * this.sides).fill(null);
+    this.creator = '';
+    this.writeProtected = !!opts.writeProtected;
+    // Set when the machine writes to the disk, cleared by the caller once saved
+    this.modified = false;
+    // Which copy of each weak sector the next read returns
+    this._weakReads = new WeakMap();
+  }
+
+  /**
+   * Open a .dsk file, standard or extended.
+   * @param {Uint8Array|ArrayBuffer} bytes
+   * @param {Object} [opts] - { writeProtected }
+   */
+  static fromFile(bytes, opts = {}) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const signature = ascii(data, 0, 8);
+    const extended = signature === EXTENDED_SIGNATURE;
+    if (!extended && signature !== STANDARD_SIGNATURE) throw new Error('DSK: not a DSK disk image');
+    if (data.length < HEADER_SIZE) throw new Error('DSK: disk header truncated');
+    const disk = new DSKDisk({ cylinders: data[0x30], sides: Math.max(1, Math.min(2, data[0x31])), ...opts });
+    disk.creator = ascii(data, 0x22, 14).replace(/\0+$/, '').trim();
+    let offset = HEADER_SIZE;
+    for (let i = 0; i < disk.tracks.length; i++) {
+      const size = extended ? data[0x34 + i] << 8 : data[0x32] | (data[0x33] << 8);
+      if (size === 0) continue;
+      if (offset + HEADER_SIZE > data.length) break;
+      disk.tracks[i] = parseTrackBlock(data, offset, extended);
+      offset += size;
+    }
+    return disk;
+  }
+
+  /** The track under the head, or null when it is unformatted or off the disk */
+  track(cylinder, side) {
+    if (cylinder < 0 || cylinder >= this.cylinders || side < 0 || side >= this.sides) return null;
+    return this.tracks[cylinder * this.sides + side];
+  }
+
+  /** Sector IDs on a track in rotational order: [{ c, h, r, n, st1, st2 }] */
+  sectorIds(cylinder, side) {
+    const track = this.track(cylinder, side);
+    return track ? track.sectors.map(({ c, h, r, n, st1, st2 }) => ({ c, h, r, n, st1, st2 })) : [];
+  }
+
+  /**
+   * The data of the index'th sector on a track. Weak sectors give their
+   * copies in turn.
+   * @returns {Uint8Array|null}
+   */
+  readSector(cylinder, side, index) {
+    const track = this.track(cylinder, side);
+    const sector = track && track.sectors[index];
+    if (!sector) return null;
+    const copies = sector.copies;
+    if (copies.length === 1) return copies[0];
+    const next = this._weakReads.get(sector) || 0;
+    this._weakReads.set(sector, (next + 1) % copies.length);
+    return copies[next];
+  }
+
+  /**
+   * Store the data of the index'th sector on a track. The sector is left
+   * a plain one: no copies, no error bits, and a deleted data mark only
+   * when `deleted` is set.
+   */
+  writeSector(cylinder, side, index, bytes, deleted = false) {
+    const track = this.track(cylinder, side);
+    const sector = track && track.sectors[index];
+    if (!sector) return false;
+    sector.copies = [bytes.slice()];
+    sector.st1 = 0;
+    sector.st2 = deleted ? ST2_CONTROL_MARK : 0;
+    this.modified = true;
+    return true;
+  }
+
+  /**
+   * Lay down a new track. Formatting past the last cylinder extends the
+   * disk.
+   * @param {{c: number, h: number, r: number, n: number}[]} ids
+   * @param {number} filler - the byte every sector is filled with
+   * @param {number} [gap3]
+   */
+  formatTrack(cylinder, side, ids, filler, gap3 = 0x52) {
+    if (side < 0 || side >= this.sides || cylinder < 0 || cylinder >= MAX_CYLINDERS) return false;
+    if (cylinder >= this.cylinders) this._extend(cylinder + 1);
+    const sectors = ids.slice(0, MAX_SECTORS).map(({ c, h, r, n }) => ({
+      c, h, r, n, st1: 0, st2: 0, copies: [new Uint8Array(sectorSize(n)).fill(filler)]
+    }));
+    this.tracks[cylinder * this.sides + side] = { gap3, filler, sectors };
+    this.modified = true;
+    return true;
+  }
+
+  /** The disk as an extended .dsk file */
+  toDSK() {
+    const blocks = this.tracks.map((track, i) => (track ? buildTrackBlock(track, i, this.sides) : null));
+    const size = blocks.reduce((sum, block) => sum + (block ? block.length : 0), HEADER_SIZE);
+    const out = new Uint8Array(size);
+    writeAscii(out, 0, 'EXTENDED CPC DSK File\r\nDisk-Info\r\n');
+    writeAscii(out, 0x22, 'zxspeccjs');
+    out[0x30] = this.cylinders;
+    out[0x31] = this.sides;
+    let offset = HEADER_SIZE;
+    blocks.forEach((block, i) => {
+      if (!block) return;
+      out[0x34 + i] = block.length >> 8;
+      out.set(block, offset);
+      offset += block.length;
+    });
+    return out;
+  }
+
+  _extend(cylinders) {
+    const tracks = new Array(cylinders * this.sides).fill(null);
+    this.tracks.forEach((track, i) => { tracks[i] = track; });
+    this.tracks = tracks;
+    this.cylinders = cylinders;
+  }
+}
+
+function ascii(data, offset, length) {
+  return String.fromCharCode(...data.subarray(offset, offset + length));
+}
+
+function writeAscii(out, offset, text) {
+  for (let i = 0; i < text.length; i++) out[offset + i] = text.charCodeAt(i);
+}
+
+/** Read one track block: its header and the sector data after it */
+function parseTrackBlock(data, offset, extended) {
+  if (ascii(data, offset, 10) !== TRACK_SIGNATURE.slice(0, 10)) {
+    throw new Error(`DSK: track header missing at offset ${offset}`);
+  }
+  const count = Math.min(data[offset + 0x15], MAX_SECTORS);
+  const standardSize = Math.min(sectorSize(data[offset + 0x14]), STANDARD_MAX_SECTOR);
+  const sectors = [];
+  let pos = offset + HEADER_SIZE;
+  for (let s = 0; s < count; s++) {
+    const id = offset + 0x18 + s * 8;
+    const n = data[id + 3];
+    const stored = extended ? data[id + 6] | (data[id + 7] << 8) : standardSize;
+    const bytes = data.slice(pos, Math.min(pos + stored, data.length));
+    pos += stored;
+    sectors.push({ c: data[id], h: data[id + 1], r: data[id + 2], n, st1: data[id + 4], st2: data[id + 5], copies: splitCopies(bytes, n) });
+  }
+  return { gap3: data[offset + 0x16], filler: data[offset + 0x17], sectors };
+}
+
+// A weak sector is stored as a whole number of copies of the sector; any
+// other length is one copy, shorter or longer than the sector itself
+function splitCopies(bytes, n) {
+  const size = sectorSize(n);
+  const count = bytes.length / size;
+  if (count < 2 || !Number.isInteger(count)) return [bytes];
+  const copies = [];
+  for (let i = 0; i < count; i++) copies.push(bytes.subarray(i * size, (i + 1) * size));
+  return copies;
+}
+
+/** Build an extended track block, padded to a multiple of 256 bytes */
+function buildTrackBlock(track, index, sides) {
+  const lengths = track.sectors.map(s => s.copies.reduce((sum, copy) => sum + copy.length, 0));
+  const dataSize = lengths.reduce((a, b) => a + b, 0);
+  const block = new Uint8Array(HEADER_SIZE + Math.ceil(dataSize / 256) * 256);
+  writeAscii(block, 0, TRACK_SIGNATURE);
+  block[0x10] = Math.floor(index / sides);
+  block[0x11] = index % sides;
+  block[0x14] = track.sectors.length ? track.sectors[0].n : 2;
+  block[0x15] = track.sectors.length;
+  block[0x16] = track.gap3;
+  block[0x17] = track.filler;
+  let pos = HEADER_SIZE;
+  track.sectors.forEach((s, i) => {
+    block.set([s.c, s.h, s.r, s.n, s.st1, s.st2, lengths[i] & 0xff, lengths[i] >> 8], 0x18 + i * 8);
+    for (const copy of s.copies) {
+      block.set(copy, pos);
+      pos += copy.length;
+    }
+  });
+  return block;
+}
+
+export default DSKDisk;
@@ -18,6 +18,8 @@ const OUTPUT_HEIGHT = 240;          // 24 top border + 192 screen + 24 bottom bo
 const BORDER_TOP_LINES = 24;
 const BORDER_BOTTOM_LINES = 24;
 const MAIN_SCREEN_LINES = 192;      // Main display lines
+const VISIBLE_LINES = BORDER_TOP_LINES + MAIN_SCREEN_LINES + BORDER_BOTTOM_LINES;
+const NO_BORDER_RECORDED = 0xff;
 
 // Buffer sizes
 const FRAME_BUFFER_SIZE = 0x6600;   // 26112 bytes for frame data
@@ -27,6 +29,8 @@ export class FrameBuffer {
     // The frame buffer stores video data in display order
     // Format: border bytes (1 byte = 2 pixels), then screen byte + attr byte pairs
     this.buffer = new Uint8Array(FRAME_BUFFER_SIZE);
+    // Diagnostic console output (bitmap samples); the ULA passes its setting on
+    this.diagnostics = true;
     
     // Current state
     this.borderColour = 7;          // Default white border
@@ -38,6 +42,26 @@ export class FrameBuffer {
     
     // Frame state
     this.flashPhase = 0;            // Flash counter (0-31)
+
+    // Border colour each visible line was drawn with this frame, recorded
+    // as the CPU changes the border (tape loading stripes, raster effects).
+    // NO_BORDER_RECORDED means the line has not been reached yet.
+    this.lineBorders = new Uint8Array(VISIBLE_LINES).fill(NO_BORDER_RECORDED);
+
+    // Raster geometry, 48K by default (see setTiming)
+    this.tstatesPerLine = 224;
+    this.linesPerFrame = 312;
+    this.firstPixelLine = 64;
+  }
+
+  /**
+   * Take the raster geometry from a machine profile (src/machines.mjs):
+   * T-states per line, lines per frame and the first display line.
+   */
+  setTiming(profile) {
+    this.tstatesPerLine = profile.tstatesPerLine;
+    this.linesPerFrame = profile.linesPerFrame;
+    this.firstPixelLine = profile.firstPixelLine;
   }
   
   /**
@@ -69,6 +93,7 @@ export class FrameBuffer {
   startFrame() {
     this.writePtr = 0;
     this.lastUpdateTstate = 0;
+    this.lineBorders.fill(NO_BORDER_RECORDED);
   }
   
   /**
@@ -111,8 +136,9 @@ export class FrameBuffer {
   
   /**
    * Fill buffer up to specified tstate with border colour.
-   * The ZX Spectrum ULA renders 224 T-states per scanline (128 pixel-fetch +
-   * 96 border/retrace). Total frame: 312 lines × 224 = 69888 T-states.
+   * The 48K ULA renders 224 T-states per scanline (128 pixel-fetch +
+   * 96 border/retrace). Total frame: 312 lines × 224 = 69888 T-states;
+   * other models' geometry comes from setTiming.
    *
    * Buffer layout per line (160 bytes):
    *  - Border lines (top/bottom): 160 border colour bytes
@@ -122,22 +148,20 @@ export class FrameBuffer {
    * so that mid-frame border colour changes appear correctly.
    */
   _fillBufferToTstate(currentTstate) {
-    const TSTATES_PER_LINE = 224;
-    const TOTAL_LINES = 312;
-    const FIRST_VISIBLE_LINE = 64;
-    const VISIBLE_LINES = BORDER_TOP_LINES + MAIN_SCREEN_LINES + BORDER_BOTTOM_LINES;
+    const firstVisibleLine = this.firstPixelLine - BORDER_TOP_LINES;
 
-    const startLine = Math.floor(this.lastUpdateTstate / TSTATES_PER_LINE);
-    const endLine = Math.floor(currentTstate / TSTATES_PER_LINE);
+    const startLine = Math.floor(this.lastUpdateTstate / this.tstatesPerLine);
+    const endLine = Math.floor(currentTstate / this.tstatesPerLine);
 
-    for (let line = startLine; line <= endLine && line < TOTAL_LINES; line++) {
-      this._fillBorderLine(line - FIRST_VISIBLE_LINE, VISIBLE_LINES);
+    for (let line = startLine; line <= endLine && line < this.linesPerFrame; line++) {
+      this._fillBorderLine(line - firstVisibleLine, VISIBLE_LINES);
     }
   }
 
   /** Fill a single visible border line in the buffer. */
   _fillBorderLine(visLine, visibleLines) {
     if (visLine < 0 || visLine >= visibleLines) return;
+    this.lineBorders[visLine] = this.borderColour;
     const isBorderLine = visLine < BORDER_TOP_LINES || visLine >= BORDER_TOP_LINES + MAIN_SCREEN_LINES;
     if (!isBorderLine) return;
     const lineStart = visLine * 160;
@@ -160,11 +184,14 @@ export class FrameBuffer {
     let bitmap;
     let attrs;
 
-    // Prefer reading directly from the active RAM page (pages[1]) when available
-    // because it's the authoritative, up-to-date source. Fall back to the
-    // memory export helpers if pages[1] isn't present.
-    if (this.mem && this.mem.pages && this.mem.pages[1]) {
-      const page1 = this.mem.pages[1];
+    // Prefer reading directly from the displayed RAM bank when available
+    // because it's the authoritative, up-to-date source. On 128K models this
+    // is bank 5 or the bank 7 shadow screen, whatever is paged at 0x4000;
+    // otherwise it is pages[1]. Fall back to the memory export helpers if
+    // neither is present.
+    const screenPage = this._getScreenPage();
+    if (screenPage) {
+      const page1 = screenPage;
       if (page1.length >= 0x1800) {
         bitmap = new Uint8Array(page1.subarray(0x0000, 0x1800));
       }
@@ -202,7 +229,7 @@ export class FrameBuffer {
       const MARKER_Y = 80;
       const xByte = 120 >> 3;
       const bitmapAddr = ((MARKER_Y & 0x07) << 8) | (((MARKER_Y & 0x38) >> 3) << 5) | (((MARKER_Y & 0xC0) >> 6) << 11) | xByte;
-      try { console.log('[FB-DIAG] generateFromMemory bitmapAddr=', bitmapAddr, 'bitmapVal=', bitmap[bitmapAddr], 'mem.pages[1]=', (this.mem && this.mem.pages && this.mem.pages[1] ? this.mem.pages[1][bitmapAddr] : null)); } catch (e) { /* ignore */ }
+      try { this._log('[FB-DIAG] generateFromMemory bitmapAddr=', bitmapAddr, 'bitmapVal=', bitmap[bitmapAddr], 'mem.pages[1]=', (this.mem && this.mem.pages && this.mem.pages[1] ? this.mem.pages[1][bitmapAddr] : null)); } catch (e) { /* ignore */ }
     } catch (e) { /* ignore */ }
 
     let ptr = 0;
@@ -228,37 +255,57 @@ export class FrameBuffer {
     } catch (e) { /* nom */ }
   }
 
+  _log(...args) {
+    if (this.diagnostics) console.log(...args);
+  }
+
   _debugBitmapSample(bitmap) {
     this._debugCount = (this._debugCount || 0) + 1;
     if (this._debugCount <= 3 || (this._debugCount % 500 === 0)) {
       let nonZero = 0;
       for (let i = 0; i < bitmap.length; i++) if (bitmap[i] !== 0) nonZero++;
-      if (typeof globalThis !== 'undefined' && globalThis.console) globalThis.console.log(`[FrameBuffer] Frame ${this._debugCount}: Bitmap non-zero: ${nonZero}/${bitmap.length}`);
+      this._log(`[FrameBuffer] Frame ${this._debugCount}: Bitmap non-zero: ${nonZero}/${bitmap.length}`);
       if (typeof globalThis !== 'undefined' && globalThis.__TEST__) globalThis.__TEST__.lastFrameBitmapNonZero = nonZero;
       if (nonZero > 0 && this._debugCount <= 5) {
         const sample = Array.from(bitmap.slice(0, 64)).map(b => b.toString(16).padStart(2, '0')).join(' ');
-        if (typeof globalThis !== 'undefined' && globalThis.console) globalThis.console.log('[FrameBuffer] First 64 bitmap bytes:', sample);
+        this._log('[FrameBuffer] First 64 bitmap bytes:', sample);
       }
     }
   }
 
+  /** The RAM bank holding the displayed screen (shadow-screen aware on 128K) */
+  _getScreenPage() {
+    if (typeof this.mem.getScreenPage === 'function') return this.mem.getScreenPage();
+    return this.mem.pages ? this.mem.pages[1] : null;
+  }
+
+  /** Border colour for a visible line: as recorded this frame, else the current one */
+  _borderForLine(visLine) {
+    const recorded = this.lineBorders[visLine];
+    return recorded === NO_BORDER_RECORDED ? this.borderColour : recorded;
+  }
+
   _fillTopBorder(ptr) {
     for (let y = 0; y < BORDER_TOP_LINES; y++) {
-      for (let x = 0; x < 160; x++) this.buffer[ptr++] = this.borderColour;
+      const colour = this._borderForLine(y);
+      for (let x = 0; x < 160; x++) this.buffer[ptr++] = colour;
     }
     return ptr;
   }
 
   _fillBottomBorder(ptr) {
+    const first = BORDER_TOP_LINES + MAIN_SCREEN_LINES;
     for (let y = 0; y < BORDER_BOTTOM_LINES; y++) {
-      for (let x = 0; x < 160; x++) this.buffer[ptr++] = this.borderColour;
+      const colour = this._borderForLine(first + y);
+      for (let x = 0; x < 160; x++) this.buffer[ptr++] = colour;
     }
     return ptr;
   }
 
   _fillMainScreen(ptr, bitmap, attrs) {
     for (let y = 0; y < MAIN_SCREEN_LINES; y++) {
-      for (let x = 0; x < 16; x++) this.buffer[ptr++] = this.borderColour;
+      const border = this._borderForLine(BORDER_TOP_LINES + y);
+      for (let x = 0; x < 16; x++) this.buffer[ptr++] = border;
       const y0 = y & 0x07;
       const y1 = (y & 0x38) >> 3;
       const y2 = (y & 0xC0) >> 6;
@@ -276,13 +323,13 @@ export class FrameBuffer {
             // or when explicit test diagnostics are enabled to avoid flooding the
             // browser console during heavy test activity.
             const shouldLog = (this._debugCount <= 3) || (typeof globalThis !== 'undefined' && globalThis.__TEST__ && globalThis.__TEST__.frameBufferVerbose);
-            if (shouldLog) console.log('[FB-FILL] writing marker cell: y,xByte,bitmapAddr,bitmapVal,attrVal,ptr =', y, xByte, bitmapAddr, bitmap[bitmapAddr], attrs[attrAddr], ptr);
+            if (shouldLog) this._log('[FB-FILL] writing marker cell: y,xByte,bitmapAddr,bitmapVal,attrVal,ptr =', y, xByte, bitmapAddr, bitmap[bitmapAddr], attrs[attrAddr], ptr);
           } catch (e) { /* ignore */ }
         }
         this.buffer[ptr++] = bitmap[bitmapAddr];
         this.buffer[ptr++] = attrs[attrAddr];
       }
-      for (let x = 0; x < 16; x++) this.buffer[ptr++] = this.borderColour;
+      for (let x = 0; x < 16; x++) this.buffer[ptr++] = border;
     }
     return ptr;
   }
@@ -314,17 +361,24 @@ export class FrameBuffer {
  * Decoupled from buffer generation for cleaner architecture
  */
 export class FrameRenderer {
+  /**
+   * @param {HTMLCanvasElement|null} canvas - null renders off-screen only;
+   *   the RGBA pixels are in imageData.data either way
+   */
   constructor(canvas) {
     this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    
-    // Set canvas size for full output including borders
-    this.canvas.width = OUTPUT_WIDTH;
-    this.canvas.height = OUTPUT_HEIGHT;
-    this.ctx.imageSmoothingEnabled = false;
-    
-    // Create image data for rendering
-    this.imageData = this.ctx.createImageData(OUTPUT_WIDTH, OUTPUT_HEIGHT);
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+
+    if (this.ctx) {
+      // Set canvas size for full output including borders
+      this.canvas.width = OUTPUT_WIDTH;
+      this.canvas.height = OUTPUT_HEIGHT;
+      this.ctx.imageSmoothingEnabled = false;
+      // Create image data for rendering
+      this.imageData = this.ctx.createImageData(OUTPUT_WIDTH, OUTPUT_HEIGHT);
+    } else {
+      this.imageData = { width: OUTPUT_WIDTH, height: OUTPUT_HEIGHT, data: new Uint8ClampedArray(OUTPUT_WIDTH * OUTPUT_HEIGHT * 4) };
+    }
     this.pixels = new Uint32Array(this.imageData.data.buffer);
     
     // Spectrum palette (RGBA as 32-bit values, little-endian)
@@ -387,7 +441,7 @@ export class FrameRenderer {
 
     // Draw to canvas (measure render duration for diagnostics)
     const _start = (typeof performance !== 'undefined' && typeof performance.now === 'function') ? performance.now() : Date.now();
-    this.ctx.putImageData(this.imageData, 0, 0);
+    if (this.ctx) this.ctx.putImageData(this.imageData, 0, 0);
     const _end = (typeof performance !== 'undefined' && typeof performance.now === 'function') ? performance.now() : Date.now();
     try { this._lastRenderDuration = (_end - _start); } catch (e) { /* ignore */ }
     try { if (typeof globalThis !== 'undefined' && globalThis.__TEST__) globalThis.__TEST__.lastRenderDuration = this._lastRenderDuration; } catch (e) { /* ignore */ }
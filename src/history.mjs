@@ -0,0 +1,147 @@
+/**
+ * Instruction history: the last N instructions the CPU executed, kept in a
+ * fixed-size ring of typed arrays so recording costs no allocation.
+ *
+ * Z80.step() calls record() just before each instruction runs, so an entry
+ * holds the registers and T-state as they were when the opcode was fetched,
+ * the four bytes at PC (enough for any instruction) and the CPU's running
+ * instruction count. Entries always have consecutive counts: recording a
+ * count that is not above the newest one (the emulator replaying from a
+ * checkpoint) first drops the entries from that count on, and a gap in the
+ * counts starts the ring afresh, so it always describes the path to the
+ * current state.
+ *
+ *   const history = new InstructionHistory(65536);
+ *   cpu.history = history;
+ *   history.last(10)   // oldest first
+ */
+
+// Register pairs stored per entry, in this order
+const PAIRS = ['AF', 'BC', 'DE', 'HL', 'IX', 'IY', 'SP', 'AF_', 'BC_', 'DE_', 'HL_', 'IR'];
+const BYTES = 4;
+
+function readPairs(cpu, out, base) {
+  out[base] = (cpu.A << 8) | cpu.F;
+  out[base + 1] = (cpu.B << 8) | cpu.C;
+  out[base + 2] = (cpu.D << 8) | cpu.E;
+  out[base + 3] = (cpu.H << 8) | cpu.L;
+  out[base + 4] = cpu.IX;
+  out[base + 5] = cpu.IY;
+  out[base + 6] = cpu.SP;
+  out[base + 7] = (cpu.A_ << 8) | cpu.F_;
+  out[base + 8] = (cpu.B_ << 8) | cpu.C_;
+  out[base + 9] = (cpu.D_ << 8) | cpu.E_;
+  out[base + 10] = (cpu.H_ << 8) | cpu.L_;
+  out[base + 11] = (cpu.I << 8) | cpu.R;
+}
+
+/** Side-effect free byte reader for a CPU's memory */
+function peeker(mem) {
+  if (mem && typeof mem.peek === 'function') return (addr) => mem.peek(addr);
+  if (mem && mem.mem instanceof Uint8Array) return (addr) => mem.mem[addr];
+  return () => 0xff;
+}
+
+export class InstructionHistory {
+  /** @param {number} [capacity=65536] entries kept (a few frames of code) */
+  constructor(capacity = 65536) {
+    if (!(capacity > 0)) throw new Error(`InstructionHistory: invalid capacity ${capacity}`);
+    this.capacity = capacity | 0;
+    this.counts = new Float64Array(this.capacity);
+    this.tstates = new Float64Array(this.capacity);
+    this.pcs = new Uint16Array(this.capacity);
+    this.bytes = new Uint8Array(this.capacity * BYTES);
+    this.registers = new Uint16Array(this.capacity * PAIRS.length);
+    this.length = 0;
+    this._head = 0;           // slot the next entry goes in
+    this._mem = null;
+    this._peek = peeker(null);
+  }
+
+  clear() {
+    this.length = 0;
+    this._head = 0;
+  }
+
+  /** Called by the CPU before the instruction at cpu.PC runs */
+  record(cpu) {
+    if (cpu.mem !== this._mem) {
+      this._mem = cpu.mem;
+      this._peek = peeker(cpu.mem);
+    }
+    const count = cpu.instructionCount;
+    const newest = this.newestCount();
+    if (this.length > 0 && count !== newest + 1) {
+      if (count <= newest) this.truncate(count);
+      else this.clear();
+    }
+    const slot = this._head;
+    const pc = cpu.PC;
+    this.counts[slot] = count;
+    this.tstates[slot] = cpu.tstates;
+    this.pcs[slot] = pc;
+    for (let i = 0; i < BYTES; i++) this.bytes[slot * BYTES + i] = this._peek((pc + i) & 0xffff);
+    readPairs(cpu, this.registers, slot * PAIRS.length);
+    this._head = (slot + 1) % this.capacity;
+    if (this.length < this.capacity) this.length++;
+  }
+
+  /** Instruction count of the newest entry (-1 when empty) */
+  newestCount() {
+    return this.length > 0 ? this.counts[this._slot(0)] : -1;
+  }
+
+  oldestCount() {
+    return this.length > 0 ? this.counts[this._slot(this.length - 1)] : -1;
+  }
+
+  /** Drop the entries with an instruction count of count or more */
+  truncate(count) {
+    const drop = this.newestCount() - count + 1;
+    if (drop <= 0) return;
+    if (drop >= this.length) {
+      this.clear();
+      return;
+    }
+    this.length -= drop;
+    this._head = (this._head - drop + this.capacity) % this.capacity;
+  }
+
+  /**
+   * One entry as a plain object; back 0 is the newest.
+   * @returns {{count:number, pc:number, bytes:number[], tstates:number, AF:number, BC:number, DE:number, HL:number,
+   *   IX:number, IY:number, SP:number, AF_:number, BC_:number, DE_:number, HL_:number, IR:number}|null}
+   */
+  get(back) {
+    if (back < 0 || back >= this.length) return null;
+    const slot = this._slot(back);
+    const entry = {
+      count: this.counts[slot],
+      pc: this.pcs[slot],
+      bytes: Array.from(this.bytes.subarray(slot * BYTES, slot * BYTES + BYTES)),
+      tstates: this.tstates[slot]
+    };
+    const base = slot * PAIRS.length;
+    PAIRS.forEach((name, i) => { entry[name] = this.registers[base + i]; });
+    return entry;
+  }
+
+  /** The newest n entries, oldest first */
+  last(n = this.length) {
+    const out = [];
+    for (let back = Math.min(n, this.length) - 1; back >= 0; back--) out.push(this.get(back));
+    return out;
+  }
+
+  /** The entry recorded for an instruction count, or null once it has left the ring */
+  find(count) {
+    const back = this.newestCount() - count;
+    return back >= 0 && back < this.length ? this.get(back) : null;
+  }
+
+  _slot(back) {
+    return (this._head - 1 - back + this.capacity * 2) % this.capacity;
+  }
+}
+
+export default InstructionHistory;
@@ -0,0 +1,195 @@
+/**
+ * Minimal synchronous DEFLATE / zlib decompressor (RFC 1950 / RFC 1951).
+ *
+ * Snapshot and replay formats (SZX RAM pages, RZX blocks) store their data as
+ * zlib streams, and the loaders are synchronous, so the browser's async
+ * DecompressionStream does not fit. Huffman codes are decoded canonically
+ * from per-length counts (the approach used by tinf / puff).
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order in which code length code lengths are stored in a dynamic block header
+const CLEN_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/** Canonical Huffman table: number of codes per bit length, symbols in code order */
+function buildTable(lengths) {
+  const counts = new Uint16Array(16);
+  const symbols = new Uint16Array(lengths.length);
+  for (const len of lengths) counts[len]++;
+  counts[0] = 0;
+  const offsets = new Uint16Array(16);
+  for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+  for (let sym = 0; sym < lengths.length; sym++) {
+    if (lengths[sym]) symbols[offsets[lengths[sym]]++] = sym;
+  }
+  return { counts, symbols };
+}
+
+const FIXED_LITERALS = buildTable(Array.from({ length: 288 }, (_, i) => (i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8)));
+const FIXED_DISTANCES = buildTable(new Array(30).fill(5));
+
+class Inflater {
+  constructor(data, pos, expectedLength) {
+    this.data = data;
+    this.pos = pos;
+    this.bitBuf = 0;
+    this.bitCount = 0;
+    this.out = new Uint8Array(expectedLength || Math.max(1024, data.length * 4));
+    this.outLen = 0;
+  }
+
+  bits(n) {
+    while (this.bitCount < n) {
+      if (this.pos >= this.data.length) throw new Error('inflate: unexpected end of data');
+      this.bitBuf |= this.data[this.pos++] << this.bitCount;
+      this.bitCount += 8;
+    }
+    const v = this.bitBuf & ((1 << n) - 1);
+    this.bitBuf >>>= n;
+    this.bitCount -= n;
+    return v;
+  }
+
+  decode(table) {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= this.bits(1);
+      const count = table.counts[len];
+      if (code - first < count) return table.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('inflate: invalid Huffman code');
+  }
+
+  ensure(n) {
+    if (this.outLen + n <= this.out.length) return;
+    const grown = new Uint8Array(Math.max(this.out.length * 2, this.outLen + n));
+    grown.set(this.out.subarray(0, this.outLen));
+    this.out = grown;
+  }
+
+  stored() {
+    this.bitBuf = 0;
+    this.bitCount = 0;
+    if (this.pos + 4 > this.data.length) throw new Error('inflate: unexpected end of data');
+    const len = this.data[this.pos] | (this.data[this.pos + 1] << 8);
+    const nlen = this.data[this.pos + 2] | (this.data[this.pos + 3] << 8);
+    if ((len ^ 0xffff) !== nlen) throw new Error('inflate: corrupt stored block');
+    this.pos += 4;
+    if (this.pos + len > this.data.length) throw new Error('inflate: unexpected end of data');
+    this.ensure(len);
+    this.out.set(this.data.subarray(this.pos, this.pos + len), this.outLen);
+    this.outLen += len;
+    this.pos += len;
+  }
+
+  dynamicTables() {
+    const hlit = this.bits(5) + 257;
+    const hdist = this.bits(5) + 1;
+    const hclen = this.bits(4) + 4;
+    const clens = new Array(19).fill(0);
+    for (let i = 0; i < hclen; i++) clens[CLEN_ORDER[i]] = this.bits(3);
+    const clenTable = buildTable(clens);
+
+    const lengths = [];
+    while (lengths.length < hlit + hdist) {
+      const sym = this.decode(clenTable);
+      if (sym < 16) {
+        lengths.push(sym);
+      } else if (sym === 16) {
+        if (!lengths.length) throw new Error('inflate: repeat with no previous length');
+        const prev = lengths[lengths.length - 1];
+        for (let n = 3 + this.bits(2); n > 0; n--) lengths.push(prev);
+      } else {
+        const zeros = sym === 17 ? 3 + this.bits(3) : 11 + this.bits(7);
+        for (let n = zeros; n > 0; n--) lengths.push(0);
+      }
+    }
+    return [buildTable(lengths.slice(0, hlit)), buildTable(lengths.slice(hlit, hlit + hdist))];
+  }
+
+  codes(literals, distances) {
+    for (;;) {
+      const sym = this.decode(literals);
+      if (sym < 256) {
+        this.ensure(1);
+        this.out[this.outLen++] = sym;
+        continue;
+      }
+      if (sym === 256) return;
+      const li = sym - 257;
+      if (li >= LENGTH_BASE.length) throw new Error('inflate: invalid length code');
+      const len = LENGTH_BASE[li] + this.bits(LENGTH_EXTRA[li]);
+      const di = this.decode(distances);
+      if (di >= DIST_BASE.length) throw new Error('inflate: invalid distance code');
+      const dist = DIST_BASE[di] + this.bits(DIST_EXTRA[di]);
+      if (dist > this.outLen) throw new Error('inflate: distance too far back');
+      this.ensure(len);
+      for (let i = 0; i < len; i++, this.outLen++) this.out[this.outLen] = this.out[this.outLen - dist];
+    }
+  }
+
+  run() {
+    let last = 0;
+    while (!last) {
+      last = this.bits(1);
+      const type = this.bits(2);
+      if (type === 0) this.stored();
+      else if (type === 1) this.codes(FIXED_LITERALS, FIXED_DISTANCES);
+      else if (type === 2) this.codes(...this.dynamicTables());
+      else throw new Error('inflate: invalid block type');
+    }
+    return this.out.subarray(0, this.outLen);
+  }
+}
+
+/**
+ * Decompress a raw DEFLATE stream.
+ * @param {Uint8Array} data
+ * @param {number} [expectedLength] output size hint
+ * @returns {Uint8Array}
+ */
+export function inflateRaw(data, expectedLength) {
+  return new Inflater(data, 0, expectedLength).run();
+}
+
+function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length; i++) {
+    a = (a + data[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Decompress a zlib stream (2-byte header, DEFLATE data, Adler-32 trailer).
+ * Throws on a bad header or checksum.
+ * @param {Uint8Array} data
+ * @param {number} [expectedLength] output size hint
+ * @returns {Uint8Array}
+ */
+export function inflate(data, expectedLength) {
+  if (data.length < 2 || (data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+    throw new Error('inflate: not a zlib stream');
+  }
+  if (data[1] & 0x20) throw new Error('inflate: preset dictionaries are not supported');
+  const inflater = new Inflater(data, 2, expectedLength);
+  const out = inflater.run();
+  const end = inflater.pos;
+  if (end + 4 <= data.length) {
+    const expected = ((data[end] << 24) | (data[end + 1] << 16) | (data[end + 2] << 8) | data[end + 3]) >>> 0;
+    if (expected !== adler32(out)) throw new Error('inflate: checksum mismatch');
+  }
+  return out;
+}
+
+export default inflate;
@@ -100,6 +100,9 @@ const KEMPSTON_CODE_MAP = Object.assign(Object.create(null), {
 // Space provides a natural PC alternative.
 const KEMPSTON_FIRE_CODES = new Set(['Space', 'Enter']);
 
+// Held to rewind gameplay (see Emulator.setRewinding); not a Spectrum key
+const REWIND_CODE = 'Backslash';
+
 /**
  * Check if an event target is an editable element (input, textarea, contenteditable).
  * When user is typing in such elements, keyboard events should not be captured by the emulator.
@@ -152,6 +155,10 @@ export default class Input {
     // Read by the IO adapter via port 0x1F.
     this.kempstonState = 0;
 
+    // Called with true/false as the rewind key is pressed and released
+    this.onRewind = null;
+    this._rewindHeld = false;
+
     // Clear seenKeyCodes on stop for clean state
     this._seenKeyCodes = new Map();
   }
@@ -260,6 +267,14 @@ export default class Input {
     if (this._debug) console.log('[Input] Keyboard listeners stopped');
   }
 
+  // The same key event can arrive through several listeners; report changes only
+  _setRewindHeld(e, held) {
+    e.preventDefault();
+    if (held === this._rewindHeld) return;
+    this._rewindHeld = held;
+    if (typeof this.onRewind === 'function') this.onRewind(held);
+  }
+
   // Reset all keys to released state
   reset() {
     for (let i = 0; i < 8; i++) this.matrix[i] = DEFAULT_ROW;
@@ -324,6 +339,11 @@ export default class Input {
       return; // Let the input/textarea handle the event
     }
 
+    if (e.code === REWIND_CODE) {
+      this._setRewindHeld(e, true);
+      return;
+    }
+
     // --- Kempston joystick: arrow keys set direction bits (return early) ---
     const kempstonBit = KEMPSTON_CODE_MAP[e.code];
     if (kempstonBit) {
@@ -411,6 +431,11 @@ export default class Input {
       return; // Let the input/textarea handle the event
     }
 
+    if (e.code === REWIND_CODE) {
+      this._setRewindHeld(e, false);
+      return;
+    }
+
     // --- Kempston joystick: arrow keys clear direction bits (return early) ---
     const kempstonBit = KEMPSTON_CODE_MAP[e.code];
     if (kempstonBit) {
@@ -1,6 +1,27 @@
 /* eslint-env browser */
 /* global fetch, console, setTimeout, clearTimeout, window, File, FileReader, DOMException */
 
+import { parseTZX } from './tzx.mjs';
+import { inflate } from './inflate.mjs';
+import { parseRZX } from './rzx.mjs';
+
+// SZX machine ids (ZXSTMID_*) grouped by the memory model that restores them
+const SZX_MACHINES = {
+  0: '48k', 1: '48k', 15: '48k',             // 16K, 48K, NTSC 48K
+  2: '128k', 3: '128k', 16: '128k',          // 128K, +2, 128Ke
+  4: 'plus3', 5: 'plus3', 6: 'plus3',        // +2A, +3, +3e
+  7: 'pentagon'                              // Pentagon 128
+};
+
+// Frame length of each .z80 machine family, the unit of the v3 T-state counter
+const Z80_FRAME_TSTATES = { '48k': 69888, '128k': 70908, plus3: 70908, pentagon: 71680 };
+
+// SZX joystick types (ZXJT_*), used by the JOY and KEYB chunks
+const SZX_JOYSTICKS = ['kempston', 'fuller', 'cursor', 'sinclair1', 'sinclair2', 'spectrumplus', 'timex1', 'timex2', 'none'];
+
+// Disk image extensions, opened by Emulator.insertDisk
+const DISK_EXTENSIONS = ['trd', 'scl', 'dsk', 'img', 'mmc'];
+
 export class Loader {
   /**
    * High-level file loader. Returns either an ArrayBuffer for plain ROMs
@@ -24,6 +45,26 @@ export class Loader {
       return this.parseTAP(buffer);
     }
 
+    if (ext === 'tzx') {
+      return this.parseTZX(buffer);
+    }
+
+    if (ext === 'sna') {
+      return this.parseSNA(buffer);
+    }
+
+    if (ext === 'szx') {
+      return this.parseSZX(buffer);
+    }
+
+    if (ext === 'rzx') {
+      return parseRZX(buffer);
+    }
+
+    if (DISK_EXTENSIONS.includes(ext)) {
+      return this.parseDisk(buffer, ext);
+    }
+
     // Fallback: return raw buffer
     return buffer;
   }
@@ -52,6 +93,33 @@ export class Loader {
     return out;
   }
 
+  /**
+   * Compress data with the Z80 snapshot RLE scheme understood by _z80Decompress.
+   * Runs of five or more equal bytes, and runs of two or more 0xED bytes, become
+   * ED ED NN VV. The byte after a lone 0xED is always written literally so an
+   * ED ED block can never start right behind it.
+   * @param {Uint8Array} src - Uncompressed data
+   * @returns {Uint8Array} Compressed data
+   */
+  static _z80Compress(src) {
+    const out = [];
+    let i = 0;
+    while (i < src.length) {
+      const b = src[i];
+      let run = 1;
+      while (i + run < src.length && src[i + run] === b && run < 255) run++;
+      if (run >= 5 || (b === 0xED && run >= 2)) {
+        out.push(0xED, 0xED, run, b);
+        i += run;
+        continue;
+      }
+      out.push(b);
+      i++;
+      if (b === 0xED && i < src.length) out.push(src[i++]);
+    }
+    return Uint8Array.from(out);
+  }
+
   /**
    * Full .z80 snapshot parser supporting v1, v2, and v3 formats.
    * Correctly handles header registers, version detection, RLE decompression,
@@ -109,6 +177,7 @@ export class Loader {
     let hwMode = 0;
     let dataOffset = 30;
     let snapTstates = 0; // T-state counter within the current frame (0 for v1)
+    let paging = null;   // 128K banks and paging registers (v2/v3 only)
 
     if (headerPC === 0 && len > 32) {
       // V2 or V3: extended header present
@@ -120,12 +189,10 @@ export class Loader {
 
       // Restore T-state counter from interrupt counter bytes (55-57).
       // Formula matches gasman/jsspeccy3 runtime/snapshot.js exactly:
-      //   tstateChunkSize = 69888 / 4 = 17472  (or 70908/4 for 128K/Pentagon)
+      //   tstateChunkSize = 69888 / 4 = 17472  (70908/4 for 128K, 71680/4 for Pentagon)
       //   tstates = (((b57+1)%4)+1)*chunkSize - (LE16(55)+1)
-      // For v2: hwMode < 3 means 48K; for v3: hwMode < 4 means 48K.
       if (len > 57) {
-        const is48K = version === 2 ? hwMode < 3 : hwMode < 4;
-        const tstateChunkSize = Math.floor((is48K ? 69888 : 70908) / 4);
+        const tstateChunkSize = Math.floor(Z80_FRAME_TSTATES[this._z80Machine(version, hwMode)] / 4);
         let t = (((dv.getUint8(57) + 1) % 4) + 1) * tstateChunkSize
                 - (dv.getUint16(55, true) + 1);
         if (t >= tstateChunkSize * 4 || t < 0) t = 0;
@@ -188,6 +255,7 @@ export class Loader {
 
       // delegate mapping to helper to keep parseZ80 smaller and easier to test
       this._mapZ80PagesToRam(pageMap, ramImage);
+      paging = this._z80Paging(dv, version, hwMode, pageMap);
     }
 
     // Diagnostic logging (temporary): report non-zero counts when debug flag set
@@ -205,11 +273,46 @@ export class Loader {
         registers: regs,
         version,
         hwMode,
-        tstates: snapTstates
+        tstates: snapTstates,
+        ...paging
       }
     };
   }
 
+  /**
+   * Machine family of a v2/v3 hardware mode byte ('48k', '128k', 'plus3' or 'pentagon').
+   * v2 numbers the 128K modes 3-4, v3 moved them to 4-6 and added the +3
+   * (7, 8), Pentagon (9), +2 (12) and +2A (13).
+   */
+  static _z80Machine(version, hwMode) {
+    if (version === 2) return (hwMode === 3 || hwMode === 4) ? '128k' : '48k';
+    if (hwMode === 7 || hwMode === 8 || hwMode === 13) return 'plus3';
+    if (hwMode === 9) return 'pentagon';
+    if ((hwMode >= 4 && hwMode <= 6) || hwMode === 12) return '128k';
+    return '48k';
+  }
+
+  /**
+   * For 128K snapshots return the eight RAM banks (pages 3-10), the 0x7FFD
+   * and 0x1FFD values and the AY registers; null for 48K snapshots.
+   */
+  static _z80Paging(dv, version, hwMode, pageMap) {
+    const machine = this._z80Machine(version, hwMode);
+    if (machine === '48k') return null;
+    const banks = [];
+    for (let b = 0; b < 8; b++) banks.push(pageMap.get(b + 3) || new Uint8Array(16384));
+    const extLen = dv.getUint16(30, true);
+    const ay = { registers: [], selected: dv.getUint8(38) & 0x0f };
+    for (let i = 0; i < 16; i++) ay.registers.push(dv.getUint8(39 + i));
+    return {
+      machine,
+      banks,
+      port7FFD: dv.getUint8(35),
+      port1FFD: (version === 3 && extLen >= 55) ? dv.getUint8(86) : 0,
+      ay
+    };
+  }
+
   /**
    * Map parsed Z80 page blocks into the linear 48K ramImage used by the
    * emulator.  Handles common 48K (.z80 v2) mappings and provides a
@@ -283,6 +386,49 @@ export class Loader {
     return { type: 'tap', blocks };
   }
 
+  /**
+   * Serialise TAP blocks ([flag, data..., checksum] each) into a .tap file:
+   * every block is prefixed with its 16-bit little-endian length.
+   * @param {Array<Uint8Array>} blocks
+   * @returns {Uint8Array}
+   */
+  static buildTAP(blocks) {
+    const total = blocks.reduce((n, b) => n + 2 + b.length, 0);
+    const out = new Uint8Array(total);
+    let off = 0;
+    for (const block of blocks) {
+      out[off] = block.length & 0xff;
+      out[off + 1] = (block.length >> 8) & 0xff;
+      out.set(block, off + 2);
+      off += 2 + block.length;
+    }
+    return out;
+  }
+
+  /**
+   * Wrap a disk image for Emulator.insertDisk. The image stays as bytes
+   * (so it can be passed to a worker) and is opened when inserted.
+   * SD card images (.img, .mmc) for the DivMMC must start with a partition
+   * table or a FAT boot sector, both of which end in 0x55 0xAA.
+   * @param {ArrayBuffer|Uint8Array} arrayBuffer
+   * @param {string} format - 'trd', 'scl', 'dsk', 'img' or 'mmc'
+   * @returns {{type: 'disk', format: string, data: Uint8Array}}
+   */
+  static parseDisk(arrayBuffer, format) {
+    const data = arrayBuffer instanceof Uint8Array ? arrayBuffer : new Uint8Array(arrayBuffer);
+    const fmt = String(format).toLowerCase();
+    if (!DISK_EXTENSIONS.includes(fmt)) throw new Error(`Loader: unknown disk image format "${format}"`);
+    const signature = String.fromCharCode(...data.subarray(0, 8));
+    if (fmt === 'scl' && signature !== 'SINCLAIR') throw new Error('Loader: not an SCL disk image');
+    if (fmt === 'dsk' && signature !== 'MV - CPC' && signature !== 'EXTENDED') {
+      throw new Error('Loader: not a DSK disk image');
+    }
+    if ((fmt === 'img' || fmt === 'mmc') && (data[510] !== 0x55 || data[511] !== 0xaa)) {
+      throw new Error('Loader: not an SD card image (no boot sector signature)');
+    }
+    return { type: 'disk', format: fmt, data };
+  }
+
   /** Attach a file input element and callback. The callback receives the
    * parsed result (ArrayBuffer or object).
    */
@@ -306,6 +452,20 @@ export class Loader {
     });
   }
 
+  /** Offer bytes as a file download (browser only); false elsewhere */
+  static downloadBytes(bytes, fileName) {
+    if (typeof document === 'undefined' || typeof Blob === 'undefined' || typeof URL === 'undefined') return false;
+    const url = URL.createObjectURL(new Blob([bytes], { type: 'application/octet-stream' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  }
+
   /** Enable drag-and-drop on a DOM element. onLoad receives parsed result and file. */
   static attachDragDrop(el, onLoad) {
     el.addEventListener('dragover', (e) => { e.preventDefault(); e.dataTransfer.dropEffect = 'copy'; });
@@ -448,61 +608,241 @@ export class Loader {
   }
 
   /**
-   * Minimal TZX parser stub. Returns the raw buffer as a TZX object.
-   * Full TZX parsing can be added later.
+   * Parse a TZX tape image into block descriptors for the tape deck.
+   * See src/tzx.mjs for the block types produced.
    * @param {ArrayBuffer} arrayBuffer
-   * @returns {{ type: 'tzx', blocks: null, raw: ArrayBuffer }}
+   * @returns {{ type: 'tzx', version: string|null, blocks: Array<Object>, archiveInfo: Object|null, hardware: Array<Object>, raw: ArrayBuffer }}
    */
   static parseTZX(arrayBuffer) {
-    // TZX header signature: "ZXTape!\x1A" (8 bytes)
+    return parseTZX(arrayBuffer);
+  }
+
+  /**
+   * Parse a .sna snapshot (48K or 128K).
+   *
+   * Layout: a 27-byte register header followed by the 48K RAM image
+   * (0x4000-0xFFFF). 48K snapshots were taken inside an interrupt, so PC is
+   * on the stack and is popped here. 128K snapshots follow the 48K image with
+   * PC, the 0x7FFD value, a TR-DOS paged flag and the remaining RAM banks in
+   * ascending order (the 48K image holds banks 5, 2 and the paged bank).
+   *
+   * @param {ArrayBuffer} arrayBuffer
+   * @returns {{ rom: null, snapshot: { ram: Uint8Array|null, registers: Object, machine: string, banks?: Array<Uint8Array>, port7FFD?: number, trdos?: boolean } }}
+   */
+  static parseSNA(arrayBuffer) {
     const buf = new Uint8Array(arrayBuffer);
-    const header = String.fromCharCode(...buf.slice(0, 7));
+    const PAGE_SIZE = 16384;
+    const HEADER_SIZE = 27;
+    const RAM_48K = 3 * PAGE_SIZE;
 
-    if (header !== 'ZXTape!') {
-      console.warn('[Loader] TZX header not found, treating as raw');
+    if (buf.length < HEADER_SIZE + RAM_48K) {
+      console.warn('[Loader] .sna too short:', buf.length, 'bytes');
+      return { rom: null, snapshot: { ram: null, registers: {}, machine: '48k' } };
     }
 
-    // For now, return raw buffer. Full parsing can be added later.
-    return { type: 'tzx', blocks: null, raw: arrayBuffer };
+    const dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    const regs = this._snaRegisters(dv);
+    const ram = buf.slice(HEADER_SIZE, HEADER_SIZE + RAM_48K);
+    const snapshot = { ram, registers: regs, machine: '48k' };
+
+    const ext = HEADER_SIZE + RAM_48K;
+    if (buf.length >= ext + 4) {
+      // 128K: PC is stored explicitly, followed by the paging state and the other banks
+      snapshot.machine = '128k';
+      regs.PC = dv.getUint16(ext, true);
+      snapshot.port7FFD = buf[ext + 2];
+      snapshot.trdos = buf[ext + 3] !== 0;
+      snapshot.banks = this._snaBanks(buf, ram, snapshot.port7FFD & 0x07, ext + 4);
+    } else {
+      // 48K: RETN from the interrupt the snapshot was taken in
+      const sp = regs.SP;
+      if (sp >= 0x4000 && sp < 0xffff) {
+        regs.PC = ram[sp - 0x4000] | (ram[sp - 0x4000 + 1] << 8);
+        regs.SP = (sp + 2) & 0xffff;
+      }
+    }
+
+    return { rom: null, snapshot };
+  }
+
+  /** Decode the 27-byte .sna register header */
+  static _snaRegisters(dv) {
+    const iff = (dv.getUint8(19) & 0x04) !== 0;
+    return {
+      I: dv.getUint8(0),
+      L2: dv.getUint8(1), H2: dv.getUint8(2),
+      E2: dv.getUint8(3), D2: dv.getUint8(4),
+      C2: dv.getUint8(5), B2: dv.getUint8(6),
+      F2: dv.getUint8(7), A2: dv.getUint8(8),
+      L: dv.getUint8(9), H: dv.getUint8(10),
+      E: dv.getUint8(11), D: dv.getUint8(12),
+      C: dv.getUint8(13), B: dv.getUint8(14),
+      IY: dv.getUint16(15, true),
+      IX: dv.getUint16(17, true),
+      IFF1: iff,
+      IFF2: iff,
+      R: dv.getUint8(20),
+      F: dv.getUint8(21), A: dv.getUint8(22),
+      SP: dv.getUint16(23, true),
+      IM: dv.getUint8(25) & 0x03,
+      borderColor: dv.getUint8(26) & 0x07
+    };
   }
 
   /**
-   * Minimal .sna parser supporting classic 48K snapshots.
-   * Many .sna files include a 27-byte CPU register header followed by 48K RAM.
-   * This parser defensively extracts the last 48K as RAM and reads SP when
-   * available. It keeps parsing simple and forgiving.
+   * Rebuild the eight 128K RAM banks from a .sna: banks 5, 2 and the paged
+   * bank come from the 48K image, the rest follow in ascending order. When
+   * bank 5 or 2 is paged it is stored twice, and the copy is skipped.
    */
-  static parseSNA(arrayBuffer) {
-    const buf = new Uint8Array(arrayBuffer);
-    const len = buf.length;
-    const RAM_SIZE = 48 * 1024;
+  static _snaBanks(buf, ram, pagedBank, offset) {
+    const PAGE_SIZE = 16384;
+    const banks = new Array(8).fill(null);
+    banks[5] = ram.slice(0, PAGE_SIZE);
+    banks[2] = ram.slice(PAGE_SIZE, 2 * PAGE_SIZE);
+    banks[pagedBank] = ram.slice(2 * PAGE_SIZE, 3 * PAGE_SIZE);
+    let pos = offset;
+    for (let b = 0; b < 8; b++) {
+      if (b === 5 || b === 2 || b === pagedBank) continue;
+      const bank = new Uint8Array(PAGE_SIZE);
+      bank.set(buf.subarray(pos, Math.min(pos + PAGE_SIZE, buf.length)));
+      banks[b] = bank;
+      pos += PAGE_SIZE;
+    }
+    return banks;
+  }
 
-    let ramImage = null;
-    if (len >= RAM_SIZE) {
-      ramImage = buf.subarray(len - RAM_SIZE, len);
+  /**
+   * Parse a .szx (ZX-State) snapshot.
+   *
+   * The file is an 8-byte "ZXST" header (version, machine id, flags) followed
+   * by chunks of a 4-character id and a 32-bit length. Recognised chunks:
+   * Z80R (CPU, T-state position, HALT), SPCR (border, 0x7FFD, 0x1FFD),
+   * RAMP (one 16K RAM page, optionally zlib-compressed), AY, KEYB, JOY and
+   * ROM (a custom ROM image). Other chunks are skipped.
+   *
+   * @param {ArrayBuffer} arrayBuffer
+   * @returns {{ rom: null, snapshot: { format: 'szx', machine: string, ram: Uint8Array|null, registers: Object, banks?: Array<Uint8Array>, port7FFD?: number, port1FFD?: number, tstates: number, halted: boolean, ay?: Object, ayMode?: string, keyboard?: Object, joystick?: Object, customRom?: Uint8Array } }}
+   */
+  static parseSZX(arrayBuffer) {
+    const buf = new Uint8Array(arrayBuffer);
+    if (buf.length < 8 || String.fromCharCode(...buf.subarray(0, 4)) !== 'ZXST') {
+      console.warn('[Loader] .szx header not found');
+      return { rom: null, snapshot: { format: 'szx', ram: null, registers: {}, machine: '48k' } };
     }
 
-    const regs = {};
-    try {
-      const dv = new DataView(arrayBuffer);
-      // SP in many .sna variants is stored at offsets 0x1A-0x1B (little-endian)
-      if (len >= 0x1C) {
-        regs.SP = dv.getUint16(0x1A, true);
+    const machineId = buf[6];
+    const machine = SZX_MACHINES[machineId];
+    if (!machine) console.warn('[Loader] .szx machine id', machineId, 'is not supported, restoring as 48K');
+    const snapshot = { format: 'szx', version: `${buf[4]}.${buf[5]}`, machineId, machine: machine || '48k', registers: {}, tstates: 0, halted: false };
+    const pages = new Map();
+
+    let pos = 8;
+    while (pos + 8 <= buf.length) {
+      const id = String.fromCharCode(...buf.subarray(pos, pos + 4)).replace(/\0+$/, '');
+      const size = new DataView(buf.buffer, buf.byteOffset + pos + 4, 4).getUint32(0, true);
+      const body = buf.subarray(pos + 8, Math.min(pos + 8 + size, buf.length));
+      try {
+        this._szxReadChunk(snapshot, pages, id, body);
+      } catch (e) {
+        console.warn(`[Loader] .szx chunk ${id} at offset ${pos} could not be read:`, e.message);
       }
-      // Some variants include I and R at offsets 0x00 and 0x11 (best-effort)
-      if (len >= 1) regs.I = dv.getUint8(0x00);
-      if (len >= 0x12) regs.R = dv.getUint8(0x11);
-    } catch (e) {
-      // ignore parsing errors
+      pos += 8 + size;
     }
 
-    return {
-      rom: null,
-      snapshot: {
-        ram: ramImage ? new Uint8Array(ramImage) : null,
-        registers: regs
+    this._szxMemory(snapshot, pages);
+    return { rom: null, snapshot };
+  }
+
+  /** Decode one SZX chunk body into the snapshot being built */
+  static _szxReadChunk(snapshot, pages, id, body) {
+    const dv = new DataView(body.buffer, body.byteOffset, body.byteLength);
+    switch (id) {
+      case 'Z80R':
+        this._szxRegisters(snapshot, dv);
+        break;
+      case 'SPCR':
+        snapshot.registers.borderColor = body[0] & 0x07;
+        snapshot.port7FFD = body[1];
+        snapshot.port1FFD = body[2];
+        break;
+      case 'RAMP': {
+        const data = body.subarray(3);
+        pages.set(body[2], (dv.getUint16(0, true) & 0x01) ? inflate(data, 16384) : data.slice(0, 16384));
+        break;
+      }
+      case 'AY':
+        this._szxAy(snapshot, body);
+        break;
+      case 'KEYB':
+        snapshot.keyboard = { issue2: (dv.getUint32(0, true) & 0x01) !== 0, joystick: this._szxJoystick(body[4]) };
+        break;
+      case 'JOY':
+        snapshot.joystick = { player1: this._szxJoystick(body[4]), player2: this._szxJoystick(body[5]) };
+        break;
+      case 'ROM': {
+        const data = body.subarray(6);
+        snapshot.customRom = (dv.getUint16(0, true) & 0x01) ? inflate(data, dv.getUint32(2, true)) : data.slice();
+        break;
       }
+      default:
+        break; // CRTR and chunks for hardware we do not emulate
+    }
+  }
+
+  /** Decode an AY chunk: interface flags, selected register and the 16 registers */
+  static _szxAy(snapshot, body) {
+    snapshot.ay = { registers: Array.from(body.subarray(2, 18)), selected: body[1] & 0x0f };
+    // A 128-style AY on a 48K machine is a Melodik-type add-on
+    if (body[0] & 0x01) snapshot.ayMode = 'fuller';
+    else snapshot.ayMode = snapshot.machine === '48k' ? 'melodik' : '128';
+  }
+
+  static _szxJoystick(type) {
+    return SZX_JOYSTICKS[type] || 'none';
+  }
+
+  /** Decode a ZXSTZ80REGS chunk: register pairs are stored low byte first */
+  static _szxRegisters(snapshot, dv) {
+    const regs = snapshot.registers;
+    const pair = (offset, hi, lo) => { regs[lo] = dv.getUint8(offset); regs[hi] = dv.getUint8(offset + 1); };
+    pair(0, 'A', 'F'); pair(2, 'B', 'C'); pair(4, 'D', 'E'); pair(6, 'H', 'L');
+    pair(8, 'A2', 'F2'); pair(10, 'B2', 'C2'); pair(12, 'D2', 'E2'); pair(14, 'H2', 'L2');
+    regs.IX = dv.getUint16(16, true);
+    regs.IY = dv.getUint16(18, true);
+    regs.SP = dv.getUint16(20, true);
+    regs.PC = dv.getUint16(22, true);
+    regs.I = dv.getUint8(24);
+    regs.R = dv.getUint8(25);
+    regs.IFF1 = dv.getUint8(26) !== 0;
+    regs.IFF2 = dv.getUint8(27) !== 0;
+    regs.IM = dv.getUint8(28) & 0x03;
+    snapshot.tstates = dv.getUint32(29, true);
+    const flags = dv.getUint8(34);
+    snapshot.eiPending = (flags & 0x01) !== 0;
+    snapshot.halted = (flags & 0x02) !== 0;
+  }
+
+  /**
+   * Build the 48K RAM view from the collected RAMP pages (banks 5, 2 and the
+   * bank paged at 0xC000) and, on 128K models, the eight RAM banks.
+   */
+  static _szxMemory(snapshot, pages) {
+    const PAGE_SIZE = 16384;
+    const bank = (b) => {
+      const page = new Uint8Array(PAGE_SIZE);
+      if (pages.has(b)) page.set(pages.get(b).subarray(0, PAGE_SIZE));
+      return page;
     };
+    const banked = snapshot.machine !== '48k';
+    const paged = banked ? (snapshot.port7FFD || 0) & 0x07 : 0;
+    snapshot.ram = new Uint8Array(3 * PAGE_SIZE);
+    snapshot.ram.set(bank(5), 0);
+    snapshot.ram.set(bank(2), PAGE_SIZE);
+    snapshot.ram.set(bank(paged), 2 * PAGE_SIZE);
+    if (banked) {
+      snapshot.banks = [];
+      for (let b = 0; b < 8; b++) snapshot.banks.push(bank(b));
+    }
   }
 
   /**
@@ -579,6 +919,18 @@ export class Loader {
       return this.parseSNA(arrayBuffer);
     }
 
+    if (ext === 'szx') {
+      return this.parseSZX(arrayBuffer);
+    }
+
+    if (ext === 'rzx') {
+      return parseRZX(arrayBuffer);
+    }
+
+    if (DISK_EXTENSIONS.includes(ext)) {
+      return this.parseDisk(arrayBuffer, ext);
+    }
+
     // Unknown format: return raw
     return { type: 'unknown', raw: arrayBuffer };
   }
@@ -0,0 +1,208 @@
+/**
+ * Headless machine: the emulator core with no DOM, canvas or Web Audio, for
+ * Node scripts, CI checks and bots.
+ *
+ *   import { createMachine } from './src/machine.mjs';
+ *   const machine = await createMachine({ model: '48k' });
+ *   machine.runFrames(150);                  // boot to the copyright message
+ *   machine.pressKey('j');
+ *   machine.runFrames(2);
+ *   machine.releaseKey('j');
+ *   const rgba = machine.getScreenRGBA();    // SCREEN_WIDTH x SCREEN_HEIGHT, border included
+ *
+ * The Emulator underneath runs with { headless: true }, which also keeps the
+ * core's diagnostic console output off (pass diagnostics: true for it), and
+ * is reachable as machine.emulator for anything this facade does not cover
+ * (debugger, snapshots, RZX, memory).
+ */
+
+import { Emulator } from './main.mjs';
+import { OUTPUT_WIDTH, OUTPUT_HEIGHT } from './frameBuffer.mjs';
+import spec48 from './roms/spec48.js';
+
+export const SCREEN_WIDTH = OUTPUT_WIDTH;
+export const SCREEN_HEIGHT = OUTPUT_HEIGHT;
+
+// Frames a typed key is held and then left up; the ROM only takes the same
+// key again once it has been up for 5 frames
+const KEY_HOLD_FRAMES = 3;
+const KEY_GAP_FRAMES = 8;
+
+// Characters typed with Symbol Shift, by the key they sit on
+const SYMBOL_KEYS = {
+  '!': '1', '@': '2', '#': '3', '$': '4', '%': '5', '&': '6', "'": '7', '(': '8', ')': '9', '_': '0',
+  '<': 'r', '>': 't', ';': 'o', '"': 'p', '=': 'l', '+': 'k', '-': 'j', '^': 'h',
+  ':': 'z', '£': 'x', '?': 'c', '/': 'v', '*': 'b', ',': 'n', '.': 'm'
+};
+
+/** Keys to hold down together for one character of text, or null when it has none */
+export function keysForChar(ch) {
+  if (ch === '\n' || ch === '\r') return ['enter'];
+  if (ch === ' ') return ['space'];
+  if (/^[a-z0-9]$/.test(ch)) return [ch];
+  if (/^[A-Z]$/.test(ch)) return ['shift', ch.toLowerCase()];
+  return SYMBOL_KEYS[ch] ? ['symshift', SYMBOL_KEYS[ch]] : null;
+}
+
+function toArrayBuffer(data) {
+  if (data instanceof ArrayBuffer) return data;
+  if (ArrayBuffer.isView(data)) return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  throw new Error('Machine: expected an ArrayBuffer or Uint8Array');
+}
+
+export class Machine {
+  /**
+   * Use createMachine(), which also builds the core.
+   * @param {Object} [opts] - { rom, model, ...EmulatorOptions }; rom defaults to the
+   *   bundled 48K ROM, which also stands in for the ROMs of the 128K models
+   */
+  constructor(opts = {}) {
+    const { rom = null, ...emulatorOpts } = opts;
+    this.emulator = new Emulator({ ...emulatorOpts, headless: true });
+    this.rom = rom ? new Uint8Array(toArrayBuffer(rom)) : spec48.bytes;
+    this.frames = 0;
+  }
+
+  async _init() {
+    const emu = this.emulator;
+    emu.romBuffer = this.rom;
+    await emu._rebuildCoreForModel(emu.model);
+    emu.cpu.reset();
+    emu._applyInputToULA();
+    return this;
+  }
+
+  /**
+   * Run n frames of 1/50 s; stops early at a debugger break, in which case
+   * the next call finishes the interrupted frame. Returns the frames completed.
+   */
+  runFrames(n = 1) {
+    const emu = this.emulator;
+    let run = 0;
+    for (let i = 0; i < n && !emu.debugger.paused; i++) {
+      emu._processFrame();
+      if (!emu.debugger.paused) run++;
+    }
+    this.frames += run;
+    return run;
+  }
+
+  /**
+   * Stop the machine when the CPU is about to execute the instruction at
+   * address: runFrames (and typeText) run no further until resume().
+   */
+  stopAt(address) {
+    this.emulator.debugger.runTo(address);
+  }
+
+  /** Whether the address given to stopAt() has been reached */
+  get stopped() {
+    const dbg = this.emulator.debugger;
+    return dbg.paused && !!dbg.lastBreak && dbg.lastBreak.reason === 'run-to-cursor';
+  }
+
+  /** Run on from a stop, or drop a stopAt() address not reached yet */
+  resume() {
+    this.emulator.debugger.continue();
+  }
+
+  /**
+   * Run until the CPU is about to execute the instruction at address, for at
+   * most maxFrames frames. The machine can run on from there afterwards.
+   * @returns {boolean} whether the address was reached
+   */
+  runUntilPC(address, maxFrames = 1) {
+    this.stopAt(address);
+    this.runFrames(maxFrames);
+    const reached = this.stopped;
+    this.resume();
+    return reached;
+  }
+
+  /**
+   * Hold a key down until releaseKey(). Names as on the keyboard matrix:
+   * 'a'-'z', '0'-'9', 'enter', 'space', 'shift', 'symshift'.
+   * @returns {boolean} false for an unknown key
+   */
+  pressKey(name) {
+    const ok = this.emulator.input.pressKey(name);
+    this.emulator._applyInputToULA();
+    return ok;
+  }
+
+  releaseKey(name) {
+    const ok = this.emulator.input.releaseKey(name);
+    this.emulator._applyInputToULA();
+    return ok;
+  }
+
+  /**
+   * Type text as keystrokes, running frames while each key is held and
+   * released. Keystrokes mean what they would on the keyboard: with the 48K
+   * ROM in K mode, 'j' gives LOAD. '\n' is ENTER, capitals use Caps Shift and
+   * symbols Symbol Shift.
+   * @returns {number} the frames run
+   */
+  typeText(text) {
+    const start = this.frames;
+    for (const ch of String(text)) {
+      const keys = keysForChar(ch);
+      if (!keys) throw new Error(`Machine: no key types ${JSON.stringify(ch)}`);
+      keys.forEach(k => this.pressKey(k));
+      this.runFrames(KEY_HOLD_FRAMES);
+      keys.forEach(k => this.releaseKey(k));
+      this.runFrames(KEY_GAP_FRAMES);
+    }
+    return this.frames - start;
+  }
+
+  /**
+   * Insert a .tap/.tzx tape, or load a .z80/.sna/.szx snapshot or .rzx
+   * recording, from its bytes. Tapes start playing on the deck at once and
+   * the ROM reads them in real time, 50 frames to a second of tape, so type
+   * LOAD "" and run enough frames; play: false only inserts the tape.
+   * @param {ArrayBuffer|Uint8Array} data
+   * @param {Object} [opts] - { fileName, play }; the file name's extension picks the format
+   */
+  async loadTape(data, opts = {}) {
+    const { fileName = 'tape.tap', play = true } = opts;
+    const result = await this.emulator.injectTape(toArrayBuffer(data), { fileName, realtime: play, autoStart: false });
+    if (!result.success) throw new Error(`Machine: ${fileName} could not be loaded: ${result.message}`);
+  }
+
+  /** The screen and border as RGBA bytes, SCREEN_WIDTH x SCREEN_HEIGHT */
+  getScreenRGBA() {
+    const emu = this.emulator;
+    emu._renderFromMemory();
+    return emu.ula.frameRenderer.imageData.data.slice();
+  }
+
+  /** Plain-data view of the machine: registers, timing, paging, border and tape deck */
+  getState() {
+    const emu = this.emulator;
+    const cpu = emu.cpu;
+    const mem = emu.memory;
+    return {
+      model: emu.model,
+      frames: this.frames,
+      tstates: cpu.tstates,
+      instructionCount: cpu.instructionCount,
+      registers: emu._captureRegisters(),
+      halted: !!cpu.halted,
+      paging: mem.hasPaging() ? { port7FFD: mem.port7FFD, port1FFD: mem.port1FFD } : null,
+      border: emu.ula.border & 0x07,
+      tape: { loaded: emu.tape.hasTape(), playing: emu.tape.isPlaying(), block: emu.tape.getPosition() }
+    };
+  }
+}
+
+/**
+ * Build a headless machine, booting from the reset vector.
+ * @param {Object} [opts] - { rom, model } plus any EmulatorOptions
+ * @returns {Promise<Machine>}
+ */
+export async function createMachine(opts = {}) {
+  return new Machine(opts)._init();
+}
+
+export default createMachine;
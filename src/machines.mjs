@@ -0,0 +1,133 @@
+/**
+ * Machine profiles: the per-model timings and hardware quirks the core is
+ * built from. The Emulator looks its model up here and hands the profile
+ * to Memory (contention), the ULA and FrameBuffer (raster geometry), Sound
+ * (frame length) and its own frame loop (frame length, interrupt window,
+ * floating bus, I/O contention).
+ *
+ * Figures are in CPU T-states. firstContended follows Memory's convention
+ * of one T-state later than the value usually quoted (14335 on the 48K),
+ * which is where this core's contention table lines up with real machines.
+ *
+ * Reference: "The ZX Spectrum ULA" by Chris Smith, and the World of
+ * Spectrum / Sinclair Wiki timing pages for the 128K and +2A/+3.
+ */
+
+// Per 8 T-state group contention delays during the pixel fetch
+export const CONTENTION_PATTERN_48K = [6, 5, 4, 3, 2, 1, 0, 0];
+export const CONTENTION_PATTERN_PLUS3 = [1, 0, 7, 6, 5, 4, 3, 2];
+
+/**
+ * @typedef {Object} MachineProfile
+ * @property {string} id - model id, as passed in EmulatorOptions.model
+ * @property {string} name - display name
+ * @property {string} memory - memory map for Memory.configureBanks
+ * @property {number} clockHz - CPU clock
+ * @property {number} tstatesPerFrame - T-states from one interrupt to the next
+ * @property {number} linesPerFrame - scanlines per frame, border and retrace included
+ * @property {number} tstatesPerLine - T-states per scanline
+ * @property {number} firstPixelLine - scanline of the first line of the 192-line display
+ * @property {number} firstContended - frame T-state of the first contended cycle
+ * @property {number[]|null} contentionPattern - delays per 8 T-state group, null when
+ *   memory is never contended
+ * @property {boolean} ioContention - whether I/O cycles are contended like memory
+ * @property {number} interruptLength - T-states the ULA holds INT low each frame
+ * @property {'ula'|'none'} floatingBus - what an idle even port returns during the
+ *   display: the byte the ULA is fetching, or always 0xFF
+ * @property {string[]} roms - romManager ids of the default ROM image(s), ROM 0 first
+ * @property {boolean} ay - built-in AY sound chip
+ * @property {boolean} [pagingLock] - bit 5 of port 0x7FFD locks paging until reset
+ *   (default true)
+ * @property {boolean} [trdos] - ROM bank 2 is a TR-DOS ROM slot
+ * @property {boolean} [upd765] - built-in uPD765 floppy controller (ports 0x2FFD/0x3FFD)
+ */
+
+const TIMING_48K = {
+  clockHz: 3500000,
+  tstatesPerFrame: 69888,
+  linesPerFrame: 312,
+  tstatesPerLine: 224,
+  firstPixelLine: 64,
+  firstContended: 14336,
+  contentionPattern: CONTENTION_PATTERN_48K,
+  ioContention: true,
+  interruptLength: 32,
+  floatingBus: 'ula'
+};
+
+const TIMING_128K = {
+  clockHz: 3546900,
+  tstatesPerFrame: 70908,
+  linesPerFrame: 311,
+  tstatesPerLine: 228,
+  firstPixelLine: 63,
+  firstContended: 14362,
+  contentionPattern: CONTENTION_PATTERN_48K,
+  ioContention: true,
+  interruptLength: 36,
+  floatingBus: 'ula'
+};
+
+// The +2A/+3 gate array: 128K frame, its own contention pattern, no I/O
+// contention and no floating bus on unattached ports
+const TIMING_PLUS3 = {
+  ...TIMING_128K,
+  firstContended: 14366,
+  contentionPattern: CONTENTION_PATTERN_PLUS3,
+  ioContention: false,
+  interruptLength: 32,
+  floatingBus: 'none'
+};
+
+// The Pentagon 128 clone: 320 lines of 224 T-states at 3.5 MHz, with 80
+// lines (blanking and border) from the interrupt to the first paper line.
+// Nothing is contended, so firstContended only marks the first paper
+// fetch, 68 T-states into line 80.
+const TIMING_PENTAGON = {
+  clockHz: 3500000,
+  tstatesPerFrame: 71680,
+  linesPerFrame: 320,
+  tstatesPerLine: 224,
+  firstPixelLine: 80,
+  firstContended: 17988,
+  contentionPattern: null,
+  ioContention: false,
+  interruptLength: 32,
+  floatingBus: 'none'
+};
+
+/** @type {Object<string, MachineProfile>} */
+export const MACHINES = {
+  '16k': { id: '16k', name: 'ZX Spectrum 16K', memory: '16k', ...TIMING_48K, roms: ['spec48'], ay: false },
+  '48k': { id: '48k', name: 'ZX Spectrum 48K', memory: '48k', ...TIMING_48K, roms: ['spec48'], ay: false },
+  '128k': { id: '128k', name: 'ZX Spectrum 128K', memory: '128k', ...TIMING_128K, roms: ['spec128'], ay: true },
+  plus2: { id: 'plus2', name: 'ZX Spectrum +2', memory: '128k', ...TIMING_128K, roms: ['plus2'], ay: true },
+  plus2a: { id: 'plus2a', name: 'ZX Spectrum +2A', memory: 'plus2a', ...TIMING_PLUS3, roms: ['plus2a'], ay: true },
+  plus3: { id: 'plus3', name: 'ZX Spectrum +3', memory: 'plus3', ...TIMING_PLUS3, roms: ['plus3'], ay: true, upd765: true },
+  pentagon: {
+    id: 'pentagon', name: 'Pentagon 128', memory: 'pentagon', ...TIMING_PENTAGON,
+    roms: ['pentagon'], ay: true, pagingLock: false, trdos: true
+  }
+};
+
+const ALIASES = { '+2': 'plus2', '+2a': 'plus2a', '+3': 'plus3' };
+
+/**
+ * Look up a model's profile; '+2', '+2a' and '+3' are accepted for the
+ * plus models.
+ * @param {string} model
+ * @returns {MachineProfile}
+ */
+export function getMachine(model) {
+  const key = String(model || '48k').toLowerCase();
+  const profile = MACHINES[ALIASES[key] || key];
+  if (!profile) throw new Error(`Machines: unknown model "${model}" (${Object.keys(MACHINES).join(', ')})`);
+  return profile;
+}
+
+/** All profiles, in the order of MACHINES */
+export function listMachines() {
+  return Object.values(MACHINES);
+}
+
+export default MACHINES;
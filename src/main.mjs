@@ -9,10 +9,41 @@ import { Memory } from './memory.mjs';
 import { ULA } from './ula.mjs';
 import Input, { KEY_TO_POS } from './input.mjs';
 import { Sound } from './sound.mjs';
+import { TapePlayer } from './tape.mjs';
+import { buildSnapshot } from './snapshotWriter.mjs';
+import { Debugger } from './debugger.mjs';
+import { WatchpointManager } from './watchpoints.mjs';
+import { disassemble, disassembleRange, formatInstruction } from './disassembler.mjs';
+import { InstructionHistory } from './history.mjs';
+import { RewindBuffer } from './rewind.mjs';
+import { parseRZX, RzxPlayer, RzxRecorder } from './rzx.mjs';
+import { getMachine } from './machines.mjs';
+import { Beta128 } from './beta128.mjs';
+import { TRDDisk } from './trdos.mjs';
+import { UPD765 } from './upd765.mjs';
+import { DSKDisk } from './dsk.mjs';
+import { DivMMC } from './divmmc.mjs';
+import { SDCard } from './sdcard.mjs';
 import * as DebugUI from './debug-ui.mjs';
 
-const TSTATES_PER_FRAME = 69888; // ZX Spectrum 50Hz frame
-const FRAME_MS = 1000 / 50; // 20ms
+// Disk formats that are SD card images for the DivMMC rather than floppies
+const isCardImage = (format) => format === 'img' || format === 'mmc';
+
+const FRAME_MS = 1000 / 50; // 20ms, until a machine profile gives the real length
+// Speed range for setSpeed (percent of real time); the beeper keeps its
+// pitch from MIN_AUDIBLE_SPEED to MAX_AUDIBLE_SPEED and is muted outside
+const MIN_SPEED = 10;
+const MAX_SPEED = 1000;
+const MIN_AUDIBLE_SPEED = 0.5;
+const MAX_AUDIBLE_SPEED = 2;
+// Wall-clock time per display refresh spent running frames at max speed
+const MAX_SPEED_BUDGET_MS = 12;
+
+// 48K ROM tape save routine (also ROM 1 on the 128K models) and its shared
+// exit, which restores the border and checks BREAK before returning
+const SA_BYTES = 0x04c2;
+const SA_BYTES_SIGNATURE = [0x21, 0x3f, 0x05, 0xe5]; // LD HL,SA/LD-RET : PUSH HL
+const SA_LD_RET = 0x053f;
 
 export class Emulator {
   /**
@@ -21,18 +52,63 @@ export class Emulator {
    * @property {HTMLElement|object} [statusEl]
    * @property {HTMLInputElement|object} [romInput]
    * @property {ArrayBuffer|Uint8Array} [romBuffer]
+   * @property {string} [model] Memory model: '16k', '48k' (default), '128k', 'plus2', 'plus2a', 'plus3', 'pentagon'
+   * @property {string} [ayInterface] AY add-on for 48K models: 'none' (default), 'melodik', 'fuller'
+   * @property {boolean} [kempston] Kempston joystick interface (default true)
+   * @property {number} [kempstonPort] Low byte of the Kempston port (default 0x1F, which
+   *   the Beta 128 interface takes over while TR-DOS is paged in)
+   * @property {boolean} [beta128] Beta 128 disk interface with TR-DOS (default: on the
+   *   Pentagon only; not available on the +2A/+3)
+   * @property {boolean} [divmmc] DivMMC interface with SD card slots (default false);
+   *   automap needs an esxDOS ROM, see loadDivMMCROM
+   * @property {boolean} [tapeSaveTrap] Capture ROM SAVEs into an in-memory TAP (default true)
+   * @property {boolean} [headless] No DOM lookups, keyboard listeners or window/global debug
+   *   hooks; the screen is rendered off-screen (see src/machine.mjs)
+   * @property {boolean} [diagnostics] Diagnostic console.log output from the core (boot,
+   *   ROM loading, per-frame and interrupt traces); default true, false when headless
+   * @property {function(Float32Array)} [onSamples] Receives each frame's PCM instead of
+   *   Web Audio playing it (see Sound.onSamples)
+   * @property {boolean} [autoTurbo] Run at max speed while the tape deck plays (default true)
+   * @property {boolean} [audioWorklet] Play through an AudioWorklet whose ring buffer paces
+   *   the frames (default true where supported; see src/soundWorklet.mjs)
    */
   /**
    * @param {EmulatorOptions} [opts]
    */
   constructor(opts = {}) {
-    this.canvas = opts.canvas || (typeof document !== 'undefined' ? document.getElementById('screen') : null);
-    this.statusEl = opts.statusEl || (typeof document !== 'undefined' ? document.getElementById('status') : null);
-    this.romInput = opts.romInput || (typeof document !== 'undefined' ? document.getElementById('romFile') : null);
-    console.log('[Emulator] constructor: canvas', this.canvas, 'statusEl', this.statusEl, 'romInput', this.romInput);
+    this.headless = !!opts.headless;
+    const { diagnostics = !this.headless } = opts;
+    this.diagnostics = !!diagnostics;
+    const dom = !this.headless && typeof document !== 'undefined';
+    this.canvas = opts.canvas || (dom ? document.getElementById('screen') : null);
+    this.statusEl = opts.statusEl || (dom ? document.getElementById('status') : null);
+    this.romInput = opts.romInput || (dom ? document.getElementById('romFile') : null);
+    this._log('[Emulator] constructor: canvas', this.canvas, 'statusEl', this.statusEl, 'romInput', this.romInput);
 
     // Store options for later use during initialization
     this._opts = opts;
+    this.model = opts.model || '48k';
+    // Timings and hardware quirks of the model (see src/machines.mjs)
+    this.profile = getMachine(this.model);
+    this.kempston = opts.kempston !== false;
+    const { kempstonPort = 0x1f } = opts;
+    this.kempstonPort = kempstonPort & 0xff;
+    // Joystick interface named by the last snapshot loaded (.szx JOY chunk),
+    // used in place of the setting above until the next snapshot load or
+    // setKempstonPort(); null when the snapshot did not say
+    this._snapshotKempston = null;
+
+    // Beta 128 disk interface; its drives keep their disks across core
+    // re-creation, and the TR-DOS ROM is put back into each new memory
+    this.beta128 = new Beta128({ clock: () => this._elapsedTstates + (this.cpu ? this.cpu.tstates : 0) });
+    this._trdosRom = null;
+    // +3 floppy controller, its motor switched by bit 3 of port 0x1FFD
+    this.upd765 = new UPD765({ motor: () => !!this.memory && (this.memory.port1FFD & 0x08) !== 0 });
+    // DivMMC interface: its EEPROM, SRAM and SD cards outlive core re-creation
+    this.divmmc = new DivMMC();
+    this.divmmc.enabled = !!opts.divmmc;
+    // Drive that disk images loaded from the file input go into
+    this.diskDrive = 0;
 
     this.cpu = null;
     this.memory = null;
@@ -40,6 +116,62 @@ export class Emulator {
     this.sound = null;
     this.input = new Input();
 
+    // Real-time tape deck; survives core re-creation like the input module
+    this.tape = new TapePlayer();
+    this.tape.onEdge = (t, level) => { if (this.sound) this.sound.writeEar(level, t); };
+    this.tape.onEnd = () => {
+      if (this.ula) this.ula.earBit = 1;
+      this._emitTapeEvent('tape-stopped', { reason: 'end' });
+      this.status('Tape finished');
+    };
+    // TZX stop blocks (zero pause, stop-if-48K) halt the deck mid-tape
+    this.tape.onStop = (reason) => {
+      if (this.ula) this.ula.earBit = 1;
+      this._emitTapeEvent('tape-stopped', { reason });
+      this.status('Tape stopped by tape');
+    };
+    // TZX Select blocks: the deck goes on with the first entry; the list is
+    // passed on for a front end that wants to show it
+    this.tape.onSelect = (options, index) => {
+      this._emitTapeEvent('tape-select', { block: index, options: options.map(o => ({ block: index + o.offset, description: o.description })) });
+      return 0;
+    };
+
+    // Blocks written by the ROM SAVE routine, kept as a TAP that can be
+    // downloaded or inserted back into the deck
+    this.tapeSaveTrap = opts.tapeSaveTrap !== false;
+    this.savedTape = { type: 'tap', blocks: [] };
+
+    // Breakpoints and stepping; survives core re-creation and re-attaches to each new CPU
+    this.debugger = new Debugger();
+    this.debugger.onBreak = (info) => this._onDebuggerBreak(info);
+    this.watchpoints = new WatchpointManager();
+    this.watchpoints.onPause = (hit) => this.debugger.requestBreak('watchpoint', hit);
+    this.debugger.watchpoints = this.watchpoints;
+    this._frameInProgress = false;
+    // T-states of the frames completed so far; added to the frame-relative
+    // cpu.tstates it makes a clock that keeps counting (the disk index pulse)
+    this._elapsedTstates = 0;
+
+    // The last executed instructions, plus a full-state checkpoint at the
+    // start of each recent frame; stepping backwards restores a checkpoint
+    // and replays to the wanted instruction
+    this.history = new InstructionHistory(opts.historySize || 65536);
+    this._checkpoints = [];
+    this._maxCheckpoints = opts.historyCheckpoints || 50;
+    this._replaying = false;
+
+    // Compressed keyframes to scrub gameplay backwards while the rewind key
+    // is held (options: { seconds, interval, budget, enabled })
+    this.rewind = new RewindBuffer(opts.rewind || {});
+    this._rewinding = false;
+    this._rewindWasMuted = false;
+    this.input.onRewind = (held) => this.setRewinding(held);
+
+    // RZX input recording being played back or recorded (see src/rzx.mjs)
+    this.rzxPlayer = null;
+    this.rzxRecorder = null;
+
     this.romBuffer = null; // last loaded ROM
 
     this._running = false;
@@ -47,6 +179,13 @@ export class Emulator {
     this._lastTime = 0;
     this._acc = 0;
 
+    // Emulation speed as a factor of real time, unthrottled max speed, and
+    // max speed by itself while the tape deck plays (see setSpeed)
+    this._speed = 1;
+    this._maxSpeed = false;
+    this._autoTurbo = opts.autoTurbo !== false;
+    this._audioGrains = 0;
+
     // Boot frames: Wait for ROM to fully initialize display before rendering
     // ROM boot takes ~90 frames to reach EI and ~200 frames to print copyright
     this._bootFramesRemaining = 250;
@@ -57,11 +196,10 @@ export class Emulator {
     // Track last observed CHARS system variable to detect when ROM sets character set pointer
     this._lastChars = 0;  // 16-bit value (hi<<8 | lo) - used to trigger a one-time re-render when ROM sets CHARS
 
-    // Debug API state
-    this._debugEnabled = true;
+    // Debug API state (port write log, PC tracking); off when headless
+    this._debugEnabled = !this.headless;
     this._bootAddresses = [0x15EB];
     this._portWrites = [];
-    this._executedOpcodes = [];
     this._lastPC = 0;
     this._bootComplete = false;
 
@@ -236,19 +374,28 @@ export class Emulator {
     if (!this.memory) return null;
     const result = [];
     for (let i = 0; i < length; i++) {
-      result.push(this.memory.read((address + i) & 0xffff));
+      result.push(this.memory.peek((address + i) & 0xffff));
     }
     return result;
   }
 
+  /**
+   * Disassemble `count` instructions from address (see src/disassembler.mjs).
+   * Memory is read without contention or watch side effects.
+   */
+  disassemble(address, count = 1) {
+    if (!this.memory) return [];
+    return disassembleRange(this.memory, address, count);
+  }
+
   readROM(address) {
     if (!this.memory) return null;
-    return this.memory.read(address & 0xffff);
+    return this.memory.peek(address & 0xffff);
   }
 
   readRAM(address) {
     if (!this.memory) return null;
-    return this.memory.read(address & 0xffff);
+    return this.memory.peek(address & 0xffff);
   }
 
   // --- Inspect glyph/frame helpers (used by window.__ZX_DEBUG__) ---
@@ -397,6 +544,12 @@ export class Emulator {
     return this._portWrites.length > 0 ? this._portWrites[this._portWrites.length - 1] : null;
   }
 
+  /** The last n executed opcodes as '0x3e at 0x8000' strings, oldest first */
+  getExecutedOpcodes(n = this.history.length) {
+    const hex = (v, w) => v.toString(16).padStart(w, '0');
+    return this.history.last(n).map(e => `0x${hex(e.bytes[0], 2)} at 0x${hex(e.pc, 4)}`);
+  }
+
   _trackPortWrite(port, value) {
     if (this._debugEnabled) {
       const entry = { port, value, tstates: this.cpu ? this.cpu.tstates : 0 };
@@ -408,7 +561,6 @@ export class Emulator {
 
   _trackOpcodeExecution(opcode, pc) {
     if (this._debugEnabled) {
-      this._executedOpcodes.push(`0x${opcode.toString(16).padStart(2, '0')} at 0x${pc.toString(16).padStart(4, '0')}`);
       this._lastPC = pc;
 
       // Track boot progression
@@ -438,7 +590,6 @@ export class Emulator {
         try{
           window.__LAST_PC__ = pc;
           if(!window.__ZX_DEBUG__) window.__ZX_DEBUG__ = {};
-          window.__ZX_DEBUG__.executedOpcodes = this._executedOpcodes;
           window.__ZX_DEBUG__.bootComplete = this._bootComplete;
           window.__ZX_DEBUG__.timing = { tstates: this.cpu ? this.cpu.tstates : 0 };
           window.__ZX_DEBUG__.getRegisters = () => ({
@@ -485,7 +636,8 @@ export class Emulator {
       try {
         const TAPE_TRAP_PCS = new Set([0x056b, 0x0111]);
         // Only attempt trap when a tape is present and the PC matches a trap entry
-        if (TAPE_TRAP_PCS.has(pc) && this._lastTap && Array.isArray(this._lastTap.blocks) && this._lastTap.blocks.length > 0) {
+        // While the tape deck plays, the ROM loader reads the real signal instead.
+        if (TAPE_TRAP_PCS.has(pc) && !this.tape.isPlaying() && this._lastTap && Array.isArray(this._lastTap.blocks) && this._lastTap.blocks.length > 0) {
           // Call the async trap handler but don't block the CPU execution path here.
           // Tests may wait a tick (Promise.resolve()) to observe the effect.
           void this._trapTapeLoad().catch(() => {});
@@ -496,6 +648,9 @@ export class Emulator {
 
   _bindUI() {
     try { this._bindButtons(); } catch { /* ignore */ }
+    try { this._bindTapeControls(); } catch { /* ignore */ }
+    try { this._bindSpeedControls(); } catch { /* ignore */ }
+    try { this._bindDiskControls(); } catch { /* ignore */ }
     try { this._bindRomSelector(); } catch { /* ignore */ }
     try { this._bindKeyboardToggle(); } catch { /* ignore */ }
     try { this._bindCanvasFocus(); } catch { /* ignore */ }
@@ -508,10 +663,17 @@ export class Emulator {
     const stopBtn = document.getElementById('stopBtn');
     const resetBtn = document.getElementById('resetBtn');
     const tapeLibraryBtn = document.getElementById('tapeLibraryBtn');
+    const saveSnapshotBtn = document.getElementById('saveSnapshotBtn');
+    const snapshotFormat = document.getElementById('snapshotFormat');
+    const rzxRecordBtn = document.getElementById('rzxRecordBtn');
 
     if (loadBtn) loadBtn.addEventListener('click', () => this.handleLoad());
     if (startBtn) startBtn.addEventListener('click', () => this.start());
     if (stopBtn) stopBtn.addEventListener('click', () => this.pause());
+    if (saveSnapshotBtn) saveSnapshotBtn.addEventListener('click', () => this.downloadSnapshot(snapshotFormat ? snapshotFormat.value : 'z80'));
+    if (rzxRecordBtn) rzxRecordBtn.addEventListener('click', () => {
+      rzxRecordBtn.textContent = this.toggleRZXRecording() ? '■ Stop RZX' : '⏺ Record RZX';
+    });
     if (resetBtn) resetBtn.addEventListener('click', () => {
       try {
         if (typeof window !== 'undefined' && typeof window.__EMU_clearCacheAndReload === 'function') {
@@ -533,7 +695,7 @@ export class Emulator {
             tapeUi.setCallbacks({ onLoadTape: (url, fileName, opts = {}) => {
               // Auto-start snapshots (e.g., .z80) when loaded from Tape Library UI
               const ext = (fileName || '').split('.').pop().toLowerCase();
-              const autoStart = ext === 'z80' || ext === 'sna';
+              const autoStart = ['z80', 'sna', 'szx', 'rzx'].includes(ext);
               return this.loadTapeFromUrl(url, { ...opts, autoStart });
             } });
             container.dataset.initialized = 'true';
@@ -550,19 +712,54 @@ export class Emulator {
     if (this.romInput) Loader.attachInput(this.romInput, (result, file) => this._onFileLoaded(result, file));
   }
 
+  _bindTapeControls() {
+    const playBtn = document.getElementById('tapePlayBtn');
+    const stopBtn = document.getElementById('tapeStopBtn');
+    const rewindBtn = document.getElementById('tapeRewindBtn');
+    const soundToggle = document.getElementById('tapeSound');
+
+    if (playBtn) playBtn.addEventListener('click', () => this.tapePlay());
+    if (stopBtn) stopBtn.addEventListener('click', () => this.tapeStop());
+    if (rewindBtn) rewindBtn.addEventListener('click', () => this.tapeRewind());
+    if (soundToggle) soundToggle.addEventListener('change', () => this.setTapeSound(!!soundToggle.checked));
+
+    const downloadSavedBtn = document.getElementById('tapeDownloadSavedBtn');
+    const insertSavedBtn = document.getElementById('tapeInsertSavedBtn');
+    if (downloadSavedBtn) downloadSavedBtn.addEventListener('click', () => this.downloadSavedTape());
+    if (insertSavedBtn) insertSavedBtn.addEventListener('click', () => this.insertSavedTape());
+  }
+
+  _bindSpeedControls() {
+    const speedSelect = document.getElementById('speedSelect');
+    const maxSpeed = document.getElementById('maxSpeed');
+    const autoTurbo = document.getElementById('autoTurbo');
+    const frameAdvanceBtn = document.getElementById('frameAdvanceBtn');
+
+    if (speedSelect) speedSelect.addEventListener('change', () => this.setSpeed(speedSelect.value));
+    if (maxSpeed) maxSpeed.addEventListener('change', () => this.setMaxSpeed(maxSpeed.checked));
+    if (autoTurbo) autoTurbo.addEventListener('change', () => this.setAutoTurbo(autoTurbo.checked));
+    if (frameAdvanceBtn) frameAdvanceBtn.addEventListener('click', () => this.frameAdvance());
+  }
+
+  _bindDiskControls() {
+    const driveSelect = document.getElementById('diskDrive');
+    const formatSelect = document.getElementById('diskFormat');
+    const downloadBtn = document.getElementById('diskDownloadBtn');
+    const ejectBtn = document.getElementById('diskEjectBtn');
+
+    if (driveSelect) driveSelect.addEventListener('change', () => { this.diskDrive = Number(driveSelect.value) || 0; });
+    const format = () => (formatSelect ? formatSelect.value : undefined);
+    if (downloadBtn) downloadBtn.addEventListener('click', () => this.downloadDisk(this.diskDrive, format()));
+    if (ejectBtn) ejectBtn.addEventListener('click', () => this.ejectDisk(this.diskDrive, format()));
+  }
+
   _bindRomSelector() {
     try {
       const sel = document.getElementById('rom-select');
       if (sel) {
         romManager.initRomSelector(sel, async (id) => {
           try {
-            this.status(`loading ROM: ${id}...`);
-            const data = await romManager.loadRom(id);
-            // initialize core with ROM bytes and apply memory configuration
-            await this.loadROM(data.rom);
-            try { romManager.applyMemoryConfig(this.memory, data.metadata, data.rom); } catch { /* ignore */ }
-            this.status(`selected ROM: ${id}`);
-            this._selectedRom = id;
+            await this.selectRom(id);
           } catch (e) {
             console.error('ROM load failed', e);
             this.status('ROM load failed');
@@ -620,6 +817,57 @@ export class Emulator {
     } catch { /* ignore */ }
   }
 
+  _bindDebuggerControls() {
+    const addrInput = document.getElementById('__emu_dbg_addr');
+    const condInput = document.getElementById('__emu_dbg_cond');
+    const bind = (id, fn) => {
+      const btn = document.getElementById(id);
+      if (!btn) return;
+      btn.addEventListener('click', () => {
+        try {
+          fn();
+        } catch (e) {
+          this.status(`Debugger: ${e.message}`);
+        }
+        this._updateDebuggerView();
+      });
+    };
+    const address = () => this.debugger.evaluate(addrInput ? addrInput.value : '') & 0xffff;
+
+    bind('__emu_dbg_add', () => this.addBreakpoint(address(), condInput ? condInput.value : null));
+    bind('__emu_dbg_watch_add', () => this.addWatchpoint(this._watchpointFromControls(address())));
+    bind('__emu_dbg_clear', () => {
+      this.debugger.clearBreakpoints();
+      this.clearWatchpoints();
+    });
+    bind('__emu_dbg_break', () => this.debugBreak());
+    bind('__emu_dbg_continue', () => this.debugContinue());
+    bind('__emu_dbg_step', () => this.debugStep());
+    bind('__emu_dbg_over', () => this.debugStepOver());
+    bind('__emu_dbg_out_btn', () => this.debugStepOut());
+    bind('__emu_dbg_runto', () => this.debugRunToCursor(address()));
+    bind('__emu_dbg_back', () => this.debugStepBack());
+    bind('__emu_dbg_back_write', () => this.debugBackToWrite(address()));
+  }
+
+  // Watchpoint options from the debugger panel's type, end and value fields
+  _watchpointFromControls(start) {
+    const field = (id) => {
+      const el = document.getElementById(id);
+      return el && el.value.trim() ? this.debugger.evaluate(el.value) : undefined;
+    };
+    const typeEl = document.getElementById('__emu_dbg_watch_type');
+    const type = typeEl ? typeEl.value : 'w';
+    const port = type === 'in' || type === 'out';
+    return {
+      space: port ? 'port' : 'memory',
+      access: port ? (type === 'in' ? 'r' : 'w') : type,
+      start,
+      end: field('__emu_dbg_watch_end'),
+      value: field('__emu_dbg_watch_value')
+    };
+  }
+
   _bindDiagnosticButtons() {
     // Find diagOutput at call time, not bind time (it may be created later in debug panel)
     const log = (msg) => {
@@ -639,7 +887,7 @@ export class Emulator {
           pc: e.cpu ? '0x' + e.cpu.PC.toString(16).padStart(4, '0') : null,
           iff1: e.cpu?.IFF1,
           im: e.cpu?.IM,
-          frames: e.cpu ? Math.floor(e.cpu.tstates / 69888) : 0,
+          frames: e.cpu ? Math.floor(e.cpu.tstates / e.profile.tstatesPerFrame) : 0,
           rom0: e.memory ? '0x' + e.memory.read(0).toString(16).padStart(2, '0') : null,
           chars: e.memory ? '0x' + ((e.memory.read(0x5C37) << 8) | e.memory.read(0x5C36)).toString(16).padStart(4, '0') : null,
           bootFramesRemaining: e._bootFramesRemaining
@@ -777,19 +1025,30 @@ export class Emulator {
       const buf = parsed instanceof ArrayBuffer ? parsed : parsed.buffer;
       await this.loadROM(buf);
       this.status(`ROM ${file.name} loaded`);
+    } else if (parsed && parsed.type === 'rzx') {
+      await this.playRZX(parsed, { fileName: file.name });
     } else if (parsed && parsed.snapshot) {
       // Apply snapshot (centralized helper) and start emulation
       await this.applySnapshot(parsed, { fileName: file.name, autoStart: true });
 
-    } else if (parsed && parsed.type === 'tap') {
-      // TAP handling not wired automatically; keep for future
-      this.status('TAP loaded (not auto-started)');
-      this._lastTap = parsed;
-    } else {
+    } else if (!this._insertMedia(parsed, file.name)) {
       this.status('Unknown file loaded');
     }
   }
 
+  // Put a tape in the deck or a disk in a drive; false for anything else
+  _insertMedia(parsed, fileName) {
+    if (parsed && (parsed.type === 'tap' || parsed.type === 'tzx')) {
+      // Instant loading traps LOAD ""; press Play on the tape deck to load in real time
+      this.status(`${parsed.type.toUpperCase()} loaded (not auto-started)`);
+      this._lastTap = parsed;
+      this.tape.load(parsed);
+      return true;
+    }
+    if (parsed && parsed.type === 'disk') return this.insertDisk(parsed, { drive: this.diskDrive, fileName });
+    return false;
+  }
+
   // ============================================================================
   // Tape Loading API (for remote tape loading feature)
   // ============================================================================
@@ -797,7 +1056,7 @@ export class Emulator {
   /**
    * Inject a tape into the emulator.
    * @param {ArrayBuffer|Object} input - ArrayBuffer or parsed tape { type: 'tap', blocks }
-   * @param {Object} opts - { fileName, source, autoStart }
+   * @param {Object} opts - { fileName, source, autoStart, realtime } (realtime: start the tape deck)
    * @returns {Promise<{ success: boolean, message?: string }>}
    */
   async injectTape(input, opts = {}) {
@@ -815,17 +1074,15 @@ export class Emulator {
         return { success: false, message: 'Invalid input' };
       }
 
-      // If this is a snapshot, apply it immediately (and emit event after successful apply)
-      if (parsed && parsed.snapshot) {
-        const ok = await this.applySnapshot(parsed, { fileName, autoStart });
-        if (!ok) return { success: false, message: 'Failed to apply snapshot' };
-        this._lastTap = parsed;
-        this._emitTapeEvent('tape-loaded', { fileName, parsed });
-        return { success: true };
+      // Snapshots and RZX recordings are applied immediately, disk images go into a drive
+      if (parsed && (parsed.snapshot || parsed.type === 'rzx' || parsed.type === 'disk')) {
+        return this._injectSnapshot(parsed, fileName, autoStart);
       }
 
-      // Store the tape
+      // Store the tape; it is also inserted in the deck for real-time playback
       this._lastTap = parsed;
+      this.tape.load(parsed);
+      if (opts.realtime) this.tapePlay();
 
       // Emit event
       this._emitTapeEvent('tape-loaded', { fileName, parsed });
@@ -844,6 +1101,146 @@ export class Emulator {
     }
   }
 
+  // Apply a snapshot (emitting the event once it succeeded), play an RZX
+  // recording or insert a disk
+  async _injectSnapshot(parsed, fileName, autoStart) {
+    if (parsed.type === 'disk') return { success: this.insertDisk(parsed, { drive: this.diskDrive, fileName }) };
+    if (parsed.type === 'rzx') {
+      const ok = await this.playRZX(parsed, { fileName, autoStart });
+      return ok ? { success: true } : { success: false, message: 'Failed to play RZX recording' };
+    }
+    const ok = await this.applySnapshot(parsed, { fileName, autoStart });
+    if (!ok) return { success: false, message: 'Failed to apply snapshot' };
+    this._lastTap = parsed;
+    this._emitTapeEvent('tape-loaded', { fileName, parsed });
+    return { success: true };
+  }
+
+  // ============================================================================
+  // Snapshot saving
+  // ============================================================================
+
+  /**
+   * Serialise the running machine as a snapshot file.
+   * @param {string} format - 'z80' (v3), 'sna' or 'szx'
+   * @returns {Uint8Array} File contents
+   */
+  saveSnapshot(format = 'z80') {
+    if (!this.cpu || !this.memory) throw new Error('Emulator core not initialised');
+    return buildSnapshot(this._captureSnapshotState(), format);
+  }
+
+  /** Save a snapshot and offer it as a browser download */
+  downloadSnapshot(format = 'z80') {
+    try {
+      const bytes = this.saveSnapshot(format);
+      this._downloadBytes(bytes, `snapshot.${String(format).toLowerCase()}`);
+      this.status(`Snapshot saved (${format})`);
+      return true;
+    } catch (e) {
+      console.error('[Emulator] snapshot save failed', e);
+      this.status(`Snapshot save error: ${e.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Machine family recorded in snapshots: '48k', '128k', 'plus3', or
+   * 'pentagon', which has its own .z80 hardware mode and .szx machine id
+   */
+  _snapshotMachine() {
+    if (this.profile.id === 'pentagon') return 'pentagon';
+    if (!this.memory.hasPaging()) return '48k';
+    return this.memory.isPlus3() ? 'plus3' : '128k';
+  }
+
+  /** Collect CPU, memory and peripheral state for the snapshot writers */
+  _captureSnapshotState() {
+    const mem = this.memory;
+    const paging = mem.hasPaging();
+    const ram = new Uint8Array(0xC000);
+    for (let p = 1; p <= 3; p++) if (mem.pages[p]) ram.set(mem.pages[p].subarray(0, Memory.PAGE_SIZE), (p - 1) * Memory.PAGE_SIZE);
+    const ayMode = this.sound ? this.sound.getAyMode() : 'none';
+    return {
+      machine: this._snapshotMachine(),
+      registers: this._captureRegisters(),
+      ram,
+      banks: paging ? mem.ramBanks.map(b => b.slice()) : null,
+      port7FFD: mem.port7FFD,
+      port1FFD: mem.port1FFD,
+      ay: (this.sound && ayMode !== 'none') ? { registers: this.sound.ay.getRegisters(), selected: this.sound.ay.selectedRegister } : null,
+      halted: !!this.cpu.halted,
+      eiPending: this.cpu.eiDelay > 0,
+      tstates: this.cpu.tstates,
+      frameLength: this.profile.tstatesPerFrame
+    };
+  }
+
+  // CPU registers under the names used by the Loader parsers
+  _captureRegisters() {
+    const c = this.cpu;
+    return {
+      A: c.A, F: c.F, B: c.B, C: c.C, D: c.D, E: c.E, H: c.H, L: c.L,
+      A2: c.A_, F2: c.F_, B2: c.B_, C2: c.C_, D2: c.D_, E2: c.E_, H2: c.H_, L2: c.L_,
+      IX: c.IX, IY: c.IY, SP: c.SP, PC: c.PC, I: c.I, R: c.R,
+      IFF1: !!c.IFF1, IFF2: !!c.IFF2, IM: c.IM,
+      borderColor: this.ula ? this.ula.border & 0x07 : 7
+    };
+  }
+
+  /**
+   * Everything needed to resume from this instruction boundary on the same
+   * machine: CPU, RAM and paging, AY and border, and the disk interfaces
+   * (Beta 128, +3 floppy controller, DivMMC paging and SRAM). Used for the
+   * step-back checkpoints and the rewind keyframes.
+   */
+  _captureMachineState() {
+    const c = this.cpu;
+    return {
+      count: c.instructionCount,
+      registers: this._captureRegisters(),
+      cpu: {
+        tstates: c.tstates, frameStartTstates: c.frameStartTstates, halted: c.halted, eiDelay: c.eiDelay,
+        intRequested: c.intRequested, intWindowEnd: c._intWindowEnd, fetchCount: c.fetchCount
+      },
+      memory: this.memory.saveState(),
+      beta128: this.beta128.saveState(),
+      upd765: this.upd765.saveState(),
+      divmmc: this.divmmc.saveState(),
+      ay: this.sound ? { registers: this.sound.ay.getRegisters(), selected: this.sound.ay.selectedRegister } : null,
+      frameInProgress: this._frameInProgress,
+      elapsedTstates: this._elapsedTstates
+    };
+  }
+
+  _restoreMachineState(state) {
+    const c = this.cpu;
+    this.memory.loadState(state.memory);
+    this.beta128.loadState(state.beta128);
+    this.upd765.loadState(state.upd765);
+    // The DivMMC puts its blocks back over 0x0000-0x3FFF (or takes them away)
+    if (state.divmmc) this.divmmc.loadState(state.divmmc);
+    else this.memory.setRomOverlay(null);
+    this._applySnapshot_registerRestore(state.registers);
+    c.tstates = state.cpu.tstates;
+    c.frameStartTstates = state.cpu.frameStartTstates;
+    c.halted = state.cpu.halted;
+    c.eiDelay = state.cpu.eiDelay;
+    c.intRequested = state.cpu.intRequested;
+    c._intWindowEnd = state.cpu.intWindowEnd;
+    c.instructionCount = state.count;
+    c.fetchCount = state.cpu.fetchCount;
+    if (state.ay && this.sound) this.sound.ay.setRegisters(state.ay.registers, state.ay.selected);
+    if (this.ula) this.ula.border = state.registers.borderColor;
+    this._frameInProgress = state.frameInProgress;
+    this._elapsedTstates = state.elapsedTstates;
+  }
+
+  // Offer bytes as a file download (browser only)
+  _downloadBytes(bytes, fileName) {
+    return Loader.downloadBytes(bytes, fileName);
+  }
+
   /**
    * Apply a snapshot object into the emulator (memory and registers) and optionally start
    * @param {Object} parsed - Parsed loader output containing snapshot
@@ -868,12 +1265,13 @@ export class Emulator {
       // can render every frame immediately without the ROM boot heuristic.
       this._bootFramesRemaining = 0;
 
-      // Load RAM into memory (extracted to helper to reduce method complexity)
-      this._applySnapshot_ramRestore(parsed.snapshot && parsed.snapshot.ram);
+      // Load RAM and paging state into memory (extracted to helper to reduce method complexity)
+      await this._applySnapshot_memoryRestore(parsed.snapshot);
       try { this._applySnapshotTrace.push({ step: 'ramRestore:done', t: Date.now() }); } catch (e) { /* best-effort */ }
 
       // Restore CPU registers (extracted to helper for clarity)
       this._applySnapshot_registerRestore(parsed.snapshot && parsed.snapshot.registers);
+      this._applySnapshot_machineStateRestore(parsed.snapshot);
       try { this._applySnapshotTrace.push({ step: 'registerRestore:done', t: Date.now() }); } catch (e) { /* best-effort */ }
 
       // A one-frame "warm-up" is required to align our state with the
@@ -895,7 +1293,7 @@ export class Emulator {
           // Then run only the remaining T-states to reach the frame boundary,
           // exactly matching gasman/jsspeccy3's runFrame(snapshot.tstates).
           this.cpu.intRequested = false;
-          this.cpu.runFor(TSTATES_PER_FRAME - snapTstates);
+          this.cpu.runFor(this.profile.tstatesPerFrame - snapTstates);
         } else {
           // At frame boundary (v1 snapshots or tstates = 0): run one warm-up
           // frame.  _runCpuForFrame generates the interrupt at the frame start
@@ -912,7 +1310,7 @@ export class Emulator {
           this.cpu.IFF1 = true;
           this.cpu.IFF2 = true;
           this._runCpuForFrame();
-          // _runCpuForFrame already did tstates -= TSTATES_PER_FRAME,
+          // _runCpuForFrame already did tstates -= tstatesPerFrame,
           // so cpu.tstates now holds the small carry-over (0-10 cycles).
         }
         // Diagnostic: log post-warm-up CPU state for comparison with reference trace.
@@ -972,6 +1370,68 @@ export class Emulator {
     try { if (this.memory._flatRam && typeof this.memory._syncFlatRamFromBanks === 'function') this.memory._syncFlatRamFromBanks(); } catch (e) { void 0; }
   }
 
+  // Helper: 128K/+3 snapshots carry every RAM bank, which is authoritative;
+  // otherwise the 48K image is copied into the mapped pages. A 48K snapshot
+  // on a 128K machine gets the 48K ROM and a locked paging port.
+  async _applySnapshot_memoryRestore(snap) {
+    if (snap && Array.isArray(snap.banks)) {
+      await this._applySnapshot_pagingRestore(snap);
+      return;
+    }
+    if (snap && snap.machine === '48k' && this.memory.hasPaging()) this.memory.writePort7FFD(0x30);
+    this._applySnapshot_ramRestore(snap && snap.ram);
+  }
+
+  // Helper: state beyond RAM and registers that richer formats (.z80 v3,
+  // .szx) carry - HALT/EI state, the AY chip and the joystick interface
+  _applySnapshot_machineStateRestore(snap) {
+    if (!snap) return;
+    if (snap.halted) this.cpu.halted = true;
+    if (snap.eiPending) this.cpu.eiDelay = 1;
+    if (snap.customRom) this._applySnapshot_romRestore(snap.customRom);
+    if (snap.ay && this.sound) {
+      if (snap.ayMode && this.sound.getAyMode() !== snap.ayMode) this.sound.setAyMode(snap.ayMode);
+      this.sound.ay.setRegisters(snap.ay.registers, snap.ay.selected);
+    }
+    this._snapshotKempston = snap.joystick ? (snap.joystick.player1 === 'kempston' || snap.joystick.player2 === 'kempston') : null;
+  }
+
+  // Helper: load a custom ROM image from a snapshot, one 16K slice per ROM
+  // bank, then remap whichever bank the paging registers select
+  _applySnapshot_romRestore(rom) {
+    const slots = this.memory.isPlus3() ? 4 : (this.memory.hasPaging() ? 2 : 1);
+    const count = Math.min(Math.ceil(rom.length / Memory.PAGE_SIZE), slots);
+    for (let b = 0; b < count; b++) this.memory.loadROM(rom.subarray(b * Memory.PAGE_SIZE, (b + 1) * Memory.PAGE_SIZE), b);
+    if (this.memory.hasPaging()) this.memory._applyPaging();
+    else this.memory.mapROM(0);
+  }
+
+  // Helper: restore the RAM banks and paging registers of a 128K/+3/Pentagon
+  // snapshot, rebuilding the core as the right machine if the current one differs
+  async _applySnapshot_pagingRestore(snap) {
+    const machine = (snap.machine === 'plus3' || snap.machine === 'pentagon') ? snap.machine : '128k';
+    const plus3 = machine === 'plus3';
+    if (this._snapshotMachine() !== machine) await this._rebuildCoreForModel(machine);
+    snap.banks.forEach((bank, i) => {
+      if (bank && this.memory.ramBanks[i]) this.memory.ramBanks[i].set(bank.subarray(0, Memory.PAGE_SIZE));
+    });
+    this.memory.pagingLocked = false;
+    if (plus3) this.memory.writePort1FFD(snap.port1FFD || 0);
+    this.memory.writePort7FFD(snap.port7FFD || 0);
+  }
+
+  // Recreate the core as another model, keeping the current ROM. A lone 16K
+  // ROM stands in for every ROM slot (enough to run 48 BASIC code).
+  async _rebuildCoreForModel(model) {
+    this.model = model;
+    const rom = this.romBuffer || spec48.bytes;
+    await this._createCore(rom);
+    if ((rom.length || rom.byteLength) <= Memory.PAGE_SIZE) {
+      const slots = this.memory.isPlus3() ? 4 : 2;
+      for (let b = 1; b < slots; b++) this.memory.loadROM(rom, b);
+    }
+  }
+
   _applySnapshot_registerRestore(regs) {
     // Ensure CPU exists
     if (!this.cpu) this.cpu = new Z80(this.memory);
@@ -1000,6 +1460,7 @@ export class Emulator {
   }
 
   _applySnapshot_initializeInput() {
+    if (this.headless) return;
     try { if (this.input && typeof this.input.start === 'function') this.input.start(); } catch (e) { /* best-effort */ }
   }
 
@@ -1278,6 +1739,735 @@ export class Emulator {
     }
   }
 
+  // ============================================================================
+  // Tape deck controls (real-time loading through the EAR input)
+  // ============================================================================
+
+  /** Start the tape deck. While it plays, the instant-load trap is bypassed. */
+  tapePlay() {
+    if (!this.tape.play()) {
+      this.status('No tape inserted');
+      return false;
+    }
+    this.tape.advanceTo(this.cpu ? this.cpu.tstates : 0);
+    this._emitTapeEvent('tape-playing', { block: this.tape.getPosition() });
+    this.status('Tape playing');
+    return true;
+  }
+
+  tapeStop() {
+    this.tape.stop();
+    if (this.ula) this.ula.earBit = 1;
+    this._emitTapeEvent('tape-stopped', { reason: 'user' });
+    this.status('Tape stopped');
+  }
+
+  tapeRewind() {
+    this.tape.rewind();
+    this._emitTapeEvent('tape-rewound', {});
+    this.status('Tape rewound');
+  }
+
+  /** Route the tape signal to the beeper so loading can be heard */
+  setTapeSound(enabled) {
+    this.tape.routeToBeeper = !!enabled;
+    if (this.sound && typeof this.sound.setEarMonitor === 'function') this.sound.setEarMonitor(!!enabled);
+  }
+
+  // ============================================================================
+  // Disk drives (Beta 128 interface with TR-DOS, see src/beta128.mjs, the
+  // +3's uPD765 controller, see src/upd765.mjs, and the DivMMC's SD card
+  // slots, see src/divmmc.mjs)
+  // ============================================================================
+
+  /**
+   * Insert a disk image: TR-DOS images (.trd, .scl) go into the Beta 128
+   * drives A-D, +3 images (.dsk) into the +3's drives A: and B:, SD card
+   * images (.img, .mmc) into the DivMMC's slots 0 and 1. The machine writes
+   * to the image in memory; saveDisk/downloadDisk get it back out.
+   * @param {ArrayBuffer|Uint8Array|Object} input - image bytes, or the Loader's
+   *   { type: 'disk', format, data }
+   * @param {Object} [opts] - { drive: 0-3 (default 0), fileName, format: 'trd'|'scl'|'dsk'|'img'
+   *   (default from fileName, else 'trd'), writeProtected }
+   * @returns {boolean}
+   */
+  insertDisk(input, opts = {}) {
+    const fileName = opts.fileName || 'disk.trd';
+    const ext = /\.(trd|scl|dsk|img|mmc)$/i.exec(fileName);
+    const parsed = input && input.type === 'disk'
+      ? input
+      : Loader.parseDisk(input, opts.format || (ext ? ext[1] : 'trd'));
+    const disk = this._openDisk(parsed, opts.writeProtected);
+    disk.fileName = fileName;
+    const drives = this._diskDrives(parsed.format);
+    const drive = (opts.drive | 0) % drives.length;
+    drives[drive] = disk;
+    const where = isCardImage(parsed.format) ? `SD card slot ${drive}` : `drive ${'ABCD'[drive]}`;
+    this.status(`Disk ${fileName} in ${where}${this._diskNote(parsed.format)}`);
+    return true;
+  }
+
+  _openDisk(parsed, writeProtected) {
+    if (parsed.format === 'dsk') return DSKDisk.fromFile(parsed.data, { writeProtected });
+    if (isCardImage(parsed.format)) return new SDCard(parsed.data, { writeProtected });
+    return TRDDisk.fromFile(parsed.data, parsed.format, { writeProtected });
+  }
+
+  // The drives of the interface a disk format belongs to
+  _diskDrives(format) {
+    if (format === 'dsk') return this.upd765.drives;
+    return isCardImage(format) ? this.divmmc.cards : this.beta128.drives;
+  }
+
+  // The format saveDisk uses when none is given: the model's own disk interface
+  _diskFormat(format) {
+    if (format) return String(format).toLowerCase();
+    return this.profile && this.profile.upd765 ? 'dsk' : 'trd';
+  }
+
+  _diskNote(format) {
+    if (!this.memory) return '';
+    if (isCardImage(format)) return this.divmmc.enabled ? '' : ' (the DivMMC is off, see setDivMMC)';
+    if (format === 'dsk') return this.profile.upd765 ? '' : ' (no +3 disk drive on this model)';
+    return this.memory.hasTRDOS() ? '' : ' (no Beta 128 interface on this model)';
+  }
+
+  /**
+   * Take the disk out of a drive.
+   * @param {number} [drive]
+   * @param {string} [format] - picks the interface: 'dsk' for the +3 drives,
+   *   'img' for the DivMMC's SD card slots, 'trd' or 'scl' for the Beta 128
+   *   (default: the model's own)
+   */
+  ejectDisk(drive = 0, format) {
+    const drives = this._diskDrives(this._diskFormat(format));
+    const index = (drive | 0) % drives.length;
+    const disk = drives[index];
+    drives[index] = null;
+    if (disk) this.status(`Drive ${'ABCD'[index]} ejected`);
+    return !!disk;
+  }
+
+  /**
+   * The disk in a drive as a file, with everything the machine wrote to it.
+   * @param {number} [drive]
+   * @param {string} [format] - 'trd' or 'scl' from the Beta 128 drives, 'dsk'
+   *   (extended) from the +3 drives, 'img' (the raw card) from the DivMMC's
+   *   slots; default: the model's own
+   * @returns {Uint8Array}
+   */
+  saveDisk(drive = 0, format) {
+    const fmt = this._diskFormat(format);
+    const drives = this._diskDrives(fmt);
+    const index = (drive | 0) % drives.length;
+    const disk = drives[index];
+    if (!disk) throw new Error(`Emulator: no disk in drive ${'ABCD'[index]}`);
+    let bytes;
+    if (fmt === 'dsk') bytes = disk.toDSK();
+    else if (isCardImage(fmt)) bytes = disk.toImage();
+    else bytes = fmt === 'scl' ? disk.toSCL() : disk.toTRD();
+    disk.modified = false;
+    return bytes;
+  }
+
+  /** Save a drive's disk and offer it as a browser download */
+  downloadDisk(drive = 0, format) {
+    try {
+      const fmt = this._diskFormat(format);
+      const drives = this._diskDrives(fmt);
+      const disk = drives[(drive | 0) % drives.length];
+      const base = disk && disk.fileName ? disk.fileName.replace(/\.[^.]*$/, '') : 'disk';
+      this._downloadBytes(this.saveDisk(drive, fmt), `${base}.${fmt}`);
+      this.status(`Disk saved (${fmt})`);
+      return true;
+    } catch (e) {
+      this.status(e.message);
+      return false;
+    }
+  }
+
+  /**
+   * Load the 16K TR-DOS ROM into the Beta 128 ROM slot; it is kept for
+   * every machine built afterwards. Returns false when this model has no
+   * Beta 128 interface.
+   */
+  loadTRDOSROM(rom) {
+    this._trdosRom = rom instanceof Uint8Array ? rom.slice() : new Uint8Array(rom);
+    return !!this.memory && this.memory.loadTRDOSROM(this._trdosRom);
+  }
+
+  // ============================================================================
+  // DivMMC interface with esxDOS (see src/divmmc.mjs); SD cards go in
+  // through insertDisk with an .img/.mmc image
+  // ============================================================================
+
+  /** Fit or remove the DivMMC; takes effect at once, without a reset */
+  setDivMMC(enabled) {
+    this.divmmc.enabled = !!enabled;
+    this.divmmc.reset();
+    if (this.cpu && this.memory) this._installFetchHooks();
+    this.status(`DivMMC ${this.divmmc.enabled ? 'on' : 'off'}`);
+    return this.divmmc.enabled;
+  }
+
+  /**
+   * Load esxDOS (or another 8K DivMMC ROM) into the interface's EEPROM;
+   * it is kept for every machine built afterwards. Reset the machine to
+   * boot it.
+   */
+  loadDivMMCROM(rom) {
+    this.divmmc.loadROM(rom);
+    return true;
+  }
+
+  /** Press the DivMMC's NMI button: esxDOS opens its file browser */
+  divmmcNMI() {
+    if (!this.cpu || !this.divmmc.enabled) return false;
+    this.cpu.requestNMI();
+    return true;
+  }
+
+  /** Move the Kempston joystick to another port (low byte); false turns it off */
+  setKempstonPort(port) {
+    this.kempston = port !== false;
+    this._snapshotKempston = null;
+    if (typeof port === 'number') this.kempstonPort = port & 0xff;
+    return this.kempston ? this.kempstonPort : false;
+  }
+
+  // ============================================================================
+  // Debugger (breakpoints and stepping, see src/debugger.mjs)
+  // ============================================================================
+
+  /**
+   * Add an execution breakpoint.
+   * @param {number} address
+   * @param {string} [condition] e.g. 'A==0x10 && HL>0x8000'
+   * @returns {number} breakpoint id
+   */
+  addBreakpoint(address, condition = null) {
+    return this.debugger.addBreakpoint(address, { condition });
+  }
+
+  removeBreakpoint(id) {
+    return this.debugger.removeBreakpoint(id);
+  }
+
+  /**
+   * Add a memory or port watchpoint.
+   * @param {Object} opts see WatchpointManager.add in src/watchpoints.mjs,
+   *   e.g. { access: 'w', start: 0x4000, end: 0x57ff, action: 'log' }
+   * @returns {number} watchpoint id
+   */
+  addWatchpoint(opts) {
+    return this.watchpoints.add(opts);
+  }
+
+  removeWatchpoint(id) {
+    return this.watchpoints.remove(id);
+  }
+
+  clearWatchpoints() {
+    this.watchpoints.clear();
+  }
+
+  /** Accesses recorded by 'log' and 'pause' watchpoints: [{ id, type, addr, value, pc, t }] */
+  getWatchpointLog() {
+    return this.watchpoints.log.slice();
+  }
+
+  /** Stop at the next instruction boundary, or straight away when not running */
+  debugBreak() {
+    if (this._running) this.debugger.pause();
+    else this.debugger.halt('pause');
+  }
+
+  debugContinue() {
+    this.debugger.continue();
+    this.start();
+  }
+
+  /** Execute one instruction (or the acceptance of a pending interrupt) */
+  debugStep() {
+    this.pause();
+    this.debugger.stepInto();
+    return this.runUntilBreak(2);
+  }
+
+  debugStepOver() {
+    this.pause();
+    this.debugger.stepOver();
+    this._runDebugCommand();
+  }
+
+  debugStepOut() {
+    this.pause();
+    this.debugger.stepOut();
+    this._runDebugCommand();
+  }
+
+  debugRunToCursor(address) {
+    this.pause();
+    this.debugger.runTo(address);
+    this._runDebugCommand();
+  }
+
+  /** Undo the last instruction by replaying from the checkpoint before it */
+  debugStepBack() {
+    if (this._rzxBlocksReplay()) return false;
+    return this._seekInstruction(this.cpu.instructionCount - 1, 'step-back');
+  }
+
+  /**
+   * Go back to the last instruction that wrote to address and stop with PC
+   * on it, before the write. Returns false, leaving the machine as it was,
+   * when nothing wrote there since the oldest checkpoint.
+   */
+  debugBackToWrite(address) {
+    this.pause();
+    if (this._rzxBlocksReplay()) return false;
+    const here = this._captureMachineState();
+    let end = here.count;
+    for (let i = this._checkpoints.length - 1; i >= 0; i--) {
+      const cp = this._checkpoints[i];
+      if (cp.count >= end) continue;
+      const found = this._lastWriteInReplay(cp, end, address & 0xffff);
+      if (found >= 0) return this._seekInstruction(found - 1, 'back-to-write');
+      end = cp.count;
+    }
+    this._restoreMachineState(here);
+    this.status(`No write to 0x${(address & 0xffff).toString(16).padStart(4, '0')} in the recorded history`);
+    return false;
+  }
+
+  // A replay runs the port reads again: a recording would log them twice
+  // and a playback would answer them from later frames
+  _rzxBlocksReplay() {
+    if (!this.rzxPlayer && !this.rzxRecorder) return false;
+    this.status('Cannot go back while an RZX recording plays or records');
+    return true;
+  }
+
+  /**
+   * The last n executed instructions, oldest first: InstructionHistory
+   * entries (src/history.mjs) with the decoded instruction added
+   */
+  getInstructionHistory(n = 16) {
+    return this.history.last(n).map(e => ({
+      ...e,
+      instruction: disassemble((addr) => e.bytes[(addr - e.pc) & 0xffff] ?? 0, e.pc)
+    }));
+  }
+
+  // Stop after `count` instructions have executed, replaying from the newest
+  // checkpoint at or before that point
+  _seekInstruction(count, reason) {
+    this.pause();
+    let cp = null;
+    for (const c of this._checkpoints) if (c.count <= count) cp = c;
+    if (!cp || count < 0) {
+      this.status('Cannot go back further: no checkpoint that early');
+      return false;
+    }
+    this._replay(cp, count, reason);
+    if (this.ula) this.ula.render();
+    this._onDebuggerBreak(this.debugger.lastBreak);
+    return true;
+  }
+
+  // Replay from a checkpoint to an instruction count and return the count of
+  // the last instruction that wrote to address (-1 if none did). History is
+  // not recorded, so the ring still ends where the search started.
+  _lastWriteInReplay(cp, count, address) {
+    let found = -1;
+    const id = this.watchpoints.add({ access: 'w', start: address, internal: true, action: () => { found = this.cpu.instructionCount; } });
+    this.cpu.history = null;
+    try {
+      this._replay(cp, count, 'back-to-write');
+    } finally {
+      this.cpu.history = this.history;
+      this.watchpoints.remove(id);
+    }
+    return found;
+  }
+
+  // Restore a checkpoint and run until `count` instructions have executed.
+  // Breakpoints and user watchpoints are ignored, no checkpoints are taken
+  // and the debugger stops quietly. The keyboard is read as it is now and
+  // the tape deck stands still, so code that polls them may take a different
+  // path. Nothing is saved to tape, and the sound made on the way is dropped.
+  _replay(cp, count, reason) {
+    this._restoreMachineState(cp);
+    this._replaying = true;
+    this.watchpoints.setSuspended(true);
+    try {
+      this.debugger.runToCount(count, reason);
+      for (let i = 0; i < this._maxCheckpoints + 2 && !this.debugger.paused; i++) this._runCpuForFrame();
+      if (!this.debugger.paused) this.debugger.halt(reason);
+    } finally {
+      this.watchpoints.setSuspended(false);
+      this._replaying = false;
+      if (this.sound) this.sound.endFrame(0, 0);
+    }
+  }
+
+  // Checkpoint at a frame start; any later ones belong to a timeline that
+  // a step backwards has just abandoned
+  _takeCheckpoint() {
+    const checkpoints = this._checkpoints;
+    const count = this.cpu.instructionCount;
+    while (checkpoints.length > 0 && checkpoints[checkpoints.length - 1].count >= count) checkpoints.pop();
+    checkpoints.push(this._captureMachineState());
+    if (checkpoints.length > this._maxCheckpoints) checkpoints.shift();
+  }
+
+  /**
+   * Run frames synchronously until the debugger stops the CPU.
+   * @returns {boolean} true if it stopped within maxFrames
+   */
+  runUntilBreak(maxFrames = 1) {
+    for (let i = 0; i < maxFrames && !this.debugger.paused; i++) this._processFrame();
+    return this.debugger.paused;
+  }
+
+  // Finish a step command here when it stops within a frame, otherwise let
+  // the frame loop run until it does
+  _runDebugCommand() {
+    if (!this.runUntilBreak(1)) this.start();
+  }
+
+  _onDebuggerBreak(info) {
+    if (this._replaying) return;
+    this.pause();
+    const hit = info.watchpoint;
+    const access = hit ? ` after ${hit.type} 0x${hit.addr.toString(16).padStart(4, '0')}=0x${hit.value.toString(16).padStart(2, '0')}` : '';
+    this.status(`Break (${info.reason}) at 0x${info.pc.toString(16).padStart(4, '0')}${access}`);
+    try {
+      if (typeof window !== 'undefined' && window.dispatchEvent) window.dispatchEvent(new CustomEvent('debugger-break', { detail: info }));
+    } catch (e) { /* ignore */ }
+    this._updateDebuggerView();
+  }
+
+  _updateDebuggerView() {
+    if (typeof document === 'undefined' || !this.cpu) return;
+    const out = document.getElementById('__emu_dbg_out');
+    if (!out) return;
+    const c = this.cpu;
+    const hex = (v, n = 4) => v.toString(16).toUpperCase().padStart(n, '0');
+    const pair = (h, l) => hex((h << 8) | l);
+    const lines = [
+      `PC=${hex(c.PC)} SP=${hex(c.SP)} IX=${hex(c.IX)} IY=${hex(c.IY)}`,
+      `AF=${pair(c.A, c.F)} BC=${pair(c.B, c.C)} DE=${pair(c.D, c.E)} HL=${pair(c.H, c.L)}`,
+      `AF'=${pair(c.A_, c.F_)} BC'=${pair(c.B_, c.C_)} DE'=${pair(c.D_, c.E_)} HL'=${pair(c.H_, c.L_)}`,
+      `I=${hex(c.I, 2)} R=${hex(c.R, 2)} IM=${c.IM} IFF1=${c.IFF1 ? 1 : 0} T=${c.tstates - (c.frameStartTstates || 0)}`
+    ];
+    lines.push('');
+    for (const e of this.getInstructionHistory(3)) lines.push(`< ${formatInstruction(e.instruction)}`);
+    for (const ins of this.disassemble(c.PC, 8)) lines.push(`${ins.address === c.PC ? '>' : ' '} ${formatInstruction(ins)}`);
+    lines.push('', ...this._debuggerPointLines(hex));
+    out.textContent = lines.join('\n');
+  }
+
+  // Breakpoint and watchpoint lines for the debugger panel
+  _debuggerPointLines(hex) {
+    const lines = [];
+    for (const bp of this.debugger.listBreakpoints()) {
+      lines.push(`#${bp.id} ${hex(bp.address)}${bp.condition ? ` if ${bp.condition}` : ''} (hits ${bp.hits})`);
+    }
+    for (const wp of this.watchpoints.list()) {
+      const range = wp.end === wp.start ? hex(wp.start) : `${hex(wp.start)}-${hex(wp.end)}`;
+      const value = wp.value === null ? '' : ` =${hex(wp.value, 2)}/${hex(wp.valueMask, 2)}`;
+      lines.push(`W${wp.id} ${wp.space} ${wp.access} ${range}${value} ${wp.action} (hits ${wp.hits})`);
+    }
+    return lines;
+  }
+
+  // ============================================================================
+  // Rewind (compressed keyframes, see src/rewind.mjs)
+  // ============================================================================
+
+  /**
+   * Start or stop scrubbing backwards. While rewinding, every frame tick
+   * restores the previous keyframe instead of running the CPU, and the sound
+   * is muted; releasing carries on playing from the state reached.
+   */
+  setRewinding(active) {
+    active = !!active;
+    if (active === this._rewinding || (active && (this.rzxPlayer || this.rzxRecorder))) return;
+    this._rewinding = active;
+    if (this.sound) {
+      if (active) this._rewindWasMuted = this.sound.isMuted();
+      this.sound.setMuted(active || this._rewindWasMuted);
+    }
+    this.status(active ? `Rewinding (${this.rewind.secondsAvailable.toFixed(1)}s available)` : 'Rewind stopped');
+  }
+
+  /** Go back one keyframe; false when there is nothing left to rewind to */
+  rewindStep() {
+    const state = this.rewind.pop();
+    if (!state) return false;
+    this._restoreMachineState(state);
+    this._renderFromMemory();
+    return true;
+  }
+
+  // Redraw the screen from memory through the FrameRenderer after a restore
+  _renderFromMemory() {
+    const ula = this.ula;
+    if (!ula) return;
+    if (typeof ula._updateCanvasBorder === 'function') ula._updateCanvasBorder();
+    if (ula.useDeferredRendering && ula.frameBuffer && ula.frameRenderer) {
+      ula.frameBuffer.generateFromMemory();
+      ula.frameRenderer.render(ula.frameBuffer, ula.frameBuffer.getFlashPhase());
+    } else {
+      ula.render();
+    }
+  }
+
+  // ============================================================================
+  // Speed control: turbo, slow motion and frame advance
+  // ============================================================================
+
+  /**
+   * Set the emulation speed as a percentage of real time (10-1000). Off 100%
+   * frames follow the display clock rather than the audio; the sound keeps
+   * its pitch from 50% to 200% and is muted beyond.
+   * @param {number} percent
+   * @returns {number} the speed set, clamped to the range
+   */
+  setSpeed(percent) {
+    const value = Number(percent);
+    if (!Number.isFinite(value)) throw new Error(`Emulator: speed must be a number, got ${percent}`);
+    this._speed = Math.max(MIN_SPEED, Math.min(MAX_SPEED, value)) / 100;
+    this._audioGrains = 0;
+    const set = Math.round(this._speed * 100);
+    this.status(`Speed ${set}%`);
+    return set;
+  }
+
+  /** Run unthrottled, as many frames as fit in each display refresh, muted */
+  setMaxSpeed(enabled) {
+    this._maxSpeed = !!enabled;
+    this.status(this._maxSpeed ? 'Max speed' : `Speed ${Math.round(this._speed * 100)}%`);
+  }
+
+  /** Go to max speed by itself while the tape deck is playing */
+  setAutoTurbo(enabled) {
+    this._autoTurbo = !!enabled;
+  }
+
+  /** Speed settings; turbo is true while running unthrottled for either reason */
+  getSpeed() {
+    return {
+      percent: Math.round(this._speed * 100),
+      maxSpeed: this._maxSpeed,
+      autoTurbo: this._autoTurbo,
+      turbo: this._effectiveSpeed() === Infinity
+    };
+  }
+
+  /** Run one frame while paused and show it; false (and nothing run) while running */
+  frameAdvance() {
+    if (this._running || !this.cpu || !this.memory) return false;
+    this._processFrame();
+    return true;
+  }
+
+  // Factor of real time to run at now; Infinity is unthrottled
+  _effectiveSpeed() {
+    if (this._maxSpeed) return Infinity;
+    if (this._autoTurbo && this.tape && this.tape.playing && !this.rzxPlayer) return Infinity;
+    return this._speed;
+  }
+
+  // Copies of this frame's audio to play: faster than real time some frames
+  // are dropped and slower they repeat, so each 20 ms keeps its pitch
+  _audioCopies() {
+    const speed = this._effectiveSpeed();
+    if (speed === 1) return 1;
+    if (speed < MIN_AUDIBLE_SPEED || speed > MAX_AUDIBLE_SPEED) return 0;
+    this._audioGrains += 1 / speed;
+    const copies = Math.floor(this._audioGrains);
+    this._audioGrains -= copies;
+    return copies;
+  }
+
+  // ============================================================================
+  // RZX input recordings (see src/rzx.mjs)
+  // ============================================================================
+
+  /**
+   * Replay an RZX recording: restore its embedded snapshot, then run each
+   * recorded frame for its fetch count, answering every IN instruction from
+   * the recording. Live play carries on where the recording ends.
+   * @param {ArrayBuffer|Uint8Array|Object} input - file contents, or parseRZX() output
+   * @param {Object} [opts] - { fileName, autoStart }
+   * @returns {Promise<boolean>}
+   */
+  async playRZX(input, opts = {}) {
+    const { fileName = 'recording.rzx', autoStart = true } = opts;
+    try {
+      const rzx = input && input.type === 'rzx' ? input : parseRZX(input);
+      if (!rzx.snapshotFile) throw new Error('no embedded snapshot');
+      const { ext, data } = rzx.snapshotFile;
+      const parsed = Loader.parseByExtension(data.slice().buffer, `snapshot.${ext}`);
+      if (!parsed || !parsed.snapshot) throw new Error(`unsupported snapshot type .${ext}`);
+      this.rzxPlayer = null;
+      this.rzxRecorder = null;
+      if (!await this.applySnapshot(parsed, { fileName, autoStart: false, skipWarm: true })) return false;
+      this._startRzxPlayback(rzx);
+      this.status(`RZX ${fileName}: playing ${rzx.frames.length} frames`);
+      if (autoStart) this.start();
+      return true;
+    } catch (e) {
+      console.error('[Emulator] RZX playback failed', e);
+      this.status(`RZX error: ${e.message}`);
+      return false;
+    }
+  }
+
+  /** Stop RZX playback; the machine runs on live from the state reached */
+  stopRZX() {
+    const player = this.rzxPlayer;
+    if (!player) return;
+    this.rzxPlayer = null;
+    this.status(player.desyncs > 0 ? `RZX playback out of sync (${player.desyncs} inputs missing)` : 'RZX playback finished');
+  }
+
+  /**
+   * Start recording from the current state: the machine is saved as an .szx
+   * snapshot, then every value a port read returns and the opcode fetch
+   * count between interrupts are logged.
+   */
+  startRZXRecording() {
+    if (!this.cpu || !this.memory) throw new Error('Emulator core not initialised');
+    this.stopRZX();
+    this.setRewinding(false);
+    const snapshotFile = { ext: 'szx', data: this.saveSnapshot('szx') };
+    this.rzxRecorder = new RzxRecorder(snapshotFile, this.cpu.tstates, this.cpu.fetchCount);
+    this.status('RZX recording');
+  }
+
+  /** Stop recording; returns the .rzx file, or null when nothing was being recorded */
+  stopRZXRecording() {
+    const recorder = this.rzxRecorder;
+    if (!recorder) return null;
+    this.rzxRecorder = null;
+    this.status(`RZX recording stopped (${recorder.frames.length} frames)`);
+    return recorder.build(this.cpu.fetchCount);
+  }
+
+  /** Record button: start recording, or stop and offer the file as a download */
+  toggleRZXRecording() {
+    try {
+      if (!this.rzxRecorder) {
+        this.startRZXRecording();
+        return true;
+      }
+      this._downloadBytes(this.stopRZXRecording(), 'recording.rzx');
+    } catch (e) {
+      console.error('[Emulator] RZX recording failed', e);
+      this.status(`RZX recording error: ${e.message}`);
+    }
+    return false;
+  }
+
+  // The recording starts between interrupts with none pending, rzx.tstates
+  // into the frame; step-back checkpoints and rewind keyframes from before it
+  // no longer apply
+  _startRzxPlayback(rzx) {
+    const cpu = this.cpu;
+    cpu.tstates = rzx.tstates;
+    cpu.frameStartTstates = 0;
+    cpu.intRequested = false;
+    this._frameInProgress = false;
+    this._checkpoints = [];
+    this.history.clear();
+    this.rewind.clear();
+    this.rzxPlayer = new RzxPlayer(rzx.frames);
+  }
+
+  /**
+   * Run one recorded frame: execute its opcode fetches, then raise the
+   * interrupt that ends it. Breakpoints are not checked during playback.
+   * Once the recording runs out the frame is run live instead.
+   */
+  _runRzxFrame() {
+    const frame = this.rzxPlayer.nextFrame();
+    if (!frame) {
+      this.stopRZX();
+      return this._runCpuForFrame();
+    }
+    const cpu = this.cpu;
+    const target = cpu.fetchCount + frame.fetches;
+    // Every instruction fetches at least once; the limit only guards against traps
+    for (let guard = frame.fetches * 2 + 16; cpu.fetchCount < target && guard > 0; guard--) cpu.step();
+    // A frame recorded here ends just past the frame length, exactly as in
+    // _runCpuForFrame; a shorter one (the first, or another emulator's) keeps its count
+    const frameLength = this.profile.tstatesPerFrame;
+    if (cpu.tstates >= frameLength) {
+      cpu.tstates -= frameLength;
+      this._elapsedTstates += frameLength;
+    }
+    this._beginFrame();
+    this._frameInProgress = true;
+    return true;
+  }
+
+  // Port reads during playback return the recorded values; contention still applies
+  _rzxPlaybackRead(port) {
+    this._applyIOContention(port);
+    const value = this.rzxPlayer.read();
+    this._tracePortRead(port, value);
+    return value;
+  }
+
+  // ============================================================================
+  // Saved tape (blocks captured from the ROM SAVE routine)
+  // ============================================================================
+
+  /** The TAP built from everything SAVEd so far: { type: 'tap', blocks } */
+  getSavedTape() {
+    return this.savedTape;
+  }
+
+  clearSavedTape() {
+    this.savedTape = { type: 'tap', blocks: [] };
+    this._emitTapeEvent('tape-save-cleared', {});
+  }
+
+  /** Download the saved blocks as a .tap file */
+  downloadSavedTape(fileName = 'saved.tap') {
+    if (this.savedTape.blocks.length === 0) {
+      this.status('Nothing saved yet');
+      return false;
+    }
+    this._downloadBytes(Loader.buildTAP(this.savedTape.blocks), fileName);
+    this.status(`Saved tape downloaded (${this.savedTape.blocks.length} blocks)`);
+    return true;
+  }
+
+  /** Make the saved blocks the current tape, for LOAD or real-time playback */
+  insertSavedTape() {
+    if (this.savedTape.blocks.length === 0) {
+      this.status('Nothing saved yet');
+      return false;
+    }
+    const tape = { type: 'tap', blocks: this.savedTape.blocks.slice() };
+    this._lastTap = tape;
+    this.tape.load(tape);
+    this._emitTapeEvent('tape-loaded', { fileName: 'saved.tap', parsed: tape });
+    this.status('Saved tape inserted');
+    return true;
+  }
+
+  /** Bring the EAR bit up to date with the tape before the CPU samples port 0xFE */
+  _syncTapeEar() {
+    if (!this.ula || this._replaying || !this.tape.isPlaying()) return;
+    this.tape.advanceTo(this.cpu ? this.cpu.tstates : 0);
+    this.ula.earBit = this.tape.isPlaying() ? this.tape.getEarBit() : 1;
+  }
+
   /**
    * Emit a tape-related event.
    * @param {string} type - Event type
@@ -1302,7 +2492,9 @@ export class Emulator {
       throw new Error('No tape loaded');
     }
 
-    let block = this._lastTap.blocks[0];
+    // TZX tapes hold block descriptors; trap the first one carrying data
+    let block = this._lastTap.blocks.find(b => b instanceof Uint8Array || Array.isArray(b) || (b && b.data)) || this._lastTap.blocks[0];
+    if (block && block.data) block = block.data;
     if (!(block instanceof Uint8Array)) block = new Uint8Array(block);
 
     // Ensure CPU/core present
@@ -1334,8 +2526,47 @@ export class Emulator {
     return ok;
   }
 
+  /**
+   * ROM SA-BYTES trap (CPU trap at 0x04C2). Rather than pulsing the EAR
+   * output, append the block to `this.savedTape`:
+   * - flag byte from A, DE bytes of data from IX, XOR checksum of both
+   * - leaves through SA/LD-RET with IX past the data and DE = 0
+   * Returns the T-states used, or 0 to let the ROM save for real (trap
+   * disabled, or the paged ROM is not the 48K BASIC ROM).
+   */
+  _trapTapeSave() {
+    if (!this.tapeSaveTrap || !this.memory) return 0;
+    if (SA_BYTES_SIGNATURE.some((byte, i) => this.memory.peek(SA_BYTES + i) !== byte)) return 0;
+
+    const cpu = this.cpu;
+    const length = ((cpu.D << 8) | cpu.E) & 0xffff;
+    const block = new Uint8Array(length + 2);
+    let checksum = cpu.A & 0xff;
+    block[0] = checksum;
+    for (let i = 0; i < length; i++) {
+      const value = this.memory.peek((cpu.IX + i) & 0xffff);
+      block[1 + i] = value;
+      checksum ^= value;
+    }
+    block[length + 1] = checksum;
+
+    cpu.IX = (cpu.IX + length) & 0xffff;
+    cpu.D = 0;
+    cpu.E = 0;
+    cpu.PC = SA_LD_RET;
+    // A step backwards re-runs the SAVE; the block is on the tape already
+    if (this._replaying) return 10;
+    this.savedTape.blocks.push(block);
+
+    // A 17-byte header block carries the 10-character file name
+    const name = (block[0] === 0x00 && length === 17) ? String.fromCharCode(...block.subarray(2, 12)).trimEnd() : null;
+    this._emitTapeEvent('tape-saved', { flag: block[0], length, name, blocks: this.savedTape.blocks.length });
+    if (name !== null) this.status(`Saving "${name}"`);
+    return 10;
+  }
+
   async _createCore(romBuffer = null) {
-    console.log('[Emulator] _createCore: romBuffer', romBuffer);
+    this._log('[Emulator] _createCore: romBuffer', romBuffer);
 
     // split responsibilities into small, testable methods
     this._initMemory(romBuffer);
@@ -1353,11 +2584,11 @@ export class Emulator {
     const ioAdapter = this._createIOAdapter();
 
     // Install debug helpers and expose useful testing API
-    this._installDebugHelpers(ioAdapter);
+    if (!this.headless) this._installDebugHelpers(ioAdapter);
 
     // Connect IO adapter to CPU and finalize core setup
     this.cpu.io = ioAdapter;
-    console.log('[Emulator] _createCore: connected CPU io adapter for port 0xFE border control');
+    this._log('[Emulator] _createCore: connected CPU io adapter for port 0xFE border control');
 
     this._enableMemoryWatch();
     this._finalizeCoreStart(romBuffer);
@@ -1365,11 +2596,32 @@ export class Emulator {
 
   // Small initializers extracted to simplify _createCore
   _initMemory(romBuffer = null) {
-    this.memory = new Memory({ model: '48k', romBuffer });
+    this.profile = getMachine(this.model);
+    this.memory = new Memory({ model: this.profile.memory, romBuffer, timing: this.profile, trdos: this._betaEnabled(), diagnostics: this.diagnostics });
+    if (this._trdosRom) this.memory.loadTRDOSROM(this._trdosRom);
+  }
+
+  // Beta 128 fitted: by option, else where the model has it (the Pentagon);
+  // the +2A/+3 ROM layout leaves no room for TR-DOS
+  _betaEnabled() {
+    const profile = this.profile;
+    if (profile.memory === 'plus3' || profile.memory === 'plus2a') return false;
+    const option = this._opts && this._opts.beta128;
+    return typeof option === 'boolean' ? option : profile.trdos === true;
   }
 
   _initCpu() {
     this.cpu = new Z80(this.memory);
+    this.cpu.diagnostics = this.diagnostics;
+    this.cpu.traps.set(SA_BYTES, () => this._trapTapeSave());
+    this.debugger.attach(this.cpu, this.memory);
+    this.watchpoints.attach(this.cpu);
+    this.memory.watchpoints = this.watchpoints;
+    this._frameInProgress = false;
+    this.cpu.history = this.history;
+    this.history.clear();
+    this._checkpoints = [];
+    this.rewind.clear();
   }
 
   _attachCpuToMemory() {
@@ -1383,10 +2635,49 @@ export class Emulator {
     // DEBUG: Track port reads for keyboard debugging
     let _portReadDebugEnabled = false;
     let _portReadCount = 0;
+    const readPort = (port) => {
+      // Apply I/O contention delays before the actual port operation
+      this._applyIOContention(port);
+      // Route port 0xFE to ULA for keyboard reading
+      if ((port & 0xFF) === 0xFE) {
+        this._syncTapeEar();
+        const result = this.ula && typeof this.ula.readPort === 'function' ? this.ula.readPort(port) : 0xFF;
+        // Debug: log keyboard port reads when enabled (include high byte and binary view)
+        if (_portReadDebugEnabled) {
+          try {
+            const high = (port >> 8) & 0xff;
+            const highBits = high.toString(2).padStart(8, '0');
+            const keyDetected = (result & 0x1F) !== 0x1F;
+            console.log(`[IO] Port read 0x${port.toString(16)} (high=0x${high.toString(16)} / ${highBits}) → 0x${result.toString(16)} (${keyDetected ? 'KEY' : 'no-key'})`);
+          } catch (err) { /* ignore logging failures */ }
+        }
+        _portReadCount++;
+        this._tracePortRead(port, result);
+        return result;
+      }
+      // Add-on hardware: AY sound chip, Kempston joystick
+      const extValue = this._readExpansionPort(port);
+      if (extValue !== null) {
+        this._tracePortRead(port, extValue);
+        return extValue;
+      }
+      // Floating bus: even ports (bit 0 clear, like ULA) return the byte
+      // currently being fetched from video RAM during active display.
+      // Outside active display or on odd ports, return 0xFF.
+      if ((port & 0x01) === 0) {
+        const fb = this._readFloatingBus();
+        this._tracePortRead(port, fb);
+        return fb;
+      }
+      // Default for unhandled odd ports: 0xFF (bus floats high)
+      this._tracePortRead(port, 0xFF);
+      return 0xFF;
+    };
     return {
       write: (port, value, tstates) => {
         // Apply I/O contention delays before the actual port operation
         this._applyIOContention(port);
+        if (this.watchpoints.portArmed) this.watchpoints.checkPort('out', port, value);
         // Track port write for debug API
         this._trackPortWrite(port, value);
         this._tracePortWriteEvent(port, value);
@@ -1394,51 +2685,19 @@ export class Emulator {
         if ((port & 0xFF) === 0xFE) {
           if (this.ula && typeof this.ula.writePort === 'function') this.ula.writePort(port, value);
         }
+        // Memory paging ports (128K 0x7FFD)
+        this._writePagingPort(port, value);
+        this._writeDiskPort(port, value);
         // Route other ports to sound if needed
         if (this.sound && typeof this.sound.writePort === 'function') {
           this.sound.writePort(port, value, tstates);
         }
       },
       read: (port) => {
-        // Apply I/O contention delays before the actual port operation
-        this._applyIOContention(port);
-        // Route port 0xFE to ULA for keyboard reading
-        if ((port & 0xFF) === 0xFE) {
-          const result = this.ula && typeof this.ula.readPort === 'function' ? this.ula.readPort(port) : 0xFF;
-          // Debug: log keyboard port reads when enabled (include high byte and binary view)
-          if (_portReadDebugEnabled) {
-            try {
-              const high = (port >> 8) & 0xff;
-              const highBits = high.toString(2).padStart(8, '0');
-              const keyDetected = (result & 0x1F) !== 0x1F;
-              console.log(`[IO] Port read 0x${port.toString(16)} (high=0x${high.toString(16)} / ${highBits}) → 0x${result.toString(16)} (${keyDetected ? 'KEY' : 'no-key'})`);
-            } catch (err) { /* ignore logging failures */ }
-          }
-          _portReadCount++;
-          this._tracePortRead(port, result);
-          return result;
-        }
-        // Kempston joystick (port 0x1F): return live joystick state from Input module.
-        // Active-high convention: bit 0=Right, 1=Left, 2=Down, 3=Up, 4=Fire.
-        // Arrow keys and Space are mapped to these bits in Input._keydown/_keyup.
-        if ((port & 0xFF) === 0x1F) {
-          const val = (this.input && typeof this.input.kempstonState === 'number')
-            ? this.input.kempstonState & 0x1F
-            : 0x00;
-          this._tracePortRead(port, val);
-          return val;
-        }
-        // Floating bus: even ports (bit 0 clear, like ULA) return the byte
-        // currently being fetched from video RAM during active display.
-        // Outside active display or on odd ports, return 0xFF.
-        if ((port & 0x01) === 0) {
-          const fb = this._readFloatingBus();
-          this._tracePortRead(port, fb);
-          return fb;
-        }
-        // Default for unhandled odd ports: 0xFF (bus floats high)
-        this._tracePortRead(port, 0xFF);
-        return 0xFF;
+        const value = this.rzxPlayer ? this._rzxPlaybackRead(port) : readPort(port);
+        if (this.rzxRecorder) this.rzxRecorder.input(value);
+        if (this.watchpoints.portArmed) this.watchpoints.checkPort('in', port, value);
+        return value;
       },
       // Debug helper to enable verbose port read logging
       enableDebug: (enabled) => { _portReadDebugEnabled = enabled; },
@@ -1446,26 +2705,87 @@ export class Emulator {
     };
   }
 
+  /**
+   * Read ports served by devices other than the ULA. Returns null when no
+   * device claims the port.
+   */
+  _readExpansionPort(port) {
+    const diskValue = this._readDiskPort(port);
+    if (diskValue !== null) return diskValue;
+    // AY-3-8912 register read (0xFFFD, or 0x3F on a Fuller Box)
+    const ayValue = this.sound && typeof this.sound.readPort === 'function' ? this.sound.readPort(port) : null;
+    if (ayValue !== null) return ayValue;
+    // Kempston joystick (port 0x1F unless configured): live joystick state from Input.
+    // Active-high convention: bit 0=Right, 1=Left, 2=Down, 3=Up, 4=Fire.
+    // Arrow keys and Space are mapped to these bits in Input._keydown/_keyup.
+    if ((this._snapshotKempston ?? this.kempston) && (port & 0xFF) === this.kempstonPort) {
+      return (this.input && typeof this.input.kempstonState === 'number')
+        ? this.input.kempstonState & 0x1F
+        : 0x00;
+    }
+    return null;
+  }
+
+  // Disk and storage interfaces; null when none of them claims the port
+  _readDiskPort(port) {
+    // Beta 128 disk controller, while TR-DOS is paged in
+    if (this.beta128.ownsPort(port)) return this.beta128.readPort(port);
+    // DivMMC control, card select and SPI ports (0xE3, 0xE7, 0xEB)
+    if (this.divmmc.ownsPort(port)) return this.divmmc.readPort(port);
+    // +3 floppy controller: main status at 0x2FFD, data at 0x3FFD
+    if (this.profile.upd765 && (port & 0xE002) === 0x2000) {
+      return (port & 0x1000) ? this.upd765.readData() : this.upd765.readStatus();
+    }
+    return null;
+  }
+
+  // Disk and storage interfaces, the write side of _readDiskPort
+  _writeDiskPort(port, value) {
+    if (this.beta128.ownsPort(port)) this.beta128.writePort(port, value);
+    if (this.divmmc.ownsPort(port)) this.divmmc.writePort(port, value);
+    // +3 floppy controller data register (0x3FFD); the status port is read-only
+    if (this.profile.upd765 && (port & 0xF002) === 0x3000) this.upd765.writeData(value);
+  }
+
+  /**
+   * Decode a port write against the memory paging registers. The 128K
+   * decodes 0x7FFD partially: any port with A15 and A1 low selects it.
+   * The +2A/+3 also checks A14 for 0x7FFD and decodes 0x1FFD on
+   * A15-A12 = 0001 with A1 low. On machines without paging hardware
+   * Memory ignores the write.
+   */
+  _writePagingPort(port, value) {
+    if (!this.memory || typeof this.memory.writePort7FFD !== 'function') return;
+    if (typeof this.memory.isPlus3 === 'function' && this.memory.isPlus3()) {
+      if ((port & 0xC002) === 0x4000) this.memory.writePort7FFD(value);
+      else if ((port & 0xF002) === 0x1000) this.memory.writePort1FFD(value);
+      return;
+    }
+    if ((port & 0x8002) === 0) this.memory.writePort7FFD(value);
+  }
+
   /**
    * Read the floating bus value — returns the byte the ULA is currently
    * fetching from video RAM during active display.  Outside the active
-   * area, 0xFF is returned (bus floats high).
+   * area, and on machines without a floating bus (+2A/+3), 0xFF is
+   * returned (bus floats high).
    *
    * The ULA fetches a bitmap byte then an attribute byte in alternating
    * 4-T-state slots during the first 128 T-states of each display line.
    */
   _readFloatingBus() {
-    if (!this.cpu || !this.memory) return 0xFF;
+    const profile = this.profile;
+    if (!this.cpu || !this.memory || profile.floatingBus !== 'ula') return 0xFF;
 
     const frameT = typeof this.cpu.frameStartTstates === 'number'
       ? this.cpu.tstates - this.cpu.frameStartTstates
-      : this.cpu.tstates % 69888;
+      : this.cpu.tstates % profile.tstatesPerFrame;
 
-    const FIRST_PIXEL = 14336;  // match Memory._firstContended
-    const scanLine = Math.floor((frameT - FIRST_PIXEL) / 224);
+    const firstPixel = profile.firstContended;  // match Memory._firstContended
+    const scanLine = Math.floor((frameT - firstPixel) / profile.tstatesPerLine);
     if (scanLine < 0 || scanLine >= 192) return 0xFF;
 
-    const lineT = (frameT - FIRST_PIXEL) % 224;
+    const lineT = (frameT - firstPixel) % profile.tstatesPerLine;
     if (lineT >= 128) return 0xFF; // border/retrace portion of scanline
 
     // Within the 128 T-state pixel-fetch window the ULA alternates:
@@ -1484,6 +2804,13 @@ export class Emulator {
     // Attribute address
     const attrAddr = 0x5800 + (Math.floor(y / 8) * 32) + cell;
 
+    // 128K shadow screen: the ULA fetches from bank 7 even when it is not
+    // paged in, so read the bank directly rather than through the CPU map.
+    if (typeof this.memory._screenIsPagedOut === 'function' && this.memory._screenIsPagedOut()) {
+      const screen = this.memory.getScreenPage();
+      return screen[(phase < 4 ? bitmapAddr : attrAddr) - 0x4000] & 0xFF;
+    }
+
     if (phase < 4) {
       return this.memory.read(bitmapAddr) & 0xFF;
     }
@@ -1491,7 +2818,8 @@ export class Emulator {
   }
 
   /**
-   * Apply I/O port contention delays (ZX Spectrum 48K).
+   * Apply I/O port contention delays (ZX Spectrum 48K and 128K; the +2A/+3
+   * gate array does not contend I/O, see the machine profile).
    *
    * I/O timing depends on two factors:
    *   1. Whether the port is a "ULA port" (bit 0 of port address is 0)
@@ -1506,7 +2834,7 @@ export class Emulator {
    * Reference: "The ZX Spectrum ULA" by Chris Smith, ch. 7.
    */
   _applyIOContention(port) {
-    if (!this.cpu || !this.memory) return;
+    if (!this.cpu || !this.memory || !this.profile.ioContention) return;
     const isULAPort = (port & 0x01) === 0;
     const highContended = this.memory._isContended(port & 0xFF00);
 
@@ -1745,15 +3073,21 @@ export class Emulator {
   _enableMemoryWatch() {
     this._memWrites = [];
     try {
-      this.memory.enableStackWatch(0x4000, 0x5AFF, (evt) => {
-        try {
-          try { evt.pc = this.cpu ? this.cpu.PC : undefined; } catch { evt.pc = undefined; }
-          try { evt.regs = this.cpu && typeof this.cpu.getRegisters === 'function' ? this.cpu.getRegisters() : undefined; } catch { evt.regs = undefined; }
-          if (this._debugEnabled) this._memWrites.push(evt);
-          try { if (typeof window !== 'undefined' && window.__ZX_DEBUG__) window.__ZX_DEBUG__.memWrites = this._memWrites; } catch { /* ignore */ }
-        } catch { /* best effort */ }
+      // Internal watchpoint: not listed in the debugger and kept by clearWatchpoints()
+      if (this._memoryWatchId) this.watchpoints.remove(this._memoryWatchId);
+      this._memoryWatchId = this.watchpoints.add({
+        access: 'rw', start: 0x4000, end: 0x5AFF, internal: true,
+        action: (hit) => {
+          try {
+            const evt = { type: hit.type, addr: hit.addr, value: hit.value, t: hit.t };
+            try { evt.pc = this.cpu ? this.cpu.PC : undefined; } catch { evt.pc = undefined; }
+            try { evt.regs = this.cpu && typeof this.cpu.getRegisters === 'function' ? this.cpu.getRegisters() : undefined; } catch { evt.regs = undefined; }
+            if (this._debugEnabled) this._memWrites.push(evt);
+            try { if (typeof window !== 'undefined' && window.__ZX_DEBUG__) window.__ZX_DEBUG__.memWrites = this._memWrites; } catch { /* ignore */ }
+          } catch { /* best effort */ }
+        }
       });
-      console.log('[Emulator] _createCore: enabled mem write watch for 0x4000-0x5AFF');
+      this._log('[Emulator] _createCore: enabled mem write watch for 0x4000-0x5AFF');
     } catch { /* ignore if memory doesn't support watch */ }
   }
 
@@ -1761,9 +3095,37 @@ export class Emulator {
     // ULA with DEFERRED RENDERING ENABLED BY DEFAULT (JSSpeccy3-style)
     // This is the proper fix for the red lines bug - render from frame buffer
     // captured at END of frame, not live memory during execution
-    this.ula = new ULA(this.memory, this.canvas, { useDeferredRendering: true });
+    this.ula = new ULA(this.memory, this.canvas, { useDeferredRendering: true, diagnostics: this.diagnostics });
     this.ula.attachCPU(this.cpu); // CRITICAL: Connect ULA to CPU for interrupt generation
-    this.sound = new Sound();
+    this.ula.setTiming(this.profile);
+    this.sound = new Sound({ worklet: this._opts.audioWorklet !== false });
+    this.sound.setTiming(this.profile);
+    if (this._opts.onSamples) this.sound.onSamples = this._opts.onSamples;
+    // 128K models always have the AY; on the 48K it is an optional add-on
+    const banked = this.memory && typeof this.memory.hasPaging === 'function' && this.memory.hasPaging();
+    this.sound.setAyMode(this.profile.ay ? '128' : (this._opts.ayInterface || 'none'));
+    this.sound.setEarMonitor(this.tape.routeToBeeper);
+    this.tape.is48K = !banked;
+    // TR-DOS pages in and out on opcode fetches
+    this.beta128.attach(this.memory);
+    this.upd765.reset();
+    this.divmmc.attach(this.memory);
+    this._installFetchHooks();
+  }
+
+  // Opcode fetch hooks of the interfaces that page on M1: TR-DOS (Beta 128)
+  // before the fetch, the DivMMC's automap before and after it
+  _installFetchHooks() {
+    const beta = this.memory.hasTRDOS();
+    const divmmc = this.divmmc.enabled;
+    if (beta && divmmc) {
+      this.cpu.fetchHook = (pc) => { this.beta128.onFetch(pc); this.divmmc.onFetch(pc); };
+    } else if (divmmc) {
+      this.cpu.fetchHook = (pc) => this.divmmc.onFetch(pc);
+    } else {
+      this.cpu.fetchHook = beta ? (pc) => this.beta128.onFetch(pc) : null;
+    }
+    this.cpu.afterFetchHook = divmmc ? (pc) => this.divmmc.onFetched(pc) : null;
   }
 
   _setupCpuDebug() {
@@ -1778,13 +3140,14 @@ export class Emulator {
   }
 
   _finalizeCoreStart(romBuffer) {
-    console.log('[Emulator] _createCore: memory', this.memory, 'cpu', this.cpu, 'ula', this.ula);
+    this._log('[Emulator] _createCore: memory', this.memory, 'cpu', this.cpu, 'ula', this.ula);
 
     // split responsibilities into focused helpers to keep this small and testable
+    this._setRomBufferIfProvided(romBuffer);
+    if (this.headless) return;
     this._exposeTestGlobals();
     this._bindInputToEmulator();
     this._attachCanvasKeyForwarding();
-    this._setRomBufferIfProvided(romBuffer);
     this._deferInitialRenderAndFocus();
   }
 
@@ -1817,7 +3180,7 @@ export class Emulator {
   }
 
   _deferInitialRenderAndFocus() {
-    console.log('[Emulator] Initial render deferred until emulator loop or CHARS population');
+    this._log('[Emulator] Initial render deferred until emulator loop or CHARS population');
     try { setTimeout(() => { if (this.canvas && typeof this.canvas.focus === 'function') { this.canvas.focus(); try { if (typeof window !== 'undefined' && window.__TEST__) window.__TEST__.canvasFocused = true; } catch { /* ignore */ } } }, 0); } catch { /* ignore */ }
   }
 
@@ -1834,6 +3197,48 @@ export class Emulator {
     this._applyInputToULA();
   }
 
+  /**
+   * Rebuild the whole machine as another model: memory map, contention,
+   * frame length, interrupt, raster and sound timings all follow its
+   * profile (src/machines.mjs). Without a ROM the current one is kept; a
+   * lone 16K ROM stands in for every ROM slot.
+   * @param {string} model - a MACHINES id such as '48k', '128k' or 'plus3'
+   * @param {ArrayBuffer|Uint8Array} [rom]
+   * @returns {Promise<MachineProfile>} the new machine's profile
+   */
+  async setModel(model, rom = null) {
+    const profile = getMachine(model);
+    const wasRunning = this._running;
+    if (wasRunning) this.pause();
+    if (rom) this.romBuffer = rom instanceof Uint8Array ? rom : new Uint8Array(rom);
+    await this._rebuildCoreForModel(profile.id);
+    this.cpu.reset();
+    this._applyInputToULA();
+    this.status(profile.name);
+    if (wasRunning) this.start();
+    return profile;
+  }
+
+  /**
+   * Switch to a ROM from the ROM selector (src/romManager.mjs). A ROM made
+   * for another model rebuilds the machine as that model; otherwise the
+   * ROM is swapped into the current one.
+   */
+  async selectRom(id) {
+    this.status(`loading ROM: ${id}...`);
+    const data = await romManager.loadRom(id);
+    const model = data.metadata && data.metadata.model;
+    if (model && getMachine(model) !== this.profile) {
+      await this.setModel(model, data.rom);
+    } else {
+      // initialize core with ROM bytes and apply memory configuration
+      await this.loadROM(data.rom);
+      try { romManager.applyMemoryConfig(this.memory, data.metadata, data.rom); } catch { /* ignore */ }
+    }
+    this.status(`selected ROM: ${id}`);
+    this._selectedRom = id;
+  }
+
   // Convert a 5-bit input row value into the ULA 8-bit key-matrix row
   _inputMatrixRowToUlaRow(rowVal) {
     return (rowVal & 0x1f) | 0b11100000; // set bits 5..7 to 1
@@ -1855,9 +3260,9 @@ export class Emulator {
       if (ulaVal !== 0xff) pressed.push(`row${r}=0x${ulaVal.toString(16)}`);
     }
     if (pressed.length > 0) {
-      console.log(`[Emulator] _applyInputToULA: ${pressed.join(', ')}`);
-      console.log(`[Emulator]   input.matrix: [${inputRows.join(',')}]`);
-      console.log(`[Emulator]   ula.keyMatrix: [${ulaRows.join(',')}]`);
+      this._log(`[Emulator] _applyInputToULA: ${pressed.join(', ')}`);
+      this._log(`[Emulator]   input.matrix: [${inputRows.join(',')}]`);
+      this._log(`[Emulator]   ula.keyMatrix: [${ulaRows.join(',')}]`);
     }
   }
 
@@ -1920,7 +3325,7 @@ export class Emulator {
   _useTimeoutFallback() {
     if (this._fallbackUsed) return;
     this._fallbackUsed = true;
-    console.log('[Emulator] Using setTimeout fallback for headless browser compatibility');
+    this._log('[Emulator] Using setTimeout fallback for headless browser compatibility');
     
     const fallbackLoop = () => {
       if (!this._running) return;
@@ -1958,6 +3363,10 @@ export class Emulator {
     
     this.memory.reset();
     this.cpu.reset();
+    this.beta128.reset();
+    this.upd765.reset();
+    this.divmmc.reset();
+    if (this.sound && this.sound.ay) this.sound.ay.reset();
     if (this.romBuffer) this.memory.loadROM(this.romBuffer);
     
     // Re-initialize debug hooks after CPU reset
@@ -1972,6 +3381,10 @@ export class Emulator {
       // Disable verbose debugging to prevent console spam
       this.cpu._debugVerbose = false;
     }
+
+    // A reset abandons any frame the debugger stopped in; breakpoints stay
+    this._frameInProgress = false;
+    if (this.debugger.paused) this.debugger.continue();
     
     // clear ULA flash/timers
     if (this.ula) {
@@ -1984,7 +3397,8 @@ export class Emulator {
 
   _resetDebugState() {
     this._portWrites = [];
-    this._executedOpcodes = [];
+    this.history.clear();
+    this._checkpoints = [];
     this._lastPC = 0;
     this._bootComplete = false;
     if (typeof window !== 'undefined') {
@@ -2025,85 +3439,156 @@ export class Emulator {
     if (!this._running) return;
     const dt = now - this._lastTime;
     this._lastTime = now;
-    this._acc += dt;
+    const speed = this._effectiveSpeed();
+    const ran = speed === Infinity ? this._runMaxSpeedTick() : this._runPacedTick(dt, speed);
+    if (!ran) return; // stopped by the debugger
 
-    // Run one or more 50Hz frames if enough time elapsed
-    while (this._acc >= FRAME_MS) {
+    this._rafId = requestAnimationFrame(this._loop);
+  }
+
+  // Run the frames due this display refresh; false if the debugger stopped the machine
+  _runPacedTick(dt, speed) {
+    // At full speed with the AudioWorklet output running, the audio ring's
+    // fill level says how many frames to run; otherwise frames follow the
+    // elapsed time scaled by the speed
+    const due = speed === 1 && this.sound && typeof this.sound.framesDue === 'function' ? this.sound.framesDue() : null;
+    const frameMs = this._frameMs();
+    if (due === null) this._acc += dt * speed;
+    else this._acc = due * frameMs;
+
+    // Run one or more frames if enough time elapsed
+    while (this._acc >= frameMs) {
       this._processFrame();
-      this._acc -= FRAME_MS;
+      this._acc -= frameMs;
+      if (!this._running) return false;
     }
+    return true;
+  }
 
-    this._rafId = requestAnimationFrame(this._loop);
+  // Real-time length of one frame: 19.97 ms on the 48K, 20.48 ms on the Pentagon
+  _frameMs() {
+    const profile = this.profile;
+    return profile ? 1000 * profile.tstatesPerFrame / profile.clockHz : FRAME_MS;
+  }
+
+  // Max speed: run frames until this refresh's time budget is spent
+  _runMaxSpeedTick() {
+    const end = performance.now() + MAX_SPEED_BUDGET_MS;
+    this._acc = 0;
+    do {
+      this._processFrame();
+      if (!this._running) return false;
+    } while (performance.now() < end);
+    return true;
   }
 
   // Process a single 50Hz frame (extracted from _loop to reduce complexity)
   _processFrame() {
+    // While the rewind key is held each tick goes back one keyframe instead
+    if (this._rewinding) {
+      this.rewindStep();
+      return;
+    }
+
     // Per-frame trace collection
     this._traceFrameStart();
 
     // sync input matrix to ULA
     this._applyInputToULA();
 
-    // Run CPU and generate interrupts synchronously at frame boundary
-    this._runCpuForFrame();
+    // Run CPU and generate interrupts synchronously at frame boundary.
+    // When the debugger stops mid-frame, show the screen as it is and keep
+    // the frame's sound until the frame completes.
+    if (!(this.rzxPlayer ? this._runRzxFrame() : this._runCpuForFrame())) {
+      if (this.ula) this.ula.render();
+      return;
+    }
 
     // Handle boot-frame special-case rendering or normal ULA render
     this._handleBootOrRender();
 
-    // Detect CHARS pointer changes and schedule glyph checks/render retries
-    this._checkCharsAndScheduleRenders();
+    // Detect CHARS pointer changes and schedule glyph checks/render retries;
+    // a headless machine renders when asked, so it leaves no timers behind
+    if (!this.headless) this._checkCharsAndScheduleRenders();
 
     // Flush the beeper/sample buffer for this frame.
     // sound.endFrame receives 0 (not an offset) because tstates has already
-    // been adjusted by _runCpuForFrame (subtract TSTATES_PER_FRAME).
+    // been adjusted by _runCpuForFrame (subtract the frame length).
     if (this.sound && typeof this.sound.endFrame === 'function') {
-      this.sound.endFrame(0);
+      this.sound.endFrame(0, this._audioCopies());
     }
 
     // Emit per-frame trace entry (if tracing enabled)
     this._traceFrameEnd();
+
+    if (!this.rzxPlayer) this.rewind.endFrame(() => this._captureMachineState());
   }
 
+  /**
+   * Run the CPU to the end of the current frame. Returns false when the
+   * debugger stopped it mid-frame; the next call resumes that same frame.
+   */
   _runCpuForFrame() {
-    if (this.cpu && typeof this.cpu.runFor === 'function') {
-      // Raise the ULA maskable interrupt at the VERY START of each raster frame,
-      // matching jsspeccy3 / real-hardware timing.  On real hardware the VSYNC
-      // pulse fires before the CPU begins executing the new frame.  Moving the
-      // interrupt here (instead of at the end of runFor) ensures the ISR is
-      // serviced at relative T-state 0 of every frame, keeping game logic,
-      // sprite updates and keyboard polls on the correct raster scanlines.
-      if (this.ula) {
-        this.ula.updateInterruptState();
-        this.ula.generateInterruptSync();
-      }
+    if (!this.cpu || typeof this.cpu.runFor !== 'function') return true;
+    if (!this._frameInProgress) {
+      if (!this._replaying && this.memory) this._takeCheckpoint();
+      this._beginFrame();
+      this._frameInProgress = true;
+    }
+
+    const frameLength = this.profile.tstatesPerFrame;
+    this.cpu.runFor(this.cpu.frameStartTstates + frameLength - this.cpu.tstates);
 
-      // Record frame start T-state so memory contention can compute scanline position
-      this.cpu.frameStartTstates = this.cpu.tstates;
+    // A breakpoint or step stopped the CPU at an instruction boundary inside the frame
+    if (this.debugger.paused) return false;
+    this._frameInProgress = false;
 
-      // diagnostic: log frame boundary state
-      try { console.log(`[runCpu] frame start t=${this.cpu.tstates} intReq=${this.cpu.intRequested}`); } catch {}
+    // Play the rest of this frame's tape signal, then rebase the deck clock;
+    // a replay leaves the deck where it is
+    if (!this._replaying) this.tape.endFrame(frameLength);
 
-      // Time-window interrupt model (matches jsspeccy3 / real hardware).
-      // The ULA holds INT low for roughly the first 32 T-states of each
-      // frame.  After that the INT signal rises and the CPU can no longer
-      // accept the interrupt — even if IFF1 becomes true later.
-      // step() auto-clears intRequested when tstates passes this threshold.
-      this.cpu._intWindowEnd = this.cpu.tstates + 32;
+    // Carry over overshoot cycles exactly like jsspeccy3 (t -= frameCycleCount).
+    // The last instruction may cross the frame boundary by 0-10 cycles;
+    // preserving that overshoot keeps interrupt timing and raster phase
+    // cycle-accurate across frames.
+    this.cpu.tstates -= frameLength;
+    this._elapsedTstates += frameLength;
 
-      this.cpu.runFor(TSTATES_PER_FRAME);
+    // diagnostic: report FRAMES variable value after frame run
+    try {
+      const frames = this.memory ? this.memory.peek(0x5C78) : undefined;
+      this._log(`[runCpu] FRAMES=${frames}`);
+    } catch (e) { /* ignore */ }
+    return true;
+  }
 
-      // Carry over overshoot cycles exactly like jsspeccy3 (t -= frameCycleCount).
-      // The last instruction may cross the 69888 boundary by 0-10 cycles;
-      // preserving that overshoot keeps interrupt timing and raster phase
-      // cycle-accurate across frames.
-      this.cpu.tstates -= TSTATES_PER_FRAME;
+  _beginFrame() {
+    // The interrupt closes the frame being recorded
+    if (this.rzxRecorder && !this._replaying) this.rzxRecorder.endFrame(this.cpu.fetchCount);
 
-      // diagnostic: report FRAMES variable value after frame run
-      try {
-        const frames = this.memory && this.memory.read ? this.memory.read(0x5C78) : undefined;
-        console.log(`[runCpu] FRAMES=${frames}`);
-      } catch (e) { /* ignore */ }
+    // Raise the ULA maskable interrupt at the VERY START of each raster frame,
+    // matching jsspeccy3 / real-hardware timing.  On real hardware the VSYNC
+    // pulse fires before the CPU begins executing the new frame.  Moving the
+    // interrupt here (instead of at the end of runFor) ensures the ISR is
+    // serviced at relative T-state 0 of every frame, keeping game logic,
+    // sprite updates and keyboard polls on the correct raster scanlines.
+    if (this.ula) {
+      this.ula.updateInterruptState();
+      this.ula.generateInterruptSync();
     }
+
+    // Record frame start T-state so memory contention can compute scanline position
+    this.cpu.frameStartTstates = this.cpu.tstates;
+
+    // diagnostic: log frame boundary state
+    try { this._log(`[runCpu] frame start t=${this.cpu.tstates} intReq=${this.cpu.intRequested}`); } catch {}
+
+    // Time-window interrupt model (matches jsspeccy3 / real hardware).
+    // The ULA holds INT low for the first 32 T-states of each frame (36 on
+    // the 128K).  After that the INT signal rises and the CPU can no longer
+    // accept the interrupt — even if IFF1 becomes true later.
+    // step() auto-clears intRequested when tstates passes this threshold.
+    this.cpu._intWindowEnd = this.cpu.tstates + this.profile.interruptLength;
   }
 
   _handleBootOrRender() {
@@ -2126,14 +3611,14 @@ export class Emulator {
 
       this._bootFramesRemaining--;
       if (this._bootFramesRemaining === 0) {
-        console.log('[Emulator] Boot frames complete, starting normal rendering');
+        this._log('[Emulator] Boot frames complete, starting normal rendering');
 
         // Ensure FLAGS is properly set for keyboard input if ROM didn't initialize it
         try {
-          const currentFlags = this.memory.read(0x5C3B);
+          const currentFlags = this.memory.peek(0x5C3B);
           if (currentFlags === 0) {
             this.memory.write(0x5C3B, 0x48);
-            console.log('[Emulator] Fixed FLAGS: set to 0x48 (K mode + K decode) for keyboard input');
+            this._log('[Emulator] Fixed FLAGS: set to 0x48 (K mode + K decode) for keyboard input');
           }
         } catch (e) { /* ignore */ }
       }
@@ -2191,6 +3676,31 @@ export class Emulator {
   status(msg) {
     if (this.statusEl) this.statusEl.textContent = `Status: ${msg}`;
   }
+
+  // Diagnostic console output, off with { diagnostics: false } or when headless
+  _log(...args) {
+    if (this.diagnostics) console.log(...args);
+  }
+}
+
+/**
+ * ?worker runs the core in a Web Worker drawing through OffscreenCanvas.
+ * Resolves false when not asked for or not supported, so the page runs the
+ * core on the main thread as usual.
+ */
+async function startWorkerMode(canvas) {
+  if (!new URLSearchParams(location.search).has('worker')) return false;
+  const { WorkerEmulator } = await import('./workerClient.mjs');
+  if (!WorkerEmulator.isSupported()) {
+    console.warn('[Emulator] Worker mode needs OffscreenCanvas; running on the main thread');
+    return false;
+  }
+  const emu = new WorkerEmulator({ canvas });
+  emu.bindUI();
+  window.emu = emu;
+  await emu.ready;
+  emu.status('core running in a worker');
+  return true;
 }
 
 // Auto-initialize when DOM ready and wire UI elements
@@ -2203,6 +3713,8 @@ if (typeof window !== 'undefined') {
   const canvas = document.getElementById('screen');
   if (!canvas) return;
 
+  if (await startWorkerMode(canvas)) return;
+
   const emu = new Emulator({ canvas });
 
   // Expose emulator and tape API globally for debugging and tests
@@ -2214,10 +3726,7 @@ if (typeof window !== 'undefined') {
   try {
     romManager.initRomSelector('#rom-select', async (id) => {
       try {
-        const data = await romManager.loadRom(id);
-        await emu.loadROM(data.rom);
-        try { romManager.applyMemoryConfig(emu.memory, data.metadata, data.rom); } catch { /* ignore */ }
-        emu.status(`selected ROM: ${id}`);
+        await emu.selectRom(id);
       } catch (e) {
         console.error('ROM selection failed', e);
         emu.status('ROM selection failed');
@@ -2265,11 +3774,44 @@ if (typeof window !== 'undefined') {
         <button id="diagForceRenderBtn" style="font-size:11px;padding:4px 8px">Force Render</button>
         <button id="diagKeyTestBtn" style="font-size:11px;padding:4px 8px" aria-label="Key Test - Press L key">Key Test (L)</button>
       </div>
-      <pre id="diagOutput" style="font-size:10px; color:#0ff; background:#000; padding:8px; max-height:200px; overflow:auto; white-space:pre-wrap; margin:0;"></pre>`;
+      <pre id="diagOutput" style="font-size:10px; color:#0ff; background:#000; padding:8px; max-height:200px; overflow:auto; white-space:pre-wrap; margin:0;"></pre>
+      <hr style="border-color:#444; margin:8px 0">
+      <label style="font-size:12px; display:block; margin-bottom:4px;">Debugger</label>
+      <div style="display:flex;gap:4px;margin-bottom:4px;">
+        <input id="__emu_dbg_addr" placeholder="address ($8000)" aria-label="Breakpoint or cursor address" style="width:90px;font-size:11px">
+        <input id="__emu_dbg_cond" placeholder="condition (A==0x10 && HL>0x8000)" aria-label="Breakpoint condition" style="flex:1;min-width:0;font-size:11px">
+      </div>
+      <div style="display:flex;gap:4px;flex-wrap:wrap;margin-bottom:6px;">
+        <button id="__emu_dbg_add" style="font-size:11px;padding:4px 8px">Add BP</button>
+        <button id="__emu_dbg_clear" style="font-size:11px;padding:4px 8px">Clear all</button>
+        <button id="__emu_dbg_break" style="font-size:11px;padding:4px 8px">Break</button>
+        <button id="__emu_dbg_continue" style="font-size:11px;padding:4px 8px">Continue</button>
+        <button id="__emu_dbg_step" style="font-size:11px;padding:4px 8px">Step</button>
+        <button id="__emu_dbg_over" style="font-size:11px;padding:4px 8px">Step over</button>
+        <button id="__emu_dbg_out_btn" style="font-size:11px;padding:4px 8px">Step out</button>
+        <button id="__emu_dbg_runto" style="font-size:11px;padding:4px 8px">Run to</button>
+        <button id="__emu_dbg_back" style="font-size:11px;padding:4px 8px">Step back</button>
+        <button id="__emu_dbg_back_write" style="font-size:11px;padding:4px 8px">Back to write</button>
+      </div>
+      <div style="display:flex;gap:4px;margin-bottom:6px;">
+        <select id="__emu_dbg_watch_type" aria-label="Watchpoint type" style="font-size:11px">
+          <option value="w">Write</option>
+          <option value="r">Read</option>
+          <option value="rw">Read/write</option>
+          <option value="x">Execute</option>
+          <option value="in">Port IN</option>
+          <option value="out">Port OUT</option>
+        </select>
+        <input id="__emu_dbg_watch_end" placeholder="to (optional)" aria-label="Watchpoint end address" style="width:80px;font-size:11px">
+        <input id="__emu_dbg_watch_value" placeholder="value (optional)" aria-label="Watchpoint value" style="width:80px;font-size:11px">
+        <button id="__emu_dbg_watch_add" style="font-size:11px;padding:4px 8px">Add watch</button>
+      </div>
+      <pre id="__emu_dbg_out" style="font-size:10px; color:#ff0; background:#000; padding:8px; max-height:200px; overflow:auto; white-space:pre-wrap; margin:0;"></pre>`;
     document.body.appendChild(dbgPanel);
 
     // Bind Quick Diagnostics buttons now that they exist in DOM
     try { emu._bindDiagnosticButtons(); } catch { /* ignore */ }
+    try { emu._bindDebuggerControls(); } catch { /* ignore */ }
 
     // Add a persistent toggle control into the UI controls area
     try {
@@ -2527,17 +4069,19 @@ if (typeof window !== 'undefined') {
     getDE: () => emu.getDE(),
     getHL: () => emu.getHL(),
     peekMemory: (address, length) => emu.peekMemory(address, length),
+    disassemble: (address, count) => emu.disassemble(address, count).map(formatInstruction),
     readROM: (address) => emu.readROM(address),
     readRAM: (address) => emu.readRAM(address),
     getPortWrites: () => emu.getPortWrites(),
     getLastPortWrite: () => emu.getLastPortWrite(),
     portWrites: emu._portWrites,
-    executedOpcodes: emu._executedOpcodes,
+    get executedOpcodes() { return emu.getExecutedOpcodes(); },
+    getInstructionHistory: (count) => emu.getInstructionHistory(count),
     bootComplete: () => emu._bootComplete,
     isTestMode: true,
     timing: {
       tstates: emu.cpu ? emu.cpu.tstates : 0,
-      framesExecuted: Math.floor((emu.cpu ? emu.cpu.tstates : 0) / 69888)
+      framesExecuted: Math.floor((emu.cpu ? emu.cpu.tstates : 0) / emu.profile.tstatesPerFrame)
     },
     // Enhanced reliability features
     getLastPC: () => {
@@ -1,18 +1,45 @@
 // DEBUG: Memory module instrumentation
+import { WatchpointManager } from './watchpoints.mjs';
+import { getMachine, CONTENTION_PATTERN_48K, CONTENTION_PATTERN_PLUS3 } from './machines.mjs';
+
 export class Memory {
   // Page size and mask
   static PAGE_SIZE = 0x4000; // 16KB
   static ADDR_MASK = 0xffff;
 
+  // +2A/+3 "special" all-RAM configurations selected by port 0x1FFD bits 1-2
+  // (RAM bank for each of the four 16KB pages)
+  static SPECIAL_PAGING = [
+    [0, 1, 2, 3],
+    [4, 5, 6, 7],
+    [4, 5, 6, 3],
+    [4, 7, 6, 3]
+  ];
+
+  // ROM bank holding TR-DOS on machines with the slot (the Pentagon), after
+  // the 128 editor ROM and 48 BASIC ROM
+  static TRDOS_ROM_BANK = 2;
+
+  // Per 8 T-state group contention delays during pixel fetch (see src/machines.mjs)
+  static CONTENTION_PATTERN_48K = CONTENTION_PATTERN_48K;
+  static CONTENTION_PATTERN_PLUS3 = CONTENTION_PATTERN_PLUS3;
+
   /**
    * Construct a Memory instance supporting multiple Spectrum models.
    * options: {
-   *   model: '16k'|'48k'|'128k'|'plus3' (default '48k'),
+   *   model: '16k'|'48k'|'128k'|'plus2a'|'plus3'|'pentagon' (default '48k'),
+   *   timing: machine profile for frame length and contention (default: the
+   *     model's own, see src/machines.mjs),
    *   contention: boolean (default true),
-   *   romBuffer: ArrayBuffer|Uint8Array|Array of buffers for multi-ROM
+   *   trdos: boolean, a TR-DOS ROM slot for the Beta 128 interface (default:
+   *     the Pentagon only),
+   *   romBuffer: ArrayBuffer|Uint8Array|Array of buffers for multi-ROM,
+   *   diagnostics: boolean, ROM loading and paging messages on the console
+   *     (default true)
    * }
    */
   constructor(options = {}) {
+    this.diagnostics = options.diagnostics !== false;
     this.model = (options.model || '48k').toLowerCase();
     this.contentionEnabled = options.contention !== false;
 
@@ -36,6 +63,27 @@ export class Memory {
 
     // currently selected ROM bank index (for 128K/plus3)
     this.currentRom = 0;
+    // set by configureBanks for machines whose ROM bank 2 is TR-DOS, and
+    // true while the Beta 128 interface has TR-DOS paged in at 0x0000
+    this._trdosOption = options.trdos;
+    this.trdosSlot = false;
+    this.trdosPaged = false;
+
+    // 128K paging register (port 0x7FFD) state. screenBank is the RAM bank
+    // the ULA displays: bank 5 normally, bank 7 when the shadow screen is on.
+    this.port7FFD = 0;
+    this.pagingLocked = false;
+    this._pagingLockable = true;
+    this.screenBank = 5;
+    // +2A/+3 paging register (port 0x1FFD); specialPaging is true while one
+    // of the all-RAM configurations is selected
+    this.port1FFD = 0;
+    this.specialPaging = false;
+    // 8K blocks an interface (the DivMMC) maps over 0x0000-0x3FFF in place
+    // of whatever page 0 holds; null when nothing is mapped (setRomOverlay)
+    this.romOverlay = null;
+    // RAM bank index mapped at each page (-1 = ROM), used for contention
+    this._pageBanks = [-1, 0, 1, 2];
 
     // last contention applied
     this._lastContention = 0;
@@ -47,8 +95,14 @@ export class Memory {
     // optional CPU reference for applying tstate delays
     this.cpu = null;
 
-    // contention timing table (lazy-built to match JSSpeccy behavior)
+    // optional WatchpointManager consulted on every read and write
+    this.watchpoints = null;
+    this._stackWatchId = null;
+
+    // contention timing table (lazy-built to match JSSpeccy behavior);
+    // configureBanks sets the figures from the machine profile
     this._contentionTable = null;
+    this._timingOverride = options.timing || null;
     this._frameCycleCount = 69888; // default for 48K
     // Some ULA revisions assert the first contended t‑state one cycle later.
     // Jetpac and a handful of titles appear happier with 14336, so bump the
@@ -56,6 +110,7 @@ export class Memory {
     this._firstContended = 14336;
     this._tstatesPerRow = 224;
     this._contendedLines = 192;
+    this._contentionPattern = Memory.CONTENTION_PATTERN_48K;
 
     // debug mem write log (captures writes to 0x4000..0x5AFF)
     this._memWrites = [];
@@ -71,8 +126,16 @@ export class Memory {
     // preload ROM(s) if provided AFTER configuring banks
     const romBuf = options.romBuffer || null;
     if (romBuf) {
-      console.log('[Memory] Constructor: Loading ROM buffer, size:', romBuf.length || 'unknown');
-      if (Array.isArray(romBuf)) {
+      this._log('[Memory] Constructor: Loading ROM buffer, size:', romBuf.length || 'unknown');
+      const romLen = romBuf.length || romBuf.byteLength || 0;
+      if (this.hasPaging() && romLen > Memory.PAGE_SIZE) {
+        // Multi-ROM image (e.g. the 32K 128K ROM set): one 16K bank per slice
+        const bytes = (romBuf instanceof Uint8Array) ? romBuf : new Uint8Array(romBuf);
+        const count = Math.ceil(romLen / Memory.PAGE_SIZE);
+        for (let b = count - 1; b >= 0; b--) {
+          this.loadROM(bytes.subarray(b * Memory.PAGE_SIZE, (b + 1) * Memory.PAGE_SIZE), b);
+        }
+      } else if (Array.isArray(romBuf)) {
         // Handle both regular arrays and Uint8Array - load as single ROM
         this.loadROM(romBuf, 0);
       } else {
@@ -83,19 +146,24 @@ export class Memory {
 
   attachCPU(cpu) { this.cpu = cpu; }
 
+  // Diagnostic console output, off when options.diagnostics is false
+  _log(...args) {
+    if (this.diagnostics) console.log(...args);
+  }
+
   /** Load a 16KB ROM into romBanks[bank] (or extend banks) */
   loadROM(buffer, bank = 0) {
-    console.log(`[Memory] loadROM called with buffer type: ${buffer.constructor.name}, length: ${buffer.length || 'unknown'}`);
+    this._log(`[Memory] loadROM called with buffer type: ${buffer.constructor.name}, length: ${buffer.length || 'unknown'}`);
     
     let src;
     if (buffer instanceof Uint8Array) {
       // If it's already a Uint8Array, use it directly
       src = buffer;
-      console.log(`[Memory] Using existing Uint8Array, first 10 bytes:`, Array.from(src.slice(0, 10)));
+      this._log(`[Memory] Using existing Uint8Array, first 10 bytes:`, Array.from(src.slice(0, 10)));
     } else {
       // Otherwise, convert to Uint8Array
       src = new Uint8Array(buffer);
-      console.log(`[Memory] Converted to Uint8Array, first 10 bytes:`, Array.from(src.slice(0, 10)));
+      this._log(`[Memory] Converted to Uint8Array, first 10 bytes:`, Array.from(src.slice(0, 10)));
     }
     
     // Create a new ROM array and copy data properly
@@ -103,12 +171,12 @@ export class Memory {
     
     // Copy the ROM data using the proven working method from direct memory test
     const bytesToCopy = Math.min(src.length, Memory.PAGE_SIZE);
-    console.log(`[Memory] Copying ${bytesToCopy} bytes from src to ROM array`);
+    this._log(`[Memory] Copying ${bytesToCopy} bytes from src to ROM array`);
     for (let i = 0; i < bytesToCopy; i++) {
       rom[i] = src[i];
     }
     
-    console.log(`[Memory] After copy, ROM first 10 bytes:`, Array.from(rom.slice(0, 10)));
+    this._log(`[Memory] After copy, ROM first 10 bytes:`, Array.from(rom.slice(0, 10)));
     
     // Store the ROM bank
     this.romBanks[bank] = rom;
@@ -121,25 +189,25 @@ export class Memory {
     // writes go to scratch, and stack reads return what was written
     if (this.romScratchPage) {
       this.romScratchPage.set(rom);
-      console.log(`[Memory] Copied ROM to scratch page for shadow RAM functionality`);
+      this._log(`[Memory] Copied ROM to scratch page for shadow RAM functionality`);
     }
     
-    console.log(`[Memory] Loaded ROM into bank ${bank}, mapped to pages[0], first byte: 0x${this.romBanks[bank][0].toString(16).padStart(2, '0')}`);
+    this._log(`[Memory] Loaded ROM into bank ${bank}, mapped to pages[0], first byte: 0x${this.romBanks[bank][0].toString(16).padStart(2, '0')}`);
     
     // Verify the mapping worked
-    console.log(`[Memory] Verification: pages[0][0] = ${this.pages[0][0]}`);
+    this._log(`[Memory] Verification: pages[0][0] = ${this.pages[0][0]}`);
 
     // Diagnostic: dump ROM bytes around where the copyright glyph is expected
     try {
       if (this.romBanks[bank] && this.romBanks[bank].length > 0x0EA0) {
         if (typeof console !== 'undefined' && console.log) {
-          console.log('[Memory] ROM bytes 0x0E90-0x0EA0:', Array.from(this.romBanks[bank].slice(0x0E90, 0x0EA0)).map(b=>b.toString(16).padStart(2,'0')));
+          this._log('[Memory] ROM bytes 0x0E90-0x0EA0:', Array.from(this.romBanks[bank].slice(0x0E90, 0x0EA0)).map(b=>b.toString(16).padStart(2,'0')));
         }
       }
       // Also dump the ROM region containing the builtin copyright text (0x1530-0x1550)
       if (this.romBanks[bank] && this.romBanks[bank].length > 0x1550) {
         if (typeof console !== 'undefined' && console.log) {
-          console.log('[Memory] ROM bytes 0x1530-0x1550:', Array.from(this.romBanks[bank].slice(0x1530, 0x1550)).map(b=>b.toString(16).padStart(2,'0')));
+          this._log('[Memory] ROM bytes 0x1530-0x1550:', Array.from(this.romBanks[bank].slice(0x1530, 0x1550)).map(b=>b.toString(16).padStart(2,'0')));
         }
       }
     } catch (e) { /* ignore */ }
@@ -159,7 +227,7 @@ export class Memory {
       this.romScratchPage.set(this.romBanks[bankIndex]);
     }
     
-    console.log(`[Memory] Mapped ROM bank ${bankIndex} to pages[0], first byte: 0x${this.romBanks[bankIndex][0].toString(16).padStart(2, '0')}`);
+    this._log(`[Memory] Mapped ROM bank ${bankIndex} to pages[0], first byte: 0x${this.romBanks[bankIndex][0].toString(16).padStart(2, '0')}`);
   }
 
   /** Configure banks based on model name */
@@ -167,6 +235,15 @@ export class Memory {
     model = model.toLowerCase();
     this.model = model;
 
+    // power-on paging state
+    this.port7FFD = 0;
+    this.pagingLocked = false;
+    this.screenBank = 5;
+    this.port1FFD = 0;
+    this.specialPaging = false;
+    this.trdosPaged = false;
+    this._pageBanks = [-1, 0, 1, 2];
+
     // clear previous banks
     this.ramBanks = [];
     this.pages = new Array(4).fill(null);
@@ -232,8 +309,8 @@ export class Memory {
       this._flatRam = new Uint8Array(0xC000);
       // fill flatRam with page1..3
       this._syncFlatRamFromBanks();
-    } else if (model === '128k' || model === 'plus2' || model === '+2') {
-      // 128KB RAM + multiple ROM banks
+    } else if (model === '128k' || model === 'plus2' || model === '+2' || model === 'pentagon') {
+      // 128KB RAM + multiple ROM banks (the Pentagon adds TR-DOS as bank 2)
       // ensure at least one ROM bank exists
       if (!this.romBanks[0]) this.romBanks[0] = new Uint8Array(Memory.PAGE_SIZE).fill(0xff);
       // create 8 RAM banks of 16KB
@@ -249,9 +326,11 @@ export class Memory {
       this.writePages[1] = this.ramBanks[5];
       this.writePages[2] = this.ramBanks[2];
       this.writePages[3] = this.ramBanks[0];
+      this._pageBanks = [-1, 5, 2, 0];
       this._flatRam = null;
-    } else if (model === 'plus3' || model === '+3') {
-      // +3 (Spectrum +3) - similar to 128K but different ROM layout expectations (CP/M support)
+    } else if (model === 'plus3' || model === '+3' || model === 'plus2a' || model === '+2a') {
+      // +2A/+3 - 128K RAM with four 16K ROMs (port 0x1FFD bit 2 is the ROM
+      // select high bit) and the all-RAM special paging modes used by CP/M
       if (!this.romBanks[0]) this.romBanks[0] = new Uint8Array(Memory.PAGE_SIZE).fill(0xff);
       // 128KB RAM
       for (let i = 0; i < 8; i++) this.ramBanks[i] = new Uint8Array(Memory.PAGE_SIZE).fill(0);
@@ -265,16 +344,35 @@ export class Memory {
       this.writePages[1] = this.ramBanks[5];
       this.writePages[2] = this.ramBanks[2];
       this.writePages[3] = this.ramBanks[0];
+      this._pageBanks = [-1, 5, 2, 0];
       this._flatRam = null;
     } else {
       // fallback to 48K behaviour
       return this.configureBanks('48k');
     }
 
+    const profile = this._timingOverride || getMachine(model);
+    this.setTiming(profile);
+    this._pagingLockable = profile.pagingLock !== false;
+    this.trdosSlot = typeof this._trdosOption === 'boolean' ? this._trdosOption : profile.trdos === true;
+
     // ensure ROM mapping is in sync
     this.mapROM(this.currentRom);
   }
 
+  /**
+   * Take the frame length and contention timing from a machine profile
+   * (src/machines.mjs). A profile without a contention pattern has no
+   * contended memory at all.
+   */
+  setTiming(profile) {
+    this._frameCycleCount = profile.tstatesPerFrame;
+    this._firstContended = profile.firstContended;
+    this._tstatesPerRow = profile.tstatesPerLine;
+    this._contentionPattern = profile.contentionPattern;
+    this._contentionTable = null;
+  }
+
   /** Sync a flat 48K linear RAM view from ramBanks (used for ULA convenience) */
   _syncFlatRamFromBanks() {
     if (!this._flatRam) return;
@@ -291,12 +389,18 @@ export class Memory {
   _isContended(addr) {
     addr = this._mask(addr);
     // classic contended region is 0x4000-0x7fff
-    if (!this.contentionEnabled) return false;
-    return addr >= 0x4000 && addr <= 0x7fff;
+    if (!this.contentionEnabled || !this._contentionPattern) return false;
+    if (!this.hasPaging()) return addr >= 0x4000 && addr <= 0x7fff;
+    // 128K: the odd RAM banks (1, 3, 5, 7) are contended wherever they are
+    // paged; on the +2A/+3 it is banks 4-7 instead
+    const bank = this._pageBanks[addr >>> 14];
+    if (bank < 0) return false;
+    return this.isPlus3() ? bank >= 4 : (bank & 0x01) === 1;
   }
 
   /**
-   * Apply ULA memory contention delay for the ZX Spectrum 48K.
+   * Apply ULA memory contention delay. The figures below are the 48K's; the
+   * other models' come from their profiles (see setTiming).
    *
    * The ULA and CPU share the same RAM at 0x4000-0x7FFF. During active
    * display, the ULA periodically locks the CPU out for small delays.
@@ -307,6 +411,7 @@ export class Memory {
    *     the first 128 T-states of each scanline
    *   - First contended T-state of the frame: 14336 (scanline 64, column 0)
    *   - Contention pattern per 8 T-state group: [6, 5, 4, 3, 2, 1, 0, 0]
+   *     (the +2A/+3 gate array uses [1, 0, 7, 6, 5, 4, 3, 2])
    *
    * Reference: "The ZX Spectrum ULA" by Chris Smith, ch. 7.
    */
@@ -319,11 +424,12 @@ export class Memory {
     while (pos < this._firstContended && pos < frameCycleCount) table[pos++] = 0;
 
     // for each visible scanline, set contention for first 128 tstates
-    for (let y = 0; y < this._contendedLines && pos < frameCycleCount; y++) {
+    // (an uncontended machine such as the Pentagon keeps an all-zero table)
+    const pattern = this._contentionPattern;
+    for (let y = 0; pattern && y < this._contendedLines && pos < frameCycleCount; y++) {
       for (let x = 0; x < this._tstatesPerRow && pos < frameCycleCount; x++) {
         if (x < 128) {
-          const seq = x & 0x07;
-          table[pos++] = (seq === 7) ? 0 : (6 - seq);
+          table[pos++] = pattern[x & 0x07];
         } else {
           table[pos++] = 0;
         }
@@ -354,7 +460,7 @@ export class Memory {
     if (extra > 0) {
       this._contentionHits = (this._contentionHits || 0) + 1;
       // diagnostic console output for early-frame contention events
-      if (frameT < 300) {
+      if (frameT < 300 && this.diagnostics) {
         try { console.log(`Contended access @${baseT} (${addr.toString(16)}) extra=${extra}`); } catch {};
       }
       try {
@@ -394,7 +500,8 @@ export class Memory {
     const view = this.pages[page];
     
     let value = 0xff;
-    if (view) value = view[offset];
+    if (page === 0 && this.romOverlay !== null) value = this._readRomOverlay(offset);
+    else if (view) value = view[offset];
 
     // Diagnostic: instrument reads to character bitmap and screen bitmap regions for debugging
     try {
@@ -419,16 +526,20 @@ export class Memory {
 
     // Apply contention for accesses in 0x4000..0x7fff (passes caller tstates)
     this._applyContention(addr, tstates);
-    // If stack watch enabled and access falls in range, invoke callback
-    if (this._stackWatch) {
-      const s = this._stackWatch;
-      // Handle wrap-around ranges (start > end) by normalising check
-      const inRange = s.start <= s.end ? (addr >= s.start && addr <= s.end) : (addr >= s.start || addr <= s.end);
-      if (inRange && typeof s.cb === 'function') s.cb({ type: 'read', addr, value, t: this.cpu ? this.cpu.tstates : 0 });
-    }
+    if (this.watchpoints !== null && this.watchpoints.memoryArmed) this.watchpoints.checkMemory('read', addr, value);
     return value;
   }
 
+  /**
+   * Read a byte with no side effects: no contention, no watchpoints.
+   * For debuggers and other tools that inspect memory between instructions.
+   */
+  peek(addr) {
+    if (addr < Memory.PAGE_SIZE && this.romOverlay !== null) return this._readRomOverlay(addr);
+    const view = this.pages[(addr >>> 14) & 0x03];
+    return view ? view[addr & (Memory.PAGE_SIZE - 1)] : 0xff;
+  }
+
   /** Write a byte - on ZX Spectrum 48K, writes to ROM area are ignored
    *  Optional third arg tstates is the CPU tstate at the moment of access.
    */
@@ -442,7 +553,12 @@ export class Memory {
     // There is no RAM under ROM on the 48K model. The writePages approach was wrong
     // because it allowed stack operations to corrupt the scratch page which was
     // then being read for code execution.
-    if (page === 0) {
+    // (+2A/+3 special paging maps RAM at 0x0000, which is writable as usual.)
+    if (page === 0 && this.romOverlay !== null) {
+      this._applyContention(addr, tstates);
+      return this._writeRomOverlay(offset, value);
+    }
+    if (page === 0 && !this.specialPaging) {
       // ROM area - ignore write but still apply contention (pass tstates)
       this._applyContention(addr, tstates);
       return false;
@@ -620,12 +736,7 @@ export class Memory {
       } catch (e) { /* ignore */ }
     }
 
-    // If stack watch enabled and access falls in range, invoke callback
-    if (this._stackWatch) {
-      const s = this._stackWatch;
-      const inRange = s.start <= s.end ? (addr >= s.start && addr <= s.end) : (addr >= s.start || addr <= s.end);
-      if (inRange && typeof s.cb === 'function') s.cb({ type: 'write', addr, value, t: this.cpu ? this.cpu.tstates : 0 });
-    }
+    if (this.watchpoints !== null && this.watchpoints.memoryArmed) this.watchpoints.checkMemory('write', addr, value);
     // if we maintain a flatRam for 48K keep it in sync
     if (this._flatRam) {
       if (addr >= 0x4000 && addr < 0x10000) {
@@ -646,17 +757,180 @@ export class Memory {
     this.write((addr + 1) & Memory.ADDR_MASK, (value >> 8) & 0xff);
   }
 
-  /** Stack watch helpers (test instrumentation) */
+  /**
+   * Stack watch helpers (test instrumentation): call cb({ type, addr, value, t })
+   * for every read and write in one range. A single internal watchpoint on
+   * this.watchpoints, created here if no manager has been attached.
+   */
   enableStackWatch(startAddr, endAddr, cb) {
-    this._stackWatch = { start: startAddr & Memory.ADDR_MASK, end: endAddr & Memory.ADDR_MASK, cb };
+    this.disableStackWatch();
+    if (!this.watchpoints) this.watchpoints = new WatchpointManager();
+    this._stackWatchId = this.watchpoints.add({
+      access: 'rw',
+      start: startAddr & Memory.ADDR_MASK,
+      end: endAddr & Memory.ADDR_MASK,
+      internal: true,
+      action: (hit) => {
+        if (typeof cb === 'function') cb({ type: hit.type, addr: hit.addr, value: hit.value, t: this.cpu ? this.cpu.tstates : 0 });
+      }
+    });
   }
 
   disableStackWatch() {
-    this._stackWatch = null;
+    if (this._stackWatchId === null) return;
+    if (this.watchpoints) this.watchpoints.remove(this._stackWatchId);
+    this._stackWatchId = null;
+  }
+
+  /** True for models with 128K-style banked RAM (port 0x7FFD paging) */
+  hasPaging() {
+    return this.ramBanks.length === 8;
+  }
+
+  /** True for machines with a TR-DOS ROM slot (romBanks[Memory.TRDOS_ROM_BANK]) */
+  hasTRDOS() {
+    return this.trdosSlot;
+  }
+
+  /**
+   * Put a 16KB TR-DOS ROM in its slot without paging it in; the Beta 128
+   * disk interface pages it over the BASIC ROM (see pageTRDOS). Returns
+   * false on machines without the slot.
+   */
+  loadTRDOSROM(buffer) {
+    if (!this.hasTRDOS()) return false;
+    const rom = new Uint8Array(Memory.PAGE_SIZE);
+    rom.set((buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)).subarray(0, Memory.PAGE_SIZE));
+    this.romBanks[Memory.TRDOS_ROM_BANK] = rom;
+    return true;
+  }
+
+  /**
+   * Page the TR-DOS ROM in at 0x0000 in place of the selected ROM, or back
+   * out again. Port 0x7FFD writes while it is in keep it paged.
+   */
+  pageTRDOS(on) {
+    this.trdosPaged = !!on && this.hasTRDOS();
+    if (this.hasPaging()) this._applyPaging();
+    else this._selectRom(this.trdosPaged ? Memory.TRDOS_ROM_BANK : 0);
+  }
+
+  /**
+   * Map two 8K blocks over 0x0000-0x3FFF, each read-only or writable, in
+   * place of the ROM (or +3 special-paging RAM); null takes them away.
+   * Paging registers keep working underneath.
+   * @param {{low: Uint8Array, high: Uint8Array, lowWritable: boolean, highWritable: boolean}|null} overlay
+   */
+  setRomOverlay(overlay) {
+    this.romOverlay = overlay || null;
+  }
+
+  _readRomOverlay(offset) {
+    const overlay = this.romOverlay;
+    return offset < 0x2000 ? overlay.low[offset] : overlay.high[offset - 0x2000];
+  }
+
+  _writeRomOverlay(offset, value) {
+    const overlay = this.romOverlay;
+    if (offset < 0x2000) {
+      if (!overlay.lowWritable) return false;
+      overlay.low[offset] = value;
+    } else {
+      if (!overlay.highWritable) return false;
+      overlay.high[offset - 0x2000] = value;
+    }
+    return true;
+  }
+
+  /** True for the +2A/+3 gate array models (port 0x1FFD paging) */
+  isPlus3() {
+    const m = this.model;
+    return m === 'plus3' || m === '+3' || m === 'plus2a' || m === '+2a';
+  }
+
+  /**
+   * Write the 128K memory paging register (port 0x7FFD).
+   *   bits 0-2: RAM bank paged in at 0xC000
+   *   bit 3:    screen select (0 = bank 5, 1 = bank 7 shadow screen)
+   *   bit 4:    ROM select (0 = 128K editor ROM, 1 = 48K BASIC ROM);
+   *             low bit of the ROM number on the +2A/+3
+   *   bit 5:    lock paging (0x7FFD and 0x1FFD) until the next reset;
+   *             ignored on the Pentagon
+   * Returns false when the write is ignored (no paging hardware, or locked).
+   */
+  writePort7FFD(value) {
+    if (!this.hasPaging() || this.pagingLocked) return false;
+    value &= 0xff;
+    this.port7FFD = value;
+    this.screenBank = (value & 0x08) ? 7 : 5;
+    if ((value & 0x20) && this._pagingLockable) this.pagingLocked = true;
+    this._applyPaging();
+    return true;
+  }
+
+  /**
+   * Write the +2A/+3 paging register (port 0x1FFD).
+   *   bit 0:    1 = special all-RAM paging
+   *   bits 1-2: special configuration (see SPECIAL_PAGING), or
+   *             bit 2 = high bit of the ROM number in normal mode
+   *   bit 3:    disk motor
+   *   bit 4:    printer strobe
+   * Returns false when the write is ignored (not a +2A/+3, or locked).
+   */
+  writePort1FFD(value) {
+    if (!this.isPlus3() || this.pagingLocked) return false;
+    this.port1FFD = value & 0xff;
+    this._applyPaging();
+    return true;
+  }
+
+  /** Rebuild the page mapping from the current 0x7FFD/0x1FFD values */
+  _applyPaging() {
+    const plus3 = this.isPlus3();
+    if (plus3 && (this.port1FFD & 0x01)) {
+      const banks = Memory.SPECIAL_PAGING[(this.port1FFD >> 1) & 0x03];
+      for (let i = 0; i < 4; i++) this._mapBank(i, banks[i]);
+      this.specialPaging = true;
+      return;
+    }
+    this.specialPaging = false;
+    this._mapBank(1, 5);
+    this._mapBank(2, 2);
+    this._mapBank(3, this.port7FFD & 0x07);
+    this._pageBanks[0] = -1;
+    this.writePages[0] = this.romScratchPage;
+    const romLow = (this.port7FFD >> 4) & 0x01;
+    if (this.trdosPaged) this._selectRom(Memory.TRDOS_ROM_BANK);
+    else this._selectRom(plus3 ? (((this.port1FFD >> 2) & 0x01) << 1) | romLow : romLow);
+  }
+
+  _mapBank(pageIndex, bankIndex) {
+    this.pages[pageIndex] = this.ramBanks[bankIndex];
+    this.writePages[pageIndex] = this.ramBanks[bankIndex];
+    this._pageBanks[pageIndex] = bankIndex;
+  }
+
+  /** Page a ROM bank in at 0x0000 without the logging/scratch copy done by mapROM */
+  _selectRom(bankIndex) {
+    if (!this.romBanks[bankIndex]) this.romBanks[bankIndex] = new Uint8Array(Memory.PAGE_SIZE).fill(0xff);
+    this.currentRom = bankIndex;
+    this.pages[0] = this.romBanks[bankIndex];
+  }
+
+  /** Return the RAM bank the ULA is currently displaying (16KB, screen at offset 0) */
+  getScreenPage() {
+    if (this.hasPaging()) return this.ramBanks[this.screenBank];
+    return this.ramBanks[0] || this.pages[1];
+  }
+
+  /** True when the displayed screen bank is not the one visible at 0x4000 */
+  _screenIsPagedOut() {
+    return this.hasPaging() && this.getScreenPage() !== this.pages[1];
   }
 
   /** Return a copy of the bitmap (0x4000..0x57FF = 6912 bytes) */
   exportScreenBitmap() {
+    if (this._screenIsPagedOut()) return this.getScreenPage().slice(0, 0x1800);
     const out = new Uint8Array(0x1800);
     let base = 0x4000;
     for (let i = 0; i < 0x1800; i++) out[i] = this.read(base + i);
@@ -675,6 +949,7 @@ export class Memory {
 
   /** Return attribute area (0x5800..0x5AFF = 768 bytes) */
   getAttributeView() {
+    if (this._screenIsPagedOut()) return this.getScreenPage().slice(0x1800, 0x1B00);
     const out = new Uint8Array(768);
     const base = 0x5800;
     for (let i = 0; i < 768; i++) out[i] = this.read(base + i);
@@ -686,11 +961,40 @@ export class Memory {
     if (pageIndex < 0 || pageIndex > 3) return false;
     if (!this.ramBanks[ramBankIndex]) return false;
     this.pages[pageIndex] = this.ramBanks[ramBankIndex];
+    this._pageBanks[pageIndex] = ramBankIndex;
     // keep flatRam in sync if used
     if (this._flatRam) this._syncFlatRamFromBanks();
     return true;
   }
 
+  /**
+   * Copy of every RAM bank and the paging registers, for loadState(). The
+   * ROM overlay is not included: the interface that owns it saves its own
+   * state and maps it again (DivMMC.saveState).
+   */
+  saveState() {
+    return {
+      banks: this.ramBanks.map(bank => bank.slice()),
+      port7FFD: this.port7FFD,
+      port1FFD: this.port1FFD,
+      pagingLocked: this.pagingLocked,
+      trdosPaged: this.trdosPaged
+    };
+  }
+
+  /** Put back RAM and paging saved by saveState() on a machine of the same model */
+  loadState(state) {
+    state.banks.forEach((bank, i) => { if (this.ramBanks[i]) this.ramBanks[i].set(bank); });
+    if (this.hasPaging()) {
+      this.port7FFD = state.port7FFD;
+      this.port1FFD = state.port1FFD;
+      this.pagingLocked = state.pagingLocked;
+      this.screenBank = (state.port7FFD & 0x08) ? 7 : 5;
+    }
+    this.pageTRDOS(!!state.trdosPaged);
+    this._syncFlatRamFromBanks();
+  }
+
   /** Reset RAM and optionally ROM mapping */
   reset() {
     // clear all ram banks
@@ -706,7 +1010,13 @@ export class Memory {
       // CRITICAL: Do NOT re-initialize video RAM here - let ROM boot sequence handle it
       // This allows copyright message to appear during boot
       if (typeof window !== 'undefined' && window.__TEST__) window.__TEST__.memoryResetLog = (window.__TEST__.memoryResetLog || []).concat({ t: Date.now(), pc: (window.__LAST_PC__ || null) });
-      console.log('[Memory] Reset complete - video RAM preserved for boot sequence');
+      this._log('[Memory] Reset complete - video RAM preserved for boot sequence');
+    } else if (this.hasPaging()) {
+      // 128K: a reset clears the paging lock and returns to ROM 0 / bank 0
+      this.pagingLocked = false;
+      this.trdosPaged = false;
+      this.port1FFD = 0;
+      this.writePort7FFD(0);
     }
   }
 }
@@ -0,0 +1,122 @@
+/**
+ * Rewind buffer: keyframes of the whole machine taken every few frames and
+ * kept, compressed, within a time limit and a memory budget.
+ *
+ * A keyframe is an Emulator machine state (see Emulator._captureMachineState:
+ * registers, CPU timing, RAM banks and paging, AY, border). The RAM banks are
+ * packed with the .z80 run-length scheme, and a bank that has not changed
+ * since the previous keyframe shares that keyframe's packed copy, so screens
+ * and code that stay put cost nothing after the first keyframe.
+ *
+ *   const rewind = new RewindBuffer({ seconds: 60, interval: 5 });
+ *   rewind.endFrame(() => emu._captureMachineState());   // once per frame
+ *   const state = rewind.pop();                          // newest first
+ */
+
+import { Loader } from './loader.mjs';
+
+const PAGE_SIZE = 16384;
+const FRAMES_PER_SECOND = 50;
+// Registers, timing and AY state of one keyframe, roughly
+const KEYFRAME_OVERHEAD = 256;
+
+function sameBytes(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+export class RewindBuffer {
+  /**
+   * @param {Object} [opts]
+   * @param {number} [opts.seconds=60] how far back keyframes are kept
+   * @param {number} [opts.interval=5] frames between keyframes
+   * @param {number} [opts.budget=33554432] bytes the packed keyframes may use
+   * @param {boolean} [opts.enabled=true]
+   */
+  constructor(opts = {}) {
+    this.interval = Math.max(1, opts.interval || 5);
+    this.seconds = opts.seconds || 60;
+    this.budget = opts.budget || 32 * 1024 * 1024;
+    this.maxKeyframes = Math.ceil(this.seconds * FRAMES_PER_SECOND / this.interval);
+    this.enabled = opts.enabled !== false;
+
+    this.keyframes = [];      // oldest first
+    this.bytes = 0;
+    this._frames = 0;
+    this._lastBanks = null;   // unpacked banks of the newest keyframe
+  }
+
+  get length() {
+    return this.keyframes.length;
+  }
+
+  /** Seconds of play the buffer can currently go back */
+  get secondsAvailable() {
+    return this.keyframes.length * this.interval / FRAMES_PER_SECOND;
+  }
+
+  clear() {
+    this.keyframes = [];
+    this.bytes = 0;
+    this._frames = 0;
+    this._lastBanks = null;
+  }
+
+  /**
+   * Call once per emulated frame; every `interval` frames capture() is called
+   * and its state stored. Returns true when a keyframe was taken.
+   */
+  endFrame(capture) {
+    if (!this.enabled || ++this._frames < this.interval) return false;
+    this._frames = 0;
+    this.push(capture());
+    return true;
+  }
+
+  /** Store a machine state as the newest keyframe */
+  push(state) {
+    const prev = this.keyframes[this.keyframes.length - 1];
+    const raw = state.memory.banks;
+    const keyframe = { state: { ...state, memory: { ...state.memory, banks: null } }, banks: [], bytes: KEYFRAME_OVERHEAD };
+    raw.forEach((bank, i) => {
+      if (prev && this._lastBanks && sameBytes(bank, this._lastBanks[i])) {
+        keyframe.banks.push(prev.banks[i]);
+        return;
+      }
+      const packed = Loader._z80Compress(bank);
+      keyframe.banks.push(packed);
+      keyframe.bytes += packed.length;
+    });
+    this.keyframes.push(keyframe);
+    this.bytes += keyframe.bytes;
+    this._lastBanks = raw;
+    while (this.keyframes.length > 1 && (this.keyframes.length > this.maxKeyframes || this.bytes > this.budget)) this._dropOldest();
+  }
+
+  /** Remove and return the newest keyframe as a machine state, or null when empty */
+  pop() {
+    const keyframe = this.keyframes.pop();
+    if (!keyframe) return null;
+    this.bytes -= keyframe.bytes;
+    this._lastBanks = null;
+    this._frames = 0;
+    const banks = keyframe.banks.map(packed => Loader._z80Decompress(packed, PAGE_SIZE));
+    return { ...keyframe.state, memory: { ...keyframe.state.memory, banks } };
+  }
+
+  // Packed banks shared with the next keyframe are handed on to it
+  _dropOldest() {
+    const oldest = this.keyframes.shift();
+    const next = this.keyframes[0];
+    let kept = 0;
+    oldest.banks.forEach((packed, i) => {
+      if (next.banks[i] !== packed) return;
+      next.bytes += packed.length;
+      kept += packed.length;
+    });
+    this.bytes -= oldest.bytes - kept;
+  }
+}
+
+export default RewindBuffer;
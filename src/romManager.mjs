@@ -2,6 +2,7 @@
 // Provides: ROM metadata, factory loader, UI helpers, memory config integration, auto-detect heuristics
 
 import spec48 from './roms/spec48.js';
+import { listMachines } from './machines.mjs';
 
 // Built-in ROM registry. Additional ROM modules can be added by registering
 const ROM_REGISTRY = new Map();
@@ -10,6 +11,17 @@ function normalizeId(id) {
   return String(id).replace(/\.js$/i, '').toLowerCase();
 }
 
+async function loadSpec48() {
+  // Support new module shape: { id, name, category, size, bytes }
+  if (spec48?.bytes instanceof Uint8Array) {
+    return { metadata: { id: spec48.id, name: spec48.name, category: spec48.category, size: spec48.size }, rom: spec48.bytes };
+  }
+  // Fallback for legacy shape
+  const mod = spec48?.default ? spec48.default : spec48;
+  if (mod instanceof Uint8Array) return { metadata: { id: 'spec48' }, rom: mod };
+  return mod;
+}
+
 // Register bundled 48K ROM
 ROM_REGISTRY.set('spec48', {
   id: 'spec48',
@@ -17,18 +29,52 @@ ROM_REGISTRY.set('spec48', {
   model: '48k',
   memorySizeKB: 48,
   description: 'Sinclair Spectrum 48K (bundled spec48 module)',
-  loader: async () => {
-    // Support new module shape: { id, name, category, size, bytes }
-    if (spec48?.bytes instanceof Uint8Array) {
-      return { metadata: { id: spec48.id, name: spec48.name, category: spec48.category, size: spec48.size }, rom: spec48.bytes };
-    }
-    // Fallback for legacy shape
-    const mod = spec48?.default ? spec48.default : spec48;
-    if (mod instanceof Uint8Array) return { metadata: { id: 'spec48' }, rom: mod };
-    return mod;
-  }
+  loader: loadSpec48
 });
 
+// The 16K has the same ROM
+ROM_REGISTRY.set('spec16', {
+  id: 'spec16',
+  category: 'spectrum16-48',
+  model: '16k',
+  memorySizeKB: 16,
+  description: 'Sinclair Spectrum 16K (bundled spec48 module)',
+  loader: loadSpec48
+});
+
+// One entry per other machine profile (src/machines.mjs), so choosing it
+// rebuilds the emulator as that model. Their ROMs are not bundled: a
+// src/roms/<id>.js module is used when present, otherwise the 48K ROM
+// stands in (48 BASIC and 48K software run; the 128 menu does not).
+// A Pentagon module may carry TR-DOS after the two 128 ROMs (48K in all),
+// which lands in the Memory TR-DOS slot.
+const MACHINE_CATEGORIES = {
+  '128k': 'spectrum128-plus2',
+  plus2: 'spectrum128-plus2',
+  plus2a: 'spectrum-plus3',
+  plus3: 'spectrum-plus3',
+  pentagon: 'pentagon'
+};
+for (const machine of listMachines()) {
+  const id = machine.roms[0];
+  if (ROM_REGISTRY.has(id)) continue;
+  ROM_REGISTRY.set(id, {
+    id,
+    category: MACHINE_CATEGORIES[machine.id] || 'spectrum128-plus2',
+    model: machine.id,
+    memorySizeKB: 128,
+    description: `${machine.name} (48K ROM unless src/roms/${id}.js is added)`,
+    loader: async () => {
+      try {
+        const mod = await import(`./roms/${id}.js`);
+        return mod?.default || mod;
+      } catch (e) {
+        return loadSpec48();
+      }
+    }
+  });
+}
+
 // Register placeholders that will attempt dynamic import when selected (fallbacks included)
 // ROM_REGISTRY.set('spec16', {
 //   id: 'spec16',
@@ -110,7 +156,9 @@ export async function loadRom(id) {
   if (mod?.getRom) {
     return await mod.getRom();
   }
-  const metadata = mod?.metadata || ROM_REGISTRY.get(normalizeId(id)) || {};
+  const entry = ROM_REGISTRY.get(normalizeId(id)) || {};
+  // The registry knows which model a ROM is for when its module does not say
+  const metadata = { model: entry.model, ...(mod?.metadata || entry) };
   const rom = mod?.rom || mod?.bytes || (mod instanceof Uint8Array ? mod : null);
   if (!rom) throw new Error('ROM module did not provide ROM bytes: ' + id);
   return { metadata, rom: rom instanceof Uint8Array ? rom : new Uint8Array(rom) };
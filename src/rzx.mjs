@@ -0,0 +1,257 @@
+/**
+ * RZX input recordings - parser, writer, and the player/recorder the
+ * emulator drives frame by frame.
+ *
+ * An RZX file holds a snapshot to start from and, for every frame, the
+ * number of opcode fetches the CPU made before the next interrupt (the "fetch
+ * counter", one per R register increment) followed by the value every IN
+ * instruction returned. Replaying those fetch counts and port values from
+ * the same snapshot reproduces the session exactly.
+ *
+ *   "RZX!" major minor flags(4)
+ *   blocks: id(1) length(4, including these 5 bytes) body
+ *     0x10 creator:          name(20) major(2) minor(2) [custom data]
+ *     0x30 snapshot:         flags(4) extension(4) length(4) data
+ *     0x80 input recording:  frames(4) reserved(1) tstates(4) flags(4) frame data
+ *   frame: fetches(2) inCount(2) values(inCount); inCount 0xFFFF repeats the
+ *   previous frame's values
+ *
+ * Snapshot and input recording data may be zlib-compressed (flags bit 1).
+ * The writer stores both uncompressed, which every player accepts.
+ */
+
+import { inflate } from './inflate.mjs';
+
+const SIGNATURE = 'RZX!';
+const VERSION_MAJOR = 0;
+const VERSION_MINOR = 13;
+const CREATOR = 'zxspeccjs';
+
+const BLOCK_CREATOR = 0x10;
+const BLOCK_SNAPSHOT = 0x30;
+const BLOCK_INPUT = 0x80;
+
+const FLAG_EXTERNAL = 0x01;
+const FLAG_COMPRESSED = 0x02;
+const FLAG_PROTECTED = 0x01;
+const REPEAT_INPUTS = 0xffff;
+
+const text = (bytes) => String.fromCharCode(...bytes).replace(/\0.*$/s, '').trim();
+
+function readSnapshotBlock(dv, body, start) {
+  const flags = dv.getUint32(start, true);
+  if (flags & FLAG_EXTERNAL) {
+    console.warn('[RZX] external snapshot references are not supported');
+    return null;
+  }
+  const ext = text(body.subarray(start + 4, start + 8)).toLowerCase();
+  const length = dv.getUint32(start + 8, true);
+  const raw = body.subarray(start + 12);
+  return { ext, data: (flags & FLAG_COMPRESSED) ? inflate(raw, length) : raw.slice(0, length) };
+}
+
+function readInputBlock(dv, body, start) {
+  const frameCount = dv.getUint32(start, true);
+  const tstates = dv.getUint32(start + 5, true);
+  const flags = dv.getUint32(start + 9, true);
+  if (flags & FLAG_PROTECTED) throw new Error('RZX: encrypted input recordings are not supported');
+  const raw = body.subarray(start + 13);
+  const data = (flags & FLAG_COMPRESSED) ? inflate(raw) : raw;
+  const frames = [];
+  let pos = 0;
+  let previous = new Uint8Array(0);
+  for (let i = 0; i < frameCount; i++) {
+    if (pos + 4 > data.length) throw new Error(`RZX: input recording ends at frame ${i} of ${frameCount}`);
+    const fetches = data[pos] | (data[pos + 1] << 8);
+    const inCount = data[pos + 2] | (data[pos + 3] << 8);
+    pos += 4;
+    if (inCount !== REPEAT_INPUTS) {
+      previous = data.slice(pos, pos + inCount);
+      pos += inCount;
+    }
+    frames.push({ fetches, inputs: previous });
+  }
+  return { tstates, frames };
+}
+
+// Creator and snapshot blocks fill in the result; an input recording block is returned
+function readBlock(result, id, body) {
+  const dv = new DataView(body.buffer, body.byteOffset, body.length);
+  if (id === BLOCK_CREATOR) {
+    result.creator = `${text(body.subarray(5, 25))} ${dv.getUint16(25, true)}.${dv.getUint16(27, true)}`;
+  } else if (id === BLOCK_SNAPSHOT && !result.snapshotFile) {
+    result.snapshotFile = readSnapshotBlock(dv, body, 5);
+  } else if (id === BLOCK_INPUT) {
+    return readInputBlock(dv, body, 5);
+  }
+  return null;
+}
+
+/**
+ * Parse an .rzx file.
+ * @param {ArrayBuffer|Uint8Array} input
+ * @returns {{ type: 'rzx', version: string, creator: string|null, snapshotFile: {ext: string, data: Uint8Array}|null,
+ *   tstates: number, frames: Array<{fetches: number, inputs: Uint8Array}> }}
+ *   Frames of every input recording block, in order; tstates is the T-state
+ *   counter at the start of the first one.
+ */
+export function parseRZX(input) {
+  const buf = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (buf.length < 10 || text(buf.subarray(0, 4)) !== SIGNATURE) throw new Error('RZX: not an RZX file');
+  const result = { type: 'rzx', version: `${buf[4]}.${buf[5]}`, creator: null, snapshotFile: null, tstates: 0, frames: [] };
+  let recordings = 0;
+  let pos = 10;
+  while (pos + 5 <= buf.length) {
+    const id = buf[pos];
+    const length = new DataView(buf.buffer, buf.byteOffset + pos + 1, 4).getUint32(0, true);
+    if (length < 5 || pos + length > buf.length) throw new Error(`RZX: block 0x${id.toString(16)} at offset ${pos} is truncated`);
+    const recording = readBlock(result, id, buf.subarray(pos, pos + length));
+    if (recording) {
+      if (recordings++ === 0) result.tstates = recording.tstates;
+      for (const frame of recording.frames) result.frames.push(frame);
+    }
+    pos += length;
+  }
+  return result;
+}
+
+function block(id, body) {
+  const out = new Uint8Array(5 + body.length);
+  out[0] = id;
+  new DataView(out.buffer).setUint32(1, out.length, true);
+  out.set(body, 5);
+  return out;
+}
+
+function frameData(frames) {
+  let size = 0;
+  frames.forEach((f, i) => { size += 4 + (i > 0 && sameInputs(f.inputs, frames[i - 1].inputs) ? 0 : f.inputs.length); });
+  const out = new Uint8Array(size);
+  let pos = 0;
+  frames.forEach((f, i) => {
+    const repeat = i > 0 && sameInputs(f.inputs, frames[i - 1].inputs);
+    out[pos] = f.fetches & 0xff; out[pos + 1] = (f.fetches >> 8) & 0xff;
+    const count = repeat ? REPEAT_INPUTS : f.inputs.length;
+    out[pos + 2] = count & 0xff; out[pos + 3] = (count >> 8) & 0xff;
+    pos += 4;
+    if (!repeat) {
+      out.set(f.inputs, pos);
+      pos += f.inputs.length;
+    }
+  });
+  return out;
+}
+
+// An empty frame is written as such rather than as a repeat of another empty one
+function sameInputs(a, b) {
+  if (a.length === 0 || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+/**
+ * Build an .rzx file.
+ * @param {{ snapshotFile: {ext: string, data: Uint8Array}, tstates: number, frames: Array<{fetches: number, inputs: Uint8Array}> }} recording
+ * @returns {Uint8Array}
+ */
+export function buildRZX(recording) {
+  const creator = new Uint8Array(24);
+  for (let i = 0; i < CREATOR.length; i++) creator[i] = CREATOR.charCodeAt(i);
+
+  const { ext, data } = recording.snapshotFile;
+  const snapshot = new Uint8Array(12 + data.length);
+  for (let i = 0; i < 4; i++) snapshot[4 + i] = i < ext.length ? ext.charCodeAt(i) : 0;
+  new DataView(snapshot.buffer).setUint32(8, data.length, true);
+  snapshot.set(data, 12);
+
+  const frames = frameData(recording.frames);
+  const input = new Uint8Array(13 + frames.length);
+  const dv = new DataView(input.buffer);
+  dv.setUint32(0, recording.frames.length, true);
+  dv.setUint32(5, Math.max(0, recording.tstates | 0), true);
+  input.set(frames, 13);
+
+  const parts = [block(BLOCK_CREATOR, creator), block(BLOCK_SNAPSHOT, snapshot), block(BLOCK_INPUT, input)];
+  const out = new Uint8Array(10 + parts.reduce((n, p) => n + p.length, 0));
+  for (let i = 0; i < 4; i++) out[i] = SIGNATURE.charCodeAt(i);
+  out[4] = VERSION_MAJOR;
+  out[5] = VERSION_MINOR;
+  let pos = 10;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+/** Hands out recorded frames and, within a frame, recorded IN values */
+export class RzxPlayer {
+  /** @param {Array<{fetches: number, inputs: Uint8Array}>} frames */
+  constructor(frames) {
+    this.frames = frames;
+    this.frame = -1;          // index of the frame being played
+    this.desyncs = 0;         // IN instructions the recording had no value for
+    this._inputs = null;
+    this._inputPos = 0;
+  }
+
+  get finished() {
+    return this.frame >= this.frames.length - 1;
+  }
+
+  /** Move to the next frame and return it, or null at the end of the recording */
+  nextFrame() {
+    if (this._inputs && this._inputPos < this._inputs.length) this.desyncs++;
+    if (this.finished) return null;
+    const frame = this.frames[++this.frame];
+    this._inputs = frame.inputs;
+    this._inputPos = 0;
+    return frame;
+  }
+
+  /** Value for the next IN instruction of the current frame */
+  read() {
+    if (!this._inputs || this._inputPos >= this._inputs.length) {
+      this.desyncs++;
+      return 0xff;
+    }
+    return this._inputs[this._inputPos++];
+  }
+}
+
+/** Collects IN values and per-frame fetch counts during live play */
+export class RzxRecorder {
+  /**
+   * @param {{ext: string, data: Uint8Array}} snapshotFile - machine state the recording starts from
+   * @param {number} tstates - CPU T-state counter at that point
+   * @param {number} fetchCount - CPU fetch counter at that point
+   */
+  constructor(snapshotFile, tstates, fetchCount) {
+    this.snapshotFile = snapshotFile;
+    this.tstates = tstates;
+    this.frames = [];
+    this._frameStart = fetchCount;
+    this._inputs = [];
+  }
+
+  /** Record the value an IN instruction returned */
+  input(value) {
+    this._inputs.push(value & 0xff);
+  }
+
+  /** Close the current frame at an interrupt, given the CPU fetch counter */
+  endFrame(fetchCount) {
+    this.frames.push({ fetches: fetchCount - this._frameStart, inputs: Uint8Array.from(this._inputs) });
+    this._frameStart = fetchCount;
+    this._inputs = [];
+  }
+
+  /** The recording so far as an .rzx file, the open frame included */
+  build(fetchCount) {
+    const frames = this.frames.slice();
+    if (fetchCount > this._frameStart || this._inputs.length > 0) {
+      frames.push({ fetches: fetchCount - this._frameStart, inputs: Uint8Array.from(this._inputs) });
+    }
+    return buildRZX({ snapshotFile: this.snapshotFile, tstates: this.tstates, frames });
+  }
+}
@@ -0,0 +1,264 @@
+/**
+ * SD card in SPI mode, for the DivMMC interface (src/divmmc.mjs).
+ *
+ * The card holds a raw disk image, usually a FAT16/FAT32 volume with or
+ * without a partition table; esxDOS reads the filesystem itself, so the
+ * emulator only moves 512-byte blocks. It answers as an SDHC card (block
+ * addressing) and supports what esxDOS and other Spectrum SD drivers use:
+ *   CMD0 reset, CMD1/ACMD41 initialise, CMD8 interface condition,
+ *   CMD9/CMD10 CSD/CID, CMD12 stop, CMD16 block length, CMD17/CMD18 read,
+ *   CMD24/CMD25 write, CMD55 application command, CMD58 OCR, CMD59 CRC.
+ * CRCs the host sends are not checked. Responses come without the few
+ * busy bytes a real card may put first.
+ *
+ * The bus is modelled the way the DivMMC drives it: write() clocks a byte
+ * in, read() clocks the next response byte out.
+ *
+ * Reference: SD Specifications Part 1, Physical Layer Simplified
+ * Specification, chapter 7 (SPI mode).
+ */
+
+import { crc16 } from './wd1793.mjs';
+
+export const BLOCK_SIZE = 512;
+
+const R1_IDLE = 0x01;
+const R1_ILLEGAL_COMMAND = 0x04;
+const R1_ADDRESS_ERROR = 0x20;
+const TOKEN_START_BLOCK = 0xfe;
+const TOKEN_START_MULTI_WRITE = 0xfc;
+const TOKEN_STOP_MULTI_WRITE = 0xfd;
+const DATA_ACCEPTED = 0x05;
+
+// Command index: handler, called with the argument and whether CMD55 came
+// first, returning the response bytes
+const COMMANDS = {
+  0: '_goIdle',
+  1: '_sendOpCond',
+  8: '_sendIfCond',
+  9: '_sendCSD',
+  10: '_sendCID',
+  12: '_stopTransmission',
+  16: '_accept', // set block length: SDHC blocks are always 512 bytes
+  17: '_readSingle',
+  18: '_readMultiple',
+  24: '_writeSingle',
+  25: '_writeMultiple',
+  41: '_appSendOpCond',
+  55: '_appCommand',
+  58: '_readOCR',
+  59: '_accept' // CRC on/off
+};
+
+export class SDCard {
+  /**
+   * @param {Uint8Array|ArrayBuffer} image - raw card image; padded to whole blocks
+   * @param {Object} [opts] - { writeProtected }
+   */
+  constructor(image, opts = {}) {
+    const bytes = image instanceof Uint8Array ? image : new Uint8Array(image);
+    this.data = new Uint8Array(Math.ceil(bytes.length / BLOCK_SIZE) * BLOCK_SIZE);
+    this.data.set(bytes);
+    this.writeProtected = !!opts.writeProtected;
+    // Set when the machine writes to the card, cleared by the caller once saved
+    this.modified = false;
+    this.selected = false;
+    this._idle = true;
+    this.reset();
+  }
+
+  /** Drop any command or transfer in progress */
+  reset() {
+    this._command = [];
+    this._response = [];
+    this._appPending = false;
+    this._readBlock = -1; // next block of a CMD18 read
+    this._write = null; // { block, multi, bytes, pos } during CMD24/CMD25
+  }
+
+  get blocks() {
+    return this.data.length / BLOCK_SIZE;
+  }
+
+  /** Chip select; deselecting abandons a command half sent */
+  select(on) {
+    this.selected = !!on;
+    if (!this.selected) this._command = [];
+  }
+
+  /** Clock a byte out of the card */
+  read() {
+    if (this._response.length === 0 && this._readBlock >= 0) this._queueBlock(this._readBlock++);
+    return this._response.length ? this._response.shift() : 0xff;
+  }
+
+  /** Clock a byte into the card */
+  write(value) {
+    value &= 0xff;
+    if (this._write) {
+      this._receiveData(value);
+      return;
+    }
+    if (this._command.length === 0 && (value & 0xc0) !== 0x40) return;
+    this._command.push(value);
+    if (this._command.length === 6) {
+      const [cmd, a3, a2, a1, a0] = this._command;
+      this._command = [];
+      this._execute(cmd & 0x3f, ((a3 << 24) | (a2 << 16) | (a1 << 8) | a0) >>> 0);
+    }
+  }
+
+  /** The card image, with everything written to it */
+  toImage() {
+    return this.data.slice();
+  }
+
+  // --- commands ---
+
+  _r1(flags = 0) {
+    return (this._idle ? R1_IDLE : 0) | flags;
+  }
+
+  _execute(cmd, arg) {
+    const app = this._appPending;
+    this._appPending = false;
+    const handler = COMMANDS[cmd];
+    this._response = handler ? this[handler](arg, app) : [this._r1(R1_ILLEGAL_COMMAND)];
+  }
+
+  _accept() {
+    return [this._r1()];
+  }
+
+  _goIdle() {
+    this._idle = true;
+    this._readBlock = -1;
+    return [this._r1()];
+  }
+
+  _sendOpCond() {
+    this._idle = false;
+    return [this._r1()];
+  }
+
+  _appSendOpCond(arg, app) {
+    if (!app) return [this._r1(R1_ILLEGAL_COMMAND)];
+    this._idle = false;
+    return [this._r1()];
+  }
+
+  _appCommand() {
+    this._appPending = true;
+    return [this._r1()];
+  }
+
+  // R7: voltage accepted, check pattern echoed
+  _sendIfCond(arg) {
+    return [this._r1(), 0x00, 0x00, (arg >> 8) & 0x0f, arg & 0xff];
+  }
+
+  // OCR: powered up, SDHC (block addressing), 3.2-3.4 V
+  _readOCR() {
+    return [this._r1(), 0xc0, 0xff, 0x80, 0x00];
+  }
+
+  _sendCSD() {
+    return [this._r1(), ...this._dataBlock(this._csd())];
+  }
+
+  _sendCID() {
+    return [this._r1(), ...this._dataBlock(CID)];
+  }
+
+  // A stuff byte, then R1
+  _stopTransmission() {
+    this._readBlock = -1;
+    return [0xff, this._r1()];
+  }
+
+  _readSingle(block) {
+    return this._startRead(block, false);
+  }
+
+  _readMultiple(block) {
+    return this._startRead(block, true);
+  }
+
+  _writeSingle(block) {
+    return this._startWrite(block, false);
+  }
+
+  _writeMultiple(block) {
+    return this._startWrite(block, true);
+  }
+
+  _startRead(block, multi) {
+    if (block >= this.blocks) return [this._r1(R1_ADDRESS_ERROR)];
+    this._response = [this._r1()];
+    if (multi) this._readBlock = block;
+    else this._queueBlock(block);
+    return this._response;
+  }
+
+  _queueBlock(block) {
+    if (block >= this.blocks) {
+      this._readBlock = -1;
+      return;
+    }
+    const start = block * BLOCK_SIZE;
+    this._response.push(0xff, ...this._dataBlock(this.data.subarray(start, start + BLOCK_SIZE)));
+  }
+
+  // A data token, the bytes and their CRC-16 (the same CCITT polynomial the
+  // floppy controllers use, started from 0)
+  _dataBlock(bytes) {
+    const crc = crc16(bytes, 0);
+    return [TOKEN_START_BLOCK, ...bytes, crc >> 8, crc & 0xff];
+  }
+
+  _startWrite(block, multi) {
+    if (block >= this.blocks) return [this._r1(R1_ADDRESS_ERROR)];
+    if (this.writeProtected) return [this._r1(R1_ILLEGAL_COMMAND)];
+    this._write = { block, multi, bytes: null, pos: 0 };
+    return [this._r1()];
+  }
+
+  // Write phase: wait for a start token, take a block and its CRC, answer
+  // "data accepted"; a multi-block write goes on until the stop token
+  _receiveData(value) {
+    const w = this._write;
+    if (!w.bytes) {
+      if (value === TOKEN_START_BLOCK || (w.multi && value === TOKEN_START_MULTI_WRITE)) {
+        w.bytes = new Uint8Array(BLOCK_SIZE + 2);
+        w.pos = 0;
+      } else if (w.multi && value === TOKEN_STOP_MULTI_WRITE) {
+        this._write = null;
+      }
+      return;
+    }
+    w.bytes[w.pos++] = value;
+    if (w.pos < w.bytes.length) return;
+    if (w.block < this.blocks) {
+      this.data.set(w.bytes.subarray(0, BLOCK_SIZE), w.block * BLOCK_SIZE);
+      this.modified = true;
+    }
+    this._response = [DATA_ACCEPTED];
+    w.block++;
+    w.bytes = null;
+    if (!w.multi) this._write = null;
+  }
+
+  // Card-specific data, version 2.0 (SDHC): the size is in 512K units
+  _csd() {
+    const size = Math.max(0, Math.ceil(this.data.length / (512 * 1024)) - 1);
+    return [
+      0x40, 0x0e, 0x00, 0x32, 0x5b, 0x59, 0x00, (size >> 16) & 0x3f,
+      (size >> 8) & 0xff, size & 0xff, 0x7f, 0x80, 0x0a, 0x40, 0x00, 0x01
+    ];
+  }
+}
+
+// Card identification: manufacturer 0, OEM "ZX", product "SPECC", revision 1.0
+const CID = [0x00, 0x5a, 0x58, 0x53, 0x50, 0x45, 0x43, 0x43, 0x10, 0x00, 0x00, 0x00, 0x01, 0x01, 0x6a, 0x01];
+
+export default SDCard;
@@ -0,0 +1,267 @@
+/**
+ * Snapshot writers - serialise a machine state into .z80 (v3), .sna and .szx.
+ *
+ * The state object is built by Emulator._captureSnapshotState() and uses the
+ * same register names as the Loader parsers (A2/F2... for the alternate set,
+ * borderColor for the border), so a written file loads back through
+ * Loader.parse* and applySnapshot unchanged:
+ *
+ *   {
+ *     machine: '48k' | '128k' | 'plus3' | 'pentagon',
+ *     registers: { A, F, B, C, D, E, H, L, A2, ..., IX, IY, SP, PC, I, R, IFF1, IFF2, IM, borderColor },
+ *     ram: Uint8Array(49152),          // 0x4000-0xFFFF as currently paged
+ *     banks: Array<Uint8Array>|null,   // the eight 16K RAM banks on 128K models
+ *     port7FFD, port1FFD,
+ *     ay: { registers: number[16], selected } | null,
+ *     halted, eiPending, tstates,
+ *     frameLength                      // T-states per frame of the machine profile
+ *   }
+ */
+
+import { Loader } from './loader.mjs';
+
+const PAGE_SIZE = 16384;
+// Frame lengths for a state without frameLength
+const FRAME_TSTATES_48K = 69888;
+const FRAME_TSTATES_128K = 70908;
+
+export const SNAPSHOT_FORMATS = ['z80', 'sna', 'szx'];
+
+const le16 = (out, pos, v) => { out[pos] = v & 0xff; out[pos + 1] = (v >> 8) & 0xff; };
+
+// --- .z80 v3 ---
+
+// Hardware mode byte of a v3 header
+const Z80_HW_MODE = { '48k': 0, '128k': 4, plus3: 7, pentagon: 9 };
+const Z80_V3_EXT_LENGTH = 54;   // 55 adds the last 0x1FFD write (+3 only)
+
+function z80Header(state) {
+  const r = state.registers;
+  const h = new Uint8Array(30);
+  h[0] = r.A; h[1] = r.F; h[2] = r.C; h[3] = r.B; h[4] = r.L; h[5] = r.H;
+  // 6-7: PC = 0 marks a v2/v3 file, the real PC lives in the extended header
+  le16(h, 8, r.SP);
+  h[10] = r.I;
+  h[11] = r.R & 0x7f;
+  h[12] = ((r.R >> 7) & 0x01) | ((r.borderColor & 0x07) << 1);
+  h[13] = r.E; h[14] = r.D;
+  h[15] = r.C2; h[16] = r.B2; h[17] = r.E2; h[18] = r.D2; h[19] = r.L2; h[20] = r.H2;
+  h[21] = r.A2; h[22] = r.F2;
+  le16(h, 23, r.IY);
+  le16(h, 25, r.IX);
+  h[27] = r.IFF1 ? 1 : 0;
+  h[28] = r.IFF2 ? 1 : 0;
+  h[29] = r.IM & 0x03;
+  return h;
+}
+
+/**
+ * Encode the frame T-state position as the v3 interrupt counter (bytes 55-57),
+ * the inverse of the formula Loader.parseZ80 decodes.
+ */
+function z80TstateCounter(tstates, frameLength) {
+  const chunk = Math.floor(frameLength / 4);
+  const t = Math.min(Math.max(0, tstates | 0), chunk * 4 - 1);
+  const quarter = Math.floor(t / chunk) + 1;
+  return { low: quarter * chunk - 1 - t, high: (quarter + 2) % 4 };
+}
+
+function z80ExtendedHeader(state) {
+  const plus3 = state.machine === 'plus3';
+  const extLen = plus3 ? Z80_V3_EXT_LENGTH + 1 : Z80_V3_EXT_LENGTH;
+  const e = new Uint8Array(2 + extLen);
+  le16(e, 0, extLen);
+  le16(e, 2, state.registers.PC);                     // 32
+  e[4] = Z80_HW_MODE[state.machine] || 0;             // 34
+  e[5] = state.banks ? state.port7FFD & 0xff : 0;     // 35
+  const ay = state.ay;
+  if (ay) {
+    if (!state.banks) e[7] |= 0x04;                   // 37: AY in use on a 48K
+    e[8] = ay.selected & 0x0f;                        // 38
+    for (let i = 0; i < 16; i++) e[9 + i] = ay.registers[i] & 0xff; // 39-54
+  }
+  const frameLength = state.frameLength || (state.banks ? FRAME_TSTATES_128K : FRAME_TSTATES_48K);
+  const counter = z80TstateCounter(state.tstates, frameLength);
+  le16(e, 25, counter.low);                           // 55-56
+  e[27] = counter.high;                               // 57
+  e[31] = 0xff;                                       // 61: 0x0000-0x1FFF is ROM
+  e[32] = 0xff;                                       // 62: 0x2000-0x3FFF is ROM
+  if (plus3) e[56] = state.port1FFD & 0xff;           // 86
+  return e;
+}
+
+function z80PageBlock(pageNum, data) {
+  const packed = Loader._z80Compress(data);
+  // A block that does not shrink is stored raw (length 0xFFFF)
+  const raw = packed.length >= PAGE_SIZE;
+  const body = raw ? data : packed;
+  const block = new Uint8Array(3 + body.length);
+  le16(block, 0, raw ? 0xffff : body.length);
+  block[2] = pageNum;
+  block.set(body, 3);
+  return block;
+}
+
+/** Serialise a machine state as a .z80 version 3 file */
+export function buildZ80(state) {
+  const parts = [z80Header(state), z80ExtendedHeader(state)];
+  if (state.banks) {
+    // 128K page numbers are bank + 3
+    state.banks.forEach((bank, b) => parts.push(z80PageBlock(b + 3, bank)));
+  } else {
+    // 48K page numbers: 8 = 0x4000, 4 = 0x8000, 5 = 0xC000
+    parts.push(z80PageBlock(8, state.ram.subarray(0, PAGE_SIZE)));
+    parts.push(z80PageBlock(4, state.ram.subarray(PAGE_SIZE, 2 * PAGE_SIZE)));
+    parts.push(z80PageBlock(5, state.ram.subarray(2 * PAGE_SIZE, 3 * PAGE_SIZE)));
+  }
+  return concat(parts);
+}
+
+// --- .sna ---
+
+function snaHeader(state, sp) {
+  const r = state.registers;
+  const h = new Uint8Array(27);
+  h[0] = r.I;
+  h[1] = r.L2; h[2] = r.H2; h[3] = r.E2; h[4] = r.D2; h[5] = r.C2; h[6] = r.B2; h[7] = r.F2; h[8] = r.A2;
+  h[9] = r.L; h[10] = r.H; h[11] = r.E; h[12] = r.D; h[13] = r.C; h[14] = r.B;
+  le16(h, 15, r.IY);
+  le16(h, 17, r.IX);
+  h[19] = r.IFF2 ? 0x04 : 0x00;
+  h[20] = r.R;
+  h[21] = r.F; h[22] = r.A;
+  le16(h, 23, sp);
+  h[25] = r.IM & 0x03;
+  h[26] = r.borderColor & 0x07;
+  return h;
+}
+
+/**
+ * Serialise a machine state as a .sna file. 48K snapshots push PC onto the
+ * stack (in the saved image only); 128K snapshots store it after the 48K
+ * block together with 0x7FFD and the remaining banks.
+ */
+export function buildSNA(state) {
+  const r = state.registers;
+  if (!state.banks) {
+    const ram = state.ram.slice();
+    const sp = (r.SP - 2) & 0xffff;
+    if (sp >= 0x4000 && sp < 0xffff) {
+      ram[sp - 0x4000] = r.PC & 0xff;
+      ram[sp - 0x4000 + 1] = (r.PC >> 8) & 0xff;
+    }
+    return concat([snaHeader(state, sp), ram]);
+  }
+
+  const paged = state.port7FFD & 0x07;
+  const ext = new Uint8Array(4);
+  le16(ext, 0, r.PC);
+  ext[2] = state.port7FFD & 0xff;
+  ext[3] = 0; // TR-DOS ROM not paged
+  const parts = [snaHeader(state, r.SP), state.banks[5], state.banks[2], state.banks[paged], ext];
+  for (let b = 0; b < 8; b++) {
+    if (b !== 5 && b !== 2 && b !== paged) parts.push(state.banks[b]);
+  }
+  return concat(parts);
+}
+
+// --- .szx ---
+
+const SZX_MACHINE_ID = { '48k': 1, '128k': 2, plus3: 5, pentagon: 7 };
+const SZX_CREATOR = 'zxspeccjs';
+
+function szxChunk(id, body) {
+  const chunk = new Uint8Array(8 + body.length);
+  for (let i = 0; i < 4; i++) chunk[i] = id.charCodeAt(i) || 0;
+  new DataView(chunk.buffer).setUint32(4, body.length, true);
+  chunk.set(body, 8);
+  return chunk;
+}
+
+function szxCreator() {
+  const body = new Uint8Array(36);
+  for (let i = 0; i < SZX_CREATOR.length; i++) body[i] = SZX_CREATOR.charCodeAt(i);
+  le16(body, 32, 1);
+  return szxChunk('CRTR', body);
+}
+
+function szxRegisters(state) {
+  const r = state.registers;
+  const body = new Uint8Array(37);
+  const pair = (pos, hi, lo) => { body[pos] = lo & 0xff; body[pos + 1] = hi & 0xff; };
+  pair(0, r.A, r.F); pair(2, r.B, r.C); pair(4, r.D, r.E); pair(6, r.H, r.L);
+  pair(8, r.A2, r.F2); pair(10, r.B2, r.C2); pair(12, r.D2, r.E2); pair(14, r.H2, r.L2);
+  le16(body, 16, r.IX);
+  le16(body, 18, r.IY);
+  le16(body, 20, r.SP);
+  le16(body, 22, r.PC);
+  body[24] = r.I;
+  body[25] = r.R;
+  body[26] = r.IFF1 ? 1 : 0;
+  body[27] = r.IFF2 ? 1 : 0;
+  body[28] = r.IM & 0x03;
+  new DataView(body.buffer).setUint32(29, Math.max(0, state.tstates | 0), true);
+  body[34] = (state.eiPending ? 0x01 : 0) | (state.halted ? 0x02 : 0);
+  return szxChunk('Z80R', body);
+}
+
+function szxSpecRegs(state) {
+  const body = new Uint8Array(8);
+  body[0] = state.registers.borderColor & 0x07;
+  body[1] = state.banks ? state.port7FFD & 0xff : 0;
+  body[2] = state.machine === 'plus3' ? state.port1FFD & 0xff : 0;
+  return szxChunk('SPCR', body);
+}
+
+// RAM pages are stored uncompressed (flags = 0)
+function szxRamPage(page, data) {
+  const body = new Uint8Array(3 + PAGE_SIZE);
+  body[2] = page;
+  body.set(data.subarray(0, PAGE_SIZE), 3);
+  return szxChunk('RAMP', body);
+}
+
+function szxAy(state) {
+  const body = new Uint8Array(18);
+  body[0] = state.banks ? 0x02 : 0x00; // bit 1: 128K AY, bit 0: Fuller Box
+  body[1] = state.ay.selected & 0x0f;
+  for (let i = 0; i < 16; i++) body[2 + i] = state.ay.registers[i] & 0xff;
+  return szxChunk('AY\0\0', body);
+}
+
+/** Serialise a machine state as a .szx (zx-state 1.4) file */
+export function buildSZX(state) {
+  const header = new Uint8Array([0x5a, 0x58, 0x53, 0x54, 1, 4, SZX_MACHINE_ID[state.machine] || 1, 0]); // "ZXST"
+  const parts = [header, szxCreator(), szxRegisters(state), szxSpecRegs(state)];
+  if (state.ay) parts.push(szxAy(state));
+  if (state.banks) {
+    state.banks.forEach((bank, b) => parts.push(szxRamPage(b, bank)));
+  } else {
+    // 48K RAM is banks 5, 2 and 0 of the 128K numbering
+    parts.push(szxRamPage(5, state.ram.subarray(0, PAGE_SIZE)));
+    parts.push(szxRamPage(2, state.ram.subarray(PAGE_SIZE, 2 * PAGE_SIZE)));
+    parts.push(szxRamPage(0, state.ram.subarray(2 * PAGE_SIZE, 3 * PAGE_SIZE)));
+  }
+  return concat(parts);
+}
+
+/**
+ * Serialise a machine state in the given format ('z80', 'sna' or 'szx').
+ * @returns {Uint8Array}
+ */
+export function buildSnapshot(state, format = 'z80') {
+  switch (String(format).toLowerCase()) {
+    case 'z80': return buildZ80(state);
+    case 'sna': return buildSNA(state);
+    case 'szx': return buildSZX(state);
+    default: throw new Error(`Unsupported snapshot format: ${format}`);
+  }
+}
+
+function concat(parts) {
+  const total = parts.reduce((n, p) => n + p.length, 0);
+  const out = new Uint8Array(total);
+  let pos = 0;
+  for (const p of parts) { out.set(p, pos); pos += p.length; }
+  return out;
+}
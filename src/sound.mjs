@@ -1,23 +1,61 @@
 /* eslint-env browser */
 /* global window */
 
+import { AY8912 } from './ay.mjs';
+
 /**
  * ZX Spectrum beeper sound — sample-buffer approach.
  *
  * The Spectrum beeper is a 1-bit DAC driven by bit 4 of port 0xFE.
  * Each frame (69888 T-states @ 3.5 MHz ≈ 20 ms) we record every speaker-bit
  * toggle with its T-state timestamp. At end-of-frame we convert those
- * timestamps into a PCM waveform and queue it via Web Audio.
+ * timestamps into a PCM waveform and queue it via Web Audio: into the
+ * AudioWorklet ring of src/soundWorklet.mjs, whose fill level then paces
+ * the emulator (see framesDue), or as AudioBufferSourceNodes where
+ * AudioWorklet is unavailable.
+ *
+ * When an AY interface is enabled (128K models, or a Melodik / Fuller Box
+ * on the 48K) the AY-3-8912 output is rendered into the same buffer.
  */
 const TSTATES_PER_FRAME = 69888;
 const TSTATES_PER_SECOND = 3500000;
 const SAMPLE_RATE = 44100;
 const SAMPLES_PER_FRAME = Math.ceil(SAMPLE_RATE * TSTATES_PER_FRAME / TSTATES_PER_SECOND); // ~882
 
+// AudioWorklet ring (src/soundWorklet.mjs): the emulator runs frames to keep
+// about three of them queued (60 ms); the ring holds sixteen
+const WORKLET_TARGET_FILL = 3 * SAMPLES_PER_FRAME;
+const WORKLET_CAPACITY = 16 * SAMPLES_PER_FRAME;
+
+// AY port decoding per interface: 128K/+2/+3 and Melodik use 0xFFFD (select,
+// read) and 0xBFFD (write), decoded on A15, A14 and A1; the Fuller Box uses
+// 0x3F (select, read) and 0x5F (write).
+const AY_PORTS_128 = {
+  isSelect: (port) => (port & 0xC002) === 0xC000,
+  isData: (port) => (port & 0xC002) === 0x8000
+};
+const AY_INTERFACES = {
+  none: null,
+  '128': AY_PORTS_128,
+  melodik: AY_PORTS_128,
+  fuller: {
+    isSelect: (port) => (port & 0xff) === 0x3f,
+    isData: (port) => (port & 0xff) === 0x5f
+  }
+};
+
 export class Sound {
-  constructor() {
+  /**
+   * @param {{ worklet?: boolean }} [opts] - worklet: false keeps the
+   *   AudioBufferSourceNode output and rAF frame pacing
+   */
+  constructor(opts = {}) {
     this.ctx = null;
     this.gain = null;
+    // AudioWorkletNode once src/soundWorklet.mjs has loaded; see framesDue()
+    this.node = null;
+    this._workletReport = null;
+    this._workletPosted = 0;
     this._muted = false;
     this._volume = 0.2;
 
@@ -27,18 +65,37 @@ export class Sound {
     this._toggles = [];
     // T-state of the frame start (reset each endFrame)
     this._frameStartTstates = 0;
+    // Frame length, 48K by default (see setTiming)
+    this._tstatesPerFrame = TSTATES_PER_FRAME;
+    this._samplesPerFrame = SAMPLES_PER_FRAME;
     // Next audio buffer scheduling time (seconds in AudioContext timeline)
     this._nextPlayTime = 0;
 
+    // Tape EAR signal monitored through the speaker (tape loading noise)
+    this._earMonitor = false;
+    this._earLevel = 0;
+    this._earToggles = [];
+
+    // AY-3-8912 PSG; only reachable through ports when an interface is set
+    this.ay = new AY8912({ sampleRate: SAMPLE_RATE });
+    this._ayInterface = null;
+    this._ayMode = 'none';
+
+    // When set, each frame's PCM (a Float32Array at SAMPLE_RATE) is handed
+    // here instead of being played through Web Audio (the emulation worker
+    // posts it to the page)
+    this.onSamples = null;
+
     this._initContext();
+    if (opts.worklet !== false) this._initWorklet();
   }
 
   // --- Public API (unchanged signatures) ---
 
   setMuted(muted) {
     this._muted = !!muted;
-    if (this._muted && this.gain) {
-      this.gain.gain.setValueAtTime(0, this.ctx ? this.ctx.currentTime : 0);
+    if (this.gain) {
+      this.gain.gain.setValueAtTime(this._muted ? 0 : this._volume, this.ctx ? this.ctx.currentTime : 0);
     }
   }
 
@@ -52,11 +109,37 @@ export class Sound {
   }
 
   /**
-   * Called on every OUT to port 0xFE. Records speaker-bit toggles with
-   * their T-state timestamp so we can build a PCM buffer at end-of-frame.
+   * Take the frame length and CPU clock from a machine profile
+   * (src/machines.mjs); each frame then makes its share of a second of PCM.
+   */
+  setTiming(profile) {
+    this._tstatesPerFrame = profile.tstatesPerFrame;
+    this._samplesPerFrame = Math.ceil(SAMPLE_RATE * profile.tstatesPerFrame / profile.clockHz);
+  }
+
+  /**
+   * Select the AY interface: 'none', '128' (128K/+2/+3), 'melodik' or 'fuller'.
+   */
+  setAyMode(mode) {
+    const key = String(mode || 'none').toLowerCase();
+    if (!(key in AY_INTERFACES)) throw new Error(`Unknown AY interface: ${mode}`);
+    this._ayMode = key;
+    this._ayInterface = AY_INTERFACES[key];
+    this.ay.reset();
+  }
+
+  getAyMode() { return this._ayMode; }
+
+  /**
+   * Called on every OUT. Port 0xFE records speaker-bit toggles with their
+   * T-state timestamp so we can build a PCM buffer at end-of-frame; AY
+   * ports are forwarded to the PSG when an AY interface is enabled.
    */
   writePort(port, value, tstates = null) {
-    if ((port & 0xff) !== 0xfe) return;
+    if ((port & 0xff) !== 0xfe) {
+      this._writeAyPort(port, value, tstates);
+      return;
+    }
     const bit = (value & 0x10) ? 1 : 0;
 
     // Lazy-resume audio context (browsers require user gesture)
@@ -72,6 +155,38 @@ export class Sound {
     this._toggles.push({ t, level: bit });
   }
 
+  /** Enable/disable mixing the tape EAR signal into the output */
+  setEarMonitor(enabled) {
+    this._earMonitor = !!enabled;
+    this._earToggles.length = 0;
+  }
+
+  /** Record a tape EAR level change at a frame-relative T-state */
+  writeEar(level, tstates = 0) {
+    if (!this._earMonitor) return;
+    level = level ? 1 : 0;
+    if (level === this._earLevel) return;
+    this._earLevel = level;
+    this._earToggles.push({ t: tstates, level });
+  }
+
+  /**
+   * IN from an AY data port returns the selected register; returns null for
+   * ports that do not belong to the enabled AY interface.
+   */
+  readPort(port) {
+    const iface = this._ayInterface;
+    if (!iface || !iface.isSelect(port)) return null;
+    return this.ay.readData();
+  }
+
+  _writeAyPort(port, value, tstates) {
+    const iface = this._ayInterface;
+    if (!iface) return;
+    if (iface.isSelect(port)) this.ay.selectRegister(value);
+    else if (iface.isData(port)) this.ay.writeData(value, tstates != null ? tstates : 0);
+  }
+
   /**
    * Kept for API compatibility — used by main loop's per-frame notify.
    * We now use it as the end-of-frame trigger to flush the sample buffer.
@@ -83,26 +198,39 @@ export class Sound {
   /**
    * Call once per emulated frame (after CPU has executed 69888 T-states).
    * Converts the recorded speaker toggles into a PCM AudioBuffer and queues it.
+   * @param {number} [frameStartTstates]
+   * @param {number} [copies] - times to queue the frame: 0 drops it and 2 or
+   *   more repeat it, so audio keeps its pitch when running off full speed
    */
-  endFrame(frameStartTstates) {
-    if (!this.ctx || this._muted) {
+  endFrame(frameStartTstates, copies = 1) {
+    // Toggle and AY timestamps are relative to the start of the frame being
+    // flushed, which the caller passes in (0 once tstates has been rebased).
+    this._frameStartTstates = frameStartTstates || 0;
+    if ((!this.ctx && !this.onSamples) || this._muted || copies < 1) {
       this._toggles.length = 0;
-      this._frameStartTstates = frameStartTstates || 0;
+      this._earToggles.length = 0;
+      this.ay.endFrame();
       return;
     }
 
-    const buf = this.ctx.createBuffer(1, SAMPLES_PER_FRAME, SAMPLE_RATE);
-    const data = buf.getChannelData(0);
-
-    this._fillSampleBuffer(data);
-    this._queueBuffer(buf);
+    if (this.onSamples || this.node) {
+      const data = new Float32Array(this._samplesPerFrame);
+      this._fillSampleBuffer(data);
+      // Posting transfers the buffer, so every copy but the last is a fresh one
+      for (let i = 1; i < copies; i++) this._emitSamples(data.slice());
+      this._emitSamples(data);
+    } else {
+      const buf = this.ctx.createBuffer(1, this._samplesPerFrame, SAMPLE_RATE);
+      this._fillSampleBuffer(buf.getChannelData(0));
+      for (let i = 0; i < copies; i++) this._queueBuffer(buf);
+    }
 
     // Reset for next frame
     this._toggles.length = 0;
-    this._frameStartTstates = (frameStartTstates || 0) + TSTATES_PER_FRAME;
+    this._earToggles.length = 0;
   }
 
-  /** Fill PCM data array from recorded speaker toggles. */
+  /** Fill PCM data array from recorded speaker toggles, then mix in the AY. */
   _fillSampleBuffer(data) {
     const vol = this._volume;
     const toggles = this._toggles;
@@ -112,8 +240,10 @@ export class Sound {
     let level = toggles.length > 0 ? (toggles[0].level ? 0 : 1) : this._speakerBit;
     const origin = this._frameStartTstates || 0;
 
-    for (let i = 0; i < SAMPLES_PER_FRAME; i++) {
-      const sampleTstate = origin + Math.round(i * TSTATES_PER_FRAME / SAMPLES_PER_FRAME);
+    const samples = data.length;
+    const frameTstates = this._tstatesPerFrame;
+    for (let i = 0; i < samples; i++) {
+      const sampleTstate = origin + Math.round(i * frameTstates / samples);
 
       while (toggleIdx < toggles.length && toggles[toggleIdx].t <= sampleTstate) {
         level = toggles[toggleIdx].level;
@@ -122,6 +252,85 @@ export class Sound {
 
       data[i] = level ? vol : -vol;
     }
+
+    if (this._earMonitor) this._mixEar(data, vol * 0.5, origin);
+    if (this._ayInterface) this.ay.render(data, this._tstatesPerFrame, vol, origin);
+    else this.ay.endFrame();
+  }
+
+  /** Add the recorded tape EAR signal into the PCM data at `vol` */
+  _mixEar(data, vol, origin) {
+    const toggles = this._earToggles;
+    let toggleIdx = 0;
+    let level = toggles.length > 0 ? (toggles[0].level ? 0 : 1) : this._earLevel;
+    const samples = data.length;
+    const frameTstates = this._tstatesPerFrame;
+    for (let i = 0; i < samples; i++) {
+      const sampleTstate = origin + Math.round(i * frameTstates / samples);
+      while (toggleIdx < toggles.length && toggles[toggleIdx].t <= sampleTstate) {
+        level = toggles[toggleIdx].level;
+        toggleIdx++;
+      }
+      data[i] += level ? vol : -vol;
+    }
+  }
+
+  /** Play one frame of PCM made elsewhere, e.g. received from the emulation worker */
+  playSamples(data) {
+    if (!this.ctx || this._muted) return;
+    if (this.ctx.state === 'suspended') {
+      this.ctx.resume().catch(() => { /* expected until user gesture */ });
+    }
+    if (this.node) {
+      this._postToWorklet(data);
+      return;
+    }
+    const buf = this.ctx.createBuffer(1, data.length, SAMPLE_RATE);
+    buf.getChannelData(0).set(data);
+    this._queueBuffer(buf);
+  }
+
+  /**
+   * Samples queued in the worklet ring now: its last report, less what has
+   * played since, plus what was posted after it.
+   */
+  bufferedSamples() {
+    const report = this._workletReport;
+    if (!report) return 0;
+    const played = Math.max(0, this.ctx.currentTime - report.time) * SAMPLE_RATE;
+    return Math.max(0, report.fill - played) + (this._workletPosted - report.received);
+  }
+
+  /**
+   * How many frames the emulator should run now to keep the worklet ring at
+   * its target, so the audio clock paces emulation. null when audio cannot
+   * pace it (no worklet, context suspended or muted): the caller then
+   * paces frames off its own timer.
+   */
+  framesDue() {
+    if (!this.node || !this._workletReport || this._muted || this.ctx.state !== 'running') return null;
+    return Math.max(0, Math.ceil((WORKLET_TARGET_FILL - this.bufferedSamples()) / this._samplesPerFrame));
+  }
+
+  /** Output path and worklet ring state, for diagnostics */
+  getAudioStats() {
+    const output = this.node ? 'worklet' : (this.ctx ? 'buffers' : 'none');
+    const report = this._workletReport;
+    return {
+      output,
+      buffered: this.node ? Math.round(this.bufferedSamples()) : 0,
+      underruns: report ? report.underruns : 0
+    };
+  }
+
+  _emitSamples(data) {
+    if (this.onSamples) this.onSamples(data);
+    else this._postToWorklet(data);
+  }
+
+  _postToWorklet(data) {
+    this.node.port.postMessage(data, [data.buffer]);
+    this._workletPosted += data.length;
   }
 
   /** Queue a filled AudioBuffer for playback. */
@@ -137,6 +346,8 @@ export class Sound {
   }
 
   close() {
+    try { if (this.node) this.node.disconnect(); } catch { /* ignore */ }
+    this.node = null;
     try { if (this.gain) this.gain.disconnect(); } catch { /* ignore */ }
     try { if (this.ctx && this.ctx.close) this.ctx.close(); } catch { /* ignore */ }
     this.ctx = null;
@@ -159,4 +370,24 @@ export class Sound {
       this.ctx = null;
     }
   }
+
+  // Swap in the AudioWorklet output once its module loads; until then (or
+  // for good, where AudioWorklet is missing) buffers are queued as before
+  _initWorklet() {
+    const ctx = this.ctx;
+    if (!ctx || !ctx.audioWorklet || typeof window.AudioWorkletNode === 'undefined') return;
+    ctx.audioWorklet.addModule(new URL('./soundWorklet.mjs', import.meta.url)).then(() => {
+      if (this.ctx !== ctx) return; // closed meanwhile
+      const node = new window.AudioWorkletNode(ctx, 'zx-sound', {
+        numberOfInputs: 0,
+        outputChannelCount: [1],
+        processorOptions: { inputRate: SAMPLE_RATE, capacity: WORKLET_CAPACITY, target: WORKLET_TARGET_FILL }
+      });
+      node.port.onmessage = (e) => { this._workletReport = e.data; };
+      node.connect(this.gain);
+      this.node = node;
+    }).catch((e) => {
+      console.warn('[Sound] AudioWorklet unavailable, queueing buffers instead:', e);
+    });
+  }
 }
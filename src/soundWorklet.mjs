@@ -0,0 +1,117 @@
+/* global sampleRate, currentTime */
+
+/**
+ * AudioWorklet output for the beeper/AY mix (loaded by Sound, src/sound.mjs).
+ *
+ * The emulator posts one frame of PCM at a time into a ring buffer here;
+ * the audio thread plays it out, resampling from the emulator's 44.1 kHz
+ * to the device rate. The fill level is reported back so the page can run
+ * as many 50 Hz frames as the ring needs - the audio clock, not the
+ * display's refresh rate, paces the emulation.
+ *
+ * Frames arrive in 20 ms lumps at display-rate intervals, so the fill swings
+ * about its target. Dynamic rate control nudges the playback rate (by at
+ * most MAX_RATE_ADJUST) towards the target so the ring neither drains into
+ * an underrun nor creeps up into extra latency.
+ */
+
+// Largest playback speed change; 0.5% is well below audible pitch drift
+export const MAX_RATE_ADJUST = 0.005;
+// Output blocks between fill reports to the page (about 10 ms at 48 kHz)
+const REPORT_BLOCKS = 4;
+
+/**
+ * Ring of mono samples read out with linear interpolation at a variable
+ * rate. Plain JS so it can be tested outside an AudioWorklet.
+ */
+export class SampleRing {
+  /**
+   * @param {number} capacity - samples the ring holds
+   * @param {{ inputRate: number, outputRate: number, target: number }} opts -
+   *   sample rates in Hz and the fill level (in input samples) to steer towards
+   */
+  constructor(capacity, { inputRate, outputRate, target }) {
+    this.buffer = new Float32Array(capacity);
+    this.step = inputRate / outputRate;
+    this.target = target;
+    this.fill = 0;
+    this.received = 0;
+    this.underruns = 0;
+    this.overruns = 0;
+    this._read = 0;
+    this._frac = 0;
+    this._last = 0;
+  }
+
+  /** Append samples; what does not fit is dropped and counted as an overrun */
+  push(samples) {
+    const cap = this.buffer.length;
+    const n = Math.min(samples.length, cap - this.fill);
+    if (n < samples.length) this.overruns++;
+    let w = (this._read + this.fill) % cap;
+    for (let i = 0; i < n; i++) {
+      this.buffer[w] = samples[i];
+      w = w + 1 === cap ? 0 : w + 1;
+    }
+    this.fill += n;
+    this.received += samples.length;
+  }
+
+  /** Playback speed factor for the current fill: above target plays faster */
+  rateAdjust() {
+    const error = (this.fill - this.target) / this.target;
+    return 1 + Math.max(-MAX_RATE_ADJUST, Math.min(MAX_RATE_ADJUST, error * MAX_RATE_ADJUST));
+  }
+
+  /**
+   * Fill `out` with resampled audio. On an underrun the last sample is held
+   * (a flat line instead of a click) until more arrives.
+   */
+  read(out) {
+    const cap = this.buffer.length;
+    const step = this.step * this.rateAdjust();
+    let starved = false;
+    for (let i = 0; i < out.length; i++) {
+      while (this._frac >= 1 && this.fill > 1) {
+        this._frac -= 1;
+        this._read = this._read + 1 === cap ? 0 : this._read + 1;
+        this.fill--;
+      }
+      if (this.fill < 2) {
+        out[i] = this._last;
+        starved = true;
+        continue;
+      }
+      const a = this.buffer[this._read];
+      const b = this.buffer[this._read + 1 === cap ? 0 : this._read + 1];
+      this._last = a + (b - a) * this._frac;
+      out[i] = this._last;
+      this._frac += step;
+    }
+    if (starved) this.underruns++;
+  }
+}
+
+if (typeof registerProcessor === 'function') {
+  class ZXSoundProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+      super();
+      const { inputRate, capacity, target } = options.processorOptions;
+      this.ring = new SampleRing(capacity, { inputRate, outputRate: sampleRate, target });
+      this._blocks = 0;
+      this.port.onmessage = (e) => this.ring.push(e.data);
+    }
+
+    process(inputs, outputs) {
+      this.ring.read(outputs[0][0]);
+      if (++this._blocks >= REPORT_BLOCKS) {
+        this._blocks = 0;
+        const { fill, received, underruns } = this.ring;
+        this.port.postMessage({ fill, received, underruns, time: currentTime });
+      }
+      return true;
+    }
+  }
+
+  registerProcessor('zx-sound', ZXSoundProcessor);
+}
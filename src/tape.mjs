@@ -0,0 +1,394 @@
+/**
+ * Tape deck - plays tape blocks back as a real-time EAR signal.
+ *
+ * Each block is expanded lazily into a train of pulses timed in CPU
+ * T-states (pilot tone, two sync pulses, then two pulses per data bit, then
+ * a pause), exactly as a cassette recorder would feed the EAR socket. The
+ * CPU-side code samples the signal through port 0xFE, so the ROM loader,
+ * custom and turbo loaders all see the same edges they would on hardware.
+ *
+ * The deck's clock follows the CPU's frame-relative `tstates`: the emulator
+ * calls `advanceTo(cpu.tstates)` before every EAR read and `endFrame(frameLength)`
+ * once per frame when it rebases the CPU counter.
+ *
+ * Blocks come from TAP files (plain data blocks) or from the TZX parser
+ * (src/tzx.mjs), whose flow-control blocks - loops, jumps, call/return,
+ * select, stop-if-48K and zero-length pauses - are acted on here.
+ *
+ * Pulse generators yield:
+ *   - a positive number n: toggle the EAR level, then hold it for n T-states
+ *   - { hold: n }: keep the current level for n T-states
+ *   - { level, duration }: force the level, then hold it for `duration`
+ */
+
+// Standard ROM loader timings (T-states at 3.5 MHz)
+export const TAPE_TIMINGS = {
+  PILOT_PULSE: 2168,
+  PILOT_HEADER_PULSES: 8063,
+  PILOT_DATA_PULSES: 3223,
+  SYNC1_PULSE: 667,
+  SYNC2_PULSE: 735,
+  ZERO_PULSE: 855,
+  ONE_PULSE: 1710,
+  PAUSE_MS: 1000
+};
+
+export const TSTATES_PER_MS = 3500;
+
+const MAX_SILENT_BLOCKS = 0x10000;
+
+/**
+ * Build a standard-speed data block descriptor from a TAP block (flag byte,
+ * payload and checksum). Header blocks (flag < 0x80) get the long pilot.
+ */
+export function standardBlock(data, pauseMs = TAPE_TIMINGS.PAUSE_MS) {
+  const isHeader = data.length > 0 && data[0] < 0x80;
+  return {
+    type: 'data',
+    pilotPulse: TAPE_TIMINGS.PILOT_PULSE,
+    pilotCount: isHeader ? TAPE_TIMINGS.PILOT_HEADER_PULSES : TAPE_TIMINGS.PILOT_DATA_PULSES,
+    sync1: TAPE_TIMINGS.SYNC1_PULSE,
+    sync2: TAPE_TIMINGS.SYNC2_PULSE,
+    zeroPulse: TAPE_TIMINGS.ZERO_PULSE,
+    onePulse: TAPE_TIMINGS.ONE_PULSE,
+    usedBits: 8,
+    pauseMs,
+    data
+  };
+}
+
+/** Pulses for a data block: pilot, sync, data bits (MSB first), pause */
+function* dataBlockPulses(block) {
+  for (let i = 0; i < block.pilotCount; i++) yield block.pilotPulse;
+  if (block.sync1) yield block.sync1;
+  if (block.sync2) yield block.sync2;
+  const data = block.data;
+  for (let i = 0; i < data.length; i++) {
+    const bits = (i === data.length - 1) ? (block.usedBits || 8) : 8;
+    const byte = data[i];
+    for (let b = 0; b < bits; b++) {
+      const pulse = (byte & (0x80 >> b)) ? block.onePulse : block.zeroPulse;
+      yield pulse;
+      yield pulse;
+    }
+  }
+  yield* pausePulses(block.pauseMs);
+}
+
+/** Pure tone: `count` pulses of `pulse` T-states */
+function* tonePulses(block) {
+  for (let i = 0; i < block.count; i++) yield block.pulse;
+}
+
+/** Direct recording: each bit is the EAR level for one sample period */
+function* directPulses(block) {
+  const { data, tstatesPerSample } = block;
+  let level = -1;
+  let run = 0;
+  for (let i = 0; i < data.length; i++) {
+    const bits = (i === data.length - 1) ? (block.usedBits || 8) : 8;
+    for (let b = 0; b < bits; b++) {
+      const bit = (data[i] >> (7 - b)) & 1;
+      if (bit === level) { run += tstatesPerSample; continue; }
+      if (run) yield { level, duration: run };
+      level = bit;
+      run = tstatesPerSample;
+    }
+  }
+  if (run) yield { level, duration: run };
+  yield* pausePulses(block.pauseMs);
+}
+
+/**
+ * CSW recording: RLE pulse lengths in samples (a zero byte is followed by a
+ * 32-bit length). Z-RLE compressed recordings are not supported and play as
+ * their pause only.
+ */
+function* cswPulses(block) {
+  if (block.compression === 1) {
+    const scale = TSTATES_PER_MS * 1000 / block.sampleRate;
+    const data = block.data;
+    for (let i = 0; i < data.length;) {
+      let samples = data[i++];
+      if (samples === 0 && i + 4 <= data.length) {
+        samples = (data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24)) >>> 0;
+        i += 4;
+      }
+      if (samples) yield Math.round(samples * scale);
+    }
+  }
+  yield* pausePulses(block.pauseMs);
+}
+
+/**
+ * One generalized-data symbol. The first pulse's edge depends on the symbol
+ * polarity (0 toggle, 1 keep level, 2 force low, 3 force high); a zero-length
+ * pulse ends the symbol early.
+ */
+function* symbolPulses(symbol) {
+  const pulses = symbol.pulses;
+  for (let i = 0; i < pulses.length && pulses[i]; i++) {
+    if (i > 0 || symbol.polarity === 0) yield pulses[i];
+    else if (symbol.polarity === 1) yield { hold: pulses[i] };
+    else yield { level: symbol.polarity === 3 ? 1 : 0, duration: pulses[i] };
+  }
+}
+
+/** Generalized data (TZX 0x19): run-length pilot symbols, then packed data symbols */
+function* generalizedPulses(block) {
+  for (const { symbol, repeat } of block.pilotStream) {
+    const def = block.pilotSymbols[symbol];
+    if (!def) continue;
+    for (let i = 0; i < repeat; i++) yield* symbolPulses(def);
+  }
+  const nb = block.bitsPerSymbol;
+  for (let s = 0; s < block.dataCount; s++) {
+    let symbol = 0;
+    for (let b = 0; b < nb; b++) {
+      const bit = s * nb + b;
+      symbol = (symbol << 1) | ((block.data[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    const def = block.dataSymbols[symbol];
+    if (def) yield* symbolPulses(def);
+  }
+  yield* pausePulses(block.pauseMs);
+}
+
+/**
+ * A pause: one more edge finishes the last pulse and that level is held for
+ * 1ms, then the signal drops low for the remainder of the pause.
+ */
+function* pausePulses(ms) {
+  if (!ms) return;
+  const total = Math.round(ms * TSTATES_PER_MS);
+  const first = Math.min(TSTATES_PER_MS, total);
+  yield first;
+  if (total > first) yield { level: 0, duration: total - first };
+}
+
+export class TapePlayer {
+  constructor() {
+    this.blocks = [];
+    this.playing = false;
+    // Route EAR edges to the beeper so the loading noise is audible
+    this.routeToBeeper = false;
+    // Called as onEdge(tstate, level) on every EAR transition
+    this.onEdge = null;
+    // Called when the last block has finished playing
+    this.onEnd = null;
+    // Called as onStop(reason) when a tape block stops the deck ('pause' or 'stop48k')
+    this.onStop = null;
+    // Called as onSelect(options, index) at a TZX Select block, with its
+    // { offset, description } entries; may return the number of the entry
+    // to take, otherwise the deck takes the first
+    this.onSelect = null;
+    // Honour TZX "stop the tape if in 48K mode" blocks
+    this.is48K = true;
+
+    this._earLevel = 0;
+    this._clock = 0;          // CPU-relative T-state the deck has reached
+    this._remaining = 0;      // T-states left in the current pulse
+    this._blockIndex = 0;
+    this._pulses = null;      // active pulse generator
+    this._loops = [];         // TZX loop stack: { start, remaining }
+    this._calls = [];         // TZX call stack: { index, next }
+  }
+
+  /**
+   * Insert a tape. Accepts parsed loader output ({type:'tap', blocks}) or an
+   * array of TAP blocks (Uint8Array) / block descriptors. Rewinds the tape.
+   */
+  load(tape) {
+    const blocks = Array.isArray(tape) ? tape : (tape && Array.isArray(tape.blocks) ? tape.blocks : []);
+    this.blocks = blocks.map(b => (b instanceof Uint8Array || Array.isArray(b)) ? standardBlock(Uint8Array.from(b)) : b);
+    this.playing = false;
+    this.rewind();
+    return this.blocks.length;
+  }
+
+  hasTape() { return this.blocks.length > 0; }
+
+  isPlaying() { return this.playing; }
+
+  /** Start (or resume) playback from the current position */
+  play() {
+    if (!this.hasTape()) return false;
+    if (this._blockIndex >= this.blocks.length && !this._pulses) this.rewind();
+    this.playing = true;
+    return true;
+  }
+
+  stop() {
+    this.playing = false;
+  }
+
+  rewind() {
+    this._blockIndex = 0;
+    this._pulses = null;
+    this._remaining = 0;
+    this._earLevel = 0;
+    this._loops.length = 0;
+    this._calls.length = 0;
+  }
+
+  /** Index of the block currently playing (or about to play) */
+  getPosition() {
+    return Math.max(0, this._pulses ? this._blockIndex - 1 : this._blockIndex);
+  }
+
+  /** Current EAR level (1 = high) */
+  getEarBit() {
+    return this._earLevel;
+  }
+
+  /**
+   * Advance the deck to CPU T-state `t`, emitting any edges on the way.
+   * The clock never runs backwards: a CPU that finished its last instruction
+   * past the end of the frame has already taken the deck beyond it.
+   */
+  advanceTo(t) {
+    let elapsed = t - this._clock;
+    if (elapsed <= 0) return;
+    this._clock = t;
+    if (!this.playing) return;
+    while (elapsed > 0 && this.playing) {
+      if (elapsed < this._remaining) {
+        this._remaining -= elapsed;
+        return;
+      }
+      elapsed -= this._remaining;
+      this._remaining = 0;
+      this._nextPulse(t - elapsed);
+    }
+  }
+
+  /** Finish the frame at `frameLength` and rebase the clock for the next one */
+  endFrame(frameLength) {
+    this.advanceTo(frameLength);
+    this._clock -= frameLength;
+  }
+
+  /** Pull the next pulse from the tape, moving on to later blocks as needed */
+  _nextPulse(edgeT) {
+    // Bound the number of silent blocks walked in one go so a tape that loops
+    // without producing any signal cannot hang the frame
+    let silentBlocks = 0;
+    for (;;) {
+      if (!this._pulses) {
+        if (++silentBlocks > MAX_SILENT_BLOCKS) { this._halt('loop'); return; }
+        if (this._blockIndex >= this.blocks.length) {
+          this.playing = false;
+          if (typeof this.onEnd === 'function') this.onEnd();
+          return;
+        }
+        const index = this._blockIndex++;
+        this._pulses = this._enterBlock(this.blocks[index], index, edgeT);
+        if (!this.playing) return;
+        if (!this._pulses) continue;
+      }
+      const next = this._pulses.next();
+      if (next.done) { this._pulses = null; continue; }
+      this._applyPulse(next.value, edgeT);
+      if (this._remaining > 0) return;
+    }
+  }
+
+  _applyPulse(p, edgeT) {
+    if (typeof p === 'number') {
+      this._setLevel(this._earLevel ^ 1, edgeT);
+      this._remaining = p;
+    } else if (p.hold !== undefined) {
+      this._remaining = p.hold;
+    } else {
+      this._setLevel(p.level ? 1 : 0, edgeT);
+      this._remaining = p.duration;
+    }
+  }
+
+  _setLevel(level, t) {
+    if (level === this._earLevel) return;
+    this._earLevel = level;
+    if (this.routeToBeeper && typeof this.onEdge === 'function') this.onEdge(t, level);
+  }
+
+  /**
+   * Start playing block `index`. Flow-control blocks move the block pointer
+   * (or stop the deck) and return null; signal blocks return their pulses.
+   */
+  _enterBlock(block, index, edgeT) {
+    switch (block.type) {
+      case 'jump': this._blockIndex = index + (block.offset || 1); return null; // a zero jump is invalid
+      case 'loop-start': this._loops.push({ start: index + 1, remaining: block.count }); return null;
+      case 'loop-end': this._endLoop(); return null;
+      case 'call': this._startCall(block, index); return null;
+      case 'return': this._returnFromCall(); return null;
+      case 'select': this._select(block, index); return null;
+      case 'stop48k': if (this.is48K) this._halt('stop48k'); return null;
+      case 'set-level': this._setLevel(block.level ? 1 : 0, edgeT); return null;
+      default: return this._blockPulses(block);
+    }
+  }
+
+  _endLoop() {
+    const loop = this._loops[this._loops.length - 1];
+    if (!loop) return;
+    if (--loop.remaining > 0) this._blockIndex = loop.start;
+    else this._loops.pop();
+  }
+
+  _startCall(block, index) {
+    if (!block.offsets.length) return;
+    this._calls.push({ index, next: 1 });
+    this._blockIndex = index + block.offsets[0];
+  }
+
+  _returnFromCall() {
+    const call = this._calls[this._calls.length - 1];
+    if (!call) return;
+    const offsets = this.blocks[call.index].offsets;
+    if (call.next < offsets.length) {
+      this._blockIndex = call.index + offsets[call.next++];
+    } else {
+      this._calls.pop();
+      this._blockIndex = call.index + 1;
+    }
+  }
+
+  _select(block, index) {
+    const options = block.options;
+    if (!options.length) return;
+    const choice = typeof this.onSelect === 'function' ? this.onSelect(options, index) : 0;
+    const option = options[choice] || options[0];
+    this._blockIndex = index + (option.offset || 1); // as for a jump, zero is invalid
+  }
+
+  // A zero-length pause block means "stop the tape"
+  _pausePulses(block) {
+    if (block.pauseMs) return pausePulses(block.pauseMs);
+    this._halt('pause');
+    return null;
+  }
+
+  // Stop the deck from within the tape; play() resumes at the next block
+  _halt(reason) {
+    this.playing = false;
+    this._remaining = 0;
+    if (typeof this.onStop === 'function') this.onStop(reason);
+  }
+
+  /** Expand a signal block descriptor into its pulse generator */
+  _blockPulses(block) {
+    switch (block.type) {
+      case 'data': return dataBlockPulses(block);
+      case 'pause': return this._pausePulses(block);
+      case 'tone': return tonePulses(block);
+      case 'pulses': return block.pulses[Symbol.iterator]();
+      case 'direct': return directPulses(block);
+      case 'csw': return cswPulses(block);
+      case 'generalized': return generalizedPulses(block);
+      default: return null; // information blocks produce no signal
+    }
+  }
+}
+
+export default TapePlayer;
@@ -0,0 +1,288 @@
+/**
+ * TR-DOS disk images for the Beta 128 interface (src/beta128.mjs).
+ *
+ * TR-DOS disks have 16 sectors of 256 bytes on every track, numbered 1-16,
+ * with the cylinder number in each sector ID and side 0 on both sides. A
+ * .trd file is the plain sector dump in logical track order (cylinder 0
+ * side 0, cylinder 0 side 1, ...), so sector R of logical track L sits at
+ * (L * 16 + R - 1) * 256.
+ *
+ * Logical track 0 holds the catalogue: up to 128 16-byte entries in
+ * sectors 1-8, then the disk information in sector 9. An .scl file is a
+ * packed list of files (a "SINCLAIR" header, the catalogue entries without
+ * their disk positions, the file data and a checksum); it is unpacked onto
+ * a blank 80-track double-sided disk.
+ *
+ * Reference: the TR-DOS 5.0x manual and the SCL description in the
+ * Spectrum emulator file format FAQ.
+ */
+
+export const SECTOR_SIZE = 256;
+export const SECTORS_PER_TRACK = 16;
+export const TRACK_SIZE = SECTOR_SIZE * SECTORS_PER_TRACK;
+
+// Disk information sector (logical track 0, sector 9) and its fields
+const INFO_OFFSET = 8 * SECTOR_SIZE;
+const INFO_FIRST_FREE_SECTOR = 0xe1;
+const INFO_FIRST_FREE_TRACK = 0xe2;
+const INFO_DISK_TYPE = 0xe3;
+const INFO_FILE_COUNT = 0xe4;
+const INFO_FREE_SECTORS = 0xe5;
+const INFO_TRDOS_ID = 0xe7;
+const INFO_LABEL = 0xf5;
+
+const CATALOG_ENTRIES = 128;
+const ENTRY_SIZE = 16;
+const SCL_SIGNATURE = 'SINCLAIR';
+const SCL_ENTRY_SIZE = 14;
+
+// Disk type byte: cylinders and sides
+const DISK_TYPES = {
+  0x16: { cylinders: 80, sides: 2 },
+  0x17: { cylinders: 40, sides: 2 },
+  0x18: { cylinders: 80, sides: 1 },
+  0x19: { cylinders: 40, sides: 1 }
+};
+const MAX_CYLINDERS = 86;
+
+/**
+ * @typedef {Object} CatalogEntry
+ * @property {string} name - file name (8 characters, trailing spaces trimmed)
+ * @property {string} type - file type letter: 'B' BASIC, 'C' code, 'D' data, '#' stream
+ * @property {number} start - start address (BASIC: program length)
+ * @property {number} length - length in bytes (BASIC: length without variables)
+ * @property {number} sectors - sectors used
+ * @property {number} sector - first sector (0-15) on the first logical track
+ * @property {number} track - first logical track
+ */
+
+/**
+ * A TR-DOS disk as the WD1793 controller sees it (src/wd1793.mjs).
+ * Changes made by the emulated machine are written into `data`, which is
+ * always a complete .trd image.
+ */
+export class TRDDisk {
+  /**
+   * @param {Uint8Array} [image] - .trd bytes; shorter images are padded out
+   *   to the size their disk type byte gives (blank 80-track double-sided
+   *   disk when omitted)
+   * @param {Object} [opts] - { writeProtected }
+   */
+  constructor(image = null, opts = {}) {
+    const geometry = image ? trdGeometry(image) : DISK_TYPES[0x16];
+    this.cylinders = geometry.cylinders;
+    this.sides = geometry.sides;
+    this.data = new Uint8Array(this.cylinders * this.sides * TRACK_SIZE);
+    if (image) this.data.set(image.subarray(0, this.data.length));
+    else formatCatalog(this.data, 0x16, this.cylinders * this.sides);
+    this.writeProtected = !!opts.writeProtected;
+    // Set when the machine writes to the disk, cleared by the caller once saved
+    this.modified = false;
+  }
+
+  /**
+   * Open a disk image file.
+   * @param {Uint8Array|ArrayBuffer} bytes
+   * @param {string} [format] - 'trd' (default) or 'scl'
+   * @param {Object} [opts] - { writeProtected }
+   */
+  static fromFile(bytes, format = 'trd', opts = {}) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const fmt = String(format).toLowerCase();
+    if (fmt === 'scl') return new TRDDisk(sclToTRD(data), opts);
+    if (fmt !== 'trd') throw new Error(`TRDOS: unsupported disk image format "${format}"`);
+    return new TRDDisk(data, opts);
+  }
+
+  /** Byte offset of a sector in `data`, or -1 when it is not on the disk */
+  sectorOffset(cylinder, side, sector) {
+    if (cylinder < 0 || cylinder >= this.cylinders || side < 0 || side >= this.sides) return -1;
+    if (sector < 1 || sector > SECTORS_PER_TRACK) return -1;
+    return ((cylinder * this.sides + side) * SECTORS_PER_TRACK + sector - 1) * SECTOR_SIZE;
+  }
+
+  /** Sector IDs on a track in rotational order: [{ c, h, r, n }] */
+  sectorIds(cylinder, side) {
+    if (this.sectorOffset(cylinder, side, 1) < 0) return [];
+    const ids = [];
+    for (let r = 1; r <= SECTORS_PER_TRACK; r++) ids.push({ c: cylinder, h: 0, r, n: 1 });
+    return ids;
+  }
+
+  /** The sector's bytes (a view into `data`), or null when it is not on the disk */
+  readSector(cylinder, side, sector) {
+    const offset = this.sectorOffset(cylinder, side, sector);
+    return offset < 0 ? null : this.data.subarray(offset, offset + SECTOR_SIZE);
+  }
+
+  /** Store a sector's bytes; false when it is not on the disk */
+  writeSector(cylinder, side, sector, bytes) {
+    const offset = this.sectorOffset(cylinder, side, sector);
+    if (offset < 0) return false;
+    this.data.set(bytes.subarray(0, SECTOR_SIZE), offset);
+    this.modified = true;
+    return true;
+  }
+
+  /**
+   * Format a track from the sectors a Write Track command laid down
+   * ([{ c, h, r, n, data }]). Formatting past the last cylinder extends
+   * the disk; sectors that are not 256 bytes numbered 1-16 cannot be
+   * stored in a .trd image and are dropped.
+   */
+  formatTrack(cylinder, side, sectors) {
+    if (side >= this.sides || cylinder >= MAX_CYLINDERS) return false;
+    if (cylinder >= this.cylinders) this._extend(cylinder + 1);
+    const start = this.sectorOffset(cylinder, side, 1);
+    this.data.fill(0, start, start + TRACK_SIZE);
+    for (const s of sectors) {
+      if (s.n === 1 && s.data) this.writeSector(cylinder, side, s.r, s.data);
+    }
+    this.modified = true;
+    return true;
+  }
+
+  /** The files on the disk, deleted ones left out */
+  catalog() {
+    return readCatalog(this.data);
+  }
+
+  /** The disk as a .trd file */
+  toTRD() {
+    return this.data.slice();
+  }
+
+  /** The disk's files packed as an .scl file */
+  toSCL() {
+    return buildSCL(this.data);
+  }
+
+  _extend(cylinders) {
+    const data = new Uint8Array(cylinders * this.sides * TRACK_SIZE);
+    data.set(this.data);
+    this.data = data;
+    this.cylinders = cylinders;
+  }
+}
+
+/** Cylinders and sides of a .trd image, from its disk type byte and size */
+function trdGeometry(image) {
+  const type = image.length > INFO_OFFSET + INFO_DISK_TYPE ? image[INFO_OFFSET + INFO_DISK_TYPE] : 0;
+  const known = DISK_TYPES[type] || DISK_TYPES[0x16];
+  // Some images carry more tracks than their type byte says
+  const tracks = Math.ceil(image.length / TRACK_SIZE);
+  const cylinders = Math.min(MAX_CYLINDERS, Math.max(known.cylinders, Math.ceil(tracks / known.sides)));
+  return { cylinders, sides: known.sides };
+}
+
+/** Write an empty catalogue and disk information sector onto a blank image */
+function formatCatalog(data, diskType, tracks) {
+  const info = INFO_OFFSET;
+  data[info + INFO_FIRST_FREE_SECTOR] = 0;
+  data[info + INFO_FIRST_FREE_TRACK] = 1;
+  data[info + INFO_DISK_TYPE] = diskType;
+  data[info + INFO_FILE_COUNT] = 0;
+  const free = (tracks - 1) * SECTORS_PER_TRACK;
+  data[info + INFO_FREE_SECTORS] = free & 0xff;
+  data[info + INFO_FREE_SECTORS + 1] = free >> 8;
+  data[info + INFO_TRDOS_ID] = 0x10;
+  data.fill(0x20, info + 0xea, info + 0xf3); // blank password
+  data.fill(0x20, info + INFO_LABEL, info + INFO_LABEL + 8);
+}
+
+/**
+ * Read the catalogue of a .trd image.
+ * @param {Uint8Array} data
+ * @returns {CatalogEntry[]}
+ */
+export function readCatalog(data) {
+  const files = [];
+  for (let i = 0; i < CATALOG_ENTRIES; i++) {
+    const e = i * ENTRY_SIZE;
+    if (data[e] === 0x00) break; // end of catalogue
+    if (data[e] === 0x01) continue; // deleted
+    files.push({
+      name: String.fromCharCode(...data.subarray(e, e + 8)).replace(/ +$/, ''),
+      type: String.fromCharCode(data[e + 8]),
+      start: data[e + 9] | (data[e + 10] << 8),
+      length: data[e + 11] | (data[e + 12] << 8),
+      sectors: data[e + 13],
+      sector: data[e + 14],
+      track: data[e + 15]
+    });
+  }
+  return files;
+}
+
+/**
+ * Unpack an .scl file onto a blank 80-track double-sided .trd image.
+ * @param {Uint8Array} scl
+ * @returns {Uint8Array} .trd bytes
+ */
+export function sclToTRD(scl) {
+  const signature = String.fromCharCode(...scl.subarray(0, 8));
+  if (signature !== SCL_SIGNATURE) throw new Error('TRDOS: not an SCL file (no SINCLAIR signature)');
+  const count = scl[8];
+  const trd = new Uint8Array(80 * 2 * TRACK_SIZE);
+  formatCatalog(trd, 0x16, 160);
+
+  let src = 9 + count * SCL_ENTRY_SIZE;
+  let position = TRACK_SIZE / SECTOR_SIZE; // first sector of logical track 1
+  for (let i = 0; i < count; i++) {
+    const header = scl.subarray(9 + i * SCL_ENTRY_SIZE, 9 + (i + 1) * SCL_ENTRY_SIZE);
+    const sectors = header[13];
+    const length = sectors * SECTOR_SIZE;
+    if ((position + sectors) * SECTOR_SIZE > trd.length) throw new Error('TRDOS: SCL files do not fit on one disk');
+    if (src + length > scl.length) throw new Error('TRDOS: SCL file is truncated');
+    const entry = i * ENTRY_SIZE;
+    trd.set(header, entry);
+    trd[entry + 14] = position % SECTORS_PER_TRACK;
+    trd[entry + 15] = Math.floor(position / SECTORS_PER_TRACK);
+    trd.set(scl.subarray(src, src + length), position * SECTOR_SIZE);
+    src += length;
+    position += sectors;
+  }
+
+  const info = INFO_OFFSET;
+  trd[info + INFO_FIRST_FREE_SECTOR] = position % SECTORS_PER_TRACK;
+  trd[info + INFO_FIRST_FREE_TRACK] = Math.floor(position / SECTORS_PER_TRACK);
+  trd[info + INFO_FILE_COUNT] = count;
+  const free = trd.length / SECTOR_SIZE - position;
+  trd[info + INFO_FREE_SECTORS] = free & 0xff;
+  trd[info + INFO_FREE_SECTORS + 1] = free >> 8;
+  return trd;
+}
+
+/**
+ * Pack the files of a .trd image into an .scl file.
+ * @param {Uint8Array} trd
+ * @returns {Uint8Array}
+ */
+export function buildSCL(trd) {
+  const files = [];
+  for (let i = 0; i < CATALOG_ENTRIES; i++) {
+    const e = i * ENTRY_SIZE;
+    if (trd[e] === 0x00) break;
+    if (trd[e] !== 0x01) files.push(e);
+  }
+  const dataLength = files.reduce((sum, e) => sum + trd[e + 13] * SECTOR_SIZE, 0);
+  const out = new Uint8Array(9 + files.length * SCL_ENTRY_SIZE + dataLength + 4);
+  for (let i = 0; i < 8; i++) out[i] = SCL_SIGNATURE.charCodeAt(i);
+  out[8] = files.length;
+
+  let dst = 9 + files.length * SCL_ENTRY_SIZE;
+  files.forEach((e, i) => {
+    out.set(trd.subarray(e, e + SCL_ENTRY_SIZE), 9 + i * SCL_ENTRY_SIZE);
+    const from = (trd[e + 15] * SECTORS_PER_TRACK + trd[e + 14]) * SECTOR_SIZE;
+    const length = trd[e + 13] * SECTOR_SIZE;
+    out.set(trd.subarray(from, from + length), dst);
+    dst += length;
+  });
+
+  let sum = 0;
+  for (let i = 0; i < dst; i++) sum = (sum + out[i]) >>> 0;
+  new DataView(out.buffer).setUint32(dst, sum, true);
+  return out;
+}
+
+export default TRDDisk;
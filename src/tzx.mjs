@@ -0,0 +1,312 @@
+/* eslint-env browser */
+/**
+ * TZX 1.20 tape image parser.
+ *
+ * Turns a TZX file into the block descriptors played by TapePlayer
+ * (src/tape.mjs). Signal blocks become 'data', 'tone', 'pulses', 'direct',
+ * 'csw', 'generalized' and 'pause' descriptors. Flow-control blocks (loop,
+ * jump, call/return, stop-if-48K, set level) are kept in place and acted on
+ * by the player. Information blocks (text, archive info, hardware type, ...)
+ * are kept too, so block offsets stay valid and the UI can show them.
+ *
+ * Every descriptor carries the TZX block `id` it came from.
+ */
+
+import { standardBlock } from './tape.mjs';
+
+export const TZX_SIGNATURE = 'ZXTape!';
+const TZX_HEADER_LENGTH = 10; // signature, 0x1A, major and minor version
+
+// Archive info (block 0x32) text identifiers
+const ARCHIVE_INFO_KEYS = {
+  0x00: 'title',
+  0x01: 'publisher',
+  0x02: 'author',
+  0x03: 'year',
+  0x04: 'language',
+  0x05: 'type',
+  0x06: 'price',
+  0x07: 'loader',
+  0x08: 'origin',
+  0xff: 'comment'
+};
+
+// Hardware type (block 0x33): type 0 is the computer the tape runs on
+const HARDWARE_COMPUTERS = [
+  'ZX Spectrum 16k', 'ZX Spectrum 48k, Plus', 'ZX Spectrum 48k ISSUE 1', 'ZX Spectrum 128k +(Sinclair)',
+  'ZX Spectrum 128k +2 (grey case)', 'ZX Spectrum 128k +2A, +3', 'Timex Sinclair TC-2048', 'Timex Sinclair TS-2068',
+  'Pentagon 128', 'Sam Coupe', 'Didaktik M', 'Didaktik Gama', 'ZX-80', 'ZX-81',
+  'ZX Spectrum 128k, Spanish version', 'ZX Spectrum, Arabic version', 'Microdigital TK 90-X', 'Microdigital TK 95',
+  'Byte', 'Elwro 800-3', 'ZS Scorpion 256', 'Amstrad CPC 464', 'Amstrad CPC 664', 'Amstrad CPC 6128',
+  'Amstrad CPC 464+', 'Amstrad CPC 6128+', 'Jupiter ACE', 'Enterprise', 'Commodore 64', 'Commodore 128',
+  'Inves Spectrum+', 'Profi', 'GrandRomMax', 'Kay 1024', 'Ice Felix HC 91', 'Ice Felix HC 2000',
+  'Amaterasu Spectrum', 'Quorum', 'Pentagon 512', 'Pentagon 1024'
+];
+const HARDWARE_USAGE = ['runs', 'uses', 'runs-unused', 'does-not-run'];
+
+/** Little-endian cursor over the file; reads past the end throw RangeError */
+class TzxReader {
+  constructor(buf) {
+    this.buf = buf;
+    this.dv = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    this.pos = 0;
+  }
+
+  u8() { return this.dv.getUint8(this.pos++); }
+  u16() { const v = this.dv.getUint16(this.pos, true); this.pos += 2; return v; }
+  i16() { const v = this.dv.getInt16(this.pos, true); this.pos += 2; return v; }
+  u24() { return this.u16() | (this.u8() << 16); }
+  u32() { const v = this.dv.getUint32(this.pos, true); this.pos += 4; return v; }
+
+  bytes(n) {
+    if (this.pos + n > this.buf.length) throw new RangeError('TZX block truncated');
+    const out = this.buf.slice(this.pos, this.pos + n);
+    this.pos += n;
+    return out;
+  }
+
+  text(n) { return String.fromCharCode(...this.bytes(n)); }
+
+  skip(n) {
+    if (this.pos + n > this.buf.length) throw new RangeError('TZX block truncated');
+    this.pos += n;
+  }
+}
+
+// --- Signal blocks ---
+
+function turboBlock(r) {
+  const block = {
+    type: 'data',
+    pilotPulse: r.u16(),
+    sync1: r.u16(),
+    sync2: r.u16(),
+    zeroPulse: r.u16(),
+    onePulse: r.u16(),
+    pilotCount: r.u16(),
+    usedBits: r.u8() || 8,
+    pauseMs: r.u16()
+  };
+  block.data = r.bytes(r.u24());
+  return block;
+}
+
+function pureDataBlock(r) {
+  const block = {
+    type: 'data',
+    pilotPulse: 0,
+    pilotCount: 0,
+    sync1: 0,
+    sync2: 0,
+    zeroPulse: r.u16(),
+    onePulse: r.u16(),
+    usedBits: r.u8() || 8,
+    pauseMs: r.u16()
+  };
+  block.data = r.bytes(r.u24());
+  return block;
+}
+
+function pulseSequenceBlock(r) {
+  const count = r.u8();
+  const pulses = [];
+  for (let i = 0; i < count; i++) pulses.push(r.u16());
+  return { type: 'pulses', pulses };
+}
+
+function directRecordingBlock(r) {
+  const block = { type: 'direct', tstatesPerSample: r.u16(), pauseMs: r.u16(), usedBits: r.u8() || 8 };
+  block.data = r.bytes(r.u24());
+  return block;
+}
+
+function cswBlock(r) {
+  const end = r.u32() + r.pos;
+  const block = { type: 'csw', pauseMs: r.u16(), sampleRate: r.u24(), compression: r.u8(), pulseCount: r.u32() };
+  block.data = r.bytes(end - r.pos);
+  return block;
+}
+
+function readSymbols(r, count, maxPulses) {
+  const symbols = [];
+  for (let s = 0; s < count; s++) {
+    const polarity = r.u8() & 0x03;
+    const pulses = [];
+    for (let p = 0; p < maxPulses; p++) pulses.push(r.u16());
+    symbols.push({ polarity, pulses });
+  }
+  return symbols;
+}
+
+function generalizedDataBlock(r) {
+  const end = r.u32() + r.pos;
+  const pauseMs = r.u16();
+  const totp = r.u32();
+  const npp = r.u8();
+  const asp = r.u8() || 256;
+  const totd = r.u32();
+  const npd = r.u8();
+  const asd = r.u8() || 256;
+
+  const block = { type: 'generalized', pauseMs, pilotSymbols: [], pilotStream: [], dataSymbols: [], dataCount: totd, bitsPerSymbol: 0, data: new Uint8Array(0) };
+  if (totp > 0) {
+    block.pilotSymbols = readSymbols(r, asp, npp);
+    for (let i = 0; i < totp; i++) block.pilotStream.push({ symbol: r.u8(), repeat: r.u16() });
+  }
+  if (totd > 0) {
+    block.dataSymbols = readSymbols(r, asd, npd);
+    block.bitsPerSymbol = Math.max(1, Math.ceil(Math.log2(asd)));
+    block.data = r.bytes(Math.ceil(block.bitsPerSymbol * totd / 8));
+  }
+  r.pos = end;
+  return block;
+}
+
+// --- Flow control blocks ---
+
+function callSequenceBlock(r) {
+  const count = r.u16();
+  const offsets = [];
+  for (let i = 0; i < count; i++) offsets.push(r.i16());
+  return { type: 'call', offsets };
+}
+
+function selectBlock(r) {
+  const end = r.u16() + r.pos;
+  const count = r.u8();
+  const options = [];
+  for (let i = 0; i < count; i++) {
+    const offset = r.i16();
+    options.push({ offset, description: r.text(r.u8()) });
+  }
+  r.pos = end;
+  return { type: 'select', options };
+}
+
+// --- Information blocks ---
+
+function archiveInfoBlock(r) {
+  const end = r.u16() + r.pos;
+  const count = r.u8();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const id = r.u8();
+    entries.push({ id, key: ARCHIVE_INFO_KEYS[id] || `info${id}`, text: r.text(r.u8()) });
+  }
+  r.pos = end;
+  return { type: 'archive-info', entries };
+}
+
+function hardwareTypeBlock(r) {
+  const count = r.u8();
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const type = r.u8();
+    const id = r.u8();
+    const usage = r.u8();
+    entries.push({
+      type,
+      id,
+      usage: HARDWARE_USAGE[usage] || 'unknown',
+      name: type === 0 ? (HARDWARE_COMPUTERS[id] || `Computer ${id}`) : null
+    });
+  }
+  return { type: 'hardware', entries };
+}
+
+function customInfoBlock(r) {
+  const name = r.text(16).replace(/\s+$/, '');
+  return { type: 'custom-info', name, data: r.bytes(r.u32()) };
+}
+
+// Skip a block whose body starts with a 32-bit length
+function skipBlock(r) {
+  r.skip(r.u32());
+  return { type: 'skipped' };
+}
+
+const BLOCK_PARSERS = {
+  0x10: (r) => { const pauseMs = r.u16(); return standardBlock(r.bytes(r.u16()), pauseMs); },
+  0x11: turboBlock,
+  0x12: (r) => ({ type: 'tone', pulse: r.u16(), count: r.u16() }),
+  0x13: pulseSequenceBlock,
+  0x14: pureDataBlock,
+  0x15: directRecordingBlock,
+  0x16: skipBlock, // C64 ROM type data (deprecated)
+  0x17: skipBlock, // C64 turbo tape data (deprecated)
+  0x18: cswBlock,
+  0x19: generalizedDataBlock,
+  0x20: (r) => ({ type: 'pause', pauseMs: r.u16() }),
+  0x21: (r) => ({ type: 'group-start', name: r.text(r.u8()) }),
+  0x22: () => ({ type: 'group-end' }),
+  0x23: (r) => ({ type: 'jump', offset: r.i16() }),
+  0x24: (r) => ({ type: 'loop-start', count: r.u16() }),
+  0x25: () => ({ type: 'loop-end' }),
+  0x26: callSequenceBlock,
+  0x27: () => ({ type: 'return' }),
+  0x28: selectBlock,
+  0x2A: (r) => { r.skip(r.u32()); return { type: 'stop48k' }; },
+  0x2B: (r) => { const len = r.u32(); const level = r.u8() & 1; r.skip(len - 1); return { type: 'set-level', level }; },
+  0x30: (r) => ({ type: 'text', text: r.text(r.u8()) }),
+  0x31: (r) => { const seconds = r.u8(); return { type: 'message', seconds, text: r.text(r.u8()) }; },
+  0x32: archiveInfoBlock,
+  0x33: hardwareTypeBlock,
+  0x34: (r) => { r.skip(8); return { type: 'skipped' }; },    // emulation info (deprecated)
+  0x35: customInfoBlock,
+  0x40: (r) => { r.skip(1); r.skip(r.u24()); return { type: 'skipped' }; }, // snapshot (deprecated)
+  0x5A: (r) => { r.skip(9); return { type: 'glue' }; }
+};
+
+/**
+ * Parse a TZX image.
+ * @param {ArrayBuffer|Uint8Array} input
+ * @returns {{ type: 'tzx', version: string, blocks: Array<Object>, archiveInfo: Object|null, hardware: Array<Object>, raw: ArrayBuffer|Uint8Array }}
+ */
+export function parseTZX(input) {
+  const buf = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const result = { type: 'tzx', version: null, blocks: [], archiveInfo: null, hardware: [], raw: input };
+
+  if (!hasTzxHeader(buf)) {
+    console.warn('[TZX] header not found, no blocks parsed');
+    return result;
+  }
+  result.version = `${buf[8]}.${String(buf[9]).padStart(2, '0')}`;
+
+  const r = new TzxReader(buf);
+  r.pos = TZX_HEADER_LENGTH;
+  while (r.pos < buf.length) {
+    const start = r.pos;
+    const id = r.u8();
+    try {
+      // Blocks added after 1.10 all start with a 32-bit length, so unknown ones can be skipped
+      const parse = BLOCK_PARSERS[id] || skipBlock;
+      const block = parse(r);
+      block.id = id;
+      result.blocks.push(block);
+    } catch (e) {
+      console.warn(`[TZX] block 0x${id.toString(16)} at offset ${start} is truncated, stopping`);
+      break;
+    }
+  }
+
+  collectTapeInfo(result);
+  return result;
+}
+
+function hasTzxHeader(buf) {
+  return buf.length >= TZX_HEADER_LENGTH && String.fromCharCode(...buf.subarray(0, 7)) === TZX_SIGNATURE && buf[7] === 0x1a;
+}
+
+// Lift archive info and hardware type entries up to the tape result
+function collectTapeInfo(result) {
+  for (const block of result.blocks) {
+    if (block.type === 'archive-info' && !result.archiveInfo) {
+      result.archiveInfo = {};
+      for (const entry of block.entries) result.archiveInfo[entry.key] = entry.text;
+    } else if (block.type === 'hardware') {
+      result.hardware.push(...block.entries);
+    }
+  }
+}
+
+export default parseTZX;
@@ -4,25 +4,30 @@ import { FrameBuffer, FrameRenderer } from './frameBuffer.mjs';
 export class ULA {
   constructor(memory, canvas, options = {}) {
     this.mem = memory; // instance of Memory
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
-    console.log('[ULA] constructor: memory', memory, 'canvas', canvas, 'ctx', this.ctx);
+    this.canvas = canvas; // null when headless: pixels are kept off-screen
+    this.ctx = canvas ? canvas.getContext('2d') : null;
+    // Diagnostic console output; options.diagnostics = false turns it off
+    this.diagnostics = options.diagnostics !== false;
+    this._log('[ULA] constructor: memory', memory, 'canvas', canvas, 'ctx', this.ctx);
     
     // Deferred rendering option (JSSpeccy3-style frame buffer)
     this.useDeferredRendering = options.useDeferredRendering || false;
     if (this.useDeferredRendering) {
       this.frameBuffer = new FrameBuffer();
+      this.frameBuffer.diagnostics = this.diagnostics;
       this.frameBuffer.attach(memory);
       this.frameRenderer = new FrameRenderer(canvas);
       // FrameRenderer sets canvas to 320x240 for borders - don't override
-      console.log('[ULA] Deferred rendering enabled (320x240 with borders)');
-    } else {
+      this._log('[ULA] Deferred rendering enabled (320x240 with borders)');
+    } else if (this.ctx) {
       // Legacy mode: 256x192 without borders
       this.canvas.width = 256;
       this.canvas.height = 192;
       this.ctx.imageSmoothingEnabled = false;
       // Image buffer for 256x192 RGBA
       this.image = this.ctx.createImageData(256, 192);
+    } else {
+      this.image = { width: 256, height: 192, data: new Uint8ClampedArray(256 * 192 * 4) };
     }
 
     // CRITICAL: 50Hz interrupt generation for ZX Spectrum boot sequence
@@ -35,6 +40,9 @@ export class ULA {
     // Border colour (0-7)
     this.border = 0;
 
+    // Tape EAR input level (1 = high), driven by the tape deck while playing
+    this.earBit = 1;
+
     // Keyboard matrix: 8 rows, each byte bit = 0 when key pressed (active low)
     this.keyMatrix = new Uint8Array(8).fill(0xff);
 
@@ -89,6 +97,12 @@ export class ULA {
     this.cpu = cpu;
   }
 
+  /** Frame length and raster geometry from a machine profile (src/machines.mjs) */
+  setTiming(profile) {
+    this.tstatesPerFrame = profile.tstatesPerFrame;
+    if (this.frameBuffer) this.frameBuffer.setTiming(profile);
+  }
+
   // CRITICAL: Update interrupt state based on CPU IFF flags
   updateInterruptState() {
     if (this.cpu) {
@@ -101,6 +115,10 @@ export class ULA {
     this._debug = enabled;
   }
 
+  _log(...args) {
+    if (this.diagnostics) console.log(...args);
+  }
+
   // QUICK FIX: Initialize display memory early to avoid race conditions with ROM
   // IMPORTANT: Sets _initialized flag to prevent duplicate clearing in render()
   _initializeDisplayMemory() {
@@ -122,7 +140,7 @@ export class ULA {
     // clear the display AFTER ROM had already written the copyright message
     this._initialized = true;
     
-    console.log('[ULA] Display memory initialized in constructor');
+    this._log('[ULA] Display memory initialized in constructor');
   }
 
   // QUICK FIX: Synchronous interrupt generation (replaces async setTimeout)
@@ -156,6 +174,7 @@ export class ULA {
 
   // Update canvas CSS background to reflect border colour
   _updateCanvasBorder() {
+    if (!this.canvas || !this.canvas.style) return;
     const pal = (this.borderBright ? this.paletteBright : this.paletteNormal)[this.border & 0x07];
     this.canvas.style.backgroundColor = `rgb(${pal[0]},${pal[1]},${pal[2]})`;
   }
@@ -190,8 +209,8 @@ export class ULA {
       const high = (port >> 8) & 0xff;
       // Start with all bits high (no key pressed). 
       // Bits 0-4 correspond to keys in the selected rows.
-      // Bit 5: tape EAR input (1 = no signal)
-      // Bits 6-7: always 1
+      // Bit 6: tape EAR input (the ROM's LD-EDGE does IN, RRA, AND 0x20)
+      // Bits 5 and 7: always 1
       let result = 0xff;
       // For each row: if the corresponding bit in high is zero (selected), AND the row matrix
       for (let row = 0; row < 8; row++) {
@@ -199,8 +218,8 @@ export class ULA {
           result &= this.keyMatrix[row];
         }
       }
-      // Ensure upper bits are set correctly (tape EAR = 1, bits 6-7 = 1)
-      result |= 0b11100000;
+      // Ensure upper bits are set correctly (bits 5 and 7 = 1, bit 6 = EAR)
+      result = (result & 0x1f) | 0b10100000 | (this.earBit ? 0x40 : 0);
       
       // Debug: log when any key is detected (result bits 0-4 not all 1)
       if (this._debug && (result & 0x1f) !== 0x1f) {
@@ -276,7 +295,7 @@ export class ULA {
           for (let i = 0; i < 8; i++) bytes.push(this.mem.read((chars + code*8 + i) & 0xffff));
           glyphs[code] = bytes;
         });
-        if (typeof console !== 'undefined' && console.log) console.log('[ULA] CHARS pointer:', '0x' + chars.toString(16).padStart(4,'0'), 'glyphs:', glyphs);
+        if (typeof console !== 'undefined' && console.log) this._log('[ULA] CHARS pointer:', '0x' + chars.toString(16).padStart(4,'0'), 'glyphs:', glyphs);
         try { if (typeof window !== 'undefined' && window.__TEST__) window.__TEST__.charsDiag = { chars, glyphs, t: Date.now(), pc: (window.__LAST_PC__||null) }; } catch (e) { /* ignore */ }
       } catch (e) {
         console.warn('[ULA] chars diagnostic failed', e);
@@ -315,7 +334,7 @@ export class ULA {
       // First render after construction - just mark as initialized, don't clear memory
       // ROM boot sequence manages display content; clearing here erases copyright message
       this._initialized = true;
-      console.log('[ULA] First render - display ready (not clearing to preserve ROM output)');
+      this._log('[ULA] First render - display ready (not clearing to preserve ROM output)');
     }
 
     if (!bitmap || !attrs) {
@@ -372,7 +391,7 @@ export class ULA {
     }
 
     // Blit to canvas
-    this.ctx.putImageData(this.image, 0, 0);
+    if (this.ctx) this.ctx.putImageData(this.image, 0, 0);
 
     // Test hook: notify tests that a render finished (legacy path)
     try {
@@ -0,0 +1,496 @@
+/**
+ * NEC uPD765A floppy disk controller, as fitted to the Spectrum +3.
+ *
+ * The +3 decodes two ports for it (A15-A12 with A1 low):
+ *   0x2FFD  main status register (read)
+ *   0x3FFD  data register (read/write)
+ * and switches the drive motors with bit 3 of port 0x1FFD. Only the US0
+ * drive select line is wired, so units 2 and 3 are drives A: and B: again,
+ * and TC is not connected: a read or write that reaches the end of the
+ * track (EOT) always finishes with "abnormal termination" and End of
+ * Cylinder set, which is what +3DOS expects from a good transfer.
+ *
+ * Every command goes through the chip's three phases: the CPU writes the
+ * command bytes, data moves a byte at a time in the execution phase (the
+ * +3 has no DMA, so RQM and EXM are polled), and the CPU reads the result
+ * bytes. There are no rotational or stepping delays; the register states
+ * are the real chip's, only sooner. Seeks still report their end through
+ * Sense Interrupt Status.
+ *
+ * The disk in each drive is any object with cylinders, sides,
+ * writeProtected, sectorIds(), readSector(), writeSector() and
+ * formatTrack() (DSKDisk in src/dsk.mjs). Sector IDs carry the status bits
+ * the sector reads with, which is how copy-protected disks report CRC
+ * errors, deleted data and missing address marks.
+ *
+ * Reference: NEC uPD765A data sheet; Spectrum +3 technical manual.
+ */
+
+import { sectorSize } from './dsk.mjs';
+
+// Main status register
+export const MSR_RQM = 0x80; // ready for a data register transfer
+export const MSR_DIO = 0x40; // direction: 1 = controller to CPU
+export const MSR_EXM = 0x20; // execution phase
+export const MSR_CB = 0x10; // command in progress
+
+// Status register 0
+export const ST0_ABNORMAL = 0x40;
+export const ST0_INVALID = 0x80;
+export const ST0_SEEK_END = 0x20;
+export const ST0_EQUIPMENT_CHECK = 0x10;
+export const ST0_NOT_READY = 0x08;
+// Status register 1
+export const ST1_END_OF_CYLINDER = 0x80;
+export const ST1_DATA_ERROR = 0x20;
+export const ST1_NO_DATA = 0x04;
+export const ST1_NOT_WRITABLE = 0x02;
+export const ST1_MISSING_ADDRESS_MARK = 0x01;
+// Status register 2
+export const ST2_CONTROL_MARK = 0x40;
+export const ST2_DATA_ERROR = 0x20;
+export const ST2_WRONG_CYLINDER = 0x10;
+export const ST2_BAD_CYLINDER = 0x02;
+export const ST2_MISSING_DATA_MARK = 0x01;
+// Status register 3
+export const ST3_WRITE_PROTECT = 0x40;
+export const ST3_READY = 0x20;
+export const ST3_TRACK0 = 0x10;
+export const ST3_TWO_SIDE = 0x08;
+
+const MAX_CYLINDER = 85;
+const RECALIBRATE_STEPS = 77;
+// What a transfer gives after a sector's stored data runs out: the gap
+const GAP_BYTE = 0x4e;
+
+// Command code (low 5 bits of the first byte): command phase length and handler.
+// The scan commands are not used by +3DOS and are treated as invalid.
+const COMMANDS = {
+  0x02: [9, '_readTrack'],
+  0x03: [3, '_specify'],
+  0x04: [2, '_senseDriveStatus'],
+  0x05: [9, '_readWrite'], // write data
+  0x06: [9, '_readWrite'], // read data
+  0x07: [2, '_recalibrate'],
+  0x08: [1, '_senseInterrupt'],
+  0x09: [9, '_readWrite'], // write deleted data
+  0x0a: [2, '_readId'],
+  0x0c: [9, '_readWrite'], // read deleted data
+  0x0d: [6, '_formatTrack'],
+  0x0f: [3, '_seek']
+};
+
+function copyOp(op) {
+  return { ...op, id: { ...op.id } };
+}
+
+export class UPD765 {
+  /**
+   * @param {Object} [opts]
+   * @param {function(): boolean} [opts.motor] - drive motor state (port 0x1FFD bit 3
+   *   on the +3); defaults to always on
+   */
+  constructor(opts = {}) {
+    this.motor = opts.motor || (() => true);
+    // Disks in drives A: and B: (null = empty); they stay in when the core is rebuilt
+    this.drives = [null, null];
+    this.reset();
+  }
+
+  reset() {
+    this._command = [];
+    this._result = [];
+    this._transfer = null;
+    // Head position of each drive, and the next sector ID to pass under it
+    this._cylinder = [0, 0];
+    this._rotation = [0, 0];
+    // Seeks and recalibrates waiting for Sense Interrupt Status: [{ st0, unit }]
+    this._seekEnds = [];
+    this._seeking = 0;
+    // Step rate, head unload and head load times from Specify (kept, not timed)
+    this.specify = [0, 0];
+  }
+
+  /**
+   * Head positions, pending seeks, and the command, result or transfer in
+   * progress, for loadState() (rewind and step-back). A transfer's buffer
+   * and op are copied; its completion callback is kept as it is, so the
+   * state only goes back into this controller.
+   */
+  saveState() {
+    const t = this._transfer;
+    return {
+      command: this._command.slice(), result: this._result.slice(),
+      cylinder: this._cylinder.slice(), rotation: this._rotation.slice(),
+      seekEnds: this._seekEnds.map(end => ({ ...end })), seeking: this._seeking, specify: this.specify.slice(),
+      transfer: t ? { ...t, bytes: t.bytes.slice(), opState: copyOp(t.op) } : null
+    };
+  }
+
+  loadState(state) {
+    this._command = state.command.slice();
+    this._result = state.result.slice();
+    this._cylinder = state.cylinder.slice();
+    this._rotation = state.rotation.slice();
+    this._seekEnds = state.seekEnds.map(end => ({ ...end }));
+    this._seeking = state.seeking;
+    this.specify = state.specify.slice();
+    const t = state.transfer;
+    this._transfer = null;
+    if (t) {
+      // Put the op back in place: the callback holds that object
+      Object.assign(t.op, copyOp(t.opState));
+      this._transfer = { op: t.op, bytes: t.bytes.slice(), read: t.read, pos: t.pos, done: t.done };
+    }
+  }
+
+  /** Main status register (port 0x2FFD) */
+  readStatus() {
+    let msr = MSR_RQM | this._seeking;
+    if (this._transfer) msr |= MSR_EXM | MSR_CB | (this._transfer.read ? MSR_DIO : 0);
+    else if (this._result.length) msr |= MSR_DIO | MSR_CB;
+    else if (this._command.length) msr |= MSR_CB;
+    return msr;
+  }
+
+  /** Data register read (port 0x3FFD): a result byte or the next byte of a read */
+  readData() {
+    const t = this._transfer;
+    if (t) {
+      if (!t.read) return 0xff;
+      const value = t.bytes[t.pos++];
+      if (t.pos >= t.bytes.length) this._endTransfer();
+      return value;
+    }
+    return this._result.length ? this._result.shift() : 0xff;
+  }
+
+  /** Data register write (port 0x3FFD): a command byte or the next byte of a write */
+  writeData(value) {
+    value &= 0xff;
+    const t = this._transfer;
+    if (t) {
+      if (t.read) return;
+      t.bytes[t.pos++] = value;
+      if (t.pos >= t.bytes.length) this._endTransfer();
+      return;
+    }
+    if (this._result.length) return;
+    this._command.push(value);
+    const entry = COMMANDS[this._command[0] & 0x1f];
+    if (!entry) {
+      this._command = [];
+      this._result = [ST0_INVALID];
+    } else if (this._command.length === entry[0]) {
+      const command = this._command;
+      this._command = [];
+      this[entry[1]](command);
+    }
+  }
+
+  // --- drives ---
+
+  _disk(unit) {
+    return this.drives[unit & 0x01];
+  }
+
+  _ready(unit) {
+    return !!this._disk(unit) && this.motor();
+  }
+
+  // The disk side a head select reaches: single-sided disks have only side 0
+  _side(disk, head) {
+    return Math.min(head, disk.sides - 1);
+  }
+
+  // --- seek and status commands ---
+
+  _specify(cmd) {
+    this.specify = [cmd[1], cmd[2]];
+  }
+
+  _seek(cmd) {
+    const unit = cmd[1] & 0x03;
+    this._cylinder[unit & 0x01] = Math.min(cmd[2], MAX_CYLINDER);
+    this._seekEnded(unit, 0);
+  }
+
+  _recalibrate(cmd) {
+    const unit = cmd[1] & 0x03;
+    const drive = unit & 0x01;
+    // The chip gives up after 77 step pulses
+    const failed = this._cylinder[drive] > RECALIBRATE_STEPS;
+    this._cylinder[drive] = failed ? this._cylinder[drive] - RECALIBRATE_STEPS : 0;
+    this._seekEnded(unit, failed ? ST0_ABNORMAL | ST0_EQUIPMENT_CHECK : 0);
+  }
+
+  _seekEnded(unit, errors) {
+    const notReady = this._ready(unit) ? 0 : ST0_ABNORMAL | ST0_NOT_READY;
+    this._rotation[unit & 0x01] = 0;
+    this._seekEnds.push({ st0: ST0_SEEK_END | errors | notReady | unit, unit });
+    this._seeking |= 1 << unit;
+  }
+
+  _senseInterrupt() {
+    const end = this._seekEnds.shift();
+    if (!end) {
+      this._result = [ST0_INVALID];
+      return;
+    }
+    this._seeking &= ~(1 << end.unit);
+    this._result = [end.st0, this._cylinder[end.unit & 0x01]];
+  }
+
+  _senseDriveStatus(cmd) {
+    const unit = cmd[1] & 0x03;
+    const disk = this._disk(unit);
+    let st3 = cmd[1] & 0x07;
+    if (!disk || disk.writeProtected) st3 |= ST3_WRITE_PROTECT;
+    if (this._ready(unit)) st3 |= ST3_READY;
+    if (this._cylinder[unit & 0x01] === 0) st3 |= ST3_TRACK0;
+    if (disk && disk.sides > 1) st3 |= ST3_TWO_SIDE;
+    this._result = [st3];
+  }
+
+  // --- data transfer commands ---
+
+  _readId(cmd) {
+    const unit = cmd[1] & 0x03;
+    const head = (cmd[1] >> 2) & 0x01;
+    const st0 = cmd[1] & 0x07;
+    if (!this._ready(unit)) {
+      this._result = [st0 | ST0_ABNORMAL | ST0_NOT_READY, 0, 0, 0, 0, 0, 0];
+      return;
+    }
+    const drive = unit & 0x01;
+    const disk = this._disk(unit);
+    const ids = disk.sectorIds(this._cylinder[drive], this._side(disk, head));
+    if (ids.length === 0) {
+      this._result = [st0 | ST0_ABNORMAL, ST1_MISSING_ADDRESS_MARK, 0, 0, 0, 0, 0];
+      return;
+    }
+    const index = this._rotation[drive] % ids.length;
+    this._rotation[drive] = index + 1;
+    const id = ids[index];
+    this._result = [st0, 0, 0, id.c, id.h, id.r, id.n];
+  }
+
+  /** Read Data, Read Deleted Data, Write Data and Write Deleted Data */
+  _readWrite(cmd) {
+    const code = cmd[0] & 0x1f;
+    const op = {
+      write: code === 0x05 || code === 0x09,
+      deleted: code === 0x09 || code === 0x0c,
+      multiTrack: (cmd[0] & 0x80) !== 0,
+      skip: (cmd[0] & 0x20) !== 0,
+      unit: cmd[1] & 0x03,
+      head: (cmd[1] >> 2) & 0x01,
+      id: { c: cmd[2], h: cmd[3], r: cmd[4], n: cmd[5] },
+      eot: cmd[6],
+      dtl: cmd[8],
+      st1: 0,
+      st2: 0
+    };
+    if (!this._ready(op.unit)) {
+      this._finish(op, ST0_ABNORMAL | ST0_NOT_READY);
+    } else if (op.write && this._disk(op.unit).writeProtected) {
+      op.st1 |= ST1_NOT_WRITABLE;
+      this._finish(op, ST0_ABNORMAL);
+    } else {
+      this._nextSector(op);
+    }
+  }
+
+  _nextSector(op) {
+    const disk = this._disk(op.unit);
+    const cylinder = this._cylinder[op.unit & 0x01];
+    const side = this._side(disk, op.head);
+    const ids = disk.sectorIds(cylinder, side);
+    const index = this._findSector(op, ids);
+    if (index < 0) {
+      this._finish(op, ST0_ABNORMAL);
+      return;
+    }
+    const sector = ids[index];
+    if (sector.st2 & ST2_MISSING_DATA_MARK) {
+      op.st1 |= ST1_MISSING_ADDRESS_MARK;
+      op.st2 |= ST2_MISSING_DATA_MARK;
+      this._finish(op, ST0_ABNORMAL);
+      return;
+    }
+    const size = op.id.n === 0 ? op.dtl : sectorSize(op.id.n);
+    if (op.write) {
+      this._beginTransfer(op, new Uint8Array(size), false, (bytes) => {
+        disk.writeSector(cylinder, side, index, bytes, op.deleted);
+        this._sectorDone(op, false);
+      });
+      return;
+    }
+    // A data mark of the other kind: skipped with SK, otherwise read and the command ends
+    const otherMark = ((sector.st2 & ST2_CONTROL_MARK) !== 0) !== op.deleted;
+    if (otherMark) op.st2 |= ST2_CONTROL_MARK;
+    if (otherMark && op.skip) {
+      this._sectorDone(op, false);
+      return;
+    }
+    const bytes = new Uint8Array(size).fill(GAP_BYTE);
+    bytes.set(disk.readSector(cylinder, side, index).subarray(0, size));
+    this._beginTransfer(op, bytes, true, () => {
+      if (sector.st2 & ST2_DATA_ERROR) {
+        op.st1 |= ST1_DATA_ERROR;
+        op.st2 |= ST2_DATA_ERROR;
+      }
+      this._sectorDone(op, otherMark || (sector.st2 & ST2_DATA_ERROR) !== 0);
+    });
+  }
+
+  /**
+   * Look for the ID matching C, H, R and N, starting where the head is and
+   * going once round the track. Returns its index, or -1 with the error
+   * bits set.
+   */
+  _findSector(op, ids) {
+    if (ids.length === 0) {
+      op.st1 |= ST1_MISSING_ADDRESS_MARK;
+      return -1;
+    }
+    const drive = op.unit & 0x01;
+    for (let i = 0; i < ids.length; i++) {
+      const index = (this._rotation[drive] + i) % ids.length;
+      if (this._matchId(op, ids[index])) {
+        this._rotation[drive] = index + 1;
+        op.st1 &= ~ST1_DATA_ERROR;
+        op.st2 &= ~(ST2_BAD_CYLINDER | ST2_WRONG_CYLINDER);
+        return index;
+      }
+    }
+    op.st1 |= ST1_NO_DATA;
+    return -1;
+  }
+
+  // True for the ID the command asks for; IDs with a CRC error or only the
+  // cylinder wrong are noted in the status on the way past
+  _matchId(op, id) {
+    const { c, h, r, n } = op.id;
+    if ((id.st1 & ST1_DATA_ERROR) && !(id.st2 & ST2_DATA_ERROR)) {
+      op.st1 |= ST1_DATA_ERROR;
+      return false;
+    }
+    if (id.h !== h || id.r !== r || id.n !== n) return false;
+    if (id.c === c) return true;
+    op.st2 |= id.c === 0xff ? ST2_BAD_CYLINDER : ST2_WRONG_CYLINDER;
+    return false;
+  }
+
+  // After each sector: stop on an error, otherwise go on to the next sector
+  // number, switching side at EOT on multi-track commands. Reaching EOT
+  // with no TC to stop the chip ends with End of Cylinder set.
+  _sectorDone(op, stop) {
+    const id = op.id;
+    if (stop) {
+      this._finish(op, ST0_ABNORMAL);
+    } else if (id.r !== op.eot) {
+      id.r = (id.r + 1) & 0xff;
+      this._nextSector(op);
+    } else if (op.multiTrack && op.head === 0) {
+      op.head = 1;
+      id.h ^= 1;
+      id.r = 1;
+      this._nextSector(op);
+    } else {
+      if (op.multiTrack) id.h ^= 1;
+      id.c = (id.c + 1) & 0xff;
+      id.r = 1;
+      op.st1 |= ST1_END_OF_CYLINDER;
+      this._finish(op, ST0_ABNORMAL);
+    }
+  }
+
+  /**
+   * Read Track: the sectors from the index hole on, EOT of them, each the
+   * command's sector size. No Data is set when none had the command's ID.
+   */
+  _readTrack(cmd) {
+    const op = {
+      unit: cmd[1] & 0x03,
+      head: (cmd[1] >> 2) & 0x01,
+      id: { c: cmd[2], h: cmd[3], r: cmd[4], n: cmd[5] },
+      st1: 0,
+      st2: 0
+    };
+    if (!this._ready(op.unit)) {
+      this._finish(op, ST0_ABNORMAL | ST0_NOT_READY);
+      return;
+    }
+    const disk = this._disk(op.unit);
+    const cylinder = this._cylinder[op.unit & 0x01];
+    const side = this._side(disk, op.head);
+    const ids = disk.sectorIds(cylinder, side).slice(0, cmd[6]);
+    if (ids.length === 0) {
+      op.st1 |= ST1_MISSING_ADDRESS_MARK;
+      this._finish(op, ST0_ABNORMAL);
+      return;
+    }
+    const size = op.id.n === 0 ? cmd[8] : sectorSize(op.id.n);
+    const bytes = new Uint8Array(size * ids.length).fill(GAP_BYTE);
+    ids.forEach((id, i) => bytes.set(disk.readSector(cylinder, side, i).subarray(0, size), i * size));
+    const { c, h, r, n } = op.id;
+    if (!ids.some(id => id.c === c && id.h === h && id.r === r && id.n === n)) op.st1 |= ST1_NO_DATA;
+    this._beginTransfer(op, bytes, true, () => {
+      op.st1 |= ST1_END_OF_CYLINDER;
+      this._finish(op, ST0_ABNORMAL);
+    });
+  }
+
+  /** Format Track: the CPU supplies C H R N for each of SC sectors */
+  _formatTrack(cmd) {
+    const op = { unit: cmd[1] & 0x03, head: (cmd[1] >> 2) & 0x01, id: { c: 0, h: 0, r: 0, n: cmd[2] }, st1: 0, st2: 0 };
+    const disk = this._disk(op.unit);
+    if (!this._ready(op.unit)) {
+      this._finish(op, ST0_ABNORMAL | ST0_NOT_READY);
+      return;
+    }
+    if (disk.writeProtected) {
+      op.st1 |= ST1_NOT_WRITABLE;
+      this._finish(op, ST0_ABNORMAL);
+      return;
+    }
+    const count = cmd[3];
+    this._beginTransfer(op, new Uint8Array(count * 4), false, (bytes) => {
+      const ids = [];
+      for (let i = 0; i < count; i++) {
+        ids.push({ c: bytes[i * 4], h: bytes[i * 4 + 1], r: bytes[i * 4 + 2], n: bytes[i * 4 + 3] });
+      }
+      const cylinder = this._cylinder[op.unit & 0x01];
+      disk.formatTrack(cylinder, this._side(disk, op.head), ids, cmd[5], cmd[4]);
+      this._rotation[op.unit & 0x01] = 0;
+      if (count) op.id = { ...ids[count - 1] };
+      this._finish(op, 0);
+    });
+  }
+
+  // --- execution and result phases ---
+
+  // The transfer keeps the command's op, which its completion callback
+  // goes on updating sector by sector, so saveState() can copy it
+  _beginTransfer(op, bytes, read, done) {
+    if (bytes.length === 0) {
+      done(bytes);
+      return;
+    }
+    this._transfer = { op, bytes, read, pos: 0, done };
+  }
+
+  _endTransfer() {
+    const t = this._transfer;
+    this._transfer = null;
+    t.done(t.bytes);
+  }
+
+  _finish(op, st0) {
+    const { c, h, r, n } = op.id;
+    this._result = [st0 | (op.head << 2) | op.unit, op.st1, op.st2, c, h, r, n];
+  }
+}
+
+export default UPD765;
@@ -0,0 +1,216 @@
+/**
+ * Watchpoints on memory reads, writes and execution and on I/O port reads
+ * (IN) and writes (OUT).
+ *
+ * Memory calls checkMemory() from read()/write(), the emulator's I/O adapter
+ * calls checkPort(), and the debugger calls checkExecute() before each
+ * instruction. Each watchpoint matches an address range (optionally through
+ * an address mask, e.g. 0x00FF for "any port with low byte 0xFE"), an
+ * optional value under a value mask, and counts its hits. On a hit it either
+ * asks for a pause (onPause, which the emulator routes to the debugger so the
+ * machine stops at the next instruction boundary), logs the access with the
+ * PC and T-state, or calls a function.
+ *
+ *   wp.add({ access: 'w', start: 0x4000, end: 0x57ff, action: 'log' })
+ *   wp.add({ space: 'port', access: 'w', start: 0xfe, addressMask: 0xff, value: 0x07, valueMask: 0x07 })
+ *   wp.add({ access: 'x', start: 0x0556 })
+ */
+
+const MEMORY_TYPES = { r: 'read', w: 'write', x: 'execute' };
+const PORT_TYPES = { r: 'in', w: 'out' };
+const ACTIONS = ['pause', 'log'];
+
+const optional = (v, fallback) => (v === undefined || v === null ? fallback : v);
+
+/** Hook names ('read', 'in', ...) for an access string such as 'rw' */
+function accessTypes(space, access) {
+  const names = space === 'port' ? PORT_TYPES : space === 'memory' ? MEMORY_TYPES : null;
+  if (!names) throw new Error(`Watchpoint: unknown space "${space}"`);
+  const types = [...new Set(access)].map(c => names[c]);
+  if (!types.length || types.includes(undefined)) throw new Error(`Watchpoint: invalid access "${access}" for ${space}`);
+  return types;
+}
+
+function inRange(wp, addr) {
+  const a = addr & wp.addressMask;
+  return wp.start <= wp.end ? (a >= wp.start && a <= wp.end) : (a >= wp.start || a <= wp.end);
+}
+
+function matches(wp, addr, value) {
+  if (!wp.enabled || !inRange(wp, addr)) return false;
+  return wp.value === null || (value & wp.valueMask) === (wp.value & wp.valueMask);
+}
+
+export class WatchpointManager {
+  constructor() {
+    this.watchpoints = new Map();
+    this._nextId = 1;
+    this.cpu = null;
+
+    // Called with the hit record when a 'pause' watchpoint fires
+    this.onPause = null;
+
+    // Accesses recorded by 'log' and 'pause' watchpoints, oldest first
+    this.log = [];
+    this.maxLog = 1000;
+
+    // While suspended only internal watchpoints fire
+    this.suspended = false;
+
+    this._byType = { read: [], write: [], execute: [], in: [], out: [] };
+    // Fast checks for the hot paths
+    this.memoryArmed = false;
+    this.executeArmed = false;
+    this.portArmed = false;
+  }
+
+  /** CPU used for the PC and T-state of each hit */
+  attach(cpu) {
+    this.cpu = cpu;
+  }
+
+  /**
+   * Add a watchpoint.
+   * @param {Object} opts
+   * @param {'memory'|'port'} [opts.space='memory']
+   * @param {string} [opts.access='w'] any of 'r', 'w' and (memory only) 'x', e.g. 'rw'
+   * @param {number} opts.start
+   * @param {number} [opts.end=start] inclusive; end < start wraps round the top of the address space
+   * @param {number} [opts.addressMask=0xffff] applied to the address before the range check
+   * @param {number|null} [opts.value=null] match only when (value & valueMask) equals (this & valueMask)
+   * @param {number} [opts.valueMask=0xff]
+   * @param {'pause'|'log'|Function} [opts.action='pause']
+   * @param {boolean} [opts.internal=false] hidden from list() and kept by clear()
+   * @returns {number} watchpoint id
+   */
+  add(opts = {}) {
+    const space = opts.space || 'memory';
+    const access = String(opts.access || 'w').toLowerCase();
+    const types = accessTypes(space, access);
+    const action = opts.action || 'pause';
+    if (typeof action !== 'function' && !ACTIONS.includes(action)) throw new Error(`Watchpoint: unknown action "${action}"`);
+
+    const addressMask = optional(opts.addressMask, 0xffff) & 0xffff;
+    const start = opts.start & addressMask;
+    const value = optional(opts.value, null);
+    const wp = {
+      id: this._nextId++,
+      space,
+      access,
+      types,
+      start,
+      end: optional(opts.end, start) & addressMask,
+      addressMask,
+      value: value === null ? null : value & 0xff,
+      valueMask: optional(opts.valueMask, 0xff) & 0xff,
+      action,
+      internal: !!opts.internal,
+      enabled: true,
+      hits: 0
+    };
+    this.watchpoints.set(wp.id, wp);
+    this._rebuild();
+    return wp.id;
+  }
+
+  remove(id) {
+    const removed = this.watchpoints.delete(id);
+    this._rebuild();
+    return removed;
+  }
+
+  /** Remove every watchpoint added by the user (internal ones stay) */
+  clear() {
+    for (const wp of [...this.watchpoints.values()]) {
+      if (!wp.internal) this.watchpoints.delete(wp.id);
+    }
+    this._rebuild();
+  }
+
+  setEnabled(id, enabled) {
+    const wp = this.watchpoints.get(id);
+    if (wp) wp.enabled = !!enabled;
+    this._rebuild();
+    return !!wp;
+  }
+
+  /** User watchpoints as plain objects */
+  list() {
+    return [...this.watchpoints.values()].filter(wp => !wp.internal).map(wp => ({
+      id: wp.id, space: wp.space, access: wp.access, start: wp.start, end: wp.end, addressMask: wp.addressMask,
+      value: wp.value, valueMask: wp.valueMask, action: typeof wp.action === 'function' ? 'callback' : wp.action,
+      enabled: wp.enabled, hits: wp.hits
+    }));
+  }
+
+  /** Silence user watchpoints, e.g. while the emulator replays from a checkpoint */
+  setSuspended(suspended) {
+    this.suspended = !!suspended;
+    this._rebuild();
+  }
+
+  clearLog() {
+    this.log = [];
+  }
+
+  // --- Hooks ---
+
+  /** Memory.read / Memory.write */
+  checkMemory(type, addr, value) {
+    this._check(this._byType[type], type, addr, value);
+  }
+
+  /** Before the instruction at pc runs; opcode is the byte there */
+  checkExecute(pc, opcode) {
+    this._check(this._byType.execute, 'execute', pc, opcode);
+  }
+
+  /** I/O adapter: type 'in' or 'out' */
+  checkPort(type, port, value) {
+    this._check(this._byType[type], type, port, value);
+  }
+
+  _check(list, type, addr, value) {
+    for (let i = 0; i < list.length; i++) {
+      if (matches(list[i], addr, value)) this._hit(list[i], type, addr, value);
+    }
+  }
+
+  _hit(wp, type, addr, value) {
+    wp.hits++;
+    const cpu = this.cpu;
+    const hit = {
+      id: wp.id,
+      type,
+      addr,
+      value,
+      pc: cpu ? (type === 'execute' ? addr : cpu.instructionPC) : undefined,
+      t: cpu ? cpu.tstates : 0
+    };
+    if (typeof wp.action === 'function') {
+      wp.action(hit);
+      return;
+    }
+    this.log.push(hit);
+    if (this.log.length > this.maxLog) this.log.shift();
+    if (wp.action === 'pause') {
+      if (typeof this.onPause === 'function') this.onPause(hit);
+      return;
+    }
+    const hex = (v, n) => (v === undefined ? '?' : v.toString(16).padStart(n, '0'));
+    console.log(`[Watch] #${wp.id} ${type} 0x${hex(addr, 4)}=0x${hex(value, 2)} PC=0x${hex(hit.pc, 4)} T=${hit.t}`);
+  }
+
+  _rebuild() {
+    for (const type of Object.keys(this._byType)) this._byType[type] = [];
+    for (const wp of this.watchpoints.values()) {
+      if (!wp.enabled || (this.suspended && !wp.internal)) continue;
+      for (const type of wp.types) this._byType[type].push(wp);
+    }
+    this.memoryArmed = this._byType.read.length > 0 || this._byType.write.length > 0;
+    this.executeArmed = this._byType.execute.length > 0;
+    this.portArmed = this._byType.in.length > 0 || this._byType.out.length > 0;
+  }
+}
+
+export default WatchpointManager;
@@ -0,0 +1,367 @@
+/**
+ * WD1793 (VG93) floppy disk controller, as fitted to the Beta 128 disk
+ * interface (src/beta128.mjs).
+ *
+ * Four CPU-visible registers: command/status, track, sector and data.
+ * Commands run without rotational delays: Type I commands (restore, seek,
+ * step) finish at once, and Type II/III transfers raise DRQ for each byte
+ * as soon as the CPU has taken the previous one. Software that polls DRQ
+ * and INTRQ, as TR-DOS does, sees the same register states as on the real
+ * chip, only sooner. The index pulse follows the CPU clock (300 rpm) so
+ * that "is a disk spinning" checks pass.
+ *
+ * The disk in the selected drive is any object with cylinders, sides,
+ * writeProtected, sectorIds(), readSector(), writeSector() and
+ * formatTrack() (TRDDisk in src/trdos.mjs).
+ *
+ * Reference: Western Digital FD179X-02 data sheet.
+ */
+
+// Status register bits. Some mean different things after Type I commands
+// and after Type II/III commands.
+export const WD_BUSY = 0x01;
+export const WD_INDEX = 0x02; // Type I
+export const WD_DRQ = 0x02; // Type II/III
+export const WD_TRACK0 = 0x04; // Type I
+export const WD_LOST_DATA = 0x04; // Type II/III
+export const WD_CRC_ERROR = 0x08;
+export const WD_SEEK_ERROR = 0x10; // Type I
+export const WD_RECORD_NOT_FOUND = 0x10; // Type II/III
+export const WD_HEAD_LOADED = 0x20; // Type I
+export const WD_WRITE_PROTECT = 0x40;
+export const WD_NOT_READY = 0x80;
+
+const MAX_CYLINDER = 85;
+const REVOLUTION_TSTATES = 700000; // 300 rpm at 3.5 MHz
+const INDEX_PULSE_TSTATES = 14000; // about 4 ms
+// Raw bytes on a double-density track, for Read Track and Write Track
+export const TRACK_BYTES = 6250;
+
+/** CRC-CCITT as the controller computes it over address marks and data */
+export function crc16(bytes, crc = 0xffff) {
+  for (const b of bytes) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
+
+export class WD1793 {
+  /**
+   * @param {Object} [opts]
+   * @param {function(): Object|null} [opts.getDisk] - the disk in the selected drive
+   * @param {function(): number} [opts.clock] - CPU T-states since power on, for
+   *   index pulses; it must keep counting across frames
+   */
+  constructor(opts = {}) {
+    this.getDisk = opts.getDisk || (() => null);
+    this.clock = opts.clock || (() => 0);
+    // Disk side, chosen outside the chip (the Beta 128 system register)
+    this.side = 0;
+    this.reset();
+  }
+
+  /** Master reset (the Beta 128 pulls /MR low through its system register) */
+  reset() {
+    this.command = 0;
+    this.track = 0;
+    this.sector = 1;
+    this.data = 0;
+    // Physical head position, which the track register normally mirrors
+    this.cylinder = 0;
+    this.direction = 1;
+    this.intrq = false;
+    this.drq = false;
+    // Error and busy bits of the last command; the rest are read live
+    this._status = 0;
+    this._typeI = true;
+    this._headLoaded = false;
+    this._transfer = null;
+    this._idIndex = 0;
+  }
+
+  /**
+   * Registers and any transfer in progress, for loadState() (rewind and
+   * step-back). The transfer's buffer is copied; its completion callback is
+   * kept as it is, so the state only goes back into this controller.
+   */
+  saveState() {
+    const t = this._transfer;
+    return {
+      command: this.command, track: this.track, sector: this.sector, data: this.data,
+      cylinder: this.cylinder, direction: this.direction, side: this.side,
+      intrq: this.intrq, drq: this.drq,
+      status: this._status, typeI: this._typeI, headLoaded: this._headLoaded, idIndex: this._idIndex,
+      transfer: t ? { ...t, bytes: t.bytes.slice() } : null
+    };
+  }
+
+  loadState(state) {
+    Object.assign(this, {
+      command: state.command, track: state.track, sector: state.sector, data: state.data,
+      cylinder: state.cylinder, direction: state.direction, side: state.side,
+      intrq: state.intrq, drq: state.drq,
+      _status: state.status, _typeI: state.typeI, _headLoaded: state.headLoaded, _idIndex: state.idIndex
+    });
+    const t = state.transfer;
+    this._transfer = t ? { ...t, bytes: t.bytes.slice() } : null;
+  }
+
+  /** Status register read; clears INTRQ */
+  readStatus() {
+    this.intrq = false;
+    const disk = this.getDisk();
+    let status = this._status;
+    if (!disk) status |= WD_NOT_READY;
+    if (this._typeI) {
+      if (disk && disk.writeProtected) status |= WD_WRITE_PROTECT;
+      if (this._headLoaded) status |= WD_HEAD_LOADED;
+      if (this.cylinder === 0) status |= WD_TRACK0;
+      if (disk && this.clock() % REVOLUTION_TSTATES < INDEX_PULSE_TSTATES) status |= WD_INDEX;
+    } else if (this.drq) {
+      status |= WD_DRQ;
+    }
+    return status;
+  }
+
+  /** Command register write. Only Force Interrupt is taken while busy. */
+  writeCommand(value) {
+    value &= 0xff;
+    if ((value & 0xf0) === 0xd0) {
+      this._forceInterrupt(value);
+      return;
+    }
+    if (this._status & WD_BUSY) return;
+    this.command = value;
+    this.intrq = false;
+    this.drq = false;
+    this._transfer = null;
+    if (!(value & 0x80)) this._runTypeI(value);
+    else if (!(value & 0x40)) this._runTypeII(value);
+    else this._runTypeIII(value);
+  }
+
+  /** Data register read; takes the next byte of a read transfer */
+  readData() {
+    const t = this._transfer;
+    if (t && t.read && this.drq) {
+      this.data = t.bytes[t.pos++];
+      if (t.pos >= t.bytes.length) this._endTransfer();
+    }
+    return this.data;
+  }
+
+  /** Data register write; supplies the next byte of a write transfer */
+  writeData(value) {
+    this.data = value & 0xff;
+    const t = this._transfer;
+    if (t && !t.read && this.drq) {
+      t.bytes[t.pos++] = this.data;
+      if (t.pos >= t.bytes.length) this._endTransfer();
+    }
+  }
+
+  // --- Type I: restore, seek, step, step in, step out ---
+
+  _runTypeI(cmd) {
+    this._typeI = true;
+    this._status = 0;
+    const op = cmd >> 4;
+    if (op === 0) {
+      this.cylinder = 0;
+      this.track = 0;
+    } else if (op === 1) {
+      this._stepHead(this.data - this.track);
+      this.track = this.data;
+    } else {
+      if (op >= 6) this.direction = -1;
+      else if (op >= 4) this.direction = 1;
+      this._stepHead(this.direction);
+      if (cmd & 0x10) this.track = (this.track + this.direction) & 0xff;
+    }
+    if (cmd & 0x08) this._headLoaded = true;
+    // Verify: an ID on this cylinder must carry the track register's number
+    if (cmd & 0x04) {
+      this._headLoaded = true;
+      const disk = this.getDisk();
+      const ids = disk ? disk.sectorIds(this.cylinder, this.side) : [];
+      if (!ids.some(id => id.c === this.track)) this._status |= WD_SEEK_ERROR;
+    }
+    this.intrq = true;
+  }
+
+  _stepHead(delta) {
+    this.cylinder = Math.max(0, Math.min(MAX_CYLINDER, this.cylinder + delta));
+  }
+
+  // --- Type II: read sector, write sector ---
+
+  _runTypeII(cmd) {
+    this._typeI = false;
+    this._headLoaded = true;
+    this._status = WD_BUSY;
+    const disk = this.getDisk();
+    const id = disk && this._findSector(disk, cmd);
+    if (!id) {
+      this._finish(disk ? WD_RECORD_NOT_FOUND : 0);
+      return;
+    }
+    const size = 128 << (id.n & 0x03);
+    if (!(cmd & 0x20)) {
+      const bytes = new Uint8Array(size);
+      bytes.set(disk.readSector(this.cylinder, this.side, id.r).subarray(0, size));
+      this._beginTransfer(bytes, true, () => this._sectorDone(cmd));
+    } else if (disk.writeProtected) {
+      this._finish(WD_WRITE_PROTECT);
+    } else {
+      this._beginTransfer(new Uint8Array(size), false, (bytes) => {
+        disk.writeSector(this.cylinder, this.side, id.r, bytes);
+        this._sectorDone(cmd);
+      });
+    }
+  }
+
+  // The ID matching the track and sector registers (and the side, when
+  // the command asks to compare it)
+  _findSector(disk, cmd) {
+    const compareSide = (cmd & 0x02) !== 0;
+    const side = (cmd >> 3) & 0x01;
+    return disk.sectorIds(this.cylinder, this.side).find(id =>
+      id.c === this.track && id.r === this.sector && (!compareSide || id.h === side)) || null;
+  }
+
+  // Multi-sector commands carry on with the next sector until one is missing
+  _sectorDone(cmd) {
+    if (cmd & 0x10) {
+      this.sector = (this.sector + 1) & 0xff;
+      this._runTypeII(cmd);
+    } else {
+      this._finish(0);
+    }
+  }
+
+  // --- Type III: read address, read track, write track ---
+
+  _runTypeIII(cmd) {
+    this._typeI = false;
+    this._headLoaded = true;
+    this._status = WD_BUSY;
+    const disk = this.getDisk();
+    if (!disk) {
+      this._finish(0);
+      return;
+    }
+    const op = cmd & 0xf0;
+    if (op === 0xc0) this._readAddress(disk);
+    else if (op === 0xe0) this._beginTransfer(this._buildTrack(disk), true, () => this._finish(0));
+    else if (disk.writeProtected) this._finish(WD_WRITE_PROTECT);
+    else {
+      this._beginTransfer(new Uint8Array(TRACK_BYTES), false, (bytes) => {
+        disk.formatTrack(this.cylinder, this.side, parseTrack(bytes));
+        this._finish(0);
+      });
+    }
+  }
+
+  // The next ID field to pass the head: C H R N and its CRC; the sector
+  // register takes the cylinder number
+  _readAddress(disk) {
+    const ids = disk.sectorIds(this.cylinder, this.side);
+    if (ids.length === 0) {
+      this._finish(WD_RECORD_NOT_FOUND);
+      return;
+    }
+    const id = ids[this._idIndex++ % ids.length];
+    const field = [id.c, id.h, id.r, id.n];
+    const crc = crc16([0xa1, 0xa1, 0xa1, 0xfe, ...field]);
+    this.sector = id.c;
+    this._beginTransfer(Uint8Array.from([...field, crc >> 8, crc & 0xff]), true, () => this._finish(0));
+  }
+
+  // The raw bytes of a track in the standard double-density layout
+  _buildTrack(disk) {
+    const out = new Uint8Array(TRACK_BYTES).fill(0x4e);
+    let pos = 80;
+    const put = (value, count = 1) => { out.fill(value, pos, pos + count); pos += count; };
+    const putCrc = (bytes) => { const crc = crc16(bytes); put(crc >> 8); put(crc & 0xff); };
+    put(0x00, 12); put(0xc2, 3); put(0xfc); pos += 50;
+    for (const id of disk.sectorIds(this.cylinder, this.side)) {
+      const field = [0xfe, id.c, id.h, id.r, id.n];
+      const data = disk.readSector(this.cylinder, this.side, id.r).subarray(0, 128 << (id.n & 0x03));
+      if (pos + 100 + data.length > TRACK_BYTES) break;
+      put(0x00, 12); put(0xa1, 3);
+      out.set(field, pos); pos += field.length;
+      putCrc([0xa1, 0xa1, 0xa1, ...field]);
+      pos += 22;
+      put(0x00, 12); put(0xa1, 3); put(0xfb);
+      out.set(data, pos); pos += data.length;
+      putCrc([0xa1, 0xa1, 0xa1, 0xfb, ...data]);
+      pos += 54;
+    }
+    return out;
+  }
+
+  // --- transfers and completion ---
+
+  _beginTransfer(bytes, read, done) {
+    this._transfer = { bytes, read, pos: 0, done };
+    this.drq = true;
+  }
+
+  _endTransfer() {
+    const t = this._transfer;
+    this._transfer = null;
+    this.drq = false;
+    t.done(t.bytes);
+  }
+
+  _finish(errors) {
+    this._status = errors;
+    this.drq = false;
+    this.intrq = true;
+  }
+
+  // Force Interrupt: abort any command, keeping its status bits; when idle
+  // the status switches to the Type I meanings. I3 (bit 3) raises INTRQ.
+  _forceInterrupt(value) {
+    if (this._status & WD_BUSY) {
+      this._status &= ~WD_BUSY;
+    } else {
+      this._status = 0;
+      this._typeI = true;
+    }
+    this._transfer = null;
+    this.drq = false;
+    this.command = value;
+    if (value & 0x08) this.intrq = true;
+  }
+}
+
+/**
+ * Find the sectors in the bytes a Write Track command was given. In the
+ * stream 0xF5 writes an A1 sync byte and 0xF7 writes the CRC; an ID field
+ * is 0xFE C H R N after the syncs, and the data field that follows it is
+ * 0xFB (or 0xF8, deleted data) and 128 << N bytes.
+ * @param {Uint8Array} bytes
+ * @returns {{c: number, h: number, r: number, n: number, data: Uint8Array}[]}
+ */
+export function parseTrack(bytes) {
+  const sectors = [];
+  let id = null;
+  for (let i = 1; i < bytes.length; i++) {
+    if (bytes[i - 1] !== 0xf5) continue;
+    const mark = bytes[i];
+    if (mark === 0xfe && i + 4 < bytes.length) {
+      id = { c: bytes[i + 1], h: bytes[i + 2], r: bytes[i + 3], n: bytes[i + 4] & 0x03 };
+      i += 4;
+    } else if ((mark === 0xfb || mark === 0xf8) && id) {
+      const size = 128 << id.n;
+      sectors.push({ ...id, data: bytes.slice(i + 1, i + 1 + size) });
+      i += size;
+      id = null;
+    }
+  }
+  return sectors;
+}
+
+export default WD1793;
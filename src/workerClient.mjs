@@ -0,0 +1,216 @@
+/* eslint-env browser */
+
+/**
+ * WorkerEmulator - the page side of the emulation worker (src/coreWorker.mjs).
+ *
+ * The Z80, memory, ULA and frame renderer run in a dedicated worker that
+ * draws into the page canvas through OffscreenCanvas, so work on the main
+ * thread (tape library, debugger panel) no longer drops frames. The page
+ * keeps the keyboard, whose state is posted in whenever it changes, and
+ * Web Audio, which plays the PCM frames posted out.
+ *
+ * The Emulator methods listed in WORKER_METHODS are proxied and return
+ * Promises. The core objects (cpu, memory, ula) live in the worker and are
+ * not reachable from here.
+ */
+
+import Input from './input.mjs';
+import { Sound } from './sound.mjs';
+import { Loader } from './loader.mjs';
+import { WORKER_METHODS } from './workerProtocol.mjs';
+
+export class WorkerEmulator {
+  /** Whether this browser can run the core in a worker */
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' &&
+      typeof HTMLCanvasElement !== 'undefined' && typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+  }
+
+  /**
+   * @param {Object} [opts] - { canvas, statusEl, romInput, romBuffer, model, worker };
+   *   worker defaults to a new module Worker on src/coreWorker.mjs
+   */
+  constructor(opts = {}) {
+    const dom = typeof document !== 'undefined';
+    this.canvas = opts.canvas || (dom ? document.getElementById('screen') : null);
+    this.statusEl = opts.statusEl || (dom ? document.getElementById('status') : null);
+    this.romInput = opts.romInput || (dom ? document.getElementById('romFile') : null);
+    this.model = opts.model || '48k';
+
+    this.input = new Input();
+    this.input.onRewind = (held) => this.setRewinding(held);
+    this.sound = new Sound();
+
+    this.worker = opts.worker || new Worker(new URL('./coreWorker.mjs', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (e) => this._onMessage(e.data);
+    this._pending = new Map();
+    this._nextId = 1;
+
+    this._running = false;
+    this._sentInput = '';
+    this._pollId = null;
+    this._pollInput = this._pollInput.bind(this);
+
+    /** Resolves once the worker has built the core */
+    this.ready = this._init(opts.romBuffer || null);
+  }
+
+  // The canvas can be handed to a worker only once; without one the core renders off-screen
+  _init(rom) {
+    const offscreen = this.canvas && typeof this.canvas.transferControlToOffscreen === 'function'
+      ? this.canvas.transferControlToOffscreen() : null;
+    return this._send({ type: 'init', canvas: offscreen, rom, model: this.model }, offscreen ? [offscreen] : []);
+  }
+
+  // --- Proxy plumbing ---
+
+  _send(msg, transfer = []) {
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      this.worker.postMessage({ ...msg, id }, transfer);
+    });
+  }
+
+  _call(method, args = []) {
+    return this._send({ type: 'call', method, args });
+  }
+
+  _onMessage(msg) {
+    if (msg.type === 'audio') {
+      this.sound.playSamples(msg.pcm);
+    } else if (msg.type === 'status') {
+      if (this.statusEl) this.statusEl.textContent = msg.text;
+    } else if (msg.type === 'result') {
+      const call = this._pending.get(msg.id);
+      if (!call) return;
+      this._pending.delete(msg.id);
+      if ('error' in msg) call.reject(new Error(msg.error));
+      else call.resolve(msg.value);
+    }
+  }
+
+  // --- Keyboard ---
+
+  /** Post the keyboard and joystick state to the worker if it changed */
+  _syncInput() {
+    const matrix = Array.from(this.input.matrix);
+    const kempston = this.input.kempstonState | 0;
+    const key = `${matrix.join(',')}/${kempston}`;
+    if (key === this._sentInput) return;
+    this._sentInput = key;
+    this.worker.postMessage({ type: 'input', matrix, kempston });
+  }
+
+  _pollInput() {
+    this._syncInput();
+    if (this._running) this._pollId = requestAnimationFrame(this._pollInput);
+  }
+
+  pressKey(name) {
+    const ok = this.input.pressKey(name);
+    this._syncInput();
+    return ok;
+  }
+
+  releaseKey(name) {
+    const ok = this.input.releaseKey(name);
+    this._syncInput();
+    return ok;
+  }
+
+  // --- Emulator API (the rest is proxied, see WORKER_METHODS) ---
+
+  async start() {
+    await this.ready;
+    this.input.start();
+    this._running = true;
+    if (typeof requestAnimationFrame === 'function') this._pollInput();
+    return this._call('start');
+  }
+
+  async pause() {
+    this._running = false;
+    if (this._pollId !== null && typeof cancelAnimationFrame === 'function') cancelAnimationFrame(this._pollId);
+    this._pollId = null;
+    return this._call('pause');
+  }
+
+  status(msg) {
+    if (this.statusEl) this.statusEl.textContent = `Status: ${msg}`;
+  }
+
+  /** Save a snapshot in the worker and offer it as a browser download */
+  async downloadSnapshot(format = 'z80') {
+    const bytes = await this._call('saveSnapshot', [format]);
+    Loader.downloadBytes(bytes, `snapshot.${String(format).toLowerCase()}`);
+    this.status(`Snapshot saved (${format})`);
+    return true;
+  }
+
+  /** Save a drive's disk in the worker and offer it as a browser download */
+  async downloadDisk(drive = 0, format = 'trd') {
+    const ext = String(format).toLowerCase();
+    try {
+      const bytes = await this._call('saveDisk', [drive, ext]);
+      Loader.downloadBytes(bytes, `disk.${ext}`);
+      this.status(`Disk saved (${ext})`);
+      return true;
+    } catch (e) {
+      this.status(e.message);
+      return false;
+    }
+  }
+
+  /** Download the blocks SAVEd so far as a .tap file */
+  async downloadSavedTape(fileName = 'saved.tap') {
+    const tape = await this._call('getSavedTape');
+    if (tape.blocks.length === 0) {
+      this.status('Nothing saved yet');
+      return false;
+    }
+    Loader.downloadBytes(Loader.buildTAP(tape.blocks), fileName);
+    return true;
+  }
+
+  /** Wire the page's main buttons and file input to the worker */
+  bindUI() {
+    const byId = (id) => document.getElementById(id);
+    const on = (id, handler) => { const el = byId(id); if (el) el.addEventListener('click', handler); };
+    on('startBtn', () => this.start());
+    on('stopBtn', () => this.pause());
+    on('resetBtn', () => this.reset());
+    on('frameAdvanceBtn', () => this.frameAdvance());
+    const change = (id, handler) => { const el = byId(id); if (el) el.addEventListener('change', () => handler(el)); };
+    change('speedSelect', (el) => this.setSpeed(Number(el.value)));
+    change('maxSpeed', (el) => this.setMaxSpeed(el.checked));
+    change('autoTurbo', (el) => this.setAutoTurbo(el.checked));
+    on('saveSnapshotBtn', () => this.downloadSnapshot(byId('snapshotFormat') ? byId('snapshotFormat').value : 'z80'));
+    const diskDrive = () => (byId('diskDrive') ? Number(byId('diskDrive').value) || 0 : 0);
+    on('diskDownloadBtn', () => this.downloadDisk(diskDrive(), byId('diskFormat') ? byId('diskFormat').value : 'trd'));
+    on('diskEjectBtn', () => this.ejectDisk(diskDrive(), byId('diskFormat') ? byId('diskFormat').value : undefined));
+    on('rzxRecordBtn', async () => {
+      const recording = await this.toggleRZXRecording();
+      byId('rzxRecordBtn').textContent = recording ? '■ Stop RZX' : '⏺ Record RZX';
+    });
+    if (this.romInput) Loader.attachInput(this.romInput, (parsed, file) => (parsed && parsed.type === 'disk'
+      ? this.insertDisk(parsed, { drive: diskDrive(), fileName: file.name })
+      : this.loadFile(parsed, file.name)));
+  }
+
+  /** Stop the worker; the instance cannot be used afterwards */
+  terminate() {
+    this._running = false;
+    if (typeof this.worker.terminate === 'function') this.worker.terminate();
+    else if (typeof this.worker.close === 'function') this.worker.close();
+    this.sound.close();
+  }
+}
+
+for (const method of WORKER_METHODS) {
+  if (!(method in WorkerEmulator.prototype)) {
+    WorkerEmulator.prototype[method] = function (...args) { return this._call(method, args); };
+  }
+}
+
+export default WorkerEmulator;
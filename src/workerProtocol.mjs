@@ -0,0 +1,35 @@
+/**
+ * Messages between WorkerEmulator (the page, src/workerClient.mjs) and the
+ * emulation worker (src/coreWorker.mjs).
+ *
+ * To the worker:
+ *   { type: 'init', id, canvas, rom, model }  canvas: an OffscreenCanvas, or null to
+ *                                             render off-screen only
+ *   { type: 'call', id, method, args }        one of WORKER_METHODS
+ *   { type: 'input', matrix, kempston }       keyboard rows (5 bits, active low) and
+ *                                             Kempston joystick bits
+ * From the worker:
+ *   { type: 'result', id, value }             or { type: 'result', id, error }
+ *   { type: 'status', text }                  the emulator's status line
+ *   { type: 'audio', pcm }                    one frame of mono Float32Array PCM
+ *
+ * Arguments and results are structured-cloned, so only methods taking and
+ * returning plain data are proxied.
+ */
+
+// Emulator methods the page can call; each returns a Promise on the page
+export const WORKER_METHODS = [
+  'start', 'pause', 'reset', 'loadROM', 'setModel', 'selectRom',
+  'injectTape', 'loadTapeFromUrl', 'tapePlay', 'tapeStop', 'tapeRewind', 'setTapeSound',
+  'saveSnapshot', 'getSavedTape', 'clearSavedTape', 'insertSavedTape',
+  'insertDisk', 'ejectDisk', 'saveDisk', 'loadTRDOSROM', 'setKempstonPort',
+  'setDivMMC', 'loadDivMMCROM', 'divmmcNMI',
+  'playRZX', 'stopRZX', 'startRZXRecording', 'stopRZXRecording', 'toggleRZXRecording',
+  'setRewinding', 'setSpeed', 'setMaxSpeed', 'setAutoTurbo', 'getSpeed', 'frameAdvance',
+  'getRegisters', 'getPC', 'peekMemory', 'disassemble', 'getInstructionHistory',
+  'addBreakpoint', 'removeBreakpoint', 'addWatchpoint', 'removeWatchpoint', 'clearWatchpoints', 'getWatchpointLog',
+  'debugBreak', 'debugContinue', 'debugStep', 'debugStepOver', 'debugStepOut', 'debugRunToCursor',
+  'debugStepBack', 'debugBackToWrite',
+  // Worker host extras: run frames synchronously, and apply a file the page parsed
+  'runFrames', 'loadFile'
+];
@@ -54,6 +54,43 @@ export class Z80 {
     // interrupt check and decrements the counter.
     this.eiDelay = 0;
 
+    // Address traps: PC -> handler(cpu), checked before each opcode fetch.
+    // A handler that returns a T-state count has emulated the routine itself
+    // (and moved PC); a falsy return lets the instruction run normally.
+    this.traps = new Map();
+
+    // Opcode fetch hook: called with PC before each opcode is read, so an
+    // interface that pages its ROM on M1 (the Beta 128's TR-DOS) can switch
+    // the memory map in time for the fetch
+    this.fetchHook = null;
+    // Called with the opcode's address once it has been read, for interfaces
+    // that page in after the fetch (the DivMMC's automap entry points)
+    this.afterFetchHook = null;
+    // Non-maskable interrupt pending (requestNMI)
+    this.nmiRequested = false;
+
+    // Debugger hook: called before each instruction in runFor(); returning
+    // true stops the run at that instruction boundary.
+    this.breakCheck = null;
+
+    // Address of the instruction being executed (PC at its opcode fetch),
+    // so watchpoints can report which instruction made an access
+    this.instructionPC = 0;
+
+    // Instructions executed since this CPU was created (interrupt acceptance
+    // and HALT idling do not count), and the optional InstructionHistory
+    // that records each one before it runs
+    this.instructionCount = 0;
+    this.history = null;
+
+    // Opcode fetches (R register increments, HALT idling included) since this
+    // CPU was created; RZX recordings measure frames in these
+    this.fetchCount = 0;
+
+    // Diagnostic console output (interrupts taken); the emulator turns it
+    // off when headless
+    this.diagnostics = true;
+
     // Debug callback
     this.debugCallback = null;
     // Micro-tracing for focused opcode/stack/memory events (disabled by default)
@@ -719,6 +756,7 @@ export class Z80 {
     this.IM = 1;
     this.tstates = 0;
     this.intRequested = false;
+    this.nmiRequested = false;
     this.halted = false;
     this.eiDelay = 0;
   }
@@ -728,6 +766,27 @@ export class Z80 {
     this.intRequested = true;
   }
 
+  // Request a non-maskable interrupt (an interface's NMI button); it is
+  // taken at the next instruction boundary whatever the IFF state
+  requestNMI() {
+    this.nmiRequested = true;
+  }
+
+  // Accept a pending NMI: IFF1 is cleared (IFF2 keeps its value for RETN),
+  // PC is pushed and execution continues at 0x0066
+  _acceptNMI() {
+    this.nmiRequested = false;
+    this.halted = false;
+    this.IFF1 = false;
+    this.eiDelay = 0;
+    this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+    this.pushWord(this.PC);
+    this.PC = 0x0066;
+    this._updateDebugHooks(this.PC);
+    this.tstates += 11;
+    return 11;
+  }
+
   // Run CPU for approximately count tstates by executing instructions
   runFor(count) {
     const start = this.tstates;
@@ -736,6 +795,7 @@ export class Z80 {
     let iterations = 0;
     
     while ((this.tstates - start) < count) {
+      if (this.breakCheck !== null && this.breakCheck()) break;
       if (++iterations > maxIterations) {
         if (typeof console !== 'undefined' && console.warn) {
           console.warn(`[Z80] runFor: exceeded max iterations (${maxIterations}), stopping. PC=0x${this.PC.toString(16).padStart(4,'0')}, tstates=${this.tstates}, start=${start}, count=${count}`);
@@ -835,12 +895,17 @@ export class Z80 {
     return (hi << 8) | lo;
   }
 
+  // Diagnostic console output, off when this.diagnostics is false
+  _log(...args) {
+    if (this.diagnostics) console.log(...args);
+  }
+
   // Execute a single instruction and return t-states consumed
   step() {
     // TEST-HOOK: record when CPU executes ROM entry/interrupt vector at 0x0039
     try {
       if (this.PC === 0x0039) {
-        if (Array.isArray(this._microLog)) this._microLog.push({ type: 'PC_HIT', pc: this.PC, t: this.tstates });
+        if (this._microTraceEnabled) this._microLog.push({ type: 'PC_HIT', pc: this.PC, t: this.tstates });
         try { if (typeof window !== 'undefined' && window.__TEST__) { window.__TEST__.pcHits = window.__TEST__.pcHits || []; window.__TEST__.pcHits.push({ pc: this.PC, t: this.tstates }); } } catch (e) { /* ignore */ }
       }
       // Jetpac uses the R register at PC=0x6999 for random direction/type
@@ -858,13 +923,14 @@ export class Z80 {
       this.intRequested = false;
       this._intWindowEnd = undefined;
     }
+    if (this.nmiRequested) return this._acceptNMI();
     // EI delay: skip interrupt acceptance for one instruction after EI
     // (real Z80 behavior — allows EI;RET without spurious re-entry)
     if (this.eiDelay > 0) {
       this.eiDelay--;
     } else if (this.intRequested && this.IFF1) {
       // diagnostic: note when an interrupt is actually taken
-      try { console.log(`Interrupt accepted PC=${this.PC.toString(16)} t=${this.tstates}`); } catch {}
+      try { this._log(`Interrupt accepted PC=${this.PC.toString(16)} t=${this.tstates}`); } catch {}
     // Handle interrupts — dispatch on IM mode
       this.halted = false; // HALT is exited on interrupt
       this.IFF1 = false; this.IFF2 = false;
@@ -901,15 +967,30 @@ export class Z80 {
       try { this.readByte(this.PC); } catch (e) { /* ignore */ }
       // R increments even during HALT (NOP is fetched repeatedly)
       this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+      this.fetchCount++;
       this.tstates += 4;
       return 4;
     }
 
+    this.instructionPC = this.PC;
+    this.instructionCount++;
+    if (this.fetchHook !== null) this.fetchHook(this.PC);
+    if (this.history !== null) this.history.record(this);
+    if (this.traps.size > 0 && this.traps.has(this.PC)) {
+      const trapCycles = this.traps.get(this.PC)(this);
+      if (trapCycles) {
+        this.tstates += trapCycles;
+        return trapCycles;
+      }
+    }
+
     const currentPC = this.PC;
     const opcode = this.readByte(this.PC++);
+    if (this.afterFetchHook !== null) this.afterFetchHook(currentPC);
 
     // Increment R register lower 7 bits on every M1 (opcode fetch) cycle
     this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+    this.fetchCount++;
     
     // CRITICAL: ALWAYS call debug hooks for reliable PC tracking
     this._updateDebugHooks(currentPC);
@@ -954,7 +1035,18 @@ export class Z80 {
     switch (opcode) {
       case 0x00: // NOP
         return finish(4);
-      case 0x07: { const bit7 = (this.A & 0x80) !== 0; this.A = ((this.A << 1) & 0xFF) | (bit7 ? 1 : 0); this._setFlagC(bit7); this.F &= ~0x02; this._setFlagH(false); this.tstates += 4; return 4; }
+      case 0x07: { // RLCA: S, Z and P/V are preserved, H and N reset
+        const bit7 = (this.A & 0x80) !== 0;
+        this.A = ((this.A << 1) & 0xFF) | (bit7 ? 1 : 0);
+        this.F = (this.F & 0xC4) | (this.A & 0x28) | (bit7 ? 0x01 : 0);
+        this.tstates += 4; return 4;
+      }
+      case 0x17: { // RLA
+        const bit7 = (this.A & 0x80) !== 0;
+        this.A = ((this.A << 1) & 0xFF) | (this.F & 0x01);
+        this.F = (this.F & 0xC4) | (this.A & 0x28) | (bit7 ? 0x01 : 0);
+        this.tstates += 4; return 4;
+      }
       case 0xA8: this.A ^= this.B; this._setFlagZ(this.A); this._setFlagS(this.A); this._setFlagPV(((this.A.toString(2).match(/1/g)||[]).length % 2) === 0); this.F &= ~0x10; this.F &= ~0x02; this._setFlagC(false); return finish(4);
       case 0xA9: this.A ^= this.C; this._setFlagZ(this.A); this._setFlagS(this.A); this._setFlagPV(((this.A.toString(2).match(/1/g)||[]).length % 2) === 0); this.F &= ~0x10; this.F &= ~0x02; this._setFlagC(false); return finish(4);
       case 0xAA: this.A ^= this.D; this._setFlagZ(this.A); this._setFlagS(this.A); this._setFlagPV(((this.A.toString(2).match(/1/g)||[]).length % 2) === 0); this.F &= ~0x10; this.F &= ~0x02; this._setFlagC(false); return finish(4);
@@ -968,11 +1060,8 @@ export class Z80 {
       case 0x0F: {
         const carryOut = this.A & 0x01;
         this.A = (((carryOut) ? 0x80 : 0) | (this.A >>> 1)) & 0xFF;
-        this._setFlagS(this.A);
-        this._setFlagZ(this.A);
-        this._setFlagC(!!carryOut);
-        this.F &= ~0x10; // H = 0
-        this.F &= ~0x02; // N = 0
+        // S, Z and P/V are preserved, H and N reset
+        this.F = (this.F & 0xC4) | (this.A & 0x28) | carryOut;
         this.tstates += 4; return 4;
       }
 
@@ -1157,6 +1246,7 @@ export class Z80 {
         const cbOpcode = this.readByte(this.PC++);
         // CB prefix: second M1 fetch increments R again
         this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+        this.fetchCount++;
         return this._executeCBOperation(cbOpcode);
       }
 
@@ -1340,11 +1430,8 @@ export class Z80 {
       case 0x1F: { // RR A (RRA)
         const carryOut = this.A & 0x01;
         this.A = (((this.F & 0x01) ? 0x80 : 0) | (this.A >>> 1)) & 0xFF;
-        this._setFlagS(this.A);
-        this._setFlagZ(this.A);
-        this._setFlagC(carryOut);
-        this.F &= ~0x10; // H = 0
-        this.F &= ~0x02; // N = 0
+        // S, Z and P/V are preserved (LD-EDGE relies on Z surviving RRA)
+        this.F = (this.F & 0xC4) | (this.A & 0x28) | carryOut;
         this.tstates += 4; return 4;
       }
 
@@ -2034,6 +2121,7 @@ export class Z80 {
         const ddOpcode = this.readByte(this.PC++);
         // DD prefix: second M1 fetch increments R again
         this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+        this.fetchCount++;
         
         switch (ddOpcode) {
           case 0x21: { // LD IX,nn
@@ -2254,6 +2342,7 @@ export class Z80 {
             const cbOpcode = this.readByte(this.PC++);
             // DDCB: second M1 for the CB opcode must increment R (match top-level CB handler)
             this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+            this.fetchCount++;
             const addr = (this.IX + this._signedByte(d)) & 0xFFFF;
 
             return this._executeDDCBOperation(cbOpcode, addr);
@@ -2314,6 +2403,7 @@ export class Z80 {
         const fdOpcode = this.readByte(this.PC++);
         // FD prefix: second M1 fetch increments R again
         this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+        this.fetchCount++;
         
         switch (fdOpcode) {
           case 0x21: { // LD IY,nn
@@ -2534,6 +2624,7 @@ export class Z80 {
             const cbOpcode = this.readByte(this.PC++);
             // FDCB: ensure R increments for the CB opcode fetch (parity with plain CB)
             this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+            this.fetchCount++;
             const addr = (this.IY + this._signedByte(d)) & 0xFFFF;
 
             return this._executeFDCBOperation(cbOpcode, addr);
@@ -2594,6 +2685,7 @@ export class Z80 {
         const edOpcode = this.readByte(this.PC++);
         // ED prefix: second M1 fetch increments R again
         this.R = (this.R & 0x80) | ((this.R + 1) & 0x7F);
+        this.fetchCount++;
         switch (edOpcode) {
           // NEG - Negate A (A = 0 - A)
           case 0x44: case 0x4C: case 0x54: case 0x5C: 
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { AY8912 } from '../../src/ay.mjs';
+import { Sound } from '../../src/sound.mjs';
+
+const FRAME = 69888;
+
+function renderFrame(ay, samples = 882) {
+  const out = new Float32Array(samples);
+  ay.render(out, FRAME, 1, 0);
+  return out;
+}
+
+// Count rising edges in a rendered (unipolar) square wave
+function countCycles(buf) {
+  let edges = 0;
+  for (let i = 1; i < buf.length; i++) if (buf[i - 1] < 0.05 && buf[i] >= 0.05) edges++;
+  return edges;
+}
+
+describe('AY-3-8912', () => {
+  it('masks register values and reads back the selected register', () => {
+    const ay = new AY8912();
+    ay.selectRegister(1);
+    ay.writeData(0xff);
+    expect(ay.readData()).toBe(0x0f);
+    ay.selectRegister(0x17); // only the low 4 bits select
+    expect(ay.selectedRegister).toBe(7);
+  });
+
+  it('produces a tone at clock / (16 * period)', () => {
+    const ay = new AY8912();
+    const period = 252; // 1773400 / (16 * 252) ≈ 440 Hz
+    ay.writeRegister(0, period & 0xff);
+    ay.writeRegister(1, period >> 8);
+    ay.writeRegister(7, 0x3e); // tone A only
+    ay.writeRegister(8, 0x0f);
+    renderFrame(ay); // settle
+    let cycles = 0;
+    for (let f = 0; f < 50; f++) cycles += countCycles(renderFrame(ay));
+    expect(cycles).toBeGreaterThan(430);
+    expect(cycles).toBeLessThan(450);
+  });
+
+  it('is silent when all channels are muted by amplitude', () => {
+    const ay = new AY8912();
+    ay.writeRegister(7, 0x00);
+    const out = renderFrame(ay);
+    expect(out.every(v => v === 0)).toBe(true);
+  });
+
+  it('applies writes at their T-state within the frame', () => {
+    const ay = new AY8912();
+    ay.writeRegister(7, 0x3f); // tone and noise off: output follows amplitude
+    ay.writeRegister(8, 0x0f, FRAME / 2);
+    const out = renderFrame(ay);
+    expect(out[10]).toBe(0);
+    expect(out[out.length - 10]).toBeCloseTo(1 / 3, 3);
+  });
+
+  it('envelope shape 13 (attack then hold) ramps up and stays at maximum', () => {
+    const ay = new AY8912();
+    ay.writeRegister(7, 0x3f);
+    ay.writeRegister(8, 0x10);
+    ay.writeRegister(11, 1);
+    ay.writeRegister(13, 0x0d);
+    const out = renderFrame(ay);
+    expect(out[0]).toBeLessThan(out[out.length - 1]);
+    const next = renderFrame(ay);
+    expect(next[next.length - 1]).toBeCloseTo(1 / 3, 3);
+  });
+
+  it('noise generator produces a non-constant signal', () => {
+    const ay = new AY8912();
+    ay.writeRegister(6, 4);
+    ay.writeRegister(7, 0x37); // noise A only
+    ay.writeRegister(8, 0x0f);
+    const out = renderFrame(ay);
+    const distinct = new Set(Array.from(out).map(v => v.toFixed(3)));
+    expect(distinct.size).toBeGreaterThan(2);
+  });
+});
+
+describe('Sound AY port decoding', () => {
+  it('routes 0xFFFD/0xBFFD only when the 128K interface is enabled', () => {
+    const sound = new Sound();
+    sound.writePort(0xFFFD, 8, 0);
+    sound.writePort(0xBFFD, 0x0c, 0);
+    expect(sound.ay.registers[8]).toBe(0);
+    expect(sound.readPort(0xFFFD)).toBeNull();
+
+    sound.setAyMode('128');
+    sound.writePort(0xFFFD, 8, 0);
+    sound.writePort(0xBFFD, 0x0c, 0);
+    expect(sound.ay.registers[8]).toBe(0x0c);
+    expect(sound.readPort(0xFFFD)).toBe(0x0c);
+  });
+
+  it('supports the Fuller Box ports', () => {
+    const sound = new Sound();
+    sound.setAyMode('fuller');
+    sound.writePort(0x3F, 2, 0);
+    sound.writePort(0x5F, 0x34, 0);
+    expect(sound.readPort(0x3F)).toBe(0x34);
+    expect(() => sound.setAyMode('bogus')).toThrow();
+  });
+
+  it('mixes AY output into the beeper sample buffer', () => {
+    const sound = new Sound();
+    sound.setAyMode('melodik');
+    sound.writePort(0xFFFD, 7, 0);
+    sound.writePort(0xBFFD, 0x3f, 0);
+    sound.writePort(0xFFFD, 8, 0);
+    sound.writePort(0xBFFD, 0x0f, 0);
+    const data = new Float32Array(882);
+    sound._fillSampleBuffer(data);
+    // beeper low (-vol) plus a constant AY level
+    expect(data[100]).toBeCloseTo(-0.2 + 0.2 / 3, 3);
+  });
+});
@@ -0,0 +1,287 @@
+import { describe, test, expect } from 'vitest';
+import { TRDDisk, sclToTRD, buildSCL, SECTOR_SIZE } from '../../src/trdos.mjs';
+import { WD1793, WD_INDEX, WD_NOT_READY, WD_RECORD_NOT_FOUND, WD_SEEK_ERROR, WD_TRACK0, WD_WRITE_PROTECT, TRACK_BYTES, crc16 } from '../../src/wd1793.mjs';
+import { Loader } from '../../src/loader.mjs';
+import { createMachine } from '../../src/machine.mjs';
+
+// An .scl holding two files: a 1-sector BASIC program and a 2-sector code block
+function makeSCL() {
+  const header = (name, type, start, length, sectors) => [
+    ...Array.from(name.padEnd(8), c => c.charCodeAt(0)), type.charCodeAt(0),
+    start & 0xff, start >> 8, length & 0xff, length >> 8, sectors
+  ];
+  const body = [
+    ...Array.from('SINCLAIR', c => c.charCodeAt(0)), 2,
+    ...header('boot', 'B', 40, 40, 1),
+    ...header('screen', 'C', 16384, 512, 2)
+  ];
+  const data = new Uint8Array(3 * SECTOR_SIZE).map((_, i) => (i * 7) & 0xff);
+  const scl = new Uint8Array(body.length + data.length + 4);
+  scl.set(body);
+  scl.set(data, body.length);
+  let sum = 0;
+  for (let i = 0; i < scl.length - 4; i++) sum += scl[i];
+  new DataView(scl.buffer).setUint32(scl.length - 4, sum, true);
+  return scl;
+}
+
+// The bytes TR-DOS sends for Write Track: 16 sectors of 256 bytes filled with `fill`
+function formatStream(cylinder, fill) {
+  const out = [];
+  const gap = (value, n) => { for (let i = 0; i < n; i++) out.push(value); };
+  gap(0x4e, 80);
+  for (let r = 1; r <= 16; r++) {
+    gap(0x00, 12); gap(0xf5, 3); out.push(0xfe, cylinder, 0, r, 1, 0xf7);
+    gap(0x4e, 22); gap(0x00, 12); gap(0xf5, 3); out.push(0xfb);
+    gap(fill, 256); out.push(0xf7);
+    gap(0x4e, 54);
+  }
+  gap(0x4e, TRACK_BYTES - out.length);
+  return out;
+}
+
+describe('TR-DOS disk images', () => {
+  test('an SCL file unpacks onto a blank disk and packs back the same', () => {
+    const scl = makeSCL();
+    const disk = TRDDisk.fromFile(scl, 'scl');
+    expect([disk.cylinders, disk.sides]).toEqual([80, 2]);
+    expect(disk.catalog()).toEqual([
+      { name: 'boot', type: 'B', start: 40, length: 40, sectors: 1, sector: 0, track: 1 },
+      { name: 'screen', type: 'C', start: 16384, length: 512, sectors: 2, sector: 1, track: 1 }
+    ]);
+    // Disk information: next free sector 3 on track 1, 2 files, 2541 sectors free
+    const info = disk.readSector(0, 0, 9);
+    expect([info[0xe1], info[0xe2], info[0xe4], info[0xe5] | (info[0xe6] << 8), info[0xe7]]).toEqual([3, 1, 2, 2541, 0x10]);
+    // Logical track 1 is cylinder 0, side 1
+    expect(disk.readSector(0, 1, 1)[1]).toBe(7);
+
+    expect(Array.from(buildSCL(disk.toTRD()))).toEqual(Array.from(scl));
+    expect(() => sclToTRD(new Uint8Array(16))).toThrow(/not an SCL/);
+  });
+
+  test('short TRD images are padded out to their disk type', () => {
+    const image = sclToTRD(makeSCL()).subarray(0, 3 * 4096);
+    const disk = TRDDisk.fromFile(image);
+    expect(disk.data.length).toBe(655360);
+    expect(disk.catalog().length).toBe(2);
+  });
+
+  test('the Loader tags disk images by extension', () => {
+    const scl = makeSCL();
+    expect(Loader.parseByExtension(scl.buffer, 'GAME.SCL')).toMatchObject({ type: 'disk', format: 'scl' });
+    expect(Loader.parseByExtension(new ArrayBuffer(4096), 'game.trd')).toMatchObject({ type: 'disk', format: 'trd' });
+    expect(() => Loader.parseDisk(new Uint8Array(16), 'scl')).toThrow(/not an SCL/);
+  });
+});
+
+describe('WD1793 controller', () => {
+  function controller(disk) {
+    const fdc = new WD1793({ getDisk: () => disk });
+    return fdc;
+  }
+
+  test('seeks, steps and verifies the track', () => {
+    const fdc = controller(new TRDDisk());
+    fdc.writeCommand(0x08); // restore, head load
+    expect(fdc.intrq).toBe(true);
+    expect(fdc.readStatus() & WD_TRACK0).toBe(WD_TRACK0);
+    expect(fdc.intrq).toBe(false);
+
+    fdc.data = 5;
+    fdc.writeCommand(0x1c); // seek with verify
+    expect([fdc.track, fdc.cylinder]).toEqual([5, 5]);
+    expect(fdc.readStatus() & (WD_SEEK_ERROR | WD_TRACK0)).toBe(0);
+
+    fdc.writeCommand(0x50); // step in, update track
+    fdc.writeCommand(0x60); // step out, track register left alone
+    expect([fdc.track, fdc.cylinder]).toEqual([6, 5]);
+    fdc.writeCommand(0x04); // restore verifies fine, but a mismatched track does not
+    fdc.track = 3;
+    fdc.writeCommand(0x24); // step (out) with verify: cylinder 0 carries track 0
+    expect(fdc.readStatus() & WD_SEEK_ERROR).toBe(WD_SEEK_ERROR);
+
+    expect(controller(null).readStatus() & WD_NOT_READY).toBe(WD_NOT_READY);
+  });
+
+  test('reads and writes sectors one DRQ at a time', () => {
+    const disk = TRDDisk.fromFile(makeSCL(), 'scl');
+    const fdc = controller(disk);
+    fdc.side = 1;
+    fdc.sector = 1;
+    fdc.writeCommand(0x80);
+    expect(fdc.drq).toBe(true);
+    const bytes = [];
+    while (fdc.drq) bytes.push(fdc.readData());
+    expect(bytes.length).toBe(256);
+    expect(bytes[1]).toBe(7);
+    expect([fdc.intrq, fdc.readStatus() & 0x1f]).toEqual([true, 0]);
+
+    fdc.sector = 4;
+    fdc.writeCommand(0xa0);
+    for (let i = 0; i < 256; i++) fdc.writeData(0x55);
+    expect(disk.readSector(0, 1, 4)[255]).toBe(0x55);
+    expect(disk.modified).toBe(true);
+
+    // No such sector, and a protected disk
+    fdc.sector = 17;
+    fdc.writeCommand(0x80);
+    expect(fdc.readStatus() & WD_RECORD_NOT_FOUND).toBe(WD_RECORD_NOT_FOUND);
+    disk.writeProtected = true;
+    fdc.sector = 4;
+    fdc.writeCommand(0xa0);
+    expect(fdc.drq).toBe(false);
+    expect(fdc.readStatus() & WD_WRITE_PROTECT).toBe(WD_WRITE_PROTECT);
+  });
+
+  test('a saved state resumes a sector read part way through', () => {
+    const fdc = controller(TRDDisk.fromFile(makeSCL(), 'scl'));
+    fdc.side = 1;
+    fdc.sector = 2;
+    fdc.writeCommand(0x90); // multi-sector read: runs on to the end of the track
+    for (let i = 0; i < 100; i++) fdc.readData();
+    const state = fdc.saveState();
+    const drain = () => { const out = []; while (fdc.drq) out.push(fdc.readData()); return out; };
+    const rest = drain();
+    expect(fdc.sector).not.toBe(2);
+    fdc.loadState(state);
+    expect([fdc.sector, fdc.drq]).toEqual([2, true]);
+    expect(drain()).toEqual(rest);
+  });
+
+  test('reads sector IDs and formats tracks', () => {
+    const disk = new TRDDisk();
+    const fdc = controller(disk);
+    fdc.writeCommand(0xc0); // read address
+    const id = [];
+    while (fdc.drq) id.push(fdc.readData());
+    const crc = crc16([0xa1, 0xa1, 0xa1, 0xfe, 0, 0, 1, 1]);
+    expect(id).toEqual([0, 0, 1, 1, crc >> 8, crc & 0xff]);
+
+    fdc.data = 81;
+    fdc.writeCommand(0x18); // seek past the end of an 80-track disk
+    fdc.writeCommand(0xf0); // write track
+    for (const b of formatStream(81, 0xe5)) fdc.writeData(b);
+    expect(fdc.intrq).toBe(true);
+    expect(disk.cylinders).toBe(82);
+    expect(disk.readSector(81, 0, 16)[0]).toBe(0xe5);
+
+    fdc.writeCommand(0xe0); // read track gives the same sectors back
+    const track = [];
+    while (fdc.drq) track.push(fdc.readData());
+    expect(track.length).toBe(TRACK_BYTES);
+    expect(track.filter((b, i) => b === 0xfb && track[i - 1] === 0xa1).length).toBe(16);
+  });
+
+  test('Force Interrupt aborts a transfer', () => {
+    const fdc = controller(new TRDDisk());
+    fdc.writeCommand(0x80);
+    fdc.writeCommand(0xd8);
+    expect([fdc.drq, fdc.intrq, fdc.readStatus() & 0x01]).toEqual([false, true, 0]);
+  });
+});
+
+describe('Beta 128 interface', () => {
+  // Fake TR-DOS: 3D00 LD A,(0000h) / LD (9000h),A / RET, with 0xAA at 0000h
+  const TRDOS = new Uint8Array(16384);
+  TRDOS[0] = 0xaa;
+  TRDOS.set([0x3a, 0x00, 0x00, 0x32, 0x00, 0x90, 0xc9], 0x3d00);
+  // 8000 CALL 3D00h / LD A,(0000h) / LD (9001h),A / IN A,(1Fh) / LD (9002h),A / JR $
+  const PROGRAM = [0xcd, 0x00, 0x3d, 0x3a, 0x00, 0x00, 0x32, 0x01, 0x90, 0xdb, 0x1f, 0x32, 0x02, 0x90, 0x18, 0xfe];
+
+  async function pentagon() {
+    const machine = await createMachine({ model: 'pentagon' });
+    const emu = machine.emulator;
+    expect(emu.loadTRDOSROM(TRDOS)).toBe(true);
+    PROGRAM.forEach((b, i) => emu.memory.write(0x8000 + i, b));
+    emu.cpu.IFF1 = false;
+    emu.cpu.SP = 0xff00;
+    emu.cpu.PC = 0x8000;
+    emu.input.kempstonState = 0x10;
+    return { machine, emu };
+  }
+
+  test('TR-DOS pages in at 3Dxx with the BASIC ROM selected and out again from RAM', async () => {
+    const { emu } = await pentagon();
+    const basic = emu.memory.romBanks[1][0];
+    emu.memory.writePort7FFD(0x10);
+    emu.frameAdvance();
+    expect(emu.memory.read(0x9000)).toBe(0xaa);
+    expect(emu.memory.read(0x9001)).toBe(basic);
+    expect(emu.memory.trdosPaged).toBe(false);
+    // Kempston on port 0x1F once TR-DOS is out
+    expect(emu.memory.read(0x9002)).toBe(0x10);
+  }, 30000);
+
+  test('the index pulse comes round five times a second across frames', async () => {
+    const { emu } = await pentagon();
+    emu.insertDisk(makeSCL(), { fileName: 'games.scl' });
+    // 8000 100 x NOP / JR 8000h, sampling the status register on each lap
+    for (let i = 0; i < 100; i++) emu.memory.write(0x8000 + i, 0x00);
+    emu.memory.write(0x8064, 0x18);
+    emu.memory.write(0x8065, 0x9a);
+    let index = 0;
+    let edges = 0;
+    emu.cpu.traps.set(0x8000, () => {
+      const now = emu.beta128.fdc.readStatus() & WD_INDEX;
+      if (now && !index) edges++;
+      index = now;
+      return 0;
+    });
+    // 50 Pentagon frames are just over five revolutions at 300 rpm: the
+    // pulse at power on, then one every 700,000 T-states
+    for (let f = 0; f < 50; f++) emu.frameAdvance();
+    expect(edges).toBe(6);
+  }, 30000);
+
+  test('the 128 editor ROM does not page TR-DOS', async () => {
+    const { emu } = await pentagon();
+    emu.memory.writePort7FFD(0x00);
+    emu.cpu.breakCheck = () => emu.cpu.PC === 0x8003;
+    emu.cpu.runFor(1000);
+    emu.cpu.breakCheck = null;
+    expect(emu.memory.trdosPaged).toBe(false);
+  }, 30000);
+
+  test('while TR-DOS is paged in, port 0x1F is the controller and the Kempston can move', async () => {
+    const { emu } = await pentagon();
+    emu.insertDisk(makeSCL(), { fileName: 'games.scl' });
+    emu.memory.writePort7FFD(0x10);
+    emu.memory.pageTRDOS(true);
+    const io = emu.cpu.io;
+    io.write(0xff, 0x3c); // drive A, upper side, out of reset
+    io.write(0x1f, 0x08); // restore
+    expect(io.read(0xff) & 0x80).toBe(0x80); // INTRQ
+    expect(io.read(0x1f) & WD_TRACK0).toBe(WD_TRACK0);
+    io.write(0x5f, 9);
+    io.write(0x1f, 0x80);
+    expect(io.read(0xff) & 0x40).toBe(0x40); // DRQ
+    const info = [];
+    for (let i = 0; i < 256; i++) info.push(io.read(0x7f));
+    expect(info[0xe4]).toBe(2);
+
+    emu.memory.pageTRDOS(false);
+    expect(io.read(0x1f)).toBe(0x10);
+    expect(emu.setKempstonPort(0xdf)).toBe(0xdf);
+    expect(io.read(0xdf)).toBe(0x10);
+    expect(emu.setKempstonPort(false)).toBe(false);
+    expect(io.read(0xdf)).toBe(0xff);
+  }, 30000);
+
+  test('disks survive a model change and save back with their changes', async () => {
+    const { emu } = await pentagon();
+    emu.insertDisk(makeSCL(), { drive: 1, fileName: 'games.scl' });
+    await emu.setModel('128k');
+    expect(emu.memory.hasTRDOS()).toBe(false);
+    await emu.setModel('pentagon');
+    expect(emu.memory.romBanks[2][0]).toBe(0xaa); // TR-DOS ROM kept
+
+    emu.beta128.drives[1].writeSector(0, 1, 5, new Uint8Array(256).fill(0x42));
+    const trd = emu.saveDisk(1);
+    expect(trd.length).toBe(655360);
+    expect(trd[(1 * 16 + 4) * 256]).toBe(0x42);
+    expect(emu.beta128.drives[1].modified).toBe(false);
+    expect(Array.from(emu.saveDisk(1, 'scl').subarray(0, 8))).toEqual(Array.from(makeSCL().subarray(0, 8)));
+    expect(emu.ejectDisk(1)).toBe(true);
+    expect(() => emu.saveDisk(1)).toThrow(/no disk in drive B/);
+  }, 30000);
+});
@@ -0,0 +1,104 @@
+import { describe, test, expect, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PNG } from 'pngjs';
+import { parseCliArgs, parseNumber, runCli } from '../../src/cli.mjs';
+
+function sink() {
+  const out = { text: '', write(s) { out.text += s; } };
+  return out;
+}
+
+describe('zxspeccjs CLI arguments', () => {
+  test('timed options become one event list in frame order', () => {
+    const opts = parseCliArgs([
+      'game.tap', '--frames', '$200', '--screenshot', 'end.png', '--screenshot', '50:early.png',
+      '--key', '100:symshift+P:5', '--type', '0x10:j""\\n', '--ram-range', '0x5c00'
+    ]);
+    expect(opts).toMatchObject({ file: 'game.tap', frames: 0x200, untilPC: null, autoload: true, ramStart: 0x5c00, ramLength: 0xa400 });
+    expect(opts.events).toEqual([
+      { frame: 16, kind: 'type', text: 'j""\n' },
+      { frame: 50, kind: 'screenshot', file: 'early.png' },
+      { frame: 100, kind: 'key', keys: ['symshift', 'p'], hold: 5 },
+      { frame: 0x200, kind: 'screenshot', file: 'end.png' }
+    ]);
+  });
+
+  test('bad values are reported', () => {
+    expect(parseNumber('$4D2', 'x')).toBe(1234);
+    expect(() => parseNumber('12a', '--frames')).toThrow(/--frames must be a number/);
+    expect(() => parseCliArgs(['--type', 'hello'])).toThrow(/--type needs <frame>/);
+    expect(() => parseCliArgs(['a.tap', 'b.tap'])).toThrow(/one file at most/);
+    expect(() => parseCliArgs(['--nope'])).toThrow();
+  });
+});
+
+describe('zxspeccjs CLI runs', () => {
+  test('runs to an address, then writes a screenshot and JSON dumps', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'zxspeccjs-cli-'));
+    try {
+      const stdout = sink();
+      const stderr = sink();
+      const code = await runCli([
+        '--until-pc', '0x12a9', '--frames', '150', '--screenshot', join(dir, 'shot.png'),
+        '--regs', '-', '--ram', join(dir, 'ram.json'), '--ram-range', '0:3'
+      ], { stdout, stderr });
+      expect(stderr.text).toMatch(/^frame \d+: wrote .*shot\.png\n$/);
+      expect(code).toBe(0);
+
+      const png = PNG.sync.read(readFileSync(join(dir, 'shot.png')));
+      expect([png.width, png.height]).toEqual([320, 240]);
+      const state = JSON.parse(stdout.text);
+      expect(state.registers.PC).toBe(0x12a9);
+      expect(state.frames).toBeLessThan(150);
+      // The ROM starts DI / XOR A
+      expect(JSON.parse(readFileSync(join(dir, 'ram.json'), 'utf8'))).toEqual({ start: 0, length: 3, bytes: [0xf3, 0xaf, 0x11] });
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }, 30000);
+
+  test('a screenshot alongside --regs - leaves stdout as plain JSON', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'zxspeccjs-cli-'));
+    try {
+      const stdout = sink();
+      const stderr = sink();
+      const code = await runCli([
+        '--frames', '2', '--screenshot', '1:' + join(dir, 's.png'), '--screenshot', join(dir, 'end.png'), '--regs', '-'
+      ], { stdout, stderr });
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout.text)).toMatchObject({ model: '48k', frames: 2 });
+      expect(stderr.text.trim().split('\n')).toHaveLength(2);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  }, 30000);
+
+  test('exit status 2 when the address is not reached, 1 on errors', async () => {
+    const stderr = sink();
+    expect(await runCli(['--until-pc', '0', '--frames', '3'], { stdout: sink(), stderr })).toBe(2);
+    expect(stderr.text).toMatch(/PC 0x0000 not reached in 3 frames/);
+    expect(await runCli(['--key', '1:nosuchkey'], { stdout: sink(), stderr: sink() })).toBe(1);
+    expect(await runCli(['--frames'], { stdout: sink(), stderr: sink() })).toBe(1);
+    const help = sink();
+    expect(await runCli(['--help'], { stdout: help })).toBe(0);
+    expect(help.text).toMatch(/^Usage: zxspeccjs/);
+  });
+
+  test('the core runs quiet without touching the console; --verbose brings its diagnostics back', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const warn = console.warn;
+    try {
+      let warnDuringRun = null;
+      const stderr = { write() { warnDuringRun = console.warn; } };
+      expect(await runCli(['--until-pc', '0', '--frames', '2'], { stdout: sink(), stderr })).toBe(2);
+      expect(warnDuringRun).toBe(warn);
+      expect(log).not.toHaveBeenCalled();
+      await runCli(['--frames', '1', '--verbose'], { stdout: sink(), stderr: sink() });
+      expect(log).toHaveBeenCalled();
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, test, expect } from 'vitest';
+import { compileCondition, stepOverLength, Debugger } from '../../src/debugger.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const canvasStub = {
+  width: 320, height: 240, style: {},
+  getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+  toDataURL: () => ''
+};
+
+// 8000 LD A,10h / 8002 LD HL,9000h / 8005 CALL 8100h / 8008 INC A / 8009 JR 8008h
+// 8100 INC B / 8101 RET
+const PROGRAM = { 0x8000: [0x3e, 0x10, 0x21, 0x00, 0x90, 0xcd, 0x00, 0x81, 0x3c, 0x18, 0xfd], 0x8100: [0x04, 0xc9] };
+
+async function makeEmulator() {
+  const { Emulator } = await import('../../src/main.mjs');
+  const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+  await emu._createCore(ROM_DATA.bytes);
+  for (const [addr, bytes] of Object.entries(PROGRAM)) bytes.forEach((b, i) => emu.memory.write(Number(addr) + i, b));
+  emu.cpu.IFF1 = false;
+  emu.cpu.intRequested = false;
+  emu.cpu.SP = 0xff00;
+  emu.cpu.B = 0;
+  emu.cpu.PC = 0x8000;
+  return emu;
+}
+
+describe('compileCondition', () => {
+  const cpu = { A: 0x10, F: 0x40, B: 0, C: 0, D: 0, E: 0, H: 0x90, L: 0x01, IX: 0x5c00, IY: 0, SP: 0xff00, PC: 0, B_: 0, C_: 0 };
+  const mem = { 0x5c03: 0x7f, 0x5c04: 0x12 };
+  const ctx = { cpu, peek: (addr) => mem[addr] || 0 };
+  const run = (text) => compileCondition(text)(ctx);
+
+  test('evaluates register comparisons with C precedence', () => {
+    expect(run('A==0x10 && HL>0x8000')).toBe(1);
+    expect(run('A==$11 || HL<#8000')).toBe(0);
+    expect(run('1 + 2 * 3 == 7')).toBe(1);
+    expect(run('(F & 0x40) != 0')).toBe(1);
+    expect(run("BC' == 0 && !B")).toBe(1);
+  });
+
+  test('reads memory through peek and dpeek', () => {
+    expect(run('peek(IX+3)')).toBe(0x7f);
+    expect(run('DPEEK(IX + 3) == 0x127f')).toBe(1);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => compileCondition('A ==')).toThrow(SyntaxError);
+    expect(() => compileCondition('Q == 1')).toThrow(/Unknown register/);
+    expect(() => compileCondition('(A == 1')).toThrow(SyntaxError);
+    expect(() => compileCondition('A @ 1')).toThrow(/Unexpected character/);
+  });
+});
+
+describe('stepOverLength', () => {
+  test('covers CALL, RST, DJNZ and the repeating block instructions', () => {
+    const at = (...bytes) => stepOverLength((a) => bytes[a] ?? 0, 0);
+    expect(at(0xcd)).toBe(3);
+    expect(at(0xc4)).toBe(3);
+    expect(at(0xd7)).toBe(1);
+    expect(at(0x10)).toBe(2);
+    expect(at(0xed, 0xb0)).toBe(2);
+    expect(at(0xed, 0xb9)).toBe(2);
+    expect(at(0xed, 0xa0)).toBe(0);
+    expect(at(0x3c)).toBe(0);
+  });
+});
+
+describe('Debugger', () => {
+  test('breakpoints with bad conditions are refused when set', () => {
+    const dbg = new Debugger();
+    expect(() => dbg.addBreakpoint(0x8000, { condition: 'A ==' })).toThrow(SyntaxError);
+    expect(dbg.listBreakpoints()).toHaveLength(0);
+  });
+});
+
+describe('Emulator debugger integration', () => {
+  test('a breakpoint stops mid-frame and the frame resumes where it stopped', async () => {
+    const emu = await makeEmulator();
+    const breaks = [];
+    const prevDispatch = globalThis.window.dispatchEvent;
+    globalThis.window.dispatchEvent = (e) => { breaks.push(e); return true; };
+    globalThis.CustomEvent = globalThis.CustomEvent || class { constructor(type, init) { this.type = type; this.detail = init && init.detail; } };
+    try {
+      emu.addBreakpoint(0x8008);
+      expect(emu.runUntilBreak(1)).toBe(true);
+    } finally {
+      globalThis.window.dispatchEvent = prevDispatch;
+    }
+
+    expect(emu.cpu.PC).toBe(0x8008);
+    expect(emu.cpu.B).toBe(1);
+    expect(emu._frameInProgress).toBe(true);
+    const frameT = emu.cpu.tstates - emu.cpu.frameStartTstates;
+    expect(frameT).toBeGreaterThan(0);
+    expect(frameT).toBeLessThan(1000);
+    expect(emu.debugger.lastBreak).toMatchObject({ reason: 'breakpoint', pc: 0x8008 });
+    expect(breaks.filter(e => e.type === 'debugger-break')).toHaveLength(1);
+
+    // While paused, frames do not advance
+    emu._processFrame();
+    expect(emu.cpu.PC).toBe(0x8008);
+
+    emu.removeBreakpoint(emu.debugger.listBreakpoints()[0].id);
+    emu.debugger.continue();
+    emu._processFrame();
+    expect(emu._frameInProgress).toBe(false);
+    expect(emu.cpu.tstates).toBeLessThan(30);
+    expect([0x8008, 0x8009]).toContain(emu.cpu.PC);
+  });
+
+  test('a conditional breakpoint only stops when its condition holds', async () => {
+    const emu = await makeEmulator();
+    emu.addBreakpoint(0x8008, 'A == 0x14');
+    expect(emu.runUntilBreak(1)).toBe(true);
+    expect(emu.cpu.A).toBe(0x14);
+    expect(emu.debugger.listBreakpoints()[0].hits).toBe(1);
+  });
+
+  test('step, step over, step out and run to cursor', async () => {
+    const emu = await makeEmulator();
+    emu.debugBreak();
+    expect(emu.debugger.paused).toBe(true);
+
+    emu.debugStep();
+    expect(emu.cpu.PC).toBe(0x8002);
+    expect(emu.debugger.lastBreak.reason).toBe('step');
+
+    emu.debugRunToCursor(0x8005);
+    expect(emu.cpu.PC).toBe(0x8005);
+    expect(emu.debugger.lastBreak.reason).toBe('run-to-cursor');
+
+    emu.debugStepOver();
+    expect(emu.cpu.PC).toBe(0x8008);
+    expect(emu.cpu.B).toBe(1);
+    expect(emu.cpu.SP).toBe(0xff00);
+    expect(emu.debugger.lastBreak.reason).toBe('step-over');
+
+    // Into the subroutine, then back out to the caller
+    emu.cpu.PC = 0x8005;
+    emu.debugStep();
+    expect(emu.cpu.PC).toBe(0x8100);
+    emu.debugStepOut();
+    expect(emu.cpu.PC).toBe(0x8008);
+    expect(emu.cpu.B).toBe(2);
+    expect(emu.debugger.lastBreak.reason).toBe('step-out');
+  });
+
+  test('address fields accept expressions', async () => {
+    const emu = await makeEmulator();
+    emu.cpu.H = 0x80; emu.cpu.L = 0x00;
+    expect(emu.debugger.evaluate('HL + 5')).toBe(0x8005);
+    expect(emu.debugger.evaluate('dpeek($8006)')).toBe(0x8100);
+  });
+});
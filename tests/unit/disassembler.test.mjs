@@ -0,0 +1,133 @@
+import { describe, test, expect } from 'vitest';
+import { disassemble, disassembleRange, formatInstruction } from '../../src/disassembler.mjs';
+import { Memory } from '../../src/memory.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+const dis = (...bytes) => disassemble(Uint8Array.from(bytes), 0);
+
+describe('disassemble: base page', () => {
+  test('decodes the start of the 48K ROM', () => {
+    const listing = disassembleRange(ROM_DATA.bytes, 0, 7).map(i => i.mnemonic);
+    expect(listing).toEqual(['DI', 'XOR A', 'LD DE,$FFFF', 'JP $11CB', 'LD HL,($5C5D)', 'LD ($5C5F),HL', 'JR $0053']);
+  });
+
+  test('reports operand addresses, lengths and bytes', () => {
+    const ins = disassemble(ROM_DATA.bytes, 0x0005);
+    expect(ins).toMatchObject({ address: 5, length: 3, bytes: [0xc3, 0xcb, 0x11], addresses: [0x11cb], tstates: 10, tstatesTaken: null });
+    expect(dis(0x32, 0x00, 0x5c).addresses).toEqual([0x5c00]);
+    expect(dis(0xff).mnemonic).toBe('RST $38');
+    expect(dis(0xff).addresses).toEqual([0x38]);
+    expect(dis(0x3e, 0x7f).addresses).toEqual([]);
+  });
+
+  test('resolves relative jumps and gives both costs for conditional instructions', () => {
+    const mem = new Uint8Array(0x10000);
+    mem.set([0x10, 0xfe], 0x8000);     // DJNZ $8000
+    mem.set([0x20, 0x10], 0x8002);     // JR NZ,$8014
+    expect(disassemble(mem, 0x8000)).toMatchObject({ mnemonic: 'DJNZ $8000', tstates: 8, tstatesTaken: 13, addresses: [0x8000] });
+    expect(disassemble(mem, 0x8002)).toMatchObject({ mnemonic: 'JR NZ,$8014', tstates: 7, tstatesTaken: 12 });
+    expect(dis(0xc4, 0x00, 0x80)).toMatchObject({ mnemonic: 'CALL NZ,$8000', tstates: 10, tstatesTaken: 17 });
+    expect(dis(0xc8)).toMatchObject({ mnemonic: 'RET Z', tstates: 5, tstatesTaken: 11 });
+  });
+
+  test('(HL) operands cost more than registers', () => {
+    expect(dis(0x34)).toMatchObject({ mnemonic: 'INC (HL)', tstates: 11 });
+    expect(dis(0x36, 0x42)).toMatchObject({ mnemonic: 'LD (HL),$42', tstates: 10 });
+    expect(dis(0x7e)).toMatchObject({ mnemonic: 'LD A,(HL)', tstates: 7 });
+    expect(dis(0x86)).toMatchObject({ mnemonic: 'ADD A,(HL)', tstates: 7 });
+    expect(dis(0x76).mnemonic).toBe('HALT');
+  });
+});
+
+describe('disassemble: CB and ED pages', () => {
+  test('rotates, shifts and bit operations', () => {
+    expect(dis(0xcb, 0x06)).toMatchObject({ mnemonic: 'RLC (HL)', length: 2, tstates: 15 });
+    expect(dis(0xcb, 0x7e)).toMatchObject({ mnemonic: 'BIT 7,(HL)', tstates: 12 });
+    expect(dis(0xcb, 0xc7)).toMatchObject({ mnemonic: 'SET 0,A', tstates: 8, undocumented: false });
+    expect(dis(0xcb, 0x37)).toMatchObject({ mnemonic: 'SLL A', undocumented: true });
+  });
+
+  test('documented ED instructions', () => {
+    expect(dis(0xed, 0xb0)).toMatchObject({ mnemonic: 'LDIR', tstates: 16, tstatesTaken: 21 });
+    expect(dis(0xed, 0xa1)).toMatchObject({ mnemonic: 'CPI', tstates: 16, tstatesTaken: null });
+    expect(dis(0xed, 0x4b, 0x00, 0x5c)).toMatchObject({ mnemonic: 'LD BC,($5C00)', length: 4, tstates: 20, addresses: [0x5c00] });
+    expect(dis(0xed, 0x52)).toMatchObject({ mnemonic: 'SBC HL,DE', tstates: 15 });
+    expect(dis(0xed, 0x4d)).toMatchObject({ mnemonic: 'RETI', tstates: 14 });
+    expect(dis(0xed, 0x5e)).toMatchObject({ mnemonic: 'IM 2', undocumented: false });
+    expect(dis(0xed, 0x6f).mnemonic).toBe('RLD');
+  });
+
+  test('undocumented ED mirrors and holes', () => {
+    expect(dis(0xed, 0x4c)).toMatchObject({ mnemonic: 'NEG', undocumented: true });
+    expect(dis(0xed, 0x55)).toMatchObject({ mnemonic: 'RETN', undocumented: true });
+    expect(dis(0xed, 0x4e)).toMatchObject({ mnemonic: 'IM 0/1', undocumented: true });
+    expect(dis(0xed, 0x70)).toMatchObject({ mnemonic: 'IN F,(C)', undocumented: true });
+    expect(dis(0xed, 0x71)).toMatchObject({ mnemonic: 'OUT (C),0', undocumented: true });
+    expect(dis(0xed, 0x00)).toMatchObject({ mnemonic: 'NOP', length: 2, tstates: 8, undocumented: true });
+  });
+});
+
+describe('disassemble: index registers', () => {
+  test('(IX+d) operands read the displacement before the immediate', () => {
+    expect(dis(0xdd, 0x36, 0xfd, 0x42)).toMatchObject({ mnemonic: 'LD (IX-$03),$42', length: 4, tstates: 19 });
+    expect(dis(0xfd, 0x7e, 0x05)).toMatchObject({ mnemonic: 'LD A,(IY+$05)', length: 3, tstates: 19 });
+    expect(dis(0xdd, 0x34, 0x00)).toMatchObject({ mnemonic: 'INC (IX+$00)', tstates: 23 });
+    // H and L keep their names when the instruction also uses (IX+d)
+    expect(dis(0xdd, 0x66, 0x02)).toMatchObject({ mnemonic: 'LD H,(IX+$02)', undocumented: false });
+  });
+
+  test('HL becomes IX/IY and the prefix adds 4 T-states', () => {
+    expect(dis(0xdd, 0x21, 0x00, 0x80)).toMatchObject({ mnemonic: 'LD IX,$8000', length: 4, tstates: 14 });
+    expect(dis(0xfd, 0xe9)).toMatchObject({ mnemonic: 'JP (IY)', tstates: 8 });
+    expect(dis(0xdd, 0xe3)).toMatchObject({ mnemonic: 'EX (SP),IX', tstates: 23 });
+    expect(dis(0xdd, 0x29)).toMatchObject({ mnemonic: 'ADD IX,IX', tstates: 15 });
+    expect(dis(0xfd, 0xe5)).toMatchObject({ mnemonic: 'PUSH IY', tstates: 15 });
+  });
+
+  test('undocumented IXH/IXL operands and ignored prefixes', () => {
+    expect(dis(0xdd, 0x7c)).toMatchObject({ mnemonic: 'LD A,IXH', tstates: 8, undocumented: true });
+    expect(dis(0xfd, 0x2e, 0x10)).toMatchObject({ mnemonic: 'LD IYL,$10', tstates: 11, undocumented: true });
+    expect(dis(0xdd, 0xeb)).toMatchObject({ mnemonic: 'EX DE,HL', length: 2, tstates: 8, undocumented: true });
+    expect(dis(0xdd, 0xfd, 0x21, 0, 0)).toMatchObject({ mnemonic: 'NOP', length: 1, tstates: 4, undocumented: true });
+  });
+
+  test('DDCB / FDCB forms, including the register-copy variants', () => {
+    expect(dis(0xfd, 0xcb, 0x01, 0x4e)).toMatchObject({ mnemonic: 'BIT 1,(IY+$01)', length: 4, tstates: 20, undocumented: false });
+    expect(dis(0xdd, 0xcb, 0x03, 0x06)).toMatchObject({ mnemonic: 'RLC (IX+$03)', tstates: 23, undocumented: false });
+    expect(dis(0xdd, 0xcb, 0x03, 0x00)).toMatchObject({ mnemonic: 'LD B,RLC (IX+$03)', undocumented: true });
+    expect(dis(0xfd, 0xcb, 0xff, 0xc7)).toMatchObject({ mnemonic: 'LD A,SET 0,(IY-$01)', undocumented: true });
+    expect(dis(0xdd, 0xcb, 0x00, 0x36)).toMatchObject({ mnemonic: 'SLL (IX+$00)', undocumented: true });
+    expect(dis(0xdd, 0xcb, 0x00, 0x40)).toMatchObject({ mnemonic: 'BIT 0,(IX+$00)', undocumented: true });
+  });
+});
+
+describe('disassemble: memory sources', () => {
+  test('reads a Memory object', () => {
+    const mem = new Memory({ model: '48k' });
+    mem.write(0x4000, 0x00);
+    mem.write(0x4001, 0xc9);
+    expect(disassembleRange(mem, 0x4000, 2).map(i => i.mnemonic)).toEqual(['NOP', 'RET']);
+  });
+
+  test('wraps at the top of memory and formats listing lines', () => {
+    const ins = disassemble((addr) => (addr === 0xffff ? 0xc3 : addr === 0 ? 0x34 : 0x12), 0xffff);
+    expect(ins).toMatchObject({ mnemonic: 'JP $1234', length: 3, bytes: [0xc3, 0x34, 0x12] });
+    expect(formatInstruction(disassemble(ROM_DATA.bytes, 0x0002))).toBe('0002  11 FF FF      LD DE,$FFFF');
+  });
+});
+
+describe('Emulator.disassemble', () => {
+  test('disassembles live memory', async () => {
+    if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+    if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+    const { Emulator } = await import('../../src/main.mjs');
+    const canvas = {
+      width: 320, height: 240, style: {},
+      getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+      toDataURL: () => ''
+    };
+    const emu = new Emulator({ canvas, statusEl: {} });
+    await emu._createCore(ROM_DATA.bytes);
+    expect(emu.disassemble(0x0000, 3).map(i => i.mnemonic)).toEqual(['DI', 'XOR A', 'LD DE,$FFFF']);
+  });
+});
@@ -0,0 +1,242 @@
+import { describe, test, expect } from 'vitest';
+import { SDCard, BLOCK_SIZE } from '../../src/sdcard.mjs';
+import { crc16 } from '../../src/wd1793.mjs';
+import { Loader } from '../../src/loader.mjs';
+import { createMachine } from '../../src/machine.mjs';
+
+// A 4-block card image: a boot sector signature, then block n filled with n * 0x11 ^ offset
+function cardImage() {
+  const image = new Uint8Array(4 * BLOCK_SIZE);
+  image[510] = 0x55;
+  image[511] = 0xaa;
+  for (let block = 1; block < 4; block++) {
+    for (let i = 0; i < BLOCK_SIZE; i++) image[block * BLOCK_SIZE + i] = ((block * 0x11) ^ i) & 0xff;
+  }
+  return image;
+}
+
+// A stand-in esxDOS: RST 8 reads the EEPROM into 9000h, the NMI handler
+// stores 77h at 9003h; both leave through the RET at 1FF8h
+function fakeROM() {
+  const rom = new Uint8Array(8192);
+  rom[0] = 0xaa;
+  // 0009: operands of the opcode fetched from the Spectrum ROM at 0008
+  rom.set([0x00, 0x00, 0x3a, 0x00, 0x00, 0x32, 0x00, 0x90, 0xc3, 0xf8, 0x1f], 0x0009);
+  // 0067: POP AF / LD A,77h / LD (9003h),A / JP 1FF8h
+  rom.set([0xf1, 0x3e, 0x77, 0x32, 0x03, 0x90, 0xc3, 0xf8, 0x1f], 0x0067);
+  rom[0x1ff8] = 0xc9;
+  return rom;
+}
+
+async function divmmcMachine(program = []) {
+  const machine = await createMachine({ model: '48k', divmmc: true });
+  const emu = machine.emulator;
+  emu.loadDivMMCROM(fakeROM());
+  program.forEach((b, i) => emu.memory.write(0x8000 + i, b));
+  emu.cpu.IFF1 = false;
+  emu.cpu.SP = 0xff00;
+  emu.cpu.PC = 0x8000;
+  return { machine, emu };
+}
+
+// Send a command frame to the selected card and return its R1 response
+function command(io, cmd, arg = 0) {
+  io.write(0xeb, 0x40 | cmd);
+  [24, 16, 8, 0].forEach(shift => io.write(0xeb, (arg >>> shift) & 0xff));
+  io.write(0xeb, 0x95);
+  return io.read(0xeb);
+}
+
+function readBlockData(io) {
+  let token = io.read(0xeb);
+  while (token === 0xff) token = io.read(0xeb);
+  expect(token).toBe(0xfe);
+  const data = new Uint8Array(BLOCK_SIZE);
+  for (let i = 0; i < BLOCK_SIZE; i++) data[i] = io.read(0xeb);
+  expect((io.read(0xeb) << 8) | io.read(0xeb)).toBe(crc16(data, 0));
+  return data;
+}
+
+describe('DivMMC automap', () => {
+  test('RST 8 pages the EEPROM in after the opcode fetch and 1FF8h pages it out', async () => {
+    // 8000 RST 8 / LD A,(0000h) / LD (9001h),A / JR $
+    const { emu } = await divmmcMachine([0xcf, 0x3a, 0x00, 0x00, 0x32, 0x01, 0x90, 0x18, 0xfe]);
+    const spectrumROM = emu.memory.peek(0x0000);
+    const opcode = emu.memory.peek(0x0008);
+    expect(opcode).toBe(0x2a); // LD HL,(nn) in the 48K ROM; its operands come from the DivMMC
+    emu.frameAdvance();
+    expect(emu.memory.read(0x9000)).toBe(0xaa);
+    expect(emu.cpu.H << 8 | emu.cpu.L).toBe(0x00aa);
+    expect(emu.memory.read(0x9001)).toBe(spectrumROM);
+    expect(emu.divmmc.paged).toBe(false);
+  }, 30000);
+
+  test('3Dxx pages in for the fetch itself, from the SRAM bank', async () => {
+    // 8000 CALL 3D00h / JR $; 3D00 in bank 0: LD A,(0000h) / LD (9002h),A / JP 1FF8h
+    const { emu } = await divmmcMachine([0xcd, 0x00, 0x3d, 0x18, 0xfe]);
+    emu.divmmc.ram[0].set([0x3a, 0x00, 0x00, 0x32, 0x02, 0x90, 0xc3, 0xf8, 0x1f], 0x1d00);
+    emu.frameAdvance();
+    expect(emu.memory.read(0x9002)).toBe(0xaa);
+    expect(emu.divmmc.paged).toBe(false);
+  }, 30000);
+
+  test('3Dxx automaps only with the 48 BASIC ROM selected', async () => {
+    for (const [model, editorRom, basicRom] of [['128k', 0, 1], ['plus3', 0, 3]]) {
+      const machine = await createMachine({ model, divmmc: true });
+      const emu = machine.emulator;
+      emu.loadDivMMCROM(fakeROM());
+      emu.memory.writePort7FFD(editorRom << 4);
+      emu.divmmc.onFetch(0x3d00);
+      expect(emu.divmmc.paged).toBe(false);
+      if (emu.memory.isPlus3()) emu.memory.writePort1FFD(0x04);
+      emu.memory.writePort7FFD(0x10);
+      expect(emu.memory.currentRom).toBe(basicRom);
+      emu.divmmc.onFetch(0x3d00);
+      expect(emu.divmmc.paged).toBe(true);
+    }
+  }, 30000);
+
+  test('the NMI button calls 0066h with the DivMMC paged in', async () => {
+    const { emu } = await divmmcMachine([0x18, 0xfe]);
+    emu.cpu.IFF1 = emu.cpu.IFF2 = true;
+    emu.cpu.IM = 1;
+    emu.cpu.I = 0x3f;
+    expect(emu.divmmcNMI()).toBe(true);
+    emu.cpu.step();
+    expect([emu.cpu.PC, emu.cpu.IFF1, emu.cpu.IFF2]).toEqual([0x0066, false, true]);
+    emu.cpu.breakCheck = () => emu.cpu.PC === 0x8000;
+    emu.cpu.runFor(1000);
+    emu.cpu.breakCheck = null;
+    expect(emu.memory.read(0x9003)).toBe(0x77);
+    expect(emu.divmmc.paged).toBe(false);
+    expect(emu.cpu.SP).toBe(0xff00);
+  }, 30000);
+
+  test('without an EEPROM image or with the interface off, nothing automaps', async () => {
+    const machine = await createMachine({ model: '48k', divmmc: true });
+    const emu = machine.emulator;
+    emu.divmmc.onFetched(0x0008);
+    expect(emu.divmmc.paged).toBe(false);
+    emu.loadDivMMCROM(fakeROM());
+    emu.setDivMMC(false);
+    expect(emu.cpu.afterFetchHook).toBe(null);
+    expect(emu.divmmc.ownsPort(0xe3)).toBe(false);
+    emu.setDivMMC(true);
+    emu.divmmc.onFetched(0x0008);
+    expect(emu.memory.peek(0x0000)).toBe(0xaa);
+  }, 30000);
+});
+
+describe('DivMMC paging register', () => {
+  test('CONMEM maps the EEPROM read-only and a writable SRAM bank', async () => {
+    const { emu } = await divmmcMachine();
+    const io = emu.cpu.io;
+    const spectrumROM = emu.memory.peek(0x0000);
+    io.write(0xe3, 0x85);
+    expect(emu.memory.read(0x0000)).toBe(0xaa);
+    emu.memory.write(0x0000, 0x12);
+    emu.memory.write(0x2000, 0x34);
+    expect(emu.memory.read(0x0000)).toBe(0xaa);
+    expect(emu.divmmc.ram[5][0]).toBe(0x34);
+    io.write(0xe3, 0x86);
+    expect(emu.memory.read(0x2000)).toBe(0x00);
+    io.write(0xe3, 0x00);
+    expect(emu.memory.read(0x0000)).toBe(spectrumROM);
+  }, 30000);
+
+  test('MAPRAM puts bank 3 at 0000h write-protected and survives a reset but not a power on', async () => {
+    const { emu } = await divmmcMachine();
+    const io = emu.cpu.io;
+    emu.divmmc.ram[3][0] = 0x5a;
+    io.write(0xe3, 0x43);
+    // CONMEM is off: MAPRAM only shows under automap
+    expect(emu.divmmc.paged).toBe(false);
+    emu.divmmc.onFetched(0x0038);
+    expect(emu.memory.read(0x0000)).toBe(0x5a);
+    emu.memory.write(0x2000, 0x99);
+    expect(emu.divmmc.ram[3][0]).toBe(0x5a);
+    // Writing 0 cannot clear MAPRAM
+    io.write(0xe3, 0x00);
+    expect(emu.divmmc.control).toBe(0x40);
+    emu.reset();
+    expect(emu.divmmc.mapram).toBe(true);
+    emu.setModel('128k');
+    expect(emu.divmmc.mapram).toBe(false);
+  }, 30000);
+});
+
+describe('DivMMC state', () => {
+  test('step-back checkpoints and rewind keyframes carry the paging and SRAM', async () => {
+    const { emu } = await divmmcMachine();
+    const io = emu.cpu.io;
+    io.write(0xe3, 0x82);
+    emu.memory.write(0x2000, 0x42);
+    const state = emu._captureMachineState();
+    emu.memory.write(0x2000, 0x43);
+    io.write(0xe3, 0x40);
+    expect(emu.memory.read(0x0000)).not.toBe(0xaa);
+    emu._restoreMachineState(state);
+    expect([emu.divmmc.control, emu.divmmc.mapram]).toEqual([0x82, false]);
+    expect(emu.memory.read(0x0000)).toBe(0xaa);
+    expect(emu.memory.read(0x2000)).toBe(0x42);
+  }, 30000);
+});
+
+describe('DivMMC SD card', () => {
+  test('esxDOS-style initialisation and single block read and write through the ports', async () => {
+    const { emu } = await divmmcMachine();
+    const io = emu.cpu.io;
+    expect(emu.insertDisk(cardImage(), { drive: 0, fileName: 'sdcard.img' })).toBe(true);
+    // Nothing answers until the card is selected
+    expect(command(io, 0)).toBe(0xff);
+    io.write(0xe7, 0xfe);
+    expect(command(io, 0)).toBe(0x01);
+    expect(command(io, 8, 0x1aa)).toBe(0x01);
+    expect([io.read(0xeb), io.read(0xeb), io.read(0xeb), io.read(0xeb)]).toEqual([0x00, 0x00, 0x01, 0xaa]);
+    expect(command(io, 41, 0x40000000)).toBe(0x05); // ACMD41 needs CMD55 first
+    expect(command(io, 55)).toBe(0x01);
+    expect(command(io, 41, 0x40000000)).toBe(0x00);
+    expect(command(io, 58)).toBe(0x00);
+    expect(io.read(0xeb) & 0xc0).toBe(0xc0); // powered up, block addressed
+    io.read(0xeb); io.read(0xeb); io.read(0xeb);
+
+    expect(command(io, 17, 2)).toBe(0x00);
+    expect(Array.from(readBlockData(io).subarray(0, 4))).toEqual([0x22, 0x23, 0x20, 0x21]);
+
+    expect(command(io, 24, 1)).toBe(0x00);
+    io.write(0xeb, 0xff);
+    io.write(0xeb, 0xfe);
+    for (let i = 0; i < BLOCK_SIZE; i++) io.write(0xeb, 0xe5);
+    io.write(0xeb, 0x00); io.write(0xeb, 0x00);
+    expect(io.read(0xeb) & 0x1f).toBe(0x05);
+    expect(emu.divmmc.cards[0].modified).toBe(true);
+
+    const saved = emu.saveDisk(0, 'img');
+    expect(saved.length).toBe(4 * BLOCK_SIZE);
+    expect(saved[BLOCK_SIZE]).toBe(0xe5);
+    expect(saved[2 * BLOCK_SIZE]).toBe(0x22);
+    expect(emu.divmmc.cards[0].modified).toBe(false);
+    expect(emu.ejectDisk(0, 'img')).toBe(true);
+    expect(emu.divmmc.cards[0]).toBe(null);
+  }, 30000);
+
+  test('multiple block read runs on until CMD12; writes to a protected card are refused', () => {
+    const card = new SDCard(cardImage(), { writeProtected: true });
+    const bus = {
+      write: (_port, value) => card.write(value),
+      read: () => card.read()
+    };
+    expect(command(bus, 18, 1)).toBe(0x01);
+    expect(readBlockData(bus)[0]).toBe(0x11);
+    expect(readBlockData(bus)[0]).toBe(0x22);
+    expect(command(bus, 12)).toBe(0xff);
+    expect(bus.read()).toBe(0x01);
+    expect(command(bus, 24, 1)).toBe(0x05);
+    expect(command(bus, 17, 9)).toBe(0x21);
+  });
+
+  test('card images need a boot sector signature', () => {
+    expect(Loader.parseDisk(cardImage(), 'img')).toMatchObject({ type: 'disk', format: 'img' });
+    expect(() => Loader.parseDisk(new Uint8Array(1024), 'mmc')).toThrow(/not an SD card image/);
+  });
+});
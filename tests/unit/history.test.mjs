@@ -0,0 +1,148 @@
+import { describe, test, expect } from 'vitest';
+import { InstructionHistory } from '../../src/history.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const canvasStub = {
+  width: 320, height: 240, style: {},
+  getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+  toDataURL: () => ''
+};
+
+// 8000 LD A,0 / 8002 INC A / 8003 LD (9000h),A / 8006 LD B,A / 8007 JR 8002h
+const PROGRAM = [0x3e, 0x00, 0x3c, 0x32, 0x00, 0x90, 0x47, 0x18, 0xf9];
+
+async function makeEmulator() {
+  const { Emulator } = await import('../../src/main.mjs');
+  const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+  await emu._createCore(ROM_DATA.bytes);
+  PROGRAM.forEach((b, i) => emu.memory.write(0x8000 + i, b));
+  emu.cpu.IFF1 = false;
+  emu.cpu.intRequested = false;
+  emu.cpu.SP = 0xff00;
+  emu.cpu.PC = 0x8000;
+  return emu;
+}
+
+function fakeCpu(count, pc, a = 0) {
+  const mem = new Uint8Array(0x10000);
+  mem.set([0xdd, 0x21, 0x34, 0x12], pc);
+  return {
+    mem: { mem }, instructionCount: count, PC: pc, tstates: count * 4,
+    A: a, F: 0x40, B: 1, C: 2, D: 3, E: 4, H: 5, L: 6, IX: 0x1234, IY: 0x5678, SP: 0xff00,
+    A_: 0, F_: 0, B_: 0, C_: 0, D_: 0, E_: 0, H_: 0, L_: 0, I: 0x3f, R: 0x12
+  };
+}
+
+describe('InstructionHistory', () => {
+  test('records registers and opcode bytes and wraps when full', () => {
+    const h = new InstructionHistory(4);
+    for (let n = 1; n <= 6; n++) h.record(fakeCpu(n, 0x8000 + n, n));
+    expect(h.length).toBe(4);
+    expect(h.oldestCount()).toBe(3);
+    expect(h.newestCount()).toBe(6);
+    expect(h.last(2).map(e => e.pc)).toEqual([0x8005, 0x8006]);
+    expect(h.find(4)).toMatchObject({ count: 4, pc: 0x8004, bytes: [0xdd, 0x21, 0x34, 0x12], AF: 0x0440, BC: 0x0102, IX: 0x1234, IR: 0x3f12, tstates: 16 });
+    expect(h.find(2)).toBeNull();
+  });
+
+  test('a replayed count drops the newer entries; a gap starts again', () => {
+    const h = new InstructionHistory(8);
+    for (let n = 1; n <= 5; n++) h.record(fakeCpu(n, 0x8000 + n));
+    h.record(fakeCpu(3, 0x9000));
+    expect(h.last().map(e => e.count)).toEqual([1, 2, 3]);
+    expect(h.find(3).pc).toBe(0x9000);
+    h.record(fakeCpu(10, 0xa000));
+    expect(h.length).toBe(1);
+    expect(() => new InstructionHistory(0)).toThrow(/invalid capacity/);
+  });
+});
+
+describe('Emulator reverse stepping', () => {
+  test('the CPU records each instruction before it runs', async () => {
+    const emu = await makeEmulator();
+    emu.addBreakpoint(0x8006, 'A == 0x10');
+    expect(emu.runUntilBreak(1)).toBe(true);
+    const last = emu.history.find(emu.cpu.instructionCount);
+    expect(last).toMatchObject({ pc: 0x8003, bytes: [0x32, 0x00, 0x90, 0x47], SP: 0xff00 });
+    expect(last.AF >> 8).toBe(0x10);
+    expect(emu.getExecutedOpcodes(2)).toEqual(['0x3c at 0x8002', '0x32 at 0x8003']);
+    expect(emu.getInstructionHistory(1)[0].instruction.mnemonic).toBe('LD ($9000),A');
+  });
+
+  test('step back undoes registers and memory writes', async () => {
+    const emu = await makeEmulator();
+    emu.addBreakpoint(0x8006, 'A == 0x10');
+    emu.runUntilBreak(1);
+    emu.debugger.clearBreakpoints();
+    expect(emu.memory.peek(0x9000)).toBe(0x10);
+
+    expect(emu.debugStepBack()).toBe(true);
+    expect(emu.debugger.lastBreak.reason).toBe('step-back');
+    expect(emu.cpu.PC).toBe(0x8003);
+    expect(emu.cpu.A).toBe(0x10);
+    expect(emu.memory.peek(0x9000)).toBe(0x0f);
+
+    emu.debugStepBack();
+    expect(emu.cpu.PC).toBe(0x8002);
+    expect(emu.cpu.A).toBe(0x0f);
+
+    emu.debugStep();
+    expect(emu.cpu.PC).toBe(0x8003);
+    expect(emu.cpu.A).toBe(0x10);
+  });
+
+  test('step back across a frame boundary lands on the recorded state', async () => {
+    const emu = await makeEmulator();
+    for (let i = 0; i < 3; i++) emu._processFrame();
+    const count = emu.cpu.instructionCount;
+    const prev = emu.history.find(count);
+    expect(emu.debugStepBack()).toBe(true);
+    expect(emu.cpu.instructionCount).toBe(count - 1);
+    expect(emu.cpu.PC).toBe(prev.pc);
+    expect((emu.cpu.A << 8) | emu.cpu.F).toBe(prev.AF);
+    expect(emu.cpu.B).toBe(prev.BC >> 8);
+    expect(emu.history.newestCount()).toBe(count - 1);
+  });
+
+  test('step back leaves the tape deck where it is and drops the replayed sound', async () => {
+    const emu = await makeEmulator();
+    // 8000 IN A,(FEh) / LD A,B / XOR 10h / LD B,A / OUT (FEh),A / JR 8000h
+    [0xdb, 0xfe, 0x78, 0xee, 0x10, 0x47, 0xd3, 0xfe, 0x18, 0xf6].forEach((b, i) => emu.memory.write(0x8000 + i, b));
+    emu.tape.load([new Uint8Array(64).fill(0x55)]);
+    emu.tape.play();
+    for (let i = 0; i < 2; i++) emu._processFrame();
+    const deck = () => [emu.tape.getPosition(), emu.tape._remaining, emu.tape._clock, emu.tape.getEarBit()];
+    const before = deck();
+
+    expect(emu.debugStepBack()).toBe(true);
+    expect(deck()).toEqual(before);
+    expect(emu.sound._toggles).toHaveLength(0);
+  });
+
+  test('run back to the previous write of an address', async () => {
+    const emu = await makeEmulator();
+    emu.addBreakpoint(0x8006, 'A == 0x10');
+    emu.runUntilBreak(1);
+    emu.debugger.clearBreakpoints();
+
+    expect(emu.debugBackToWrite(0x9000)).toBe(true);
+    expect(emu.debugger.lastBreak.reason).toBe('back-to-write');
+    expect(emu.cpu.PC).toBe(0x8003);
+    expect(emu.cpu.A).toBe(0x10);
+    expect(emu.memory.peek(0x9000)).toBe(0x0f);
+
+    emu.debugBackToWrite(0x9000);
+    expect(emu.cpu.A).toBe(0x0f);
+
+    // Nothing ever wrote here: the machine is left as it was
+    const count = emu.cpu.instructionCount;
+    expect(emu.debugBackToWrite(0x9100)).toBe(false);
+    expect(emu.cpu.instructionCount).toBe(count);
+    expect(emu.cpu.PC).toBe(0x8003);
+    expect(emu.memory.peek(0x9000)).toBe(0x0e);
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, test, expect } from 'vitest';
+import { Loader } from '../../src/loader.mjs';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const PAGE = 16384;
+
+// ── Helper: build a .sna header with recognisable register values ──
+function snaHeader({ sp = 0x8000, iff = true, im = 1, border = 3 } = {}) {
+  const h = new Uint8Array(27);
+  h[0] = 0x3f;                     // I
+  h[1] = 0x11; h[2] = 0x22;        // HL'
+  h[3] = 0x33; h[4] = 0x44;        // DE'
+  h[5] = 0x55; h[6] = 0x66;        // BC'
+  h[7] = 0x77; h[8] = 0x88;        // AF' (F', A')
+  h[9] = 0x99; h[10] = 0xaa;       // HL
+  h[11] = 0xbb; h[12] = 0xcc;      // DE
+  h[13] = 0xdd; h[14] = 0xee;      // BC
+  h[15] = 0x34; h[16] = 0x12;      // IY
+  h[17] = 0x78; h[18] = 0x56;      // IX
+  h[19] = iff ? 0x04 : 0x00;       // IFF2
+  h[20] = 0x42;                    // R
+  h[21] = 0x01; h[22] = 0x02;      // AF (F, A)
+  h[23] = sp & 0xff; h[24] = sp >> 8;
+  h[25] = im;
+  h[26] = border;
+  return h;
+}
+
+function sna48({ sp = 0x8000, pc = 0x1234 } = {}) {
+  const file = new Uint8Array(27 + 3 * PAGE);
+  file.set(snaHeader({ sp }));
+  file[27 + sp - 0x4000] = pc & 0xff;
+  file[27 + sp - 0x4000 + 1] = pc >> 8;
+  return file;
+}
+
+// 128K .sna with every bank filled with its own number
+function sna128({ port7FFD = 0x03, pc = 0xabcd } = {}) {
+  const paged = port7FFD & 7;
+  const rest = [0, 1, 2, 3, 4, 5, 6, 7].filter(b => b !== 5 && b !== 2 && b !== paged);
+  const file = new Uint8Array(27 + 3 * PAGE + 4 + rest.length * PAGE);
+  file.set(snaHeader({ sp: 0xff00 }));
+  [5, 2, paged].forEach((bank, i) => file.fill(0xb0 + bank, 27 + i * PAGE, 27 + (i + 1) * PAGE));
+  const ext = 27 + 3 * PAGE;
+  file[ext] = pc & 0xff;
+  file[ext + 1] = pc >> 8;
+  file[ext + 2] = port7FFD;
+  file[ext + 3] = 0;
+  rest.forEach((bank, i) => file.fill(0xb0 + bank, ext + 4 + i * PAGE, ext + 4 + (i + 1) * PAGE));
+  return file;
+}
+
+describe('Loader.parseSNA', () => {
+  test('decodes the 27-byte register header', () => {
+    const regs = Loader.parseSNA(sna48().buffer).snapshot.registers;
+    expect(regs).toMatchObject({
+      I: 0x3f, H2: 0x22, L2: 0x11, D2: 0x44, E2: 0x33, B2: 0x66, C2: 0x55, A2: 0x88, F2: 0x77,
+      H: 0xaa, L: 0x99, D: 0xcc, E: 0xbb, B: 0xee, C: 0xdd,
+      IY: 0x1234, IX: 0x5678, IFF1: true, IFF2: true, R: 0x42, A: 0x02, F: 0x01, IM: 1, borderColor: 3
+    });
+  });
+
+  test('pops PC from the stack of a 48K snapshot', () => {
+    const { snapshot } = Loader.parseSNA(sna48({ sp: 0x9000, pc: 0x1234 }).buffer);
+    expect(snapshot.machine).toBe('48k');
+    expect(snapshot.registers.PC).toBe(0x1234);
+    expect(snapshot.registers.SP).toBe(0x9002);
+    expect(snapshot.ram).toHaveLength(3 * PAGE);
+    expect(snapshot.banks).toBeUndefined();
+  });
+
+  test('reads PC, 0x7FFD and all eight banks of a 128K snapshot', () => {
+    const { snapshot } = Loader.parseSNA(sna128({ port7FFD: 0x13 }).buffer);
+    expect(snapshot.machine).toBe('128k');
+    expect(snapshot.registers.PC).toBe(0xabcd);
+    expect(snapshot.registers.SP).toBe(0xff00);
+    expect(snapshot.port7FFD).toBe(0x13);
+    expect(snapshot.trdos).toBe(false);
+    snapshot.banks.forEach((bank, b) => {
+      expect(bank[0]).toBe(0xb0 + b);
+      expect(bank[PAGE - 1]).toBe(0xb0 + b);
+    });
+  });
+
+  test('handles a 128K snapshot with bank 5 paged at 0xC000 (stored twice)', () => {
+    const file = sna128({ port7FFD: 0x05 });
+    expect(file.length).toBe(147487);
+    const { snapshot } = Loader.parseSNA(file.buffer);
+    snapshot.banks.forEach((bank, b) => expect(bank[100]).toBe(0xb0 + b));
+  });
+
+  test('is routed by parseByExtension', () => {
+    const parsed = Loader.parseByExtension(sna48().buffer, 'GAME.SNA');
+    expect(parsed.snapshot.registers.PC).toBe(0x1234);
+  });
+});
+
+describe('applySnapshot with .sna', () => {
+  const canvasStub = {
+    width: 320, height: 240, style: {},
+    getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+    toDataURL: () => ''
+  };
+
+  test('switches to a 128K machine and restores banks and paging', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+    await emu._createCore(null);
+    expect(emu.memory.hasPaging()).toBe(false);
+
+    const ok = await emu.applySnapshot(Loader.parseSNA(sna128({ port7FFD: 0x16 }).buffer), { autoStart: false, skipWarm: true });
+    expect(ok).toBe(true);
+    expect(emu.memory.hasPaging()).toBe(true);
+    expect(emu.memory.port7FFD).toBe(0x16);
+    expect(emu.memory.pages[3]).toBe(emu.memory.ramBanks[6]);
+    expect(emu.memory.read(0xc000)).toBe(0xb6);
+    expect(emu.memory.ramBanks[1][0]).toBe(0xb1);
+    expect(emu.cpu.PC).toBe(0xabcd);
+    expect(emu.ula.border).toBe(3);
+  });
+
+  test('restores a 48K snapshot with the popped PC', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+    await emu._createCore(null);
+    await emu.applySnapshot(Loader.parseSNA(sna48({ sp: 0x9000, pc: 0x1234 }).buffer), { autoStart: false, skipWarm: true });
+    expect(emu.cpu.PC).toBe(0x1234);
+    expect(emu.cpu.SP).toBe(0x9002);
+    expect(emu.cpu.IX).toBe(0x5678);
+    expect(emu.cpu.IM).toBe(1);
+  });
+});
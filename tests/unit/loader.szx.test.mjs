@@ -0,0 +1,217 @@
+import { describe, test, expect } from 'vitest';
+import { deflateSync } from 'node:zlib';
+import { Loader } from '../../src/loader.mjs';
+import { inflate } from '../../src/inflate.mjs';
+import { buildSZX } from '../../src/snapshotWriter.mjs';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const PAGE = 16384;
+
+// ── Helpers: hand-built SZX files, as written by Fuse / Spectaculator ──
+function chunk(id, body) {
+  const out = new Uint8Array(8 + body.length);
+  for (let i = 0; i < 4; i++) out[i] = id.charCodeAt(i) || 0;
+  new DataView(out.buffer).setUint32(4, body.length, true);
+  out.set(body, 8);
+  return out;
+}
+
+function z80r({ pc = 0x8000, halted = false, tstates = 12345 } = {}) {
+  const body = new Uint8Array(37);
+  const dv = new DataView(body.buffer);
+  dv.setUint16(0, 0x1234, true);   // AF: A=0x12, F=0x34
+  dv.setUint16(2, 0x5678, true);   // BC
+  dv.setUint16(8, 0x9abc, true);   // AF'
+  dv.setUint16(16, 0xbeef, true);  // IX
+  dv.setUint16(18, 0x5c3a, true);  // IY
+  dv.setUint16(20, 0xff00, true);  // SP
+  dv.setUint16(22, pc, true);
+  body[24] = 0x3f;                 // I
+  body[25] = 0x81;                 // R
+  body[26] = 1; body[27] = 1;      // IFF1, IFF2
+  body[28] = 2;                    // IM
+  dv.setUint32(29, tstates, true);
+  body[34] = halted ? 0x02 : 0x00;
+  return chunk('Z80R', body);
+}
+
+function ramp(page, data, compressed = true) {
+  const packed = compressed ? deflateSync(data) : data;
+  const body = new Uint8Array(3 + packed.length);
+  body[0] = compressed ? 1 : 0;
+  body[2] = page;
+  body.set(packed, 3);
+  return chunk('RAMP', body);
+}
+
+function szxFile(machineId, chunks) {
+  const header = Uint8Array.from([0x5a, 0x58, 0x53, 0x54, 1, 4, machineId, 0]);
+  const total = chunks.reduce((n, c) => n + c.length, header.length);
+  const out = new Uint8Array(total);
+  out.set(header);
+  let pos = header.length;
+  for (const c of chunks) { out.set(c, pos); pos += c.length; }
+  return out;
+}
+
+const filledPage = (value) => new Uint8Array(PAGE).fill(value);
+
+function szx128({ port7FFD = 0x13 } = {}) {
+  const ay = new Uint8Array(18);
+  ay[0] = 0x02; ay[1] = 7;
+  for (let i = 0; i < 16; i++) ay[2 + i] = i + 1;
+  const pages = [];
+  for (let b = 0; b < 8; b++) pages.push(ramp(b, filledPage(0xb0 + b), b % 2 === 0));
+  return szxFile(2, [
+    z80r({ halted: true }),
+    chunk('SPCR', Uint8Array.from([4, port7FFD, 0, 0, 0, 0, 0, 0])),
+    chunk('AY\0\0', ay),
+    chunk('JOY\0', Uint8Array.from([0, 0, 0, 0, 0, 8])),
+    ...pages
+  ]);
+}
+
+describe('inflate', () => {
+  test('decompresses stored, fixed and dynamic Huffman streams', () => {
+    const text = new TextEncoder().encode('ZX Spectrum '.repeat(500));
+    const random = Uint8Array.from({ length: 5000 }, (_, i) => (i * 2654435761) >>> 24);
+    for (const data of [new Uint8Array(0), text, random, filledPage(0)]) {
+      for (const level of [0, 1, 9]) {
+        expect(Array.from(inflate(deflateSync(data, { level })))).toEqual(Array.from(data));
+      }
+    }
+  });
+
+  test('rejects streams that are not zlib or fail the checksum', () => {
+    expect(() => inflate(Uint8Array.from([1, 2, 3]))).toThrow();
+    const packed = deflateSync(filledPage(7));
+    packed[packed.length - 1] ^= 0xff;
+    expect(() => inflate(packed)).toThrow(/checksum/);
+  });
+});
+
+describe('Loader.parseSZX', () => {
+  test('decodes Z80R registers, T-state position and HALT', () => {
+    const { snapshot } = Loader.parseSZX(szx128().buffer);
+    expect(snapshot.format).toBe('szx');
+    expect(snapshot.registers).toMatchObject({
+      A: 0x12, F: 0x34, B: 0x56, C: 0x78, A2: 0x9a, F2: 0xbc,
+      IX: 0xbeef, IY: 0x5c3a, SP: 0xff00, PC: 0x8000, I: 0x3f, R: 0x81,
+      IFF1: true, IFF2: true, IM: 2, borderColor: 4
+    });
+    expect(snapshot.tstates).toBe(12345);
+    expect(snapshot.halted).toBe(true);
+  });
+
+  test('reads compressed and plain RAMP pages, paging, AY and joystick', () => {
+    const { snapshot } = Loader.parseSZX(szx128({ port7FFD: 0x13 }).buffer);
+    expect(snapshot.machine).toBe('128k');
+    expect(snapshot.port7FFD).toBe(0x13);
+    snapshot.banks.forEach((bank, b) => {
+      expect(bank[0]).toBe(0xb0 + b);
+      expect(bank[PAGE - 1]).toBe(0xb0 + b);
+    });
+    expect(snapshot.ram[2 * PAGE]).toBe(0xb3);
+    expect(snapshot.ay).toEqual({ registers: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16], selected: 7 });
+    expect(snapshot.ayMode).toBe('128');
+    expect(snapshot.joystick).toEqual({ player1: 'kempston', player2: 'none' });
+  });
+
+  test('maps 48K pages 5, 2 and 0 and keeps a compressed custom ROM', () => {
+    const rom = filledPage(0xc3);
+    const romBody = new Uint8Array(6 + deflateSync(rom).length);
+    romBody[0] = 1;
+    new DataView(romBody.buffer).setUint32(2, PAGE, true);
+    romBody.set(deflateSync(rom), 6);
+    const file = szxFile(1, [z80r(), ramp(5, filledPage(0x55)), ramp(2, filledPage(0x22)), ramp(0, filledPage(0x11), false), chunk('ROM\0', romBody)]);
+    const { snapshot } = Loader.parseSZX(file.buffer);
+    expect(snapshot.machine).toBe('48k');
+    expect(snapshot.banks).toBeUndefined();
+    expect([snapshot.ram[0], snapshot.ram[PAGE], snapshot.ram[2 * PAGE]]).toEqual([0x55, 0x22, 0x11]);
+    expect(snapshot.customRom).toHaveLength(PAGE);
+    expect(snapshot.customRom[100]).toBe(0xc3);
+  });
+
+  test('round-trips files written by buildSZX and is routed by parseByExtension', () => {
+    const banks = Array.from({ length: 8 }, (_, b) => filledPage(b * 3));
+    const ram = new Uint8Array(3 * PAGE);
+    const state = {
+      machine: '128k', ram, banks, port7FFD: 0x04, port1FFD: 0, tstates: 500, halted: false, eiPending: false,
+      ay: { registers: new Array(16).fill(9), selected: 2 },
+      registers: { A: 1, F: 2, B: 3, C: 4, D: 5, E: 6, H: 7, L: 8, A2: 9, F2: 10, B2: 11, C2: 12, D2: 13, E2: 14, H2: 15, L2: 16, IX: 0x1111, IY: 0x2222, SP: 0x3333, PC: 0x4444, I: 0x3f, R: 0x12, IFF1: false, IFF2: true, IM: 1, borderColor: 6 }
+    };
+    const { snapshot } = Loader.parseByExtension(buildSZX(state).buffer, 'STATE.SZX');
+    expect(snapshot.registers).toMatchObject(state.registers);
+    expect(snapshot.port7FFD).toBe(0x04);
+    expect(snapshot.tstates).toBe(500);
+    expect(snapshot.ay).toEqual(state.ay);
+    snapshot.banks.forEach((bank, b) => expect(bank[1]).toBe(b * 3));
+  });
+
+  test('warns and returns an empty snapshot for a file without the ZXST header', () => {
+    const { snapshot } = Loader.parseSZX(new Uint8Array(16).buffer);
+    expect(snapshot.ram).toBeNull();
+  });
+});
+
+describe('applySnapshot with .szx', () => {
+  const canvasStub = {
+    width: 320, height: 240, style: {},
+    getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+    toDataURL: () => ''
+  };
+
+  test('restores paging, HALT, AY registers and the joystick interface', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+    await emu._createCore(null);
+
+    const ok = await emu.applySnapshot(Loader.parseSZX(szx128({ port7FFD: 0x16 }).buffer), { autoStart: false, skipWarm: true });
+    expect(ok).toBe(true);
+    expect(emu.memory.port7FFD).toBe(0x16);
+    expect(emu.memory.read(0xc000)).toBe(0xb6);
+    expect(emu.cpu.PC).toBe(0x8000);
+    expect(emu.cpu.IX).toBe(0xbeef);
+    expect(emu.cpu.halted).toBe(true);
+    expect(emu.ula.border).toBe(4);
+    expect(emu.sound.ay.getRegisters()[5]).toBe(6);
+    expect(emu.sound.ay.selectedRegister).toBe(7);
+    expect(emu.kempston).toBe(true);
+  });
+
+  test('loads a custom ROM from the snapshot', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+    await emu._createCore(null);
+
+    const romBody = new Uint8Array(6 + PAGE);
+    new DataView(romBody.buffer).setUint32(2, PAGE, true);
+    romBody.fill(0xaa, 6);
+    const file = szxFile(1, [z80r(), ramp(5, filledPage(0x55)), chunk('ROM\0', romBody), chunk('JOY\0', Uint8Array.from([0, 0, 0, 0, 2, 8]))]);
+    await emu.applySnapshot(Loader.parseSZX(file.buffer), { autoStart: false, skipWarm: true });
+    expect(emu.memory.read(0x0000)).toBe(0xaa);
+    expect(emu.memory.read(0x4000)).toBe(0x55);
+    expect(emu._readExpansionPort(0x1f)).toBeNull();
+  });
+
+  test('a snapshot\'s joystick lasts until the next load and leaves the Kempston setting alone', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+    await emu._createCore(null);
+    const cursor = szxFile(1, [z80r(), ramp(5, filledPage(0x55)), chunk('JOY\0', Uint8Array.from([0, 0, 0, 0, 2, 8]))]);
+    const plain = szxFile(1, [z80r(), ramp(5, filledPage(0x55))]);
+
+    await emu.applySnapshot(Loader.parseSZX(cursor.buffer), { autoStart: false, skipWarm: true });
+    expect(emu._readExpansionPort(0x1f)).toBeNull();
+    expect(emu.kempston).toBe(true);
+    await emu.applySnapshot(Loader.parseSZX(plain.buffer), { autoStart: false, skipWarm: true });
+    expect(emu._readExpansionPort(0x1f)).toBe(0);
+
+    await emu.applySnapshot(Loader.parseSZX(cursor.buffer), { autoStart: false, skipWarm: true });
+    expect(emu.setKempstonPort(0x1f)).toBe(0x1f);
+    expect(emu._readExpansionPort(0x1f)).toBe(0);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, test, expect } from 'vitest';
+import { Loader } from '../../src/loader.mjs';
+import { TapePlayer, TAPE_TIMINGS } from '../../src/tape.mjs';
+
+// ── Helpers: assemble TZX images from (id, body bytes) pairs ──
+const u16 = (v) => [v & 0xff, (v >> 8) & 0xff];
+const u24 = (v) => [v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff];
+const u32 = (v) => [...u16(v & 0xffff), ...u16((v >>> 16) & 0xffff)];
+const text = (s) => [s.length, ...Array.from(s, ch => ch.charCodeAt(0))];
+
+function tzx(...blocks) {
+  const bytes = [...Array.from('ZXTape!', ch => ch.charCodeAt(0)), 0x1a, 1, 20];
+  for (const [id, body] of blocks) bytes.push(id, ...body);
+  return new Uint8Array(bytes).buffer;
+}
+
+// Run the deck to the end, collecting every EAR edge
+function playAll(player, limit = 50000000) {
+  const edges = [];
+  player.routeToBeeper = true;
+  player.onEdge = (t, level) => edges.push({ t, level });
+  player.play();
+  for (let t = 0; t < limit && player.isPlaying(); t += 10000) player.advanceTo(t);
+  return edges;
+}
+
+describe('Loader.parseTZX', () => {
+  test('rejects files without the ZXTape! signature', () => {
+    const parsed = Loader.parseTZX(new Uint8Array([1, 2, 3]).buffer);
+    expect(parsed.type).toBe('tzx');
+    expect(parsed.blocks).toEqual([]);
+  });
+
+  test('parses standard, turbo and pure data blocks', () => {
+    const parsed = Loader.parseTZX(tzx(
+      [0x10, [...u16(500), ...u16(3), 0x00, 0x12, 0x12]],
+      [0x11, [...u16(1000), ...u16(300), ...u16(400), ...u16(500), ...u16(900), ...u16(1234), 6, ...u16(0), ...u24(2), 0xaa, 0xfc]],
+      [0x14, [...u16(600), ...u16(1200), 8, ...u16(20), ...u24(1), 0x55]]
+    ));
+    expect(parsed.version).toBe('1.20');
+    const [std, turbo, pure] = parsed.blocks;
+    expect(std).toMatchObject({ id: 0x10, type: 'data', pauseMs: 500, pilotCount: TAPE_TIMINGS.PILOT_HEADER_PULSES });
+    expect(Array.from(std.data)).toEqual([0x00, 0x12, 0x12]);
+    expect(turbo).toMatchObject({ type: 'data', pilotPulse: 1000, sync1: 300, sync2: 400, zeroPulse: 500, onePulse: 900, pilotCount: 1234, usedBits: 6 });
+    expect(Array.from(turbo.data)).toEqual([0xaa, 0xfc]);
+    expect(pure).toMatchObject({ type: 'data', pilotCount: 0, zeroPulse: 600, onePulse: 1200, pauseMs: 20 });
+  });
+
+  test('parses info, group and flow-control blocks', () => {
+    const parsed = Loader.parseTZX(tzx(
+      [0x21, text('Side A')],
+      [0x22, []],
+      [0x23, u16(-2 & 0xffff)],
+      [0x24, u16(3)],
+      [0x25, []],
+      [0x26, [...u16(2), ...u16(4), ...u16(0xfffe)]],
+      [0x27, []],
+      [0x28, [...u16(1 + 3 + 5), 1, ...u16(2), ...text('Level')]],
+      [0x2a, u32(0)],
+      [0x30, text('hello')],
+      [0x32, [...u16(1 + 7 + 6), 2, 0x00, ...text('Manic'), 0x03, ...text('1983')]],
+      [0x33, [2, 0, 1, 0, 0, 5, 3]],
+      [0x99, [...u32(2), 0xde, 0xad]]
+    ));
+    const types = parsed.blocks.map(b => b.type);
+    expect(types).toEqual(['group-start', 'group-end', 'jump', 'loop-start', 'loop-end', 'call', 'return', 'select',
+      'stop48k', 'text', 'archive-info', 'hardware', 'skipped']);
+    expect(parsed.blocks[0].name).toBe('Side A');
+    expect(parsed.blocks[2].offset).toBe(-2);
+    expect(parsed.blocks[5].offsets).toEqual([4, -2]);
+    expect(parsed.blocks[7].options).toEqual([{ offset: 2, description: 'Level' }]);
+    expect(parsed.archiveInfo).toEqual({ title: 'Manic', year: '1983' });
+    expect(parsed.hardware[0]).toMatchObject({ name: 'ZX Spectrum 48k, Plus', usage: 'runs' });
+    expect(parsed.hardware[1]).toMatchObject({ name: 'ZX Spectrum 128k +2A, +3', usage: 'does-not-run' });
+  });
+
+  test('stops at a truncated block but keeps the blocks before it', () => {
+    const parsed = Loader.parseTZX(tzx([0x12, [...u16(100), ...u16(2)]], [0x10, [...u16(0), ...u16(50), 1, 2]]));
+    expect(parsed.blocks.map(b => b.type)).toEqual(['tone']);
+  });
+
+  test('is routed by parseByExtension', () => {
+    const parsed = Loader.parseByExtension(tzx([0x20, u16(100)]), 'game.TZX');
+    expect(parsed.blocks[0]).toMatchObject({ type: 'pause', pauseMs: 100 });
+  });
+});
+
+describe('TapePlayer with TZX blocks', () => {
+  test('plays pure tone and pulse sequence blocks', () => {
+    const player = new TapePlayer();
+    player.load(Loader.parseTZX(tzx([0x12, [...u16(1000), ...u16(3)]], [0x13, [2, ...u16(300), ...u16(700)]])));
+    const edges = playAll(player);
+    expect(edges.map(e => e.t)).toEqual([0, 1000, 2000, 3000, 3300]);
+  });
+
+  test('repeats loop bodies and follows jumps', () => {
+    const player = new TapePlayer();
+    player.load(Loader.parseTZX(tzx(
+      [0x24, u16(3)],
+      [0x12, [...u16(500), ...u16(1)]],
+      [0x25, []],
+      [0x23, u16(2)],
+      [0x12, [...u16(9999), ...u16(1)]],
+      [0x12, [...u16(100), ...u16(1)]]
+    )));
+    const edges = playAll(player);
+    expect(edges.map(e => e.t)).toEqual([0, 500, 1000, 1500]);
+  });
+
+  test('plays call sequences and returns after the last call', () => {
+    const player = new TapePlayer();
+    player.load(Loader.parseTZX(tzx(
+      [0x26, [...u16(2), ...u16(3), ...u16(3)]],
+      [0x12, [...u16(100), ...u16(1)]],
+      [0x20, u16(0)],
+      [0x12, [...u16(200), ...u16(1)]],
+      [0x27, []]
+    )));
+    const reasons = [];
+    player.onStop = (reason) => reasons.push(reason);
+    const edges = playAll(player);
+    // called block twice, then the block after the call, then the stop
+    expect(edges.map(e => e.t)).toEqual([0, 200, 400]);
+    expect(reasons).toEqual(['pause']);
+    expect(player.getPosition()).toBe(3);
+  });
+
+  test('select blocks take the first entry unless onSelect picks another', () => {
+    const image = tzx(
+      [0x28, [...u16(13), 2, ...u16(2), ...text('One'), ...u16(1), ...text('Two')]],
+      [0x12, [...u16(100), ...u16(1)]],
+      [0x12, [...u16(300), ...u16(1)]]
+    );
+    const player = new TapePlayer();
+    player.load(Loader.parseTZX(image));
+    expect(playAll(player).map(e => e.t)).toEqual([0]);
+
+    const offered = [];
+    const chooser = new TapePlayer();
+    chooser.load(Loader.parseTZX(image));
+    chooser.onSelect = (options, index) => { offered.push(index, ...options.map(o => o.description)); return 1; };
+    expect(playAll(chooser).map(e => e.t)).toEqual([0, 100]);
+    expect(offered).toEqual([0, 'One', 'Two']);
+  });
+
+  test('the emulator offers a select block\'s entries as a tape-select event', async () => {
+    globalThis.window = globalThis.window || { addEventListener: () => {}, dispatchEvent: () => {} };
+    globalThis.document = globalThis.document || { getElementById: () => null };
+    globalThis.CustomEvent = globalThis.CustomEvent || class { constructor(type, init) { this.type = type; this.detail = init && init.detail; } };
+    const { Emulator } = await import('../../src/main.mjs');
+    const emu = new Emulator({ canvas: { width: 320, height: 240, style: {}, getContext: () => null }, statusEl: {} });
+    const events = [];
+    const prevDispatch = globalThis.window.dispatchEvent;
+    globalThis.window.dispatchEvent = (e) => { events.push(e); return true; };
+    try {
+      emu.tape.load(Loader.parseTZX(tzx(
+        [0x12, [...u16(100), ...u16(1)]],
+        [0x28, [...u16(8), 1, ...u16(1), ...text('Side A')]],
+        [0x12, [...u16(300), ...u16(1)]]
+      )));
+      playAll(emu.tape);
+    } finally {
+      globalThis.window.dispatchEvent = prevDispatch;
+    }
+    const select = events.find(e => e.type === 'tape-select');
+    expect(select.detail).toEqual({ block: 1, options: [{ block: 2, description: 'Side A' }] });
+  });
+
+  test('stop-if-48K only halts in 48K mode', () => {
+    const image = tzx([0x2a, u32(0)], [0x12, [...u16(100), ...u16(2)]]);
+    const player = new TapePlayer();
+    player.load(Loader.parseTZX(image));
+    expect(playAll(player)).toHaveLength(0);
+
+    player.load(Loader.parseTZX(image));
+    player.is48K = false;
+    expect(playAll(player)).toHaveLength(2);
+  });
+
+  test('direct recording follows the sampled levels', () => {
+    const player = new TapePlayer();
+    // 79 T-states per sample, bits 1100 1110 with 7 used bits
+    player.load(Loader.parseTZX(tzx([0x15, [...u16(79), ...u16(0), 7, ...u24(1), 0xce]])));
+    const edges = playAll(player);
+    expect(edges).toEqual([{ t: 0, level: 1 }, { t: 158, level: 0 }, { t: 316, level: 1 }]);
+  });
+
+  test('generalized data expands pilot and data symbols', () => {
+    // Pilot: symbol 0 (one 500T pulse) x2. Data: 1 bit per symbol, 0 -> 200T, 1 -> 400T
+    const body = [
+      ...u16(0),
+      ...u32(1), 1, 1,
+      ...u32(3), 1, 2,
+      0, ...u16(500),
+      0, ...u16(2),
+      0, ...u16(200),
+      0, ...u16(400),
+      0b10100000
+    ];
+    const player = new TapePlayer();
+    player.load(Loader.parseTZX(tzx([0x19, [...u32(body.length), ...body]])));
+    const edges = playAll(player);
+    expect(edges.map(e => e.t)).toEqual([0, 500, 1000, 1400, 1600]);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, test, expect, vi } from 'vitest';
+import { createMachine, keysForChar, SCREEN_WIDTH, SCREEN_HEIGHT } from '../../src/machine.mjs';
+import { Loader } from '../../src/loader.mjs';
+
+// No window/document stubs here: the headless machine must run in plain Node
+
+const PROG = 0x5ccb;
+
+function block(flag, bytes) {
+  const out = Uint8Array.from([flag, ...bytes, 0]);
+  out[out.length - 1] = out.subarray(0, -1).reduce((x, b) => x ^ b, 0);
+  return out;
+}
+
+// 10 STOP, as a BASIC program tape without auto-run
+function basicTape() {
+  const program = [0x00, 0x0a, 0x02, 0x00, 0xe2, 0x0d];
+  const name = Array.from('test      ', c => c.charCodeAt(0));
+  const header = [0x00, ...name, program.length, 0x00, 0x00, 0x80, program.length, 0x00];
+  return Loader.buildTAP([block(0x00, header), block(0xff, program)]);
+}
+
+// Pixels of the paper-white screen that are not white
+function inkPixels(rgba, fromLine, toLine) {
+  let n = 0;
+  for (let y = fromLine; y < toLine; y++) {
+    for (let x = 0; x < SCREEN_WIDTH; x++) if (rgba[(y * SCREEN_WIDTH + x) * 4] < 0x80) n++;
+  }
+  return n;
+}
+
+describe('Headless machine', () => {
+  test('boots the 48K ROM without DOM globals', async () => {
+    const machine = await createMachine({ model: '48k' });
+    expect(typeof window).toBe('undefined');
+    expect(machine.runFrames(120)).toBe(120);
+
+    const rgba = machine.getScreenRGBA();
+    expect(rgba.length).toBe(SCREEN_WIDTH * SCREEN_HEIGHT * 4);
+    // The copyright message sits on the bottom line of the 192-line display
+    expect(inkPixels(rgba, 24, 24 + 184)).toBe(0);
+    expect(inkPixels(rgba, 24 + 184, 24 + 192)).toBeGreaterThan(100);
+
+    const state = machine.getState();
+    expect(state).toMatchObject({ model: '48k', frames: 120, border: 7, paging: null, tape: { loaded: false, playing: false } });
+    expect(state.registers.IM).toBe(1);
+    expect(globalThis.__ZX_DEBUG__).toBeUndefined();
+    expect(globalThis.emu).toBeUndefined();
+  });
+
+  test('typing LOAD "" reads an inserted tape', async () => {
+    const machine = await createMachine();
+    machine.runFrames(120);
+    await machine.loadTape(basicTape(), { fileName: 'stop.tap' });
+    expect(machine.getState().tape.loaded).toBe(true);
+
+    expect(machine.typeText('j""\n')).toBe(4 * 11);
+    // Header and data pilot tones, a second's pause and the bytes
+    machine.runFrames(450);
+    expect(machine.getState().tape.playing).toBe(false);
+
+    const mem = machine.emulator.memory;
+    expect(Array.from({ length: 6 }, (_, i) => mem.peek(PROG + i))).toEqual([0x00, 0x0a, 0x02, 0x00, 0xe2, 0x0d]);
+    expect(machine.pressKey('nosuchkey')).toBe(false);
+    await expect(machine.loadTape(new Uint8Array(4), { fileName: 'x.rzx' })).rejects.toThrow(/could not be loaded/);
+  }, 30000);
+
+  test('runs to an address and on from it', async () => {
+    const machine = await createMachine();
+    // MAIN-EXEC, reached once the ROM has set up the system variables
+    expect(machine.runUntilPC(0x12a9, 100)).toBe(true);
+    expect(machine.getState().registers.PC).toBe(0x12a9);
+    const frames = machine.frames;
+    expect(machine.runFrames(2)).toBe(2);
+    expect(machine.frames).toBe(frames + 2);
+    expect(machine.runUntilPC(0x0000, 2)).toBe(false);
+    expect(() => machine.typeText('~')).toThrow(/no key types/);
+    expect(keysForChar('A')).toEqual(['shift', 'a']);
+    expect(keysForChar('"')).toEqual(['symshift', 'p']);
+  });
+
+  test('keeps the core\'s diagnostics off the console', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      for (const model of ['48k', 'pentagon']) {
+        const machine = await createMachine({ model });
+        machine.runFrames(20);
+        machine.typeText('1');
+        await machine.loadTape(basicTape(), { fileName: 'test.tap' });
+        machine.runFrames(5);
+        machine.getScreenRGBA();
+      }
+      expect(log).not.toHaveBeenCalled();
+    } finally {
+      log.mockRestore();
+    }
+  });
+
+  test('128K models run from a single 16K ROM', async () => {
+    const machine = await createMachine({ model: '128k' });
+    machine.runFrames(2);
+    expect(machine.getState().paging).toEqual({ port7FFD: 0, port1FFD: 0 });
+  });
+});
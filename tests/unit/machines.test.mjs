@@ -0,0 +1,161 @@
+import { describe, test, expect } from 'vitest';
+import { MACHINES, getMachine, listMachines } from '../../src/machines.mjs';
+import { Memory } from '../../src/memory.mjs';
+import { createMachine } from '../../src/machine.mjs';
+import { loadRom } from '../../src/romManager.mjs';
+
+describe('Machine profiles', () => {
+  test('every frame is a whole number of scanlines', () => {
+    for (const m of listMachines()) {
+      expect(m.linesPerFrame * m.tstatesPerLine, m.id).toBe(m.tstatesPerFrame);
+      // The first contended cycle falls a few T-states either side of the first pixel line
+      expect(Math.round(m.firstContended / m.tstatesPerLine), m.id).toBe(m.firstPixelLine);
+    }
+  });
+
+  test('models are looked up by id or alias', () => {
+    expect(getMachine('+3')).toBe(MACHINES.plus3);
+    expect(getMachine('128K').tstatesPerFrame).toBe(70908);
+    expect(getMachine().id).toBe('48k');
+    expect(() => getMachine('zx80')).toThrow(/unknown model "zx80"/);
+  });
+
+  test('Memory takes frame length and contention from the model', () => {
+    const mem128 = new Memory({ model: '128k' });
+    mem128._buildContentionTableIfNeeded();
+    expect(mem128._contentionTable.length).toBe(70908);
+    expect(Array.from(mem128._contentionTable.subarray(14361, 14363))).toEqual([0, 6]);
+    // The next line starts 228 T-states on
+    expect(mem128._contentionTable[14362 + 228]).toBe(6);
+
+    // A profile passed in overrides the memory map's own
+    const mem = new Memory({ model: '128k', timing: { ...MACHINES['128k'], contentionPattern: null } });
+    mem.writePort7FFD(0x01);
+    expect(mem._isContended(0xc000)).toBe(false);
+    expect(mem._isContended(0x4000)).toBe(false);
+  });
+});
+
+describe('Switching models', () => {
+  test('setModel rebuilds the core with the new timings', async () => {
+    const pcm = [];
+    const machine = await createMachine({ model: '48k', onSamples: (data) => pcm.push(data.length) });
+    const emu = machine.emulator;
+    machine.runFrames(1);
+    expect(pcm[0]).toBe(881);
+
+    const profile = await emu.setModel('plus2');
+    expect(profile.name).toBe('ZX Spectrum +2');
+    expect(emu.memory.hasPaging()).toBe(true);
+    expect(emu.memory._frameCycleCount).toBe(70908);
+    expect(emu.ula.tstatesPerFrame).toBe(70908);
+    expect(emu.ula.frameBuffer.tstatesPerLine).toBe(228);
+
+    const start = emu.cpu.tstates;
+    machine.runFrames(1);
+    expect(pcm[pcm.length - 1]).toBe(882);
+    // The frame is 70908 T-states; the last instruction may run a few over
+    expect(emu.cpu.tstates - start).toBeLessThan(24);
+
+    await expect(emu.setModel('pentagon48')).rejects.toThrow(/unknown model/);
+  }, 30000);
+
+  test('the +3 has no floating bus and no I/O contention', async () => {
+    const machine = await createMachine({ model: 'plus3' });
+    const emu = machine.emulator;
+    // Written before placing the clock: the write itself is contended
+    emu.memory.write(0x4000 | (10 & 0x07) << 8 | (10 & 0x38) << 2, 0x5a);
+    emu.cpu.frameStartTstates = 0;
+    emu.cpu.tstates = 14366 + 228 * 10; // bitmap fetch of display line 10
+    expect(emu._readFloatingBus()).toBe(0xff);
+    emu.cpu.tstates = 14366;
+    emu._applyIOContention(0x40fe);
+    expect(emu.cpu.tstates).toBe(14366);
+
+    await emu.setModel('48k');
+    emu.memory.write(0x4000 | (10 & 0x07) << 8 | (10 & 0x38) << 2, 0x5a);
+    emu.cpu.frameStartTstates = 0;
+    emu.cpu.tstates = 14336 + 224 * 10;
+    expect(emu._readFloatingBus()).toBe(0x5a);
+  }, 30000);
+
+  test('ROM selector entries name their model, and choosing one rebuilds the machine', async () => {
+    const data = await loadRom('spec16');
+    expect(data.metadata.model).toBe('16k');
+    expect(data.rom.length).toBe(16384);
+
+    const machine = await createMachine({ model: '48k' });
+    const emu = machine.emulator;
+    await emu.selectRom('spec16');
+    expect(emu.model).toBe('16k');
+    expect(emu.memory.model).toBe('16k');
+    await emu.selectRom('spec128');
+    expect(emu.profile).toBe(MACHINES['128k']);
+    expect(emu.memory.hasPaging()).toBe(true);
+  }, 30000);
+});
+
+describe('Pentagon 128', () => {
+  test('uses the 128K banking with no contention, no paging lock and a TR-DOS slot', () => {
+    const mem = new Memory({ model: 'pentagon' });
+    expect(mem.hasPaging()).toBe(true);
+    expect(mem._isContended(0x4000)).toBe(false);
+    mem._buildContentionTableIfNeeded();
+    expect(mem._contentionTable.length).toBe(71680);
+    expect(mem._contentionTable.every(v => v === 0)).toBe(true);
+
+    // Bit 5 does not lock paging, as it does on the 128K
+    expect(mem.writePort7FFD(0x21)).toBe(true);
+    expect(mem.writePort7FFD(0x03)).toBe(true);
+    expect(mem._pageBanks[3]).toBe(3);
+    const mem128 = new Memory({ model: '128k' });
+    mem128.writePort7FFD(0x21);
+    expect(mem128.writePort7FFD(0x03)).toBe(false);
+
+    const trdos = new Uint8Array(16384).fill(0xc9);
+    const rom0 = mem.pages[0];
+    expect(mem.loadTRDOSROM(trdos)).toBe(true);
+    expect(mem.romBanks[Memory.TRDOS_ROM_BANK][0]).toBe(0xc9);
+    expect(mem.pages[0]).toBe(rom0);
+    expect(mem128.loadTRDOSROM(trdos)).toBe(false);
+  });
+
+  test('a 48K ROM image fills the editor, BASIC and TR-DOS banks', () => {
+    const image = new Uint8Array(3 * 16384);
+    image.fill(1, 0, 16384);
+    image.fill(2, 16384, 32768);
+    image.fill(3, 32768);
+    const mem = new Memory({ model: 'pentagon', romBuffer: image });
+    expect([mem.read(0), mem.romBanks[1][0], mem.romBanks[Memory.TRDOS_ROM_BANK][0]]).toEqual([1, 2, 3]);
+  });
+
+  test('runs 71680 T-state frames at 3.5 MHz without I/O contention', async () => {
+    const pcm = [];
+    const machine = await createMachine({ model: 'pentagon', onSamples: (data) => pcm.push(data.length) });
+    const emu = machine.emulator;
+    expect(emu.profile.name).toBe('Pentagon 128');
+    expect(emu.ula.tstatesPerFrame).toBe(71680);
+    expect(emu.ula.frameBuffer.linesPerFrame).toBe(320);
+    expect(emu.ula.frameBuffer.firstPixelLine).toBe(80);
+    expect(emu._frameMs()).toBeCloseTo(20.48);
+
+    machine.runFrames(1);
+    expect(pcm[0]).toBe(904); // 44100 Hz × 71680 / 3.5 MHz, rounded up
+
+    emu.cpu.frameStartTstates = 0;
+    emu.cpu.tstates = 17988;
+    emu._applyIOContention(0x40fe);
+    emu.memory.read(0x4000);
+    expect(emu.cpu.tstates).toBe(17988);
+    expect(emu._readFloatingBus()).toBe(0xff);
+  }, 30000);
+
+  test('is selectable from the ROM manager', async () => {
+    const data = await loadRom('pentagon');
+    expect(data.metadata.model).toBe('pentagon');
+    const machine = await createMachine({ model: '48k' });
+    await machine.emulator.selectRom('pentagon');
+    expect(machine.emulator.profile).toBe(MACHINES.pentagon);
+    expect(machine.emulator.memory.hasTRDOS()).toBe(true);
+  }, 30000);
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { Memory } from '../../src/memory.mjs';
+import { FrameBuffer } from '../../src/frameBuffer.mjs';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+function make128() {
+  const rom = new Uint8Array(0x8000);
+  rom[0x0000] = 0x11; // ROM 0 marker
+  rom[0x4000] = 0x22; // ROM 1 marker
+  return new Memory({ model: '128k', romBuffer: rom, contention: false });
+}
+
+describe('128K paging via port 0x7FFD', () => {
+  it('powers up with ROM 0 and banks 5/2/0 mapped', () => {
+    const mem = make128();
+    expect(mem.hasPaging()).toBe(true);
+    expect(mem.read(0x0000)).toBe(0x11);
+    expect(mem.pages[1]).toBe(mem.ramBanks[5]);
+    expect(mem.pages[2]).toBe(mem.ramBanks[2]);
+    expect(mem.pages[3]).toBe(mem.ramBanks[0]);
+  });
+
+  it('pages the selected RAM bank at 0xC000 and switches ROM', () => {
+    const mem = make128();
+    for (let bank = 0; bank < 8; bank++) {
+      mem.writePort7FFD(bank);
+      mem.write(0xC000, 0x80 | bank);
+    }
+    for (let bank = 0; bank < 8; bank++) expect(mem.ramBanks[bank][0]).toBe(0x80 | bank);
+
+    mem.writePort7FFD(0x10);
+    expect(mem.currentRom).toBe(1);
+    expect(mem.read(0x0000)).toBe(0x22);
+  });
+
+  it('ignores further writes once the lock bit is set until reset', () => {
+    const mem = make128();
+    mem.writePort7FFD(0x20 | 0x03);
+    expect(mem.pagingLocked).toBe(true);
+    expect(mem.writePort7FFD(0x04)).toBe(false);
+    expect(mem.pages[3]).toBe(mem.ramBanks[3]);
+
+    mem.reset();
+    expect(mem.pagingLocked).toBe(false);
+    expect(mem.pages[3]).toBe(mem.ramBanks[0]);
+    expect(mem.writePort7FFD(0x04)).toBe(true);
+  });
+
+  it('is a no-op on the 48K model', () => {
+    const mem = new Memory({ model: '48k' });
+    expect(mem.hasPaging()).toBe(false);
+    expect(mem.writePort7FFD(0x07)).toBe(false);
+    expect(mem.pages[3]).toBe(mem.ramBanks[2]);
+  });
+
+  it('treats odd banks at 0xC000 as contended', () => {
+    const mem = new Memory({ model: '128k' });
+    expect(mem._isContended(0xC000)).toBe(false);
+    mem.writePort7FFD(0x03);
+    expect(mem._isContended(0xC000)).toBe(true);
+    expect(mem._isContended(0x8000)).toBe(false);
+  });
+
+  it('FrameBuffer renders the shadow screen from bank 7 even when paged out', () => {
+    const mem = make128();
+    mem.ramBanks[5].fill(0x00, 0, 0x1800);
+    mem.ramBanks[7].fill(0xFF, 0, 0x1800);
+    mem.ramBanks[7].fill(0x07, 0x1800, 0x1B00);
+
+    mem.writePort7FFD(0x08); // shadow screen on, bank 0 at 0xC000
+    expect(mem.getScreenPage()).toBe(mem.ramBanks[7]);
+    expect(mem.exportScreenBitmap()[0]).toBe(0xFF);
+    expect(mem.getAttributeView()[0]).toBe(0x07);
+
+    const fb = new FrameBuffer();
+    fb.attach(mem);
+    fb.generateFromMemory();
+    const buf = fb.getBuffer();
+    // first main-screen line starts after the top border; bitmap byte follows its attribute
+    const topBorderBytes = 24 * 160;
+    const firstBitmap = buf[topBorderBytes + 16];
+    expect(firstBitmap).toBe(0xFF);
+  });
+});
+
+describe('Emulator IO adapter routes 0x7FFD writes', () => {
+  it('decodes A15=0/A1=0 ports as the paging register', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const canvasStub = {
+      width: 320, height: 240, style: {},
+      getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+      toDataURL: () => ''
+    };
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {}, model: '128k' });
+    await emu._createCore(null);
+    expect(emu.memory.hasPaging()).toBe(true);
+
+    emu.cpu.io.write(0x7FFD, 0x06, 0);
+    expect(emu.memory.pages[3]).toBe(emu.memory.ramBanks[6]);
+
+    // A1 set: not the paging port
+    emu.cpu.io.write(0x7FFF, 0x01, 0);
+    expect(emu.memory.pages[3]).toBe(emu.memory.ramBanks[6]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { Memory } from '../../src/memory.mjs';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+function makePlus3() {
+  const rom = new Uint8Array(0x10000);
+  for (let i = 0; i < 4; i++) rom[i * 0x4000] = 0xA0 + i; // ROM markers
+  return new Memory({ model: 'plus3', romBuffer: rom, contention: false });
+}
+
+describe('+2A/+3 paging via port 0x1FFD', () => {
+  it('loads the four 16K ROMs and selects them with 0x1FFD bit 2 and 0x7FFD bit 4', () => {
+    const mem = makePlus3();
+    expect(mem.isPlus3()).toBe(true);
+    expect(mem.read(0x0000)).toBe(0xA0);
+
+    mem.writePort7FFD(0x10);
+    expect(mem.read(0x0000)).toBe(0xA1);
+    mem.writePort1FFD(0x04);
+    expect(mem.read(0x0000)).toBe(0xA3);
+    mem.writePort7FFD(0x00);
+    expect(mem.read(0x0000)).toBe(0xA2);
+  });
+
+  it('maps each special all-RAM configuration', () => {
+    const mem = makePlus3();
+    const configs = [[0, 1, 2, 3], [4, 5, 6, 7], [4, 5, 6, 3], [4, 7, 6, 3]];
+    configs.forEach((banks, cfg) => {
+      mem.writePort1FFD(0x01 | (cfg << 1));
+      expect(mem.specialPaging).toBe(true);
+      for (let page = 0; page < 4; page++) expect(mem.pages[page]).toBe(mem.ramBanks[banks[page]]);
+    });
+  });
+
+  it('allows writes at 0x0000 in all-RAM mode and restores ROM afterwards', () => {
+    const mem = makePlus3();
+    mem.writePort1FFD(0x01); // banks 0-1-2-3
+    expect(mem.write(0x0010, 0x5A)).toBe(true);
+    expect(mem.ramBanks[0][0x0010]).toBe(0x5A);
+
+    mem.writePort1FFD(0x00);
+    expect(mem.specialPaging).toBe(false);
+    expect(mem.read(0x0000)).toBe(0xA0);
+    expect(mem.write(0x0010, 0x11)).toBe(false);
+    expect(mem.pages[1]).toBe(mem.ramBanks[5]);
+  });
+
+  it('honours the 0x7FFD lock bit for 0x1FFD writes', () => {
+    const mem = makePlus3();
+    mem.writePort7FFD(0x20);
+    expect(mem.writePort1FFD(0x01)).toBe(false);
+    expect(mem.specialPaging).toBe(false);
+  });
+
+  it('contends banks 4-7 with the +3 pattern', () => {
+    const mem = new Memory({ model: 'plus3' });
+    expect(mem._isContended(0x4000)).toBe(true); // bank 5
+    mem.writePort7FFD(0x03);
+    expect(mem._isContended(0xC000)).toBe(false);
+    mem.writePort7FFD(0x04);
+    expect(mem._isContended(0xC000)).toBe(true);
+
+    mem._buildContentionTableIfNeeded();
+    const t0 = mem._firstContended;
+    expect(Array.from(mem._contentionTable.subarray(t0, t0 + 8))).toEqual([1, 0, 7, 6, 5, 4, 3, 2]);
+  });
+
+  it('routes 0x1FFD and 0x7FFD writes through the Emulator IO adapter', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const canvasStub = {
+      width: 320, height: 240, style: {},
+      getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+      toDataURL: () => ''
+    };
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {}, model: 'plus3' });
+    await emu._createCore(null);
+
+    emu.cpu.io.write(0x1FFD, 0x03, 0);
+    expect(emu.memory.pages[0]).toBe(emu.memory.ramBanks[4]);
+    emu.cpu.io.write(0x1FFD, 0x00, 0);
+
+    // A14 low: not decoded as 0x7FFD on the +3
+    emu.cpu.io.write(0x3FFD, 0x07, 0);
+    expect(emu.memory.pages[3]).toBe(emu.memory.ramBanks[0]);
+    emu.cpu.io.write(0x7FFD, 0x07, 0);
+    expect(emu.memory.pages[3]).toBe(emu.memory.ramBanks[7]);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, test, expect } from 'vitest';
+import { RewindBuffer } from '../../src/rewind.mjs';
+import Input from '../../src/input.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const canvasStub = {
+  width: 320, height: 240, style: {},
+  getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+  toDataURL: () => ''
+};
+
+// 8000 LD A,0 / 8002 INC A / 8003 LD (9000h),A / 8006 LD B,A / 8007 JR 8002h
+const PROGRAM = [0x3e, 0x00, 0x3c, 0x32, 0x00, 0x90, 0x47, 0x18, 0xf9];
+
+async function makeEmulator(opts = {}) {
+  const { Emulator } = await import('../../src/main.mjs');
+  const emu = new Emulator({ canvas: canvasStub, statusEl: {}, ...opts });
+  await emu._createCore(ROM_DATA.bytes);
+  PROGRAM.forEach((b, i) => emu.memory.write(0x8000 + i, b));
+  emu.cpu.IFF1 = false;
+  emu.cpu.intRequested = false;
+  emu.cpu.SP = 0xff00;
+  emu.cpu.PC = 0x8000;
+  return emu;
+}
+
+// A machine state as captured by the emulator, with three 16K banks
+function state(tag, fill = 0) {
+  const banks = [0, 1, 2].map(() => new Uint8Array(16384).fill(fill));
+  banks[2][0] = tag;
+  return { count: tag, registers: { PC: tag }, cpu: {}, memory: { banks, port7FFD: 0, port1FFD: 0, pagingLocked: false }, ay: null, frameInProgress: false };
+}
+
+describe('RewindBuffer', () => {
+  test('packs keyframes and gives them back newest first', () => {
+    const rb = new RewindBuffer();
+    const noisy = state(1);
+    for (let i = 0; i < 16384; i++) noisy.memory.banks[0][i] = (i * 7) & 0xff;
+    rb.push(noisy);
+    rb.push(state(2));
+    expect(rb.length).toBe(2);
+    const newest = rb.pop();
+    expect(newest.count).toBe(2);
+    expect(newest.memory.banks[2][0]).toBe(2);
+    expect(newest.memory.banks[1]).toEqual(new Uint8Array(16384));
+    expect(rb.pop().memory.banks[0][100]).toBe((100 * 7) & 0xff);
+    expect(rb.pop()).toBeNull();
+    expect(rb.bytes).toBe(0);
+  });
+
+  test('banks that did not change share the previous packed copy', () => {
+    const rb = new RewindBuffer();
+    const first = state(1, 0x55);
+    rb.push(first);
+    const after1 = rb.bytes;
+    const second = state(1, 0x55);
+    second.memory.banks[2][5] = 9;
+    rb.push(second);
+    expect(rb.keyframes[1].banks[0]).toBe(rb.keyframes[0].banks[0]);
+    expect(rb.keyframes[1].banks[2]).not.toBe(rb.keyframes[0].banks[2]);
+    expect(rb.bytes - after1).toBeLessThan(after1);
+  });
+
+  test('keeps to its time limit and memory budget', () => {
+    const rb = new RewindBuffer({ seconds: 1, interval: 10 });
+    for (let i = 1; i <= 8; i++) rb.push(state(i, i));
+    expect(rb.length).toBe(5);
+    expect(rb.secondsAvailable).toBe(1);
+    expect(rb.keyframes[0].state.count).toBe(4);
+
+    // About 1K per keyframe here
+    const small = new RewindBuffer({ budget: 2500 });
+    for (let i = 1; i <= 8; i++) small.push(state(i, i));
+    expect(small.length).toBe(2);
+    expect(small.bytes).toBeLessThanOrEqual(2500);
+    expect(small.pop().count).toBe(8);
+
+    // Shared banks are handed on when the keyframe owning them is dropped
+    const shared = new RewindBuffer({ seconds: 0.04, interval: 1 });
+    for (let i = 0; i < 4; i++) shared.push(state(7, 7));
+    expect(shared.length).toBe(2);
+    expect(shared.bytes).toBe(shared.keyframes[0].bytes + shared.keyframes[1].bytes);
+    expect(shared.keyframes[0].bytes).toBeGreaterThan(shared.keyframes[1].bytes);
+  });
+
+  test('endFrame captures every interval frames', () => {
+    const rb = new RewindBuffer({ interval: 3 });
+    let captures = 0;
+    const capture = () => state(++captures);
+    const taken = [];
+    for (let f = 0; f < 7; f++) taken.push(rb.endFrame(capture));
+    expect(taken).toEqual([false, false, true, false, false, true, false]);
+    expect(captures).toBe(2);
+    rb.enabled = false;
+    for (let f = 0; f < 6; f++) rb.endFrame(capture);
+    expect(captures).toBe(2);
+  });
+});
+
+describe('Emulator rewind', () => {
+  test('holding rewind steps back through keyframes with the sound muted', async () => {
+    const emu = await makeEmulator({ rewind: { interval: 2 } });
+    const counts = [];
+    const values = [];
+    for (let f = 1; f <= 6; f++) {
+      emu._processFrame();
+      if (f % 2 === 0) {
+        counts.push(emu.cpu.instructionCount);
+        values.push(emu.memory.peek(0x9000));
+      }
+    }
+    expect(emu.rewind.length).toBe(3);
+
+    emu.setRewinding(true);
+    expect(emu.sound.isMuted()).toBe(true);
+    emu._processFrame();
+    expect(emu.cpu.instructionCount).toBe(counts[2]);
+    emu._processFrame();
+    expect(emu.cpu.instructionCount).toBe(counts[1]);
+    expect(emu.memory.peek(0x9000)).toBe(values[1]);
+    expect(emu.cpu.A).toBe(values[1]);
+
+    emu.setRewinding(false);
+    expect(emu.sound.isMuted()).toBe(false);
+    emu._processFrame();
+    emu._processFrame();
+    expect(emu.cpu.instructionCount).toBe(counts[2]);
+    expect(emu.rewind.length).toBe(2);
+  });
+
+  test('the rewind key reports press and release once', () => {
+    const input = new Input();
+    const seen = [];
+    input.onRewind = (held) => seen.push(held);
+    const event = (code) => ({ code, key: '\\', target: null, preventDefault() {} });
+    input._keydown(event('Backslash'));
+    input._keydown(event('Backslash'));
+    input._keyup(event('Backslash'));
+    expect(seen).toEqual([true, false]);
+    expect(input.pressed.size).toBe(0);
+  });
+});
@@ -0,0 +1,150 @@
+import { describe, test, expect } from 'vitest';
+import { deflateSync } from 'node:zlib';
+import { parseRZX, buildRZX, RzxPlayer } from '../../src/rzx.mjs';
+import { Loader } from '../../src/loader.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const canvasStub = {
+  width: 320, height: 240, style: {},
+  getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+  toDataURL: () => ''
+};
+
+// 8000 EI / 8001 LD A,FDh / 8003 IN A,(FEh) / 8005 LD (HL),A / 8006 INC L
+// 8007 IN A,(1Fh) / 8009 LD (HL),A / 800A INC L / 800B JR 8000h
+const PROGRAM = [0xfb, 0x3e, 0xfd, 0xdb, 0xfe, 0x77, 0x2c, 0xdb, 0x1f, 0x77, 0x2c, 0x18, 0xf3];
+
+async function makeEmulator() {
+  const { Emulator } = await import('../../src/main.mjs');
+  const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+  await emu._createCore(ROM_DATA.bytes);
+  PROGRAM.forEach((b, i) => emu.memory.write(0x8000 + i, b));
+  emu.cpu.IFF1 = false;
+  emu.cpu.intRequested = false;
+  emu.cpu.IM = 1;
+  emu.cpu.IY = 0x5c3a;
+  emu.cpu.SP = 0xff00;
+  emu.cpu._setHL(0x9000);
+  emu.cpu.PC = 0x8000;
+  emu.kempston = true;
+  return emu;
+}
+
+const u8 = (...bytes) => Uint8Array.from(bytes);
+const le32 = (v) => [v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff, (v >>> 24) & 0xff];
+
+function rzxBlock(id, body) {
+  return [id, ...le32(body.length + 5), ...body];
+}
+
+describe('RZX files', () => {
+  test('written recordings parse back, repeated inputs included', () => {
+    const frames = [
+      { fetches: 0, inputs: u8() },
+      { fetches: 17000, inputs: u8(0xbf, 0xff) },
+      { fetches: 16000, inputs: u8(0xbf, 0xff) },
+      { fetches: 300, inputs: u8() },
+      { fetches: 12, inputs: u8() }
+    ];
+    const file = buildRZX({ snapshotFile: { ext: 'szx', data: u8(1, 2, 3) }, tstates: 8, frames });
+    // The third frame is stored as a repeat of the second
+    expect(file.length).toBe(10 + 29 + 20 + 18 + 5 * 4 + 2);
+    const rzx = parseRZX(file.buffer);
+    expect(rzx).toMatchObject({ type: 'rzx', version: '0.13', creator: 'zxspeccjs 0.0', tstates: 8 });
+    expect(rzx.snapshotFile).toEqual({ ext: 'szx', data: u8(1, 2, 3) });
+    expect(rzx.frames).toEqual(frames);
+    expect(Loader.parseByExtension(file.buffer, 'run.rzx').frames.length).toBe(5);
+    expect(() => parseRZX(u8(1, 2, 3, 4, 5, 6, 7, 8, 9, 10))).toThrow(/not an RZX file/);
+  });
+
+  test('zlib-compressed snapshot and input recording blocks', () => {
+    const snapshot = new Uint8Array(300).fill(0x55);
+    const frames = [0x10, 0x00, 0x02, 0x00, 0xaa, 0xbb, 0x20, 0x00, 0xff, 0xff];
+    const bytes = [
+      ...'RZX!'.split('').map(c => c.charCodeAt(0)), 0, 13, 0, 0, 0, 0,
+      ...rzxBlock(0x30, [...le32(2), 0x7a, 0x38, 0x30, 0x00, ...le32(snapshot.length), ...deflateSync(snapshot)]),
+      ...rzxBlock(0x80, [...le32(2), 0, ...le32(1234), ...le32(2), ...deflateSync(u8(...frames))])
+    ];
+    const rzx = parseRZX(u8(...bytes));
+    expect(rzx.snapshotFile.ext).toBe('z80');
+    expect(rzx.snapshotFile.data).toEqual(snapshot);
+    expect(rzx.tstates).toBe(1234);
+    expect(rzx.frames).toEqual([{ fetches: 16, inputs: u8(0xaa, 0xbb) }, { fetches: 32, inputs: u8(0xaa, 0xbb) }]);
+  });
+
+  test('the player counts IN instructions the recording did not cover', () => {
+    const player = new RzxPlayer([{ fetches: 5, inputs: u8(1, 2) }, { fetches: 5, inputs: u8(3) }]);
+    player.nextFrame();
+    expect([player.read(), player.read(), player.read()]).toEqual([1, 2, 0xff]);
+    player.nextFrame();
+    expect(player.finished).toBe(true);
+    expect(player.nextFrame()).toBeNull();
+    expect(player.desyncs).toBe(2);
+  });
+});
+
+describe('Emulator RZX', () => {
+  test('a recording replays the same session without the original input', async () => {
+    const emu = await makeEmulator();
+    emu._processFrame();
+    emu.startRZXRecording();
+    for (let f = 0; f < 8; f++) {
+      if (f === 2) emu.input.pressKey('a');
+      if (f === 5) emu.input.releaseKey('a');
+      emu.input.kempstonState = f;
+      emu._processFrame();
+    }
+    const file = emu.stopRZXRecording();
+    expect(emu.rzxRecorder).toBeNull();
+    const recorded = { PC: emu.cpu.PC, HL: emu.cpu._getHL(), R: emu.cpu.R, tstates: emu.cpu.tstates };
+    const ram = Array.from({ length: 256 }, (_, i) => emu.memory.peek(0x9000 + i));
+
+    // The first frame ends at once with the interrupt of the next live frame
+    const rzx = parseRZX(file);
+    expect(rzx.snapshotFile.ext).toBe('szx');
+    expect(rzx.frames.length).toBe(9);
+    expect(rzx.frames[0].fetches).toBe(0);
+    expect(rzx.frames[4].inputs).toContain(3);
+    expect(rzx.frames[4].inputs.some(v => (v & 0x1f) === 0x1e)).toBe(true);   // A held down
+    expect(rzx.frames[7].inputs.some(v => (v & 0x1f) === 0x1e)).toBe(false);
+
+    const replay = await makeEmulator();
+    for (let i = 0; i < 0x100; i++) replay.memory.write(0x9000 + i, 0);
+    expect(await replay.playRZX(file, { autoStart: false })).toBe(true);
+    expect(replay.rzxPlayer).not.toBeNull();
+    // The recording starts part way into a frame that began at T-state 0
+    expect(rzx.tstates).toBeGreaterThan(0);
+    expect([replay.cpu.tstates, replay.cpu.frameStartTstates]).toEqual([rzx.tstates, 0]);
+    for (let f = 0; f < rzx.frames.length; f++) replay._processFrame();
+    expect(replay.rzxPlayer.desyncs).toBe(0);
+    expect({ PC: replay.cpu.PC, HL: replay.cpu._getHL(), R: replay.cpu.R, tstates: replay.cpu.tstates }).toEqual(recorded);
+    expect(Array.from({ length: 256 }, (_, i) => replay.memory.peek(0x9000 + i))).toEqual(ram);
+
+    // Past the end the machine runs on live
+    replay._processFrame();
+    expect(replay.rzxPlayer).toBeNull();
+  });
+
+  test('stepping back is refused while recording; checkpoints keep the fetch counter', async () => {
+    const emu = await makeEmulator();
+    emu._processFrame();
+    emu.startRZXRecording();
+    for (let f = 0; f < 3; f++) emu._processFrame();
+    emu.cpu.step();
+    const inputs = emu.rzxRecorder._inputs.length;
+    const fetches = emu.cpu.fetchCount;
+    for (let i = 0; i < 20; i++) expect(emu.debugStepBack()).toBe(false);
+    expect(emu.debugBackToWrite(0x9000)).toBe(false);
+    expect(emu.rzxRecorder._inputs).toHaveLength(inputs);
+    expect(emu.cpu.fetchCount).toBe(fetches);
+
+    const file = emu.stopRZXRecording();
+    expect(emu.debugStepBack()).toBe(true);
+    expect(emu.cpu.fetchCount).toBe(fetches - 1);
+    expect(parseRZX(file).frames.length).toBe(4);
+  });
+});
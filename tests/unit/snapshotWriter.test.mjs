@@ -0,0 +1,201 @@
+import { describe, test, expect } from 'vitest';
+import { Loader } from '../../src/loader.mjs';
+import { buildZ80, buildSNA, buildSZX, buildSnapshot } from '../../src/snapshotWriter.mjs';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const PAGE = 16384;
+
+const REGISTERS = {
+  A: 0x12, F: 0x34, B: 0x56, C: 0x78, D: 0x9a, E: 0xbc, H: 0xde, L: 0xf0,
+  A2: 0x01, F2: 0x02, B2: 0x03, C2: 0x04, D2: 0x05, E2: 0x06, H2: 0x07, L2: 0x08,
+  IX: 0x1234, IY: 0x5c3a, SP: 0xff40, PC: 0x8765, I: 0x3f, R: 0xc5,
+  IFF1: true, IFF2: true, IM: 2, borderColor: 5
+};
+
+function patternedPage(seed) {
+  const page = new Uint8Array(PAGE);
+  for (let i = 0; i < PAGE; i++) page[i] = (i >> 6) % 7 === 0 ? 0 : (i * seed + (i >> 8)) & 0xff;
+  page.fill(0xed, 100, 103);
+  return page;
+}
+
+function state48() {
+  const ram = new Uint8Array(3 * PAGE);
+  for (let p = 0; p < 3; p++) ram.set(patternedPage(p + 3), p * PAGE);
+  return { machine: '48k', registers: { ...REGISTERS }, ram, banks: null, port7FFD: 0, port1FFD: 0, ay: null, halted: false, eiPending: false, tstates: 0 };
+}
+
+function state128(port7FFD = 0x14) {
+  const banks = Array.from({ length: 8 }, (_, b) => patternedPage(b + 11));
+  const paged = port7FFD & 7;
+  const ram = new Uint8Array(3 * PAGE);
+  ram.set(banks[5], 0); ram.set(banks[2], PAGE); ram.set(banks[paged], 2 * PAGE);
+  const ay = { registers: [1, 2, 3, 4, 5, 6, 7, 0x38, 9, 10, 11, 12, 13, 14, 15, 16], selected: 7 };
+  return { machine: '128k', registers: { ...REGISTERS }, ram, banks, port7FFD, port1FFD: 0, ay, halted: false, eiPending: false, tstates: 0 };
+}
+
+describe('Loader._z80Compress', () => {
+  test('round-trips through _z80Decompress', () => {
+    const cases = [
+      new Uint8Array(PAGE),
+      patternedPage(7),
+      Uint8Array.from([0xed, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0xed, 0xed, 0x01, 0xed]),
+      new Uint8Array(1000).fill(0xed)
+    ];
+    for (const data of cases) {
+      const packed = Loader._z80Compress(data);
+      expect(Array.from(Loader._z80Decompress(packed, data.length))).toEqual(Array.from(data));
+    }
+  });
+
+  test('encodes long runs as ED ED blocks', () => {
+    expect(Array.from(Loader._z80Compress(new Uint8Array(6).fill(7)))).toEqual([0xed, 0xed, 6, 7]);
+    expect(Array.from(Loader._z80Compress(Uint8Array.from([0xed, 0xed])))).toEqual([0xed, 0xed, 2, 0xed]);
+    // the byte after a lone ED is literal, even when it starts a run
+    expect(Array.from(Loader._z80Compress(Uint8Array.from([0xed, 1, 1, 1, 1, 1, 1])))).toEqual([0xed, 1, 0xed, 0xed, 5, 1]);
+  });
+});
+
+describe('snapshot writers', () => {
+  test('.z80 v3 48K round-trips registers and RAM', () => {
+    const state = state48();
+    const { snapshot } = Loader.parseZ80(buildZ80(state).buffer);
+    expect(snapshot.version).toBe(3);
+    expect(snapshot.hwMode).toBe(0);
+    expect(snapshot.registers).toMatchObject(REGISTERS);
+    expect(Array.from(snapshot.ram)).toEqual(Array.from(state.ram));
+    expect(snapshot.banks).toBeUndefined();
+  });
+
+  test('.z80 v3 128K round-trips banks, 0x7FFD and AY registers', () => {
+    const state = state128();
+    const { snapshot } = Loader.parseZ80(buildZ80(state).buffer);
+    expect(snapshot.hwMode).toBe(4);
+    expect(snapshot.machine).toBe('128k');
+    expect(snapshot.port7FFD).toBe(0x14);
+    expect(snapshot.ay).toEqual(state.ay);
+    snapshot.banks.forEach((bank, b) => expect(Array.from(bank)).toEqual(Array.from(state.banks[b])));
+  });
+
+  test('.z80 stores the T-state counter that parseZ80 reads back', () => {
+    const state = state128();
+    state.tstates = 30000;
+    expect(Loader.parseZ80(buildZ80(state).buffer).snapshot.tstates).toBe(30000);
+  });
+
+  test('a Pentagon saves as .z80 hardware mode 9 and .szx machine id 7', () => {
+    const state = { ...state128(), machine: 'pentagon', tstates: 71000, frameLength: 71680 };
+    const z80 = Loader.parseZ80(buildZ80(state).buffer).snapshot;
+    expect([z80.hwMode, z80.machine, z80.tstates]).toEqual([9, 'pentagon', 71000]);
+    const file = buildSZX(state);
+    expect(file[6]).toBe(7);
+    expect(Loader.parseSZX(file.buffer).snapshot.machine).toBe('pentagon');
+  });
+
+  test('.sna 48K pushes PC onto the stack copy', () => {
+    const state = state48();
+    const file = buildSNA(state);
+    expect(file.length).toBe(49179);
+    const { snapshot } = Loader.parseSNA(file.buffer);
+    expect(snapshot.registers).toMatchObject({ ...REGISTERS });
+    // the live state is untouched; only the saved image holds the pushed PC
+    expect(state.ram[REGISTERS.SP - 2 - 0x4000]).not.toBe(REGISTERS.PC & 0xff);
+  });
+
+  test('.sna 128K round-trips banks and 0x7FFD', () => {
+    const state = state128(0x02);
+    const file = buildSNA(state);
+    expect(file.length).toBe(147487);
+    const { snapshot } = Loader.parseSNA(file.buffer);
+    expect(snapshot.port7FFD).toBe(0x02);
+    expect(snapshot.registers.PC).toBe(REGISTERS.PC);
+    snapshot.banks.forEach((bank, b) => expect(Array.from(bank)).toEqual(Array.from(state.banks[b])));
+  });
+
+  test('.szx has the ZXST header and the expected chunks', () => {
+    const file = buildSZX(state128());
+    expect(String.fromCharCode(...file.subarray(0, 4))).toBe('ZXST');
+    expect(file[6]).toBe(2); // 128K machine id
+    const dv = new DataView(file.buffer);
+    const ids = [];
+    let pos = 8;
+    while (pos < file.length) {
+      ids.push(String.fromCharCode(...file.subarray(pos, pos + 4)).replace(/\0/g, ''));
+      pos += 8 + dv.getUint32(pos + 4, true);
+    }
+    expect(pos).toBe(file.length);
+    expect(ids).toEqual(['CRTR', 'Z80R', 'SPCR', 'AY', 'RAMP', 'RAMP', 'RAMP', 'RAMP', 'RAMP', 'RAMP', 'RAMP', 'RAMP']);
+    // Z80R: PC at offset 22 of the chunk body
+    expect(dv.getUint16(8 + 44 + 8 + 22, true)).toBe(REGISTERS.PC);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(() => buildSnapshot(state48(), 'tap')).toThrow();
+  });
+});
+
+describe('Emulator.saveSnapshot', () => {
+  const canvasStub = {
+    width: 320, height: 240, style: {},
+    getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+    toDataURL: () => ''
+  };
+
+  test('saves a 128K machine that restores into a fresh emulator', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const src = new Emulator({ canvas: canvasStub, statusEl: {}, model: '128k' });
+    await src._createCore(null);
+    src.memory.writePort7FFD(0x1b); // bank 3, shadow screen, ROM 1
+    src.memory.ramBanks[3].fill(0x33);
+    src.memory.ramBanks[7][10] = 0x77;
+    src.cpu.PC = 0x6000;
+    src.cpu.IX = 0xbeef;
+    src.cpu.A_ = 0x42;
+    src.ula.border = 2;
+
+    for (const format of ['z80', 'sna']) {
+      const bytes = src.saveSnapshot(format);
+      const dst = new Emulator({ canvas: canvasStub, statusEl: {} });
+      await dst._createCore(null);
+      await dst.applySnapshot(Loader.parseByExtension(bytes.buffer, `state.${format}`), { autoStart: false, skipWarm: true });
+      expect(dst.memory.port7FFD).toBe(0x1b);
+      expect(dst.memory.read(0xc000)).toBe(0x33);
+      expect(dst.memory.ramBanks[7][10]).toBe(0x77);
+      expect(dst.cpu.PC).toBe(0x6000);
+      expect(dst.cpu.IX).toBe(0xbeef);
+      expect(dst.cpu.A_).toBe(0x42);
+      expect(dst.ula.border).toBe(2);
+    }
+  });
+
+  test('a Pentagon snapshot loads back onto the Pentagon profile', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const src = new Emulator({ canvas: canvasStub, statusEl: {}, model: 'pentagon' });
+    await src._createCore(null);
+    src.memory.ramBanks[6][5] = 0x66;
+
+    for (const format of ['z80', 'szx']) {
+      const dst = new Emulator({ canvas: canvasStub, statusEl: {}, model: '128k' });
+      await dst._createCore(null);
+      await dst.applySnapshot(Loader.parseByExtension(src.saveSnapshot(format).buffer, `state.${format}`), { autoStart: false, skipWarm: true });
+      expect(dst.profile.id).toBe('pentagon');
+      expect(dst.memory.ramBanks[6][5]).toBe(0x66);
+      // a plain 128K snapshot takes it back to the 128K
+      await dst.applySnapshot(Loader.parseByExtension(buildSnapshot(state128(), format).buffer, `state.${format}`), { autoStart: false, skipWarm: true });
+      expect(dst.profile.id).toBe('128k');
+    }
+  });
+
+  test('the .z80 T-state counter counts in quarters of the machine\'s own frame', async () => {
+    const { Emulator } = await import('../../src/main.mjs');
+    const emu = new Emulator({ canvas: canvasStub, statusEl: {}, model: 'pentagon' });
+    await emu._createCore(null);
+    emu.cpu.tstates = 71000; // past the end of a 128K frame
+    const dv = new DataView(emu.saveSnapshot('z80').buffer);
+    const chunk = 71680 / 4;
+    expect((((dv.getUint8(57) + 1) % 4) + 1) * chunk - (dv.getUint16(55, true) + 1)).toBe(71000);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect } from 'vitest';
+import { SampleRing, MAX_RATE_ADJUST } from '../../src/soundWorklet.mjs';
+import { Sound } from '../../src/sound.mjs';
+import { Emulator } from '../../src/main.mjs';
+
+describe('AudioWorklet sample ring', () => {
+  test('plays samples back in order at equal rates, holding the last one when starved', () => {
+    const ring = new SampleRing(16, { inputRate: 44100, outputRate: 44100, target: 8 });
+    ring.push(Float32Array.from([0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7]));
+    expect(ring.rateAdjust()).toBe(1);
+    const out = new Float32Array(10);
+    ring.read(out);
+    expect(Array.from(out.slice(0, 7)).map(v => +v.toFixed(3))).toEqual([0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6]);
+    expect(out[9]).toBeCloseTo(0.6);
+    expect(ring.underruns).toBe(1);
+  });
+
+  test('plays faster above the target fill and slower below, within the limit', () => {
+    const ring = new SampleRing(64, { inputRate: 44100, outputRate: 48000, target: 20 });
+    ring.push(new Float32Array(40));
+    expect(ring.rateAdjust()).toBeCloseTo(1 + MAX_RATE_ADJUST);
+    const low = new SampleRing(64, { inputRate: 44100, outputRate: 48000, target: 20 });
+    low.push(new Float32Array(15));
+    expect(low.rateAdjust()).toBeLessThan(1);
+    expect(low.rateAdjust()).toBeGreaterThanOrEqual(1 - MAX_RATE_ADJUST);
+  });
+
+  test('drops what does not fit and counts everything received', () => {
+    const ring = new SampleRing(4, { inputRate: 1, outputRate: 1, target: 2 });
+    ring.push(new Float32Array(6));
+    expect([ring.fill, ring.received, ring.overruns]).toEqual([4, 6, 1]);
+  });
+});
+
+// A Sound whose worklet node and context are stand-ins
+function workletSound() {
+  const posted = [];
+  const sound = new Sound();
+  sound.ctx = { state: 'running', currentTime: 1 };
+  sound.node = { port: { postMessage: (data) => posted.push(data) } };
+  return { sound, posted };
+}
+
+describe('Sound frame pacing', () => {
+  test('framesDue tops the ring up to three frames', () => {
+    const { sound, posted } = workletSound();
+    expect(sound.framesDue()).toBe(null); // no report from the worklet yet
+    sound._workletReport = { fill: 0, received: 0, underruns: 0, time: 1 };
+    expect(sound.framesDue()).toBe(3);
+
+    sound.endFrame(0);
+    expect(posted[0]).toBeInstanceOf(Float32Array);
+    expect(sound.bufferedSamples()).toBe(posted[0].length);
+    expect(sound.framesDue()).toBe(2);
+
+    // Received by the worklet; 200 ms later it has long run dry
+    sound.ctx.currentTime = 1.2;
+    sound._workletReport = { fill: posted[0].length, received: posted[0].length, underruns: 1, time: 1 };
+    expect(sound.framesDue()).toBe(3);
+    expect(sound.getAudioStats()).toEqual({ output: 'worklet', buffered: 0, underruns: 1 });
+
+    sound.setMuted(true);
+    expect(sound.framesDue()).toBe(null);
+  });
+
+  test('the emulator loop runs the frames the audio asks for', () => {
+    const emu = Object.create(Emulator.prototype);
+    let frames = 0;
+    emu._running = true;
+    emu._speed = 1;
+    emu._lastTime = 0;
+    emu._acc = 0;
+    emu._processFrame = () => { frames++; };
+    emu.sound = { framesDue: () => 2 };
+    const raf = globalThis.requestAnimationFrame;
+    globalThis.requestAnimationFrame = () => 1;
+    try {
+      emu._loop(7); // a 144 Hz refresh: too soon for a frame by the clock
+      expect(frames).toBe(2);
+      emu.sound.framesDue = () => null;
+      emu._loop(14);
+      emu._loop(21);
+      expect(frames).toBe(2);
+      emu._loop(30);
+      expect(frames).toBe(3);
+    } finally {
+      globalThis.requestAnimationFrame = raf;
+    }
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, test, expect, afterEach } from 'vitest';
+import { createMachine } from '../../src/machine.mjs';
+import { Sound } from '../../src/sound.mjs';
+
+// 8000 LD A,0 / 8002 INC A / 8003 LD (9000h),A / 8006 JR 8002h
+const PROGRAM = [0x3e, 0x00, 0x3c, 0x32, 0x00, 0x90, 0x18, 0xfa];
+
+async function makeEmulator() {
+  const machine = await createMachine({ model: '48k' });
+  const emu = machine.emulator;
+  PROGRAM.forEach((b, i) => emu.memory.write(0x8000 + i, b));
+  emu.cpu.IFF1 = false;
+  emu.cpu.PC = 0x8000;
+  return emu;
+}
+
+// Stand in for requestAnimationFrame and count the frames each tick runs
+function countFrames(emu) {
+  const counter = { frames: 0 };
+  emu._processFrame = () => { counter.frames++; };
+  emu.sound = null;
+  emu._running = true;
+  emu._lastTime = 0;
+  globalThis.requestAnimationFrame = () => 1;
+  return counter;
+}
+
+describe('Emulation speed', () => {
+  const raf = globalThis.requestAnimationFrame;
+  afterEach(() => { globalThis.requestAnimationFrame = raf; });
+
+  test('speed is clamped to 10-1000% and reported', async () => {
+    const emu = await makeEmulator();
+    expect(emu.getSpeed()).toEqual({ percent: 100, maxSpeed: false, autoTurbo: true, turbo: false });
+    expect(emu.setSpeed(5)).toBe(10);
+    expect(emu.setSpeed('5000')).toBe(1000);
+    expect(() => emu.setSpeed('fast')).toThrow(/speed must be a number/);
+    emu.setMaxSpeed(true);
+    expect(emu.getSpeed()).toMatchObject({ percent: 1000, maxSpeed: true, turbo: true });
+  }, 30000);
+
+  test('frames follow the elapsed time scaled by the speed', async () => {
+    const emu = await makeEmulator();
+    const counter = countFrames(emu);
+    emu.setSpeed(400);
+    emu._loop(20);
+    expect(counter.frames).toBe(4);
+    emu.setSpeed(10);
+    for (let t = 40; t <= 200; t += 20) emu._loop(t);
+    expect(counter.frames).toBe(4);
+    emu._loop(220);
+    expect(counter.frames).toBe(5);
+  }, 30000);
+
+  test('max speed and a playing tape run frames for the whole tick', async () => {
+    const emu = await makeEmulator();
+    const counter = countFrames(emu);
+    emu.tape.playing = true;
+    expect(emu.getSpeed().turbo).toBe(true);
+    emu._loop(1); // 1 ms is not time for a frame by the clock
+    expect(counter.frames).toBeGreaterThan(1);
+
+    emu.setAutoTurbo(false);
+    expect(emu.getSpeed().turbo).toBe(false);
+  }, 30000);
+
+  test('frame advance runs exactly one frame, only while paused', async () => {
+    const emu = await makeEmulator();
+    emu.frameAdvance();
+    const first = emu.memory.read(0x9000);
+    expect(emu.cpu.PC).toBeGreaterThanOrEqual(0x8002);
+    emu.frameAdvance();
+    // 69888 T-states of a 29 T-state loop (uncontended), counted in A modulo 256
+    const loops = Math.floor(69888 / 29);
+    expect([loops & 0xff, (loops + 1) & 0xff]).toContain((emu.memory.read(0x9000) - first) & 0xff);
+
+    emu._running = true;
+    expect(emu.frameAdvance()).toBe(false);
+    emu._running = false;
+  }, 30000);
+
+  test('audio keeps its pitch between 50% and 200% and is muted beyond', async () => {
+    const emu = await makeEmulator();
+    const copies = (n) => Array.from({ length: n }, () => emu._audioCopies());
+    expect(copies(3)).toEqual([1, 1, 1]);
+    emu.setSpeed(200);
+    expect(copies(4)).toEqual([0, 1, 0, 1]);
+    emu.setSpeed(50);
+    expect(copies(2)).toEqual([2, 2]);
+    emu.setSpeed(400);
+    expect(copies(2)).toEqual([0, 0]);
+    emu.setSpeed(100);
+    emu.setMaxSpeed(true);
+    expect(copies(2)).toEqual([0, 0]);
+
+    const sound = new Sound();
+    const frames = [];
+    sound.onSamples = (pcm) => frames.push(pcm);
+    sound.endFrame(0, 2);
+    sound.endFrame(0, 0);
+    expect(frames.length).toBe(2);
+    expect(frames[0]).not.toBe(frames[1]);
+  }, 30000);
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest';
+import { TapePlayer, TAPE_TIMINGS, standardBlock } from '../../src/tape.mjs';
+import { Z80 } from '../../src/z80.mjs';
+import { Memory } from '../../src/memory.mjs';
+import { ULA } from '../../src/ula.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+function tapBlock(flag, payload) {
+  const block = new Uint8Array(payload.length + 2);
+  block[0] = flag;
+  block.set(payload, 1);
+  let sum = flag;
+  for (const b of payload) sum ^= b;
+  block[block.length - 1] = sum;
+  return block;
+}
+
+function collectEdges(player, until) {
+  const edges = [];
+  player.routeToBeeper = true;
+  player.onEdge = (t, level) => edges.push({ t, level });
+  player.play();
+  for (let t = 0; t <= until; t += 1000) player.advanceTo(t);
+  return edges;
+}
+
+describe('TapePlayer pulse generation', () => {
+  it('emits pilot, sync and data pulses with ROM timings', () => {
+    const player = new TapePlayer();
+    const block = tapBlock(0xff, [0x80]);
+    player.load([block]);
+    const pilotLen = TAPE_TIMINGS.PILOT_DATA_PULSES * TAPE_TIMINGS.PILOT_PULSE;
+    const edges = collectEdges(player, pilotLen + 100000);
+
+    // pilot edges are PILOT_PULSE apart
+    expect(edges[1].t - edges[0].t).toBe(TAPE_TIMINGS.PILOT_PULSE);
+    const syncStart = TAPE_TIMINGS.PILOT_DATA_PULSES;
+    expect(edges[syncStart + 1].t - edges[syncStart].t).toBe(TAPE_TIMINGS.SYNC1_PULSE);
+    expect(edges[syncStart + 2].t - edges[syncStart + 1].t).toBe(TAPE_TIMINGS.SYNC2_PULSE);
+    // flag byte 0xFF: first data bit is a one (two long pulses)
+    expect(edges[syncStart + 3].t - edges[syncStart + 2].t).toBe(TAPE_TIMINGS.ONE_PULSE);
+  });
+
+  it('uses the long pilot for header blocks', () => {
+    expect(standardBlock(new Uint8Array([0x00, 1, 2])).pilotCount).toBe(TAPE_TIMINGS.PILOT_HEADER_PULSES);
+    expect(standardBlock(new Uint8Array([0xff, 1, 2])).pilotCount).toBe(TAPE_TIMINGS.PILOT_DATA_PULSES);
+  });
+
+  it('stops at the end of the tape and can be rewound', () => {
+    const player = new TapePlayer();
+    let ended = false;
+    player.onEnd = () => { ended = true; };
+    player.load({ type: 'tap', blocks: [tapBlock(0xff, [1])] });
+    player.play();
+    for (let t = 0; t < 20000000; t += 69888) player.advanceTo(t);
+    expect(ended).toBe(true);
+    expect(player.isPlaying()).toBe(false);
+
+    player.rewind();
+    expect(player.getPosition()).toBe(0);
+    expect(player.play()).toBe(true);
+  });
+
+  it('keeps time across frame rebasing', () => {
+    const player = new TapePlayer();
+    player.load([tapBlock(0xff, [1])]);
+    const edges = [];
+    player.routeToBeeper = true;
+    player.onEdge = (t) => edges.push(t);
+    player.play();
+    player.endFrame(69888);
+    const beforeRebase = edges.length;
+    player.advanceTo(2000);
+    // edges across the boundary keep the PILOT_PULSE spacing once rebased
+    const lastBefore = edges[beforeRebase - 1];
+    const firstAfter = edges[beforeRebase];
+    expect(firstAfter + 69888 - lastBefore).toBe(TAPE_TIMINGS.PILOT_PULSE);
+  });
+
+  it('keeps time when the CPU ran past the end of the frame', () => {
+    const player = new TapePlayer();
+    player.load([tapBlock(0xff, [1])]);
+    const edges = [];
+    player.routeToBeeper = true;
+    player.onEdge = (t) => edges.push(t);
+    player.play();
+    // The last instruction of the frame ended at 70500; the CPU carries 612 over
+    player.advanceTo(70500);
+    player.endFrame(69888);
+    const beforeRebase = edges.length;
+    player.advanceTo(5000);
+    const lastBefore = edges[beforeRebase - 1];
+    const firstAfter = edges[beforeRebase];
+    expect(firstAfter + 69888 - lastBefore).toBe(TAPE_TIMINGS.PILOT_PULSE);
+  });
+});
+
+describe('ULA EAR input', () => {
+  it('reports the EAR level on bit 6 of port 0xFE', () => {
+    const canvasStub = {
+      width: 320, height: 240, style: {},
+      getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+      toDataURL: () => ''
+    };
+    const ula = new ULA(new Memory({ model: '48k' }), canvasStub, { useDeferredRendering: false });
+    expect(ula.readPort(0xfefe) & 0xe0).toBe(0xe0);
+    ula.earBit = 0;
+    expect(ula.readPort(0xfefe) & 0xe0).toBe(0xa0);
+  });
+});
+
+describe('ROM LD-BYTES loads from the tape deck in real time', () => {
+  it('loads a data block and returns with carry set', () => {
+    const mem = new Memory({ model: '48k', contention: false, romBuffer: ROM_DATA.bytes });
+    const cpu = new Z80(mem);
+    mem.attachCPU(cpu);
+    cpu.reset();
+
+    const payload = Array.from({ length: 16 }, (_, i) => (i * 17 + 3) & 0xff);
+    const player = new TapePlayer();
+    player.load([tapBlock(0xff, payload)]);
+    player.play();
+
+    cpu.io = {
+      read: (port) => {
+        if ((port & 0xff) !== 0xfe) return 0xff;
+        player.advanceTo(cpu.tstates);
+        return 0xbf | (player.getEarBit() << 6);
+      },
+      write: () => {}
+    };
+
+    // CALL LD-BYTES (0x0556) with A=flag, carry set (LOAD), IX=dest, DE=length
+    mem.write(0x8000, 0x76); // HALT as return sentinel
+    cpu.SP = 0xff00;
+    cpu.pushWord(0x8000);
+    cpu.A = 0xff;
+    cpu.F = 0x01;
+    cpu.IX = 0x9000;
+    cpu.D = 0; cpu.E = payload.length;
+    cpu.PC = 0x0556;
+
+    const limit = 20000000;
+    while (cpu.PC !== 0x8000 && cpu.tstates < limit) cpu.step();
+
+    expect(cpu.PC).toBe(0x8000);
+    expect(cpu.F & 0x01).toBe(1);
+    for (let i = 0; i < payload.length; i++) expect(mem.read(0x9000 + i)).toBe(payload[i]);
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, test, expect } from 'vitest';
+import { Loader } from '../../src/loader.mjs';
+import { Z80 } from '../../src/z80.mjs';
+import { Memory } from '../../src/memory.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const canvasStub = {
+  width: 320, height: 240, style: {},
+  getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+  toDataURL: () => ''
+};
+
+async function makeEmulator(opts = {}) {
+  const { Emulator } = await import('../../src/main.mjs');
+  const emu = new Emulator({ canvas: canvasStub, statusEl: {}, ...opts });
+  await emu._createCore(ROM_DATA.bytes);
+  emu.cpu.IFF1 = false;
+  emu.cpu.intRequested = false;
+  return emu;
+}
+
+const SA_BYTES_ADDR = 0x04c2;
+
+// Call SA-BYTES the way SA-CONTRL does: A = flag, IX = start, DE = length,
+// then run until the ROM returns to the caller at 0x8000
+function saveBytes(emu, flag, start, bytes) {
+  bytes.forEach((b, i) => emu.memory.write(start + i, b));
+  const cpu = emu.cpu;
+  cpu.SP = 0xff00;
+  cpu.pushWord(0x8000);
+  cpu.A = flag;
+  cpu.IX = start;
+  cpu.D = bytes.length >> 8;
+  cpu.E = bytes.length & 0xff;
+  cpu.PC = 0x04c2;
+  for (let i = 0; i < 100 && cpu.PC !== 0x8000; i++) cpu.step();
+  return cpu.PC;
+}
+
+describe('Z80 address traps', () => {
+  test('a handler returning T-states replaces the instruction at that address', () => {
+    const mem = new Memory({ model: '48k' });
+    const cpu = new Z80(mem);
+    mem.write(0x8000, 0x3c); // INC A
+    cpu.PC = 0x8000;
+    cpu.traps.set(0x8000, (c) => { c.A = 0x42; c.PC = 0x9000; return 7; });
+    expect(cpu.step()).toBe(7);
+    expect(cpu.A).toBe(0x42);
+    expect(cpu.PC).toBe(0x9000);
+  });
+
+  test('a handler returning 0 lets the instruction run', () => {
+    const mem = new Memory({ model: '48k' });
+    const cpu = new Z80(mem);
+    mem.write(0x8000, 0x3c); // INC A
+    cpu.PC = 0x8000;
+    cpu.traps.set(0x8000, () => 0);
+    cpu.step();
+    expect(cpu.A).toBe(1);
+    expect(cpu.PC).toBe(0x8001);
+  });
+});
+
+describe('Loader.buildTAP', () => {
+  test('round-trips through parseTAP', () => {
+    const blocks = [Uint8Array.from([0x00, 1, 2, 3, 0]), Uint8Array.from([0xff, 9, 9, 0xff])];
+    const file = Loader.buildTAP(blocks);
+    expect(Array.from(file.subarray(0, 2))).toEqual([5, 0]);
+    expect(Loader.parseTAP(file.buffer).blocks.map(b => Array.from(b))).toEqual(blocks.map(b => Array.from(b)));
+  });
+});
+
+describe('ROM SAVE trap', () => {
+  test('captures header and data blocks with flag and checksum bytes', async () => {
+    const emu = await makeEmulator();
+    const events = [];
+    const prevDispatch = globalThis.window.dispatchEvent;
+    globalThis.window.dispatchEvent = (e) => { events.push(e); return true; };
+    globalThis.CustomEvent = globalThis.CustomEvent || class { constructor(type, init) { this.type = type; this.detail = init && init.detail; } };
+    try {
+      // Program header: type 0, name "hello", length 3, autostart 10
+      const header = [0x00, ...'hello     '.split('').map(c => c.charCodeAt(0)), 3, 0, 10, 0, 3, 0];
+      expect(saveBytes(emu, 0x00, 0x9000, header)).toBe(0x8000);
+      expect(saveBytes(emu, 0xff, 0x9100, [0x10, 0x20, 0x30])).toBe(0x8000);
+    } finally {
+      globalThis.window.dispatchEvent = prevDispatch;
+    }
+
+    const blocks = emu.getSavedTape().blocks;
+    expect(blocks).toHaveLength(2);
+    expect(blocks[0]).toHaveLength(19);
+    expect(blocks[0][0]).toBe(0x00);
+    expect(blocks[0][18]).toBe(blocks[0].subarray(0, 18).reduce((x, b) => x ^ b, 0));
+    expect(Array.from(blocks[1])).toEqual([0xff, 0x10, 0x20, 0x30, 0xff ^ 0x10 ^ 0x20 ^ 0x30]);
+    expect(emu.cpu.IX).toBe(0x9103);
+    expect(events.filter(e => e.type === 'tape-saved').map(e => e.detail.name)).toEqual(['hello', null]);
+  });
+
+  test('copying the block is not a CPU access: no contention and no read watchpoint hits', async () => {
+    const emu = await makeEmulator();
+    [1, 2, 3, 4].forEach((b, i) => emu.memory.write(0x6000 + i, b));
+    emu.addWatchpoint({ access: 'r', start: 0x6000, end: 0x6003, action: 'log' });
+    emu.addWatchpoint({ access: 'r', start: SA_BYTES_ADDR, end: SA_BYTES_ADDR + 7, action: 'log' });
+    const cpu = emu.cpu;
+    cpu.SP = 0xff00;
+    cpu.pushWord(0x8000);
+    Object.assign(cpu, { A: 0xff, IX: 0x6000, D: 0, E: 4, tstates: 14400 });
+    const used = emu._trapTapeSave();
+    expect(used).toBeGreaterThan(0);
+    expect(cpu.tstates).toBe(14400);
+    expect(emu.getWatchpointLog()).toEqual([]);
+    expect(Array.from(emu.getSavedTape().blocks[0])).toEqual([0xff, 1, 2, 3, 4, 0xff ^ 1 ^ 2 ^ 3 ^ 4]);
+  });
+
+  test('the saved tape loads back through parseTAP and can be inserted', async () => {
+    const emu = await makeEmulator();
+    saveBytes(emu, 0xff, 0x9000, [1, 2, 3, 4]);
+    const file = Loader.buildTAP(emu.getSavedTape().blocks);
+    expect(Array.from(Loader.parseTAP(file.buffer).blocks[0])).toEqual([0xff, 1, 2, 3, 4, 0xff ^ 1 ^ 2 ^ 3 ^ 4]);
+
+    expect(emu.insertSavedTape()).toBe(true);
+    expect(emu._lastTap.blocks).toHaveLength(1);
+    emu.clearSavedTape();
+    expect(emu.getSavedTape().blocks).toHaveLength(0);
+    expect(emu._lastTap.blocks).toHaveLength(1);
+  });
+
+  test('runs the real ROM routine when disabled or when SA-BYTES is not paged in', async () => {
+    const emu = await makeEmulator({ tapeSaveTrap: false });
+    emu.cpu.PC = 0x04c2;
+    emu.cpu.step();
+    expect(emu.cpu.PC).toBe(0x04c5); // LD HL,nn executed
+    expect(emu.getSavedTape().blocks).toHaveLength(0);
+
+    const custom = await makeEmulator();
+    custom.memory.loadROM(new Uint8Array(16384), 0);
+    custom.cpu.PC = 0x04c2;
+    custom.cpu.step();
+    expect(custom.cpu.PC).toBe(0x04c3); // NOP
+    expect(custom.getSavedTape().blocks).toHaveLength(0);
+  });
+});
@@ -0,0 +1,246 @@
+import { describe, test, expect } from 'vitest';
+import { DSKDisk } from '../../src/dsk.mjs';
+import {
+  UPD765, MSR_RQM, MSR_DIO, MSR_EXM, MSR_CB, ST1_END_OF_CYLINDER, ST1_NO_DATA, ST1_NOT_WRITABLE,
+  ST1_DATA_ERROR, ST2_CONTROL_MARK, ST2_DATA_ERROR, ST2_WRONG_CYLINDER, ST3_READY, ST3_TRACK0
+} from '../../src/upd765.mjs';
+import { Loader } from '../../src/loader.mjs';
+import { createMachine } from '../../src/machine.mjs';
+
+const ascii = (text) => Array.from(text, c => c.charCodeAt(0));
+
+// A standard .dsk: `cylinders` single-sided tracks of nine 512-byte sectors,
+// numbered 1-9 and filled with cylinder * 16 + sector
+function standardDSK(cylinders = 2) {
+  const trackSize = 256 + 9 * 512;
+  const out = new Uint8Array(256 + cylinders * trackSize);
+  out.set(ascii('MV - CPCEMU Disk-File\r\nDisk-Info\r\n'));
+  out[0x30] = cylinders;
+  out[0x31] = 1;
+  out[0x32] = trackSize & 0xff;
+  out[0x33] = trackSize >> 8;
+  for (let c = 0; c < cylinders; c++) {
+    const t = 256 + c * trackSize;
+    out.set(ascii('Track-Info\r\n'), t);
+    out.set([c, 0, 0, 0, 2, 9, 0x2a, 0xe5], t + 0x10);
+    for (let r = 1; r <= 9; r++) {
+      out.set([c, 0, r, 2], t + 0x18 + (r - 1) * 8);
+      out.fill(c * 16 + r, t + 256 + (r - 1) * 512, t + 256 + r * 512);
+    }
+  }
+  return out;
+}
+
+// An extended .dsk with copy protection on cylinder 0: sector 1 plain,
+// sector 2 weak (two copies), sector 3 deleted data, sector 4 a data CRC
+// error, sector 5 an ID that says cylinder 7; cylinder 1 unformatted
+function protectedDSK() {
+  const sectors = [
+    { id: [0, 0, 1, 2, 0, 0], data: [new Uint8Array(512).fill(0x11)] },
+    { id: [0, 0, 2, 2, 0, 0], data: [new Uint8Array(512).fill(0xaa), new Uint8Array(512).fill(0x55)] },
+    { id: [0, 0, 3, 2, 0, 0x40], data: [new Uint8Array(512).fill(0x33)] },
+    { id: [0, 0, 4, 2, 0x20, 0x20], data: [new Uint8Array(512).fill(0x44)] },
+    { id: [7, 0, 5, 2, 0, 0], data: [new Uint8Array(512).fill(0x77)] }
+  ];
+  const dataSize = sectors.reduce((sum, s) => sum + s.data.length * 512, 0);
+  const trackSize = 256 + dataSize;
+  const out = new Uint8Array(256 + trackSize);
+  out.set(ascii('EXTENDED CPC DSK File\r\nDisk-Info\r\n'));
+  out[0x30] = 2;
+  out[0x31] = 1;
+  out[0x34] = trackSize >> 8;
+  out[0x35] = 0;
+  const t = 256;
+  out.set(ascii('Track-Info\r\n'), t);
+  out.set([0, 0, 0, 0, 2, sectors.length, 0x2a, 0xe5], t + 0x10);
+  let pos = t + 256;
+  sectors.forEach((s, i) => {
+    const length = s.data.length * 512;
+    out.set([...s.id, length & 0xff, length >> 8], t + 0x18 + i * 8);
+    for (const copy of s.data) {
+      out.set(copy, pos);
+      pos += 512;
+    }
+  });
+  return out;
+}
+
+function controller(disk, motor = () => true) {
+  const fdc = new UPD765({ motor });
+  fdc.drives[0] = disk;
+  return fdc;
+}
+
+// Send a command and collect what comes back: the execution phase bytes
+// (read, or written from `data`) and the result bytes
+function run(fdc, bytes, data = null) {
+  for (const b of bytes) {
+    expect(fdc.readStatus() & (MSR_RQM | MSR_DIO)).toBe(MSR_RQM);
+    fdc.writeData(b);
+  }
+  const read = [];
+  let written = 0;
+  while (fdc.readStatus() & MSR_EXM) {
+    if (fdc.readStatus() & MSR_DIO) read.push(fdc.readData());
+    else fdc.writeData(data[written++]);
+  }
+  const result = [];
+  while ((fdc.readStatus() & (MSR_DIO | MSR_CB)) === (MSR_DIO | MSR_CB)) result.push(fdc.readData());
+  // Back in the command phase; the low bits are drives still seeking
+  expect(fdc.readStatus() & 0xf0).toBe(MSR_RQM);
+  return { data: read, result };
+}
+
+describe('DSK images', () => {
+  test('reads a standard image and writes it back as an extended one', () => {
+    const disk = DSKDisk.fromFile(standardDSK());
+    expect([disk.cylinders, disk.sides]).toEqual([2, 1]);
+    expect(disk.sectorIds(1, 0).map(id => id.r)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    expect(disk.readSector(1, 0, 2)[511]).toBe(0x13);
+
+    const dsk = disk.toDSK();
+    expect(String.fromCharCode(...dsk.subarray(0, 8))).toBe('EXTENDED');
+    const again = DSKDisk.fromFile(dsk);
+    expect(again.sectorIds(1, 0)).toEqual(disk.sectorIds(1, 0));
+    expect(again.readSector(1, 0, 8)[0]).toBe(0x19);
+    expect(() => DSKDisk.fromFile(new Uint8Array(256))).toThrow(/not a DSK/);
+  });
+
+  test('keeps weak sectors, error bits and unformatted tracks', () => {
+    const disk = DSKDisk.fromFile(protectedDSK());
+    expect(disk.track(1, 0)).toBe(null);
+    expect(disk.sectorIds(0, 0)[3]).toMatchObject({ r: 4, st1: 0x20, st2: 0x20 });
+    expect([disk.readSector(0, 0, 1)[0], disk.readSector(0, 0, 1)[0], disk.readSector(0, 0, 1)[0]]).toEqual([0xaa, 0x55, 0xaa]);
+
+    const again = DSKDisk.fromFile(disk.toDSK());
+    expect(again.track(0, 0).sectors[1].copies.length).toBe(2);
+    expect(again.sectorIds(0, 0)).toEqual(disk.sectorIds(0, 0));
+    expect(again.track(1, 0)).toBe(null);
+  });
+
+  test('the Loader tags .dsk files', () => {
+    expect(Loader.parseByExtension(standardDSK().buffer, 'GAME.DSK')).toMatchObject({ type: 'disk', format: 'dsk' });
+    expect(() => Loader.parseDisk(new Uint8Array(256), 'dsk')).toThrow(/not a DSK/);
+  });
+});
+
+describe('uPD765 controller', () => {
+  test('seeks and reports through Sense Interrupt Status', () => {
+    const fdc = controller(DSKDisk.fromFile(standardDSK()));
+    expect(run(fdc, [0x03, 0xaf, 0x03]).result).toEqual([]); // specify
+    run(fdc, [0x0f, 0x00, 1]); // seek drive A to cylinder 1
+    expect(fdc.readStatus() & 0x01).toBe(0x01); // drive A busy until sensed
+    expect(run(fdc, [0x08]).result).toEqual([0x20, 1]);
+    expect(fdc.readStatus()).toBe(MSR_RQM);
+    expect(run(fdc, [0x08]).result).toEqual([0x80]); // nothing to report
+    expect(run(fdc, [0x04, 0x00]).result[0] & (ST3_READY | ST3_TRACK0)).toBe(ST3_READY);
+    run(fdc, [0x07, 0x00]); // recalibrate
+    expect(run(fdc, [0x08]).result).toEqual([0x20, 0]);
+    expect(run(fdc, [0x1f]).result).toEqual([0x80]); // invalid command
+  });
+
+  test('reads sectors up to EOT and ends with End of Cylinder, as the +3 sees it', () => {
+    const fdc = controller(DSKDisk.fromFile(standardDSK()));
+    run(fdc, [0x0f, 0x00, 1]);
+    run(fdc, [0x08]);
+    const { data, result } = run(fdc, [0x66, 0x00, 1, 0, 8, 2, 9, 0x2a, 0xff]);
+    expect(data.length).toBe(1024);
+    expect([data[0], data[1023]]).toEqual([0x18, 0x19]);
+    expect(result).toEqual([0x40, ST1_END_OF_CYLINDER, 0, 2, 0, 1, 2]);
+
+    expect(run(fdc, [0x0a, 0x00]).result).toEqual([0x00, 0, 0, 1, 0, 1, 2]); // read ID: the next sector
+    expect(run(fdc, [0x46, 0x00, 1, 0, 12, 2, 12, 0x2a, 0xff]).result.slice(0, 2)).toEqual([0x40, ST1_NO_DATA]);
+  });
+
+  test('a saved state resumes a multi-sector read part way through', () => {
+    const fdc = controller(DSKDisk.fromFile(standardDSK()));
+    [0x46, 0x00, 0, 0, 1, 2, 3, 0x2a, 0xff].forEach(b => fdc.writeData(b));
+    for (let i = 0; i < 600; i++) fdc.readData();
+    const state = fdc.saveState();
+    const rest = run(fdc, []);
+    expect(rest.data.length).toBe(3 * 512 - 600);
+    fdc.loadState(state);
+    expect(run(fdc, [])).toEqual(rest);
+  });
+
+  test('writes sectors, and refuses on a protected disk or with the motor off', () => {
+    const disk = DSKDisk.fromFile(standardDSK());
+    let motor = true;
+    const fdc = controller(disk, () => motor);
+    const bytes = new Array(512).fill(0x42);
+    expect(run(fdc, [0x45, 0x00, 0, 0, 3, 2, 3, 0x2a, 0xff], bytes).result[1]).toBe(ST1_END_OF_CYLINDER);
+    expect(disk.readSector(0, 0, 2)[0]).toBe(0x42);
+    expect(disk.modified).toBe(true);
+
+    disk.writeProtected = true;
+    expect(run(fdc, [0x45, 0x00, 0, 0, 3, 2, 3, 0x2a, 0xff]).result.slice(0, 2)).toEqual([0x40, ST1_NOT_WRITABLE]);
+    motor = false;
+    expect(run(fdc, [0x46, 0x00, 0, 0, 3, 2, 3, 0x2a, 0xff]).result[0]).toBe(0x48);
+    expect(run(fdc, [0x04, 0x00]).result[0] & ST3_READY).toBe(0);
+  });
+
+  test('copy protection: weak sectors, deleted data, CRC errors and wrong cylinders', () => {
+    const fdc = controller(DSKDisk.fromFile(protectedDSK()));
+    const read = (r, code = 0x46) => run(fdc, [code, 0x00, 0, 0, r, 2, r, 0x2a, 0xff]);
+    expect(read(2).data[0]).toBe(0xaa);
+    expect(read(2).data[0]).toBe(0x55);
+
+    // Deleted data: read and stop with Control Mark, or skipped with SK
+    const deleted = read(3);
+    expect([deleted.data[0], deleted.result[0], deleted.result[2]]).toEqual([0x33, 0x40, ST2_CONTROL_MARK]);
+    expect(read(3, 0x4c).result.slice(0, 3)).toEqual([0x40, ST1_END_OF_CYLINDER, 0]);
+    expect(read(3, 0x66).data.length).toBe(0);
+
+    const crc = read(4);
+    expect([crc.data[0], crc.result[1], crc.result[2]]).toEqual([0x44, ST1_DATA_ERROR, ST2_DATA_ERROR]);
+    expect(read(5).result.slice(1, 3)).toEqual([ST1_NO_DATA, ST2_WRONG_CYLINDER]);
+  });
+
+  test('formats a track from the IDs the CPU supplies', () => {
+    const disk = DSKDisk.fromFile(standardDSK());
+    const fdc = controller(disk);
+    run(fdc, [0x0f, 0x00, 2]);
+    run(fdc, [0x08]);
+    const ids = [];
+    for (let r = 0xc1; r <= 0xc9; r++) ids.push(2, 0, r, 2);
+    expect(run(fdc, [0x4d, 0x00, 2, 9, 0x52, 0xe5], ids).result.slice(0, 3)).toEqual([0, 0, 0]);
+    expect(disk.cylinders).toBe(3);
+    expect(disk.sectorIds(2, 0).map(id => id.r)).toEqual([0xc1, 0xc2, 0xc3, 0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9]);
+    expect(run(fdc, [0x46, 0x00, 2, 0, 0xc5, 2, 0xc5, 0x2a, 0xff]).data[0]).toBe(0xe5);
+  });
+});
+
+describe('+3 disk drives', () => {
+  test('the controller answers 0x2FFD/0x3FFD on the +3 with the motor on 0x1FFD', async () => {
+    const machine = await createMachine({ model: 'plus3' });
+    const emu = machine.emulator;
+    emu.insertDisk(standardDSK(), { drive: 1, fileName: 'game.dsk' });
+    const io = emu.cpu.io;
+    expect(io.read(0x2ffd)).toBe(MSR_RQM);
+    io.write(0x3ffd, 0x04); // sense drive status, drive B
+    io.write(0x3ffd, 0x01);
+    expect(io.read(0x3ffd) & ST3_READY).toBe(0);
+    io.write(0x1ffd, 0x08); // motor on
+    io.write(0x3ffd, 0x04);
+    io.write(0x3ffd, 0x01);
+    expect(io.read(0x3ffd) & ST3_READY).toBe(ST3_READY);
+
+    await emu.setModel('128k');
+    expect(emu.cpu.io.read(0x2ffd)).toBe(0xff);
+  }, 30000);
+
+  test('disk images go to the drives of their interface and save back', async () => {
+    const machine = await createMachine({ model: 'plus3' });
+    const emu = machine.emulator;
+    emu.insertDisk(standardDSK(), { fileName: 'game.dsk' });
+    expect(emu.beta128.drives[0]).toBe(null);
+    emu.upd765.drives[0].writeSector(1, 0, 0, new Uint8Array(512).fill(0x99));
+
+    const saved = DSKDisk.fromFile(emu.saveDisk(0));
+    expect(saved.readSector(1, 0, 0)[0]).toBe(0x99);
+    expect(emu.upd765.drives[0].modified).toBe(false);
+    expect(() => emu.saveDisk(1)).toThrow(/no disk in drive B/);
+    expect(emu.ejectDisk(2)).toBe(true); // unit 2 is drive A on the +3
+    expect(emu.upd765.drives[0]).toBe(null);
+  }, 30000);
+});
@@ -0,0 +1,150 @@
+import { describe, test, expect } from 'vitest';
+import { WatchpointManager } from '../../src/watchpoints.mjs';
+import { Memory } from '../../src/memory.mjs';
+import ROM_DATA from '../../src/roms/spec48.js';
+
+// Avoid DOM top-level initializers in main.mjs when running under Node
+if (typeof globalThis.window === 'undefined') globalThis.window = { addEventListener: () => {}, dispatchEvent: () => {} };
+if (typeof globalThis.document === 'undefined') globalThis.document = { getElementById: () => null };
+
+const canvasStub = {
+  width: 320, height: 240, style: {},
+  getContext: () => ({ createImageData: () => ({ data: new Uint8ClampedArray(320 * 240 * 4) }), putImageData() {}, fillRect() {}, imageSmoothingEnabled: false }),
+  toDataURL: () => ''
+};
+
+// 8000 LD A,42h / 8002 LD (9000h),A / 8005 OUT (FEh),A / 8007 IN A,(FEh) / 8009 INC A / 800A JR 8009h
+const PROGRAM = [0x3e, 0x42, 0x32, 0x00, 0x90, 0xd3, 0xfe, 0xdb, 0xfe, 0x3c, 0x18, 0xfd];
+
+async function makeEmulator() {
+  const { Emulator } = await import('../../src/main.mjs');
+  const emu = new Emulator({ canvas: canvasStub, statusEl: {} });
+  await emu._createCore(ROM_DATA.bytes);
+  PROGRAM.forEach((b, i) => emu.memory.write(0x8000 + i, b));
+  emu.cpu.IFF1 = false;
+  emu.cpu.intRequested = false;
+  emu.cpu.SP = 0xff00;
+  emu.cpu.PC = 0x8000;
+  return emu;
+}
+
+describe('WatchpointManager', () => {
+  test('matches address ranges, wrap-around ranges and address masks', () => {
+    const wp = new WatchpointManager();
+    const seen = [];
+    wp.add({ access: 'w', start: 0x4000, end: 0x57ff, action: (hit) => seen.push(['screen', hit.addr]) });
+    wp.add({ access: 'r', start: 0xfff0, end: 0x000f, action: (hit) => seen.push(['wrap', hit.addr]) });
+    wp.add({ space: 'port', access: 'w', start: 0xfe, addressMask: 0xff, action: (hit) => seen.push(['ula', hit.addr]) });
+    wp.checkMemory('write', 0x57ff, 1);
+    wp.checkMemory('write', 0x5800, 1);
+    wp.checkMemory('read', 0x0005, 1);
+    wp.checkMemory('read', 0x8000, 1);
+    wp.checkPort('out', 0x7ffe, 1);
+    wp.checkPort('out', 0x7ffd, 1);
+    wp.checkPort('in', 0x00fe, 1);
+    expect(seen).toEqual([['screen', 0x57ff], ['wrap', 0x0005], ['ula', 0x7ffe]]);
+  });
+
+  test('value masks, hit counts and the access log', () => {
+    const wp = new WatchpointManager();
+    wp.attach({ instructionPC: 0x1234, tstates: 500 });
+    const id = wp.add({ space: 'port', access: 'w', start: 0xfe, addressMask: 0xff, value: 0x02, valueMask: 0x07, action: 'log' });
+    for (const v of [0x02, 0x03, 0x1a, 0x07]) wp.checkPort('out', 0xfe, v);
+    expect(wp.list()[0]).toMatchObject({ id, space: 'port', access: 'w', hits: 2, action: 'log' });
+    expect(wp.log).toEqual([
+      { id, type: 'out', addr: 0xfe, value: 0x02, pc: 0x1234, t: 500 },
+      { id, type: 'out', addr: 0xfe, value: 0x1a, pc: 0x1234, t: 500 }
+    ]);
+  });
+
+  test('pause watchpoints call onPause; disabled ones do not fire', () => {
+    const wp = new WatchpointManager();
+    const paused = [];
+    wp.onPause = (hit) => paused.push(hit.addr);
+    const id = wp.add({ access: 'rw', start: 0x9000 });
+    wp.checkMemory('read', 0x9000, 0);
+    wp.setEnabled(id, false);
+    wp.checkMemory('write', 0x9000, 0);
+    expect(paused).toEqual([0x9000]);
+    expect(wp.memoryArmed).toBe(false);
+  });
+
+  test('rejects invalid options; clear keeps internal watchpoints', () => {
+    const wp = new WatchpointManager();
+    expect(() => wp.add({ space: 'port', access: 'x', start: 0xfe })).toThrow(/invalid access/);
+    expect(() => wp.add({ access: 'q', start: 0 })).toThrow(/invalid access/);
+    expect(() => wp.add({ start: 0, action: 'explode' })).toThrow(/unknown action/);
+    wp.add({ start: 0x4000, internal: true, action: () => {} });
+    wp.add({ start: 0x5000 });
+    expect(wp.list()).toHaveLength(1);
+    wp.clear();
+    expect(wp.list()).toHaveLength(0);
+    expect(wp.memoryArmed).toBe(true);
+  });
+});
+
+describe('Memory.enableStackWatch', () => {
+  test('reports reads and writes in the range through the watchpoint manager', () => {
+    const mem = new Memory({ model: '48k' });
+    const events = [];
+    mem.enableStackWatch(0xfff0, 0xffff, (evt) => events.push(evt));
+    mem.write(0xfff8, 0x12);
+    mem.read(0xfff8);
+    mem.write(0x8000, 0x34);
+    expect(events.map(e => [e.type, e.addr, e.value])).toEqual([['write', 0xfff8, 0x12], ['read', 0xfff8, 0x12]]);
+    mem.disableStackWatch();
+    mem.write(0xfff8, 0x56);
+    expect(events).toHaveLength(2);
+    expect(mem.watchpoints.memoryArmed).toBe(false);
+  });
+});
+
+describe('Emulator watchpoints', () => {
+  test('a write watchpoint pauses after the writing instruction', async () => {
+    const emu = await makeEmulator();
+    emu.addWatchpoint({ access: 'w', start: 0x9000 });
+    expect(emu.runUntilBreak(1)).toBe(true);
+    expect(emu.cpu.PC).toBe(0x8005);
+    expect(emu.debugger.lastBreak).toMatchObject({ reason: 'watchpoint', pc: 0x8005 });
+    expect(emu.debugger.lastBreak.watchpoint).toMatchObject({ type: 'write', addr: 0x9000, value: 0x42, pc: 0x8002 });
+    expect(emu.getWatchpointLog()).toHaveLength(1);
+
+    // Resuming carries on from the next instruction
+    emu.clearWatchpoints();
+    emu.debugger.continue();
+    emu._processFrame();
+    expect(emu._frameInProgress).toBe(false);
+  });
+
+  test('a value that does not match the mask does not pause', async () => {
+    const emu = await makeEmulator();
+    emu.addWatchpoint({ access: 'w', start: 0x9000, value: 0x43 });
+    expect(emu.runUntilBreak(1)).toBe(false);
+    expect(emu.watchpoints.list()[0].hits).toBe(0);
+  });
+
+  test('an execute watchpoint stops before the instruction', async () => {
+    const emu = await makeEmulator();
+    emu.addWatchpoint({ access: 'x', start: 0x8007, end: 0x8008 });
+    expect(emu.runUntilBreak(1)).toBe(true);
+    expect(emu.cpu.PC).toBe(0x8007);
+    expect(emu.debugger.lastBreak.watchpoint).toMatchObject({ type: 'execute', addr: 0x8007, value: 0xdb, pc: 0x8007 });
+  });
+
+  test('the per-frame FRAMES diagnostic is not a read hit', async () => {
+    const emu = await makeEmulator();
+    emu.addWatchpoint({ access: 'r', start: 0x5c78, end: 0x5c7a });
+    expect(emu.runUntilBreak(2)).toBe(false);
+    expect(emu.getWatchpointLog()).toEqual([]);
+  });
+
+  test('port watchpoints log OUT and IN with the PC and T-state', async () => {
+    const emu = await makeEmulator();
+    emu.addWatchpoint({ space: 'port', access: 'rw', start: 0xfe, addressMask: 0xff, action: 'log' });
+    expect(emu.runUntilBreak(1)).toBe(false);
+    const log = emu.getWatchpointLog();
+    expect(log[0]).toMatchObject({ type: 'out', addr: 0x42fe, value: 0x42, pc: 0x8005 });
+    expect(log[1]).toMatchObject({ type: 'in', pc: 0x8007 });
+    expect(log[1].t).toBeGreaterThan(log[0].t);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect, afterEach } from 'vitest';
+import { MessageChannel } from 'node:worker_threads';
+import { CoreHost } from '../../src/coreWorker.mjs';
+import { WorkerEmulator } from '../../src/workerClient.mjs';
+
+// The host runs in-process on one end of a channel; the page side talks to
+// the other end as it would to a Worker
+function connect() {
+  const channel = new MessageChannel();
+  const host = new CoreHost(channel.port2);
+  const emu = new WorkerEmulator({ canvas: null, worker: channel.port1 });
+  return { channel, host, emu };
+}
+
+const nextTick = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('emulation worker', () => {
+  let link;
+  afterEach(() => {
+    link.channel.port1.close();
+    link.channel.port2.close();
+  });
+
+  test('boots the core and proxies emulator calls', async () => {
+    link = connect();
+    const { emu } = link;
+    expect(await emu.ready).toBe(true);
+    expect(await emu.runFrames(5)).toBe(5);
+    const regs = await emu.getRegisters();
+    expect(regs.PC).toBeTypeOf('number');
+    // The ROM starts DI / XOR A
+    expect(Array.from(await emu.peekMemory(0, 2))).toEqual([0xf3, 0xaf]);
+    await expect(emu._call('loadTapeFromFile')).rejects.toThrow(/not available in the worker/);
+  }, 30000);
+
+  test('posts each frame of audio and takes the keyboard state', async () => {
+    link = connect();
+    const { emu, host } = link;
+    const frames = [];
+    emu.sound.playSamples = (pcm) => frames.push(pcm);
+    await emu.ready;
+    await emu.runFrames(2);
+    expect(frames.length).toBe(2);
+    expect(frames[0]).toBeInstanceOf(Float32Array);
+
+    emu.pressKey('a');
+    await nextTick();
+    expect(host.emulator.ula.keyMatrix[1] & 0x01).toBe(0);
+    emu.releaseKey('a');
+    await nextTick();
+    expect(host.emulator.ula.keyMatrix[1] & 0x01).toBe(1);
+  }, 30000);
+});